@@ -0,0 +1,321 @@
+// Server audio engine: owns the player processes of the server (sox `play` or another player, see lib/player-backends.js)
+// Every sound (athan, Quran, alerts, events, startup, tests) goes through play(). Sounds have priorities:
+// a sound never plays over a higher priority one, and a higher priority sound preempts a Quran or event program,
+// which is paused (or ducked) and resumed afterwards from the same position.
+// Processes run in their own process group: stopping kills the whole group, pausing sends SIGSTOP / SIGCONT
+// and seeking restarts the process from the requested position (the command of a sound is built for each start).
+
+const { spawn } = require('child_process');
+
+// athan > iqama and other alerts > Quran and event programs > startup and test sounds
+const AUDIO_PRIORITIES = { athan: 4, alert: 3, quran: 2, event: 2, startup: 1, test: 1 };
+// Programs are resumed after a higher priority sound; shorter sounds are simply stopped or dropped
+const RESUMABLE_TYPES = ['quran', 'event'];
+
+const PREEMPTION_MODES = {
+    pause: 'Pause and resume afterwards',
+    duck: 'Lower the volume (duck) while it plays'
+};
+
+// Time given to a stopped process to exit before it is killed
+const KILL_TIMEOUT = 2000;
+// A ducked program restarts after this delay, so the higher priority sound gets the output device first
+const DUCK_START_DELAY = 1000;
+
+function signalGroup(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (error) {
+        // Already exited, or never started
+    }
+}
+
+function hasExited(child) {
+    return child.exitCode !== null || child.signalCode !== null;
+}
+
+function killProcess(child) {
+    if (!child || hasExited(child)) {
+        return;
+    }
+    signalGroup(child, 'SIGTERM');
+    // A paused process only handles SIGTERM once continued
+    signalGroup(child, 'SIGCONT');
+    const timer = setTimeout(() => signalGroup(child, 'SIGKILL'), KILL_TIMEOUT);
+    timer.unref();
+    child.once('close', () => clearTimeout(timer));
+}
+
+// options: { log, logError } used for the process output and the transport actions,
+// getPreemption() returning { mode: 'pause' | 'duck', duckVolume: 0-1 } when a program is preempted
+function createAudioEngine({ log = console.log, logError = console.error, getPreemption = () => ({ mode: 'pause', duckVolume: 0 }) } = {}) {
+    // Sound in the foreground:
+    // { type, priority, label, file, getCommand, duration, seekable, onEnd, process, playedAt, startedAt, offset, pausedAt, pausedTime }
+    let current = null;
+    // Programs preempted by a higher priority sound, most recent last (ducked ones keep a process, paused ones don't)
+    let suspended = [];
+
+    function getElapsed(item) {
+        const now = item.pausedAt || Date.now();
+        return item.offset + (now - item.startedAt - item.pausedTime) / 1000;
+    }
+
+    function describe(item) {
+        return `${item.type}: ${item.file}`;
+    }
+
+    // The foreground sound ended: resume the last preempted program at full volume, where it is now
+    function resumeSuspended() {
+        const item = suspended.pop();
+        if (!item) {
+            return;
+        }
+        clearTimeout(item.duckTimer);
+        const position = getElapsed(item);
+        const previous = item.process;
+        item.process = null;
+        killProcess(previous);
+        item.ducked = false;
+        // Preempted in its last moments (or ducked to its end): nothing left to play
+        if (item.duration !== null && position >= item.duration) {
+            log(`[audio-engine] ⏹️ ${describe(item)} ended while preempted`);
+            if (item.onEnd) {
+                item.onEnd(0);
+            }
+            if (!current) {
+                resumeSuspended();
+            }
+            return;
+        }
+        current = item;
+        spawnItem(item, position);
+        log(`[audio-engine] ⏯️ Resumed ${describe(item)} at ${position.toFixed(1)}s`);
+    }
+
+    // The process of a sound ended: only a sound that ended by itself reaches onEnd
+    function finish(child, code) {
+        const suspendedItem = suspended.find(item => item.process === child);
+        if (suspendedItem) {
+            // A ducked program that cannot share the output device (plain ALSA hw) waits paused instead
+            if (code !== 0 && code !== null) {
+                suspendedItem.pausedAt = Date.now();
+                suspendedItem.process = null;
+                log(`[audio-engine] ⏸️ ${describe(suspendedItem)} could not be ducked, paused instead`);
+                return;
+            }
+            suspended = suspended.filter(item => item !== suspendedItem);
+            if (suspendedItem.onEnd) {
+                suspendedItem.onEnd(code);
+            }
+            return;
+        }
+
+        if (!current || current.process !== child) {
+            return;
+        }
+        const item = current;
+        current = null;
+        if (item.onEnd) {
+            item.onEnd(code);
+        }
+        // onEnd may already have started another sound
+        if (!current) {
+            resumeSuspended();
+        }
+    }
+
+    // Start (or restart) the process of a sound at a position in seconds, with a volume factor (ducking)
+    // A player that cannot seek restarts the sound from the beginning, and the elapsed time with it
+    function spawnItem(item, requestedPosition, volumeScale = 1) {
+        const position = item.seekable ? requestedPosition : 0;
+        const { command, args, env } = item.getCommand(position, volumeScale);
+        log(`[${item.label}] 🔧 ${command} ${args.join(' ')}`);
+        const child = spawn(command, args, { env, detached: true });
+        Object.assign(item, { process: child, offset: position, startedAt: Date.now(), pausedAt: null, pausedTime: 0 });
+
+        // A sound written to stdout (live stream) is handed over instead of logged
+        if (item.onProcess) {
+            item.onProcess(child);
+        } else {
+            child.stdout.on('data', (data) => {
+                log(`[${item.label}] 📤 STDOUT: ${data.toString().trim()}`);
+            });
+        }
+        child.stderr.on('data', (data) => {
+            logError(`[${item.label}] 📥 STDERR: ${data.toString().trim()}`);
+        });
+        child.on('error', (err) => {
+            logError(`[${item.label}] ❌ Error spawning process:`, err);
+            finish(child, null);
+        });
+        child.on('close', (code) => finish(child, code));
+    }
+
+    // Move the foreground program aside for a higher priority sound
+    function suspendCurrent() {
+        const item = current;
+        current = null;
+        const position = getElapsed(item);
+        const previous = item.process;
+        item.process = null;
+        killProcess(previous);
+
+        Object.assign(item, { offset: position, startedAt: Date.now(), pausedAt: Date.now(), pausedTime: 0 });
+        suspended.push(item);
+
+        const { mode, duckVolume } = getPreemption();
+        if (mode === 'duck' && duckVolume > 0) {
+            item.ducked = true;
+            item.duckTimer = setTimeout(() => {
+                item.duckTimer = null;
+                if (suspended.includes(item)) {
+                    spawnItem(item, getElapsed(item), duckVolume);
+                }
+            }, DUCK_START_DELAY);
+            log(`[audio-engine] 🔉 Ducking ${describe(item)} at ${position.toFixed(1)}s`);
+        } else {
+            log(`[audio-engine] ⏸️ Suspended ${describe(item)} at ${position.toFixed(1)}s`);
+        }
+    }
+
+    // Play a sound according to the priorities
+    // options: { type, label, file, getCommand(position, volumeScale) returning { command, args, env },
+    //   duration (seconds or null), seekable (false when the player always starts at the beginning), onEnd(code),
+    //   onProcess(child) }
+    // onProcess receives every process of the sound (restarted on seek and resume) when its stdout is the audio
+    // onEnd only runs when the sound ends by itself (not when it is stopped, replaced or fails to start)
+    // Returns false when a higher priority sound is playing: a program then waits for it, other sounds are dropped
+    function play(options) {
+        const item = { duration: null, seekable: true, onEnd: null, onProcess: null, ...options, priority: AUDIO_PRIORITIES[options.type] || 0, playedAt: Date.now() };
+
+        if (current && item.priority < current.priority) {
+            if (RESUMABLE_TYPES.includes(item.type)) {
+                Object.assign(item, { process: null, offset: 0, startedAt: Date.now(), pausedAt: Date.now(), pausedTime: 0 });
+                // Below the preempted programs of a higher priority, so they resume first
+                suspended.unshift(item);
+                log(`[audio-engine] ⏳ ${describe(item)} waits for ${describe(current)}`);
+            } else {
+                log(`[audio-engine] ⏭️ ${describe(item)} not played (${describe(current)} has priority)`);
+            }
+            return false;
+        }
+
+        if (current && item.priority > current.priority && RESUMABLE_TYPES.includes(current.type)) {
+            suspendCurrent();
+        } else if (current) {
+            const previous = current;
+            current = null;
+            killProcess(previous.process);
+            log(`[audio-engine] ⏹️ Replaced ${describe(previous)}`);
+        }
+
+        current = item;
+        spawnItem(item, 0);
+        log(`[audio-engine] ▶️ Playing ${describe(item)}`);
+        return true;
+    }
+
+    // Stop everything, including the preempted programs
+    function stop() {
+        if (!current && suspended.length === 0) {
+            return false;
+        }
+        [current, ...suspended].filter(Boolean).forEach(item => {
+            clearTimeout(item.duckTimer);
+            killProcess(item.process);
+            log(`[audio-engine] ⏹️ Stopped ${describe(item)}`);
+        });
+        current = null;
+        suspended = [];
+        return true;
+    }
+
+    function pause() {
+        if (!current || current.pausedAt) {
+            return false;
+        }
+        signalGroup(current.process, 'SIGSTOP');
+        current.pausedAt = Date.now();
+        log(`[audio-engine] ⏸️ Paused ${current.type} at ${getElapsed(current).toFixed(1)}s`);
+        return true;
+    }
+
+    function resume() {
+        if (!current || !current.pausedAt) {
+            return false;
+        }
+        signalGroup(current.process, 'SIGCONT');
+        current.pausedTime += Date.now() - current.pausedAt;
+        current.pausedAt = null;
+        log(`[audio-engine] ▶️ Resumed ${current.type} at ${getElapsed(current).toFixed(1)}s`);
+        return true;
+    }
+
+    // Restart the foreground sound at a position in seconds (a paused sound stays paused)
+    function seek(position) {
+        if (!current || !current.seekable) {
+            return false;
+        }
+        const target = Math.max(0, current.duration !== null ? Math.min(position, current.duration) : position);
+        const wasPaused = Boolean(current.pausedAt);
+        const previous = current.process;
+        // The close event of the previous process must not end the sound
+        current.process = null;
+        killProcess(previous);
+        spawnItem(current, target);
+        if (wasPaused) {
+            pause();
+        }
+        log(`[audio-engine] ⏩ Seek ${current.type} to ${target.toFixed(1)}s`);
+        return true;
+    }
+
+    function isPlaying() {
+        return current !== null;
+    }
+
+    // Whether the foreground sound can be moved to a position (see seek)
+    function canSeek() {
+        return current !== null && current.seekable;
+    }
+
+    // State of the foreground sound: { playing, paused, type, label, file, started_at, elapsed, duration, seekable, suspended }
+    // suspended: programs waiting for it ({ type, file, elapsed, ducked })
+    function getNowPlaying() {
+        const waiting = suspended.map(item => ({
+            type: item.type,
+            file: item.file,
+            elapsed: Math.round(getElapsed(item) * 10) / 10,
+            ducked: Boolean(item.ducked && item.process)
+        })).reverse();
+        if (!current) {
+            return { playing: false, suspended: waiting };
+        }
+        return {
+            playing: true,
+            paused: Boolean(current.pausedAt),
+            type: current.type,
+            label: current.label,
+            file: current.file,
+            started_at: new Date(current.playedAt).toISOString(),
+            elapsed: Math.round(getElapsed(current) * 10) / 10,
+            duration: current.duration,
+            seekable: current.seekable,
+            suspended: waiting
+        };
+    }
+
+    // Never leave a sox process behind when the server exits
+    process.on('exit', () => {
+        [current, ...suspended].filter(item => item && item.process).forEach(item => signalGroup(item.process, 'SIGKILL'));
+    });
+
+    return { play, stop, pause, resume, seek, isPlaying, canSeek, getNowPlaying };
+}
+
+module.exports = {
+    AUDIO_PRIORITIES,
+    PREEMPTION_MODES,
+    RESUMABLE_TYPES,
+    createAudioEngine
+};
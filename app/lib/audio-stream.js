@@ -0,0 +1,216 @@
+// Live MP3 stream of the server playback (/stream.mp3)
+// The sounds are decoded by sox to raw PCM on stdout (PCM_OUTPUT_ARGS) and mixed here at real-time pace,
+// with silence between them, into a single lame encoder whose output is sent to every connected listener.
+// The encoder only runs while someone listens.
+
+const { spawn } = require('child_process');
+
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_SECOND = SAMPLE_RATE * CHANNELS * 2;
+
+// sox output options for a sound of the stream (signed 16-bit little-endian stereo on stdout)
+const PCM_OUTPUT_ARGS = ['-t', 'raw', '-r', String(SAMPLE_RATE), '-e', 'signed', '-b', '16', '-c', String(CHANNELS), '-L', '-'];
+
+// The mixer sends 100 ms of audio per tick
+const TICK = 100;
+const CHUNK_SIZE = (BYTES_PER_SECOND * TICK) / 1000;
+// sox decodes faster than real time: its output is held back beyond half a second of audio
+const MAX_BUFFERED = BYTES_PER_SECOND / 2;
+// Ticks caught up at most after the event loop was blocked (the rest is skipped)
+const MAX_CATCH_UP = 20;
+// A listener that falls this far behind (bytes waiting to be sent) is disconnected
+const MAX_LISTENER_BACKLOG = 1024 * 1024;
+
+// options: { log, logError, bitrate (kbps) }
+function createAudioStream({ log = console.log, logError = console.error, bitrate = 128 } = {}) {
+    // Sounds being mixed: { child, chunks, size, ended }
+    const sources = new Set();
+    // HTTP responses of the connected listeners
+    const listeners = new Set();
+    let encoder = null;
+    let clock = null;
+    let clockStart = 0;
+    let ticksSent = 0;
+
+    // Take up to size bytes of a source (the rest of the chunk stays silent)
+    function readSource(source, size) {
+        const output = Buffer.alloc(size);
+        let offset = 0;
+        while (offset < size && source.chunks.length > 0) {
+            const chunk = source.chunks[0];
+            const length = Math.min(chunk.length, size - offset);
+            chunk.copy(output, offset, 0, length);
+            offset += length;
+            if (length === chunk.length) {
+                source.chunks.shift();
+            } else {
+                source.chunks[0] = chunk.subarray(length);
+            }
+        }
+        source.size -= offset;
+
+        if (source.ended && source.size === 0) {
+            sources.delete(source);
+        } else if (source.size < MAX_BUFFERED / 2) {
+            source.child.stdout.resume();
+        }
+        return output;
+    }
+
+    // Mix the next chunk of every source (a ducked program plays under the sound that preempted it)
+    function mixSources() {
+        const buffers = [...sources].map(source => readSource(source, CHUNK_SIZE));
+        if (buffers.length === 0) {
+            return Buffer.alloc(CHUNK_SIZE);
+        }
+        if (buffers.length === 1) {
+            return buffers[0];
+        }
+        const mixed = Buffer.alloc(CHUNK_SIZE);
+        for (let offset = 0; offset < CHUNK_SIZE; offset += 2) {
+            const sample = buffers.reduce((sum, buffer) => sum + buffer.readInt16LE(offset), 0);
+            mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), offset);
+        }
+        return mixed;
+    }
+
+    function tick() {
+        const due = Math.floor((Date.now() - clockStart) / TICK);
+        if (due - ticksSent > MAX_CATCH_UP) {
+            ticksSent = due - 1;
+        }
+        while (ticksSent < due) {
+            const chunk = mixSources();
+            if (encoder) {
+                encoder.stdin.write(chunk);
+            }
+            ticksSent++;
+        }
+        if (sources.size === 0 && listeners.size === 0) {
+            clearInterval(clock);
+            clock = null;
+        }
+    }
+
+    function startClock() {
+        if (!clock) {
+            clockStart = Date.now();
+            ticksSent = 0;
+            clock = setInterval(tick, TICK / 2);
+        }
+    }
+
+    function disconnect(res) {
+        listeners.delete(res);
+        res.end();
+        if (listeners.size === 0) {
+            stopEncoder();
+        }
+    }
+
+    function startEncoder() {
+        const child = spawn('lame', ['-r', '-s', '44.1', '--bitwidth', '16', '--signed', '--little-endian',
+            '-m', 'j', '-b', String(bitrate), '--quiet', '-', '-']);
+        encoder = child;
+
+        child.stdout.on('data', (data) => {
+            listeners.forEach(res => {
+                if (res.writableLength > MAX_LISTENER_BACKLOG) {
+                    log('[audio-stream] 🐢 Listener too slow, disconnected');
+                    disconnect(res);
+                } else {
+                    res.write(data);
+                }
+            });
+        });
+        child.stderr.on('data', (data) => {
+            logError(`[audio-stream] 📥 STDERR: ${data.toString().trim()}`);
+        });
+        // Writes after the encoder exited
+        child.stdin.on('error', () => { });
+        child.on('error', (err) => {
+            logError('[audio-stream] ❌ Error starting the lame encoder:', err);
+            [...listeners].forEach(disconnect);
+        });
+        child.on('close', () => {
+            if (encoder === child) {
+                encoder = null;
+            }
+        });
+        log(`[audio-stream] 📡 Encoder started (${bitrate} kbps)`);
+    }
+
+    function stopEncoder() {
+        if (encoder) {
+            encoder.stdin.end();
+            encoder.kill();
+            encoder = null;
+            log('[audio-stream] 📡 Encoder stopped (no listener)');
+        }
+    }
+
+    // Mix the output of a sox process (PCM_OUTPUT_ARGS) into the stream
+    function addSource(child) {
+        const source = { child, chunks: [], size: 0, ended: false };
+        child.stdout.on('data', (data) => {
+            source.chunks.push(data);
+            source.size += data.length;
+            if (source.size > MAX_BUFFERED) {
+                child.stdout.pause();
+            }
+        });
+        child.on('close', (code) => {
+            // Stopped, replaced or preempted: cut at once; ended by itself: play what is buffered
+            if (code === 0) {
+                source.ended = true;
+                if (source.size === 0) {
+                    sources.delete(source);
+                }
+            } else {
+                sources.delete(source);
+            }
+        });
+        sources.add(source);
+        startClock();
+    }
+
+    // Send the stream to an HTTP client until it disconnects
+    function addListener(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'audio/mpeg',
+            'Cache-Control': 'no-cache, no-store',
+            'Connection': 'keep-alive',
+            'icy-name': 'Athan Center'
+        });
+        listeners.add(res);
+        if (!encoder) {
+            startEncoder();
+        }
+        startClock();
+        log(`[audio-stream] 🎧 Listener connected from ${req.ip} (${listeners.size} listening)`);
+
+        req.on('close', () => {
+            if (listeners.has(res)) {
+                disconnect(res);
+            }
+            log(`[audio-stream] 🎧 Listener disconnected (${listeners.size} listening)`);
+        });
+    }
+
+    // Disconnect every listener (stream disabled)
+    function close() {
+        [...listeners].forEach(disconnect);
+    }
+
+    function getListenerCount() {
+        return listeners.size;
+    }
+
+    return { addSource, addListener, close, getListenerCount };
+}
+
+module.exports = {
+    PCM_OUTPUT_ARGS,
+    createAudioStream
+};
@@ -0,0 +1,63 @@
+// Minimal CSV reading and writing (RFC 4180 quoting) shared by the timetable import and the configuration export
+
+// Split CSV text into rows (handles quoted fields and , ; or tab delimiters)
+// A quote only opens a quoted field at the start of the field, so unquoted values may contain quotes.
+// With maxFields, the last field takes the rest of the line (delimiters included)
+function parseCsv(text, maxFields = Infinity) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t', ','].reduce((best, d) =>
+        firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            inQuotes = true;
+        } else if (c === delimiter && row.length < maxFields - 1) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Format one CSV row, quoting the fields that contain a comma, a quote or a line break
+function formatCsvRow(fields) {
+    return fields.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
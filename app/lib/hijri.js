@@ -0,0 +1,149 @@
+// Hijri (Islamic) calendar conversions
+// Umm al-Qura uses the ICU tables shipped with Node (Intl 'islamic-umalqura' calendar, 1300-1600 AH);
+// the tabular (civil) calendar is computed arithmetically and used as fallback when ICU lacks Umm al-Qura.
+
+const HIJRI_MONTHS = [
+    { name: 'Muharram', ar: 'محرم' },
+    { name: 'Safar', ar: 'صفر' },
+    { name: "Rabi' al-Awwal", ar: 'ربيع الأول' },
+    { name: "Rabi' al-Thani", ar: 'ربيع الآخر' },
+    { name: 'Jumada al-Awwal', ar: 'جمادى الأولى' },
+    { name: 'Jumada al-Thani', ar: 'جمادى الآخرة' },
+    { name: 'Rajab', ar: 'رجب' },
+    { name: "Sha'ban", ar: 'شعبان' },
+    { name: 'Ramadan', ar: 'رمضان' },
+    { name: 'Shawwal', ar: 'شوال' },
+    { name: "Dhu al-Qi'dah", ar: 'ذو القعدة' },
+    { name: 'Dhu al-Hijjah', ar: 'ذو الحجة' }
+];
+
+const HIJRI_METHODS = {
+    umalqura: 'Umm al-Qura (Saudi Arabia)',
+    tabular: 'Tabular (arithmetical)'
+};
+
+// Manual adjustment range (days) for local moon sighting
+const MAX_ADJUSTMENT = 2;
+
+// Julian Day Number of the first day of the tabular Islamic calendar (16 July 622, civil epoch)
+const ISLAMIC_EPOCH = 1948440;
+
+// Umm al-Qura formatter, or null when the ICU data of this Node build has no Umm al-Qura calendar
+const umalquraFormatter = (() => {
+    try {
+        const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+            day: 'numeric',
+            month: 'numeric',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+        return formatter.resolvedOptions().calendar === 'islamic-umalqura' ? formatter : null;
+    } catch (error) {
+        return null;
+    }
+})();
+
+function gregorianToJdn(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+function jdnToDateStr(jdn) {
+    const date = new Date(Date.UTC(2000, 0, 1) + (jdn - gregorianToJdn(2000, 1, 1)) * 86400000);
+    return date.toISOString().substring(0, 10);
+}
+
+function dateStrToJdn(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return gregorianToJdn(year, month, day);
+}
+
+// Tabular Islamic calendar (leap years 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29 of each 30-year cycle)
+function tabularToJdn(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH - 1;
+}
+
+function jdnToTabular(jdn) {
+    const year = Math.floor((30 * (jdn - ISLAMIC_EPOCH) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jdn - 29 - tabularToJdn(year, 1, 1)) / 29.5) + 1);
+    const day = jdn - tabularToJdn(year, month, 1) + 1;
+    return { year, month, day };
+}
+
+function jdnToUmalqura(jdn) {
+    const parts = umalquraFormatter.formatToParts(new Date(`${jdnToDateStr(jdn)}T12:00:00Z`));
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+function normalizeOptions(options = {}) {
+    const adjustment = parseInt(options.adjustment, 10) || 0;
+    return {
+        method: HIJRI_METHODS[options.method] ? options.method : 'umalqura',
+        adjustment: Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, adjustment))
+    };
+}
+
+// Convert a Gregorian date (YYYY-MM-DD) to a Hijri date
+// options: { method: 'umalqura' | 'tabular', adjustment: -2..2 days (local moon sighting) }
+function toHijri(dateStr, options = {}) {
+    const { method, adjustment } = normalizeOptions(options);
+    const jdn = dateStrToJdn(dateStr) + adjustment;
+    const useUmalqura = method === 'umalqura' && umalquraFormatter;
+    const hijri = useUmalqura ? jdnToUmalqura(jdn) : jdnToTabular(jdn);
+    const month = HIJRI_MONTHS[hijri.month - 1];
+
+    return {
+        year: hijri.year,
+        month: hijri.month,
+        day: hijri.day,
+        month_name: month.name,
+        month_name_ar: month.ar,
+        method: useUmalqura ? 'umalqura' : 'tabular',
+        adjustment,
+        iso: `${hijri.year}-${String(hijri.month).padStart(2, '0')}-${String(hijri.day).padStart(2, '0')}`,
+        formatted: `${hijri.day} ${month.name} ${hijri.year}`
+    };
+}
+
+// Gregorian date (YYYY-MM-DD) of a Hijri date, with the same options as toHijri()
+function fromHijri(year, month, day, options = {}) {
+    const target = year * 10000 + month * 100 + day;
+    let jdn = tabularToJdn(year, month, day) - normalizeOptions(options).adjustment;
+
+    // The tabular estimate is within a couple of days of Umm al-Qura: step until the conversion matches
+    for (let i = 0; i < 5; i++) {
+        const hijri = toHijri(jdnToDateStr(jdn), options);
+        const current = hijri.year * 10000 + hijri.month * 100 + hijri.day;
+        if (current === target) {
+            break;
+        }
+        jdn += current < target ? 1 : -1;
+    }
+    return jdnToDateStr(jdn);
+}
+
+// Days of a Hijri month: [{ day, date }] where date is the Gregorian YYYY-MM-DD
+function getHijriMonthDays(year, month, options = {}) {
+    const days = [];
+    let jdn = dateStrToJdn(fromHijri(year, month, 1, options));
+    for (let day = 1; day <= 30; day++, jdn++) {
+        const date = jdnToDateStr(jdn);
+        if (toHijri(date, options).month !== month) {
+            break;
+        }
+        days.push({ day, date });
+    }
+    return days;
+}
+
+module.exports = {
+    HIJRI_MONTHS,
+    HIJRI_METHODS,
+    MAX_ADJUSTMENT,
+    toHijri,
+    fromHijri,
+    getHijriMonthDays
+};
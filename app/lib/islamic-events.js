@@ -0,0 +1,66 @@
+// Catalog of Hijri-based Islamic events (Eids, recommended fasts, Laylat al-Qadr nights)
+// Events are matched against a Hijri date computed by lib/hijri.js, so they follow the configured
+// Hijri method and moon sighting adjustment.
+
+// type: 'eid' (celebration), 'fast' (recommended fast), 'night' (night worship, starts at Maghrib the evening before)
+const ISLAMIC_EVENTS = {
+    eid_al_fitr: { name: 'Eid al-Fitr', type: 'eid' },
+    eid_al_adha: { name: 'Eid al-Adha', type: 'eid' },
+    arafah: { name: 'Day of Arafah', type: 'fast' },
+    ashura: { name: 'Ashura', type: 'fast' },
+    white_days: { name: 'White days', type: 'fast' },
+    laylat_al_qadr: { name: 'Laylat al-Qadr', type: 'night' },
+    monday_thursday: { name: 'Monday/Thursday fast', type: 'fast' }
+};
+
+const RAMADAN = 9;
+const SHAWWAL = 10;
+const DHU_AL_HIJJAH = 12;
+
+// Days on which fasting is forbidden: both Eids and the days of Tashriq (11-13 Dhu al-Hijjah)
+function isForbiddenFastingDay(hijri) {
+    return (hijri.month === SHAWWAL && hijri.day === 1)
+        || (hijri.month === DHU_AL_HIJJAH && hijri.day >= 10 && hijri.day <= 13);
+}
+
+function ordinal(day) {
+    if (day % 10 === 1 && day !== 11) return `${day}st`;
+    if (day % 10 === 2 && day !== 12) return `${day}nd`;
+    if (day % 10 === 3 && day !== 13) return `${day}rd`;
+    return `${day}th`;
+}
+
+// Rules: return a label for the matching day, or null
+const EVENT_RULES = {
+    eid_al_fitr: (hijri) => (hijri.month === SHAWWAL && hijri.day === 1 ? 'Eid al-Fitr' : null),
+    eid_al_adha: (hijri) => (hijri.month === DHU_AL_HIJJAH && hijri.day === 10 ? 'Eid al-Adha' : null),
+    arafah: (hijri) => (hijri.month === DHU_AL_HIJJAH && hijri.day === 9 ? 'Day of Arafah' : null),
+    ashura: (hijri) => (hijri.month === 1 && hijri.day === 10 ? 'Ashura' : null),
+    // 13, 14 and 15 of each month (Ramadan is already fasted, 13 Dhu al-Hijjah is a day of Tashriq)
+    white_days: (hijri) => (hijri.day >= 13 && hijri.day <= 15 && hijri.month !== RAMADAN && !isForbiddenFastingDay(hijri)
+        ? `White day (${ordinal(hijri.day)})` : null),
+    // Odd nights of the last ten days of Ramadan, attached to the day that follows the night
+    laylat_al_qadr: (hijri) => (hijri.month === RAMADAN && hijri.day >= 21 && hijri.day % 2 === 1
+        ? `Laylat al-Qadr (night of the ${ordinal(hijri.day)})` : null),
+    monday_thursday: (hijri, weekday) => ((weekday === 1 || weekday === 4) && hijri.month !== RAMADAN && !isForbiddenFastingDay(hijri)
+        ? `${weekday === 1 ? 'Monday' : 'Thursday'} fast` : null)
+};
+
+// Events of a Gregorian date (YYYY-MM-DD) given its Hijri date (from lib/hijri.js toHijri)
+// Returns [{ id, name, type, label }]
+function getIslamicEvents(dateStr, hijri) {
+    const weekday = new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+    const events = [];
+    Object.keys(ISLAMIC_EVENTS).forEach(id => {
+        const label = EVENT_RULES[id](hijri, weekday);
+        if (label) {
+            events.push({ id, name: ISLAMIC_EVENTS[id].name, type: ISLAMIC_EVENTS[id].type, label });
+        }
+    });
+    return events;
+}
+
+module.exports = {
+    ISLAMIC_EVENTS,
+    getIslamicEvents
+};
@@ -0,0 +1,307 @@
+// Players used for the server playback (audio_backend setting)
+// playOnServer() describes a sound once (file, volume, loudness gain, silence trim, fades, position) and the backend
+// turns it into the command line of its player. sox applies everything; the other players apply what they support
+// (see `limits` of each backend). Installed players are detected with `which`; 'auto' takes the first one that fits.
+//
+// Output targets:
+// { type: 'alsa', device }  ALSA device (e.g. "plughw:1"), null for the default output (.asoundrc)
+// { type: 'pulse', sink }   PulseAudio sink (also PipeWire through pipewire-pulse), null for the default sink
+// { type: 'pipe', format }  raw samples on stdout in a sox output format (live stream, RTP zones): sox only
+
+const { execSync } = require('child_process');
+const path = require('path');
+
+// Sound (built by playOnServer, position and volume set by the audio engine on every start):
+// { file, volume (linear factor, 1 = unchanged), gainDb, start, end (silence trim, seconds, end null = end of file),
+//   limit (maximum play time in seconds, 0 = none), fadeIn ({ curve: 'q' | 'l', seconds } or null), fadeOut (seconds),
+//   playTime (expected play time in seconds, null when unknown), position (seconds into the sound) }
+
+// Linear factor of a gain in dB
+function dbToFactor(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Volume of the sound with its loudness gain, for players without a gain effect
+function getTotalVolume(sound) {
+    return sound.volume * dbToFactor(sound.gainDb || 0);
+}
+
+// Part of the file to play, in seconds of the file: { begin, length (null = until the end) }
+function getPlayRange(sound) {
+    const stops = [
+        sound.end,
+        sound.limit > 0 ? sound.start + sound.limit : null,
+        sound.playTime !== null && sound.playTime !== undefined ? sound.start + sound.playTime : null
+    ].filter(stop => stop !== null && stop !== undefined);
+    const begin = sound.start + sound.position;
+    return { begin, length: stops.length > 0 ? Math.max(0, Math.min(...stops) - begin) : null };
+}
+
+// FFmpeg audio filters (mpv, ffplay): volume and fades, timed from the start of the playback
+// The fade-out needs the play time (analyzed file or maximum duration)
+function getLavfiFilters(sound) {
+    const { length } = getPlayRange(sound);
+    const filters = ['asetpts=PTS-STARTPTS', `volume=${getTotalVolume(sound).toFixed(3)}`];
+    if (sound.fadeIn && sound.position < sound.fadeIn.seconds) {
+        const curve = sound.fadeIn.curve === 'l' ? 'log' : 'qsin';
+        filters.push(`afade=t=in:st=0:d=${(sound.fadeIn.seconds - sound.position).toFixed(2)}:curve=${curve}`);
+    }
+    if (sound.fadeOut > 0 && length !== null) {
+        const duration = Math.min(sound.fadeOut, length);
+        filters.push(`afade=t=out:st=${(length - duration).toFixed(2)}:d=${duration.toFixed(2)}:curve=qsin`);
+    }
+    return filters.join(',');
+}
+
+// MP3 frames per second of a 44.1 kHz file (mpg123 positions are counted in frames)
+const MP3_FRAMES_PER_SECOND = 44100 / 1152;
+
+// name: shown in the settings; command: binary looked up on the server; outputs: supported target types
+// formats: playable file extensions (null = anything the player decodes); seek: can start in the middle of a sound
+// volume: false when the player cannot change the volume (skipped when a sound needs it, see selectPlayerBackend)
+// limits: what the player does not apply (shown in the settings)
+// test(target): command of a short silent playback checking the output (null: the player is assumed to work)
+const PLAYER_BACKENDS = {
+    sox: {
+        name: 'SoX (play)',
+        command: 'play',
+        outputs: ['alsa', 'pulse', 'pipe'],
+        formats: null,
+        seek: true,
+        limits: null,
+        test: (target) => ({ command: 'play', args: ['-n', 'synth', '0.1', 'sine', '0', 'vol', '0'], env: getSoxEnv(target) }),
+        build(sound, target) {
+            const { begin, length } = getPlayRange(sound);
+            const args = ['-v', sound.volume.toFixed(2), sound.file];
+            if (target.type === 'pipe') {
+                args.push(...target.format);
+            }
+            // Played part (silence trim, maximum duration, position) first: sox seeks in the file when trim is
+            // the first effect, instead of decoding everything before the position (resume late in a long recitation)
+            if (begin > 0 || length !== null) {
+                args.push('trim', begin.toFixed(2), ...(length !== null ? [length.toFixed(2)] : []));
+            }
+            // Per-file gain from the loudness analysis
+            if (sound.gainDb) {
+                args.push('gain', String(sound.gainDb));
+            }
+            // Ramp: slow logarithmic rise, fade-in: short quarter sine (what is left of it after the position)
+            if (sound.fadeIn && sound.position < sound.fadeIn.seconds) {
+                args.push('fade', sound.fadeIn.curve, (sound.fadeIn.seconds - sound.position).toFixed(2));
+            }
+            // Fade-out over the last seconds (stop position 0 = end of the trimmed audio)
+            if (sound.fadeOut > 0 && length !== 0) {
+                const duration = length !== null ? Math.min(sound.fadeOut, length) : sound.fadeOut;
+                args.push('fade', 'q', '0', '0', duration.toFixed(2));
+            }
+            return { command: target.type === 'pipe' ? 'sox' : 'play', args, env: getSoxEnv(target) };
+        }
+    },
+    mpv: {
+        name: 'mpv',
+        command: 'mpv',
+        outputs: ['alsa', 'pulse'],
+        formats: null,
+        seek: true,
+        limits: null,
+        test: (target) => ({ command: 'mpv', args: ['--no-video', '--really-quiet', ...getMpvOutputArgs(target), 'av://lavfi:anullsrc=d=0.1'], env: { ...process.env } }),
+        build(sound, target) {
+            const { begin, length } = getPlayRange(sound);
+            const args = ['--no-video', '--no-terminal', '--really-quiet', '--volume=100', `--start=${begin.toFixed(2)}`];
+            if (length !== null) {
+                args.push(`--end=${(begin + length).toFixed(2)}`);
+            }
+            args.push(`--af=lavfi=[${getLavfiFilters(sound)}]`, ...getMpvOutputArgs(target), sound.file);
+            return { command: 'mpv', args, env: { ...process.env } };
+        }
+    },
+    ffplay: {
+        name: 'FFmpeg (ffplay)',
+        command: 'ffplay',
+        outputs: ['alsa', 'pulse'],
+        formats: null,
+        seek: true,
+        limits: null,
+        test: (target) => ({ command: 'ffplay', args: ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-f', 'lavfi', 'anullsrc=d=0.1'], env: getSdlEnv(target) }),
+        build(sound, target) {
+            const { begin, length } = getPlayRange(sound);
+            const args = ['-nodisp', '-autoexit', '-loglevel', 'error', '-ss', begin.toFixed(2)];
+            if (length !== null) {
+                args.push('-t', length.toFixed(2));
+            }
+            args.push('-af', getLavfiFilters(sound), sound.file);
+            return { command: 'ffplay', args, env: getSdlEnv(target) };
+        }
+    },
+    mpg123: {
+        name: 'mpg123',
+        command: 'mpg123',
+        outputs: ['alsa', 'pulse'],
+        formats: ['.mp3'],
+        seek: true,
+        limits: 'MP3 files only, no fades, positions rounded to MP3 frames',
+        test: null,
+        build(sound, target) {
+            const { begin, length } = getPlayRange(sound);
+            // -f: output scale, 32768 = unchanged
+            const args = ['-q', '-f', String(Math.round(32768 * getTotalVolume(sound))), '-k', String(Math.round(begin * MP3_FRAMES_PER_SECOND))];
+            if (length !== null) {
+                args.push('-n', String(Math.max(1, Math.round(length * MP3_FRAMES_PER_SECOND))));
+            }
+            if (target.type === 'pulse') {
+                args.push('-o', 'pulse', ...(target.sink ? ['-a', target.sink] : []));
+            } else {
+                args.push('-o', 'alsa', ...(target.device ? ['-a', target.device] : []));
+            }
+            args.push(sound.file);
+            return { command: 'mpg123', args, env: { ...process.env } };
+        }
+    },
+    aplay: {
+        name: 'ALSA (aplay)',
+        command: 'aplay',
+        outputs: ['alsa'],
+        formats: ['.wav'],
+        seek: false,
+        volume: false,
+        limits: 'WAV files only, no volume, fades or trimming; resumed sounds restart from the beginning; only used when the volume is unchanged',
+        test: (target) => ({ command: 'aplay', args: ['-q', '-d', '1', '-f', 'cd', ...(target.device ? ['-D', target.device] : []), '/dev/zero'], env: { ...process.env } }),
+        build(sound, target) {
+            return { command: 'aplay', args: ['-q', ...(target.device ? ['-D', target.device] : []), sound.file], env: { ...process.env } };
+        }
+    },
+    paplay: {
+        name: 'PulseAudio (paplay)',
+        command: 'paplay',
+        outputs: ['pulse'],
+        formats: null,
+        seek: false,
+        limits: 'No fades or trimming; resumed sounds restart from the beginning',
+        test: null,
+        build(sound, target) {
+            // --volume: 65536 = unchanged
+            const args = [`--volume=${Math.round(65536 * getTotalVolume(sound))}`, ...(target.sink ? [`--device=${target.sink}`] : []), sound.file];
+            return { command: 'paplay', args, env: { ...process.env } };
+        }
+    },
+    pipewire: {
+        name: 'PipeWire (pw-play)',
+        command: 'pw-play',
+        outputs: ['pulse'],
+        formats: null,
+        seek: false,
+        limits: 'No fades or trimming; resumed sounds restart from the beginning',
+        test: null,
+        build(sound, target) {
+            const args = ['--volume', getTotalVolume(sound).toFixed(3), ...(target.sink ? ['--target', target.sink] : []), sound.file];
+            return { command: 'pw-play', args, env: { ...process.env } };
+        }
+    }
+};
+
+// Order of the 'auto' choice: full-featured players first
+const AUTO_BACKEND_ORDER = ['sox', 'mpv', 'ffplay', 'mpg123', 'pipewire', 'paplay', 'aplay'];
+
+// Environment selecting the output of a player: driverVariable gets the driver of the target type,
+// AUDIODEV the ALSA device (of this process only, so zones play side by side) and PULSE_SINK the sink
+function getOutputEnv(target, driverVariable, drivers) {
+    const env = { ...process.env };
+    if (target.type === 'alsa' || target.type === 'pulse') {
+        env[driverVariable] = drivers[target.type];
+    }
+    if (target.type === 'alsa' && target.device) {
+        env.AUDIODEV = target.device;
+    }
+    if (target.type === 'pulse' && target.sink) {
+        env.PULSE_SINK = target.sink;
+    }
+    return env;
+}
+
+// sox uses ALSA directly (not libao) or its pulseaudio driver
+function getSoxEnv(target) {
+    return getOutputEnv(target, 'AUDIODRIVER', { alsa: 'alsa', pulse: 'pulseaudio' });
+}
+
+// ffplay outputs through SDL
+function getSdlEnv(target) {
+    return getOutputEnv(target, 'SDL_AUDIODRIVER', { alsa: 'alsa', pulse: 'pulseaudio' });
+}
+
+function getMpvOutputArgs(target) {
+    if (target.type === 'pulse') {
+        return ['--ao=pulse', ...(target.sink ? [`--audio-device=pulse/${target.sink}`] : [])];
+    }
+    return ['--ao=alsa', ...(target.device ? [`--audio-device=alsa/${target.device}`] : [])];
+}
+
+// Whether a device value (audio_card setting, zone device) is a PulseAudio / PipeWire sink:
+// "pulse" for the default sink, "pulse:<sink name>" from `pactl list short sinks`
+function isPulseDevice(device) {
+    return device === 'pulse' || String(device || '').startsWith('pulse:');
+}
+
+// Output target of a device value: ALSA card number or id (played through plughw) or a PulseAudio sink
+function getOutputTarget(device) {
+    if (isPulseDevice(device)) {
+        return { type: 'pulse', sink: device.substring('pulse:'.length) || null };
+    }
+    return { type: 'alsa', device: `plughw:${device}` };
+}
+
+function describeOutputTarget(target) {
+    if (target.type === 'pulse') {
+        return `pulse:${target.sink || 'default'}`;
+    }
+    if (target.type === 'pipe') {
+        return 'stdout';
+    }
+    return target.device || 'default';
+}
+
+function isCommandInstalled(command) {
+    try {
+        execSync(`which ${command}`, { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Ids of the installed backends
+function detectPlayerBackends() {
+    return Object.keys(PLAYER_BACKENDS).filter(id => isCommandInstalled(PLAYER_BACKENDS[id].command));
+}
+
+function canPlay(id, target, file) {
+    const backend = PLAYER_BACKENDS[id];
+    return backend.outputs.includes(target.type)
+        && (!file || !backend.formats || backend.formats.includes(path.extname(file).toLowerCase()));
+}
+
+// Whether a sound plays at another volume than the file's (volume or loudness gain)
+function needsVolumeControl(sound) {
+    return Math.abs(getTotalVolume(sound) - 1) > 0.005;
+}
+
+// Backend playing a file (null: any file) on a target: the chosen one ('auto' or a backend id) when it is installed
+// and fits, else the first installed one of AUTO_BACKEND_ORDER that fits; null when none does
+// needsVolume: the sound has a volume or can be ducked; a player without volume control is then only used when it
+// is the chosen one and no other player fits
+function selectPlayerBackend(choice, installed, target, file, needsVolume = false) {
+    const candidates = [...(choice !== 'auto' ? [choice] : []), ...AUTO_BACKEND_ORDER];
+    const fits = (id) => PLAYER_BACKENDS[id] && installed.includes(id) && canPlay(id, target, file);
+    return candidates.find(id => fits(id) && (!needsVolume || PLAYER_BACKENDS[id].volume !== false))
+        || (choice !== 'auto' && fits(choice) ? choice : null);
+}
+
+module.exports = {
+    PLAYER_BACKENDS,
+    AUTO_BACKEND_ORDER,
+    isPulseDevice,
+    getOutputTarget,
+    describeOutputTarget,
+    detectPlayerBackends,
+    needsVolumeControl,
+    selectPlayerBackend
+};
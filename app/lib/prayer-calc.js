@@ -0,0 +1,256 @@
+// Offline astronomical prayer-time calculation
+// Based on the classic sun-position formulas (as used by PrayTimes.org), computed in UTC
+// and converted to the installation timezone with Intl so DST transitions are handled.
+
+// Calculation methods: twilight angles for Fajr and Isha (Isha may be a fixed interval after Maghrib)
+const CALCULATION_METHODS = {
+    MWL: { label: 'Muslim World League', fajr: 18, isha: 17 },
+    ISNA: { label: 'Islamic Society of North America (ISNA)', fajr: 15, isha: 15 },
+    Egypt: { label: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+    Makkah: { label: 'Umm al-Qura University, Makkah', fajr: 18.5, ishaInterval: 90 },
+    UOIF: { label: 'Union des Organisations Islamiques de France (UOIF)', fajr: 12, isha: 12 },
+    Karachi: { label: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+    Custom: { label: 'Custom angles', fajr: 18, isha: 17 }
+};
+
+// Asr shadow factor: Shafi'i/Maliki/Hanbali = 1, Hanafi = 2
+const ASR_METHODS = {
+    shafii: { label: "Standard (Shafi'i, Maliki, Hanbali)", factor: 1 },
+    hanafi: { label: 'Hanafi', factor: 2 }
+};
+
+// Rules used when Fajr/Isha cannot be computed (or are unreasonable) at high latitudes
+const HIGH_LATITUDE_RULES = {
+    none: 'No adjustment',
+    middle_of_night: 'Middle of the night',
+    one_seventh: 'One seventh of the night',
+    angle_based: 'Angle-based'
+};
+
+// Sun altitude at sunrise/sunset (refraction + solar disc radius)
+const SUNRISE_ANGLE = 0.833;
+
+// ===== Degree-based trigonometry =====
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+const dsin = (d) => Math.sin(dtr(d));
+const dcos = (d) => Math.cos(dtr(d));
+const dtan = (d) => Math.tan(dtr(d));
+const darcsin = (x) => rtd(Math.asin(x));
+const darccos = (x) => rtd(Math.acos(x));
+const darctan2 = (y, x) => rtd(Math.atan2(y, x));
+const darccot = (x) => rtd(Math.atan(1 / x));
+
+function fixAngle(a) {
+    a = a - 360 * Math.floor(a / 360);
+    return a < 0 ? a + 360 : a;
+}
+
+function fixHour(h) {
+    h = h - 24 * Math.floor(h / 24);
+    return h < 0 ? h + 24 : h;
+}
+
+// Julian date at 00:00 UTC for a Gregorian calendar date
+function julianDate(year, month, day) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+// Sun declination and equation of time for a given Julian date
+function sunPosition(jd) {
+    const d = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * d);
+    const q = fixAngle(280.459 + 0.98564736 * d);
+    const l = fixAngle(q + 1.915 * dsin(g) + 0.020 * dsin(2 * g));
+    const e = 23.439 - 0.00000036 * d;
+
+    const ra = fixHour(darctan2(dcos(e) * dsin(l), dcos(l)) / 15);
+    let equation = q / 15 - ra;
+    // Keep the equation of time in a sane [-12, 12] hour window
+    equation -= 24 * Math.round(equation / 24);
+
+    return {
+        declination: darcsin(dsin(e) * dsin(l)),
+        equation
+    };
+}
+
+// Compute prayer times (as UTC hours relative to 00:00 UTC of the date) for one day
+function computeDayHours(year, month, day, options) {
+    const { latitude, longitude, fajrAngle, ishaAngle, ishaInterval, asrFactor, highLatRule } = options;
+    const jdBase = julianDate(year, month, day) - longitude / (15 * 24);
+
+    // Solar noon (UTC hours) at a given approximate time of day
+    const midDay = (t) => {
+        const { equation } = sunPosition(jdBase + t / 24);
+        return 12 - equation - longitude / 15;
+    };
+
+    // Time at which the sun reaches a given angle below the horizon (before or after noon)
+    const sunAngleTime = (angle, t, beforeNoon) => {
+        const { declination } = sunPosition(jdBase + t / 24);
+        const noon = midDay(t);
+        const cosH = (-dsin(angle) - dsin(declination) * dsin(latitude)) / (dcos(declination) * dcos(latitude));
+        if (cosH < -1 || cosH > 1) {
+            return NaN;
+        }
+        const hourAngle = darccos(cosH) / 15;
+        return noon + (beforeNoon ? -hourAngle : hourAngle);
+    };
+
+    const asrTime = (t) => {
+        const { declination } = sunPosition(jdBase + t / 24);
+        const angle = -darccot(asrFactor + dtan(Math.abs(latitude - declination)));
+        return sunAngleTime(angle, t);
+    };
+
+    // Default local solar times, shifted to UTC hours; refined with a second pass
+    const lngOffset = longitude / 15;
+    const defaults = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, isha: 18 };
+    let times = {};
+    for (let i = 0; i < 2; i++) {
+        const guess = (key) => (Number.isFinite(times[key]) ? times[key] : defaults[key] - lngOffset);
+        times = {
+            fajr: sunAngleTime(fajrAngle, guess('fajr'), true),
+            sunrise: sunAngleTime(SUNRISE_ANGLE, guess('sunrise'), true),
+            dhuhr: midDay(guess('dhuhr')),
+            asr: asrTime(guess('asr')),
+            sunset: sunAngleTime(SUNRISE_ANGLE, guess('sunset')),
+            isha: ishaInterval > 0 ? NaN : sunAngleTime(ishaAngle, guess('isha'))
+        };
+    }
+
+    if (ishaInterval > 0 && Number.isFinite(times.sunset)) {
+        times.isha = times.sunset + ishaInterval / 60;
+    }
+
+    // High latitude adjustment: clamp Fajr/Isha to a portion of the night
+    // With 'none', a Fajr/Isha that cannot be computed at all (sun never low enough) still gets the angle-based time
+    if (Number.isFinite(times.sunrise) && Number.isFinite(times.sunset)) {
+        const night = 24 - (times.sunset - times.sunrise);
+        const clamp = highLatRule !== 'none';
+        const portion = (angle) => {
+            if (highLatRule === 'one_seventh') return night / 7;
+            if (highLatRule === 'middle_of_night') return night / 2;
+            return (angle / 60) * night; // angle_based
+        };
+
+        const fajrPortion = portion(fajrAngle);
+        if (!Number.isFinite(times.fajr) || (clamp && times.sunrise - times.fajr > fajrPortion)) {
+            times.fajr = times.sunrise - fajrPortion;
+        }
+
+        if (!(ishaInterval > 0)) {
+            const ishaPortion = portion(ishaAngle);
+            if (!Number.isFinite(times.isha) || (clamp && times.isha - times.sunset > ishaPortion)) {
+                times.isha = times.sunset + ishaPortion;
+            }
+        }
+    }
+
+    return times;
+}
+
+// Format a UTC instant as local date (YYYY-MM-DD) and time (HH:MM) in the given timezone
+function formatInTimezone(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        time: `${get('hour')}:${get('minute')}`
+    };
+}
+
+// Resolve user-facing settings into numeric calculation options
+function resolveOptions(settings) {
+    const method = CALCULATION_METHODS[settings.method] ? settings.method : 'MWL';
+    const methodParams = CALCULATION_METHODS[method];
+    const isCustom = method === 'Custom';
+    const asr = ASR_METHODS[settings.asrMethod] ? settings.asrMethod : 'shafii';
+
+    const latitude = parseFloat(settings.latitude);
+    const longitude = parseFloat(settings.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new Error('Invalid latitude/longitude for prayer time calculation');
+    }
+
+    const customFajr = parseFloat(settings.fajrAngle);
+    const customIsha = parseFloat(settings.ishaAngle);
+    const customInterval = parseInt(settings.ishaInterval, 10);
+
+    return {
+        method,
+        latitude,
+        longitude,
+        timezone: settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        fajrAngle: isCustom && Number.isFinite(customFajr) ? customFajr : methodParams.fajr,
+        ishaAngle: isCustom && Number.isFinite(customIsha) ? customIsha : (methodParams.isha || 0),
+        ishaInterval: isCustom ? (customInterval > 0 ? customInterval : 0) : (methodParams.ishaInterval || 0),
+        asrFactor: ASR_METHODS[asr].factor,
+        highLatRule: HIGH_LATITUDE_RULES[settings.highLatRule] ? settings.highLatRule : 'angle_based'
+    };
+}
+
+// Calculate prayer times for one calendar day (dateStr = YYYY-MM-DD in the installation timezone)
+// Returns an array of { date, prayer_name, prayer_time } rows using the internal prayer names, all on dateStr.
+// An Isha after midnight (or a Fajr before it) uses one seventh of the night instead, and as a last resort
+// the last (first) minute of the day; such rows carry adjustment: 'one_seventh' or 'day_limit'
+function calculatePrayerTimes(dateStr, settings) {
+    const options = resolveOptions(settings);
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const hours = computeDayHours(year, month, day, options);
+    const dayStartUtc = Date.UTC(year, month - 1, day);
+
+    const names = {
+        fajr: 'Fajr | Sobh',
+        sunrise: 'Sunrise',
+        dhuhr: 'Dohr',
+        asr: 'Asr',
+        sunset: 'Maghrib',
+        isha: 'Isha'
+    };
+
+    // Round to the nearest minute
+    const toLocal = (h) => formatInTimezone(new Date(dayStartUtc + Math.round(h * 60) * 60000), options.timezone);
+    const night = 24 - (hours.sunset - hours.sunrise);
+
+    const rows = [];
+    Object.keys(names).forEach(key => {
+        if (!Number.isFinite(hours[key])) {
+            return;
+        }
+        let local = toLocal(hours[key]);
+        let adjustment = null;
+        if (local.date !== dateStr && (key === 'isha' || key === 'fajr') && Number.isFinite(night)) {
+            local = toLocal(key === 'isha' ? hours.sunset + night / 7 : hours.sunrise - night / 7);
+            adjustment = 'one_seventh';
+        }
+        if (local.date !== dateStr) {
+            local = { date: dateStr, time: local.date > dateStr ? '23:59' : '00:00' };
+            adjustment = 'day_limit';
+        }
+        rows.push({ date: dateStr, prayer_name: names[key], prayer_time: local.time, ...(adjustment ? { adjustment } : {}) });
+    });
+    return rows;
+}
+
+module.exports = {
+    CALCULATION_METHODS,
+    ASR_METHODS,
+    HIGH_LATITUDE_RULES,
+    calculatePrayerTimes
+};
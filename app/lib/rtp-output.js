@@ -0,0 +1,208 @@
+// RTP output for IP speakers and PA systems (audio zones of type 'rtp')
+// sox encodes the sound to the codec of the zone (raw samples on stdout, RTP_CODECS) and the packets are sent
+// over UDP to a multicast group (or a single speaker) at the pace of the packet time. Packets are only sent
+// while a sound plays; multicast loopback is on, so a receiver on the same machine can listen.
+
+const dgram = require('dgram');
+const net = require('net');
+
+// Static RTP payload types (RFC 3551)
+const RTP_CODECS = {
+    pcmu: { name: 'G.711 µ-law (8 kHz mono)', payloadType: 0, sampleRate: 8000, channels: 1, sampleSize: 1, silence: 0xFF, encoding: ['-e', 'u-law', '-b', '8'] },
+    pcma: { name: 'G.711 A-law (8 kHz mono)', payloadType: 8, sampleRate: 8000, channels: 1, sampleSize: 1, silence: 0xD5, encoding: ['-e', 'a-law', '-b', '8'] },
+    l16: { name: 'L16 (44.1 kHz mono)', payloadType: 11, sampleRate: 44100, channels: 1, sampleSize: 2, silence: 0, encoding: ['-e', 'signed', '-b', '16', '-B'] },
+    l16_stereo: { name: 'L16 (44.1 kHz stereo)', payloadType: 10, sampleRate: 44100, channels: 2, sampleSize: 2, silence: 0, encoding: ['-e', 'signed', '-b', '16', '-B'] }
+};
+
+// Packet times (ms) accepted by most receivers
+const RTP_PTIMES = [10, 20, 40];
+
+// Defaults of a new RTP zone (239.255.0.0/16: organization-local multicast scope)
+const RTP_DEFAULTS = { address: '239.255.0.1', port: 5004, codec: 'pcmu', ptime: 20 };
+
+// Hops a multicast packet may cross (routers on the mosque network)
+const MULTICAST_TTL = 16;
+// Packets caught up at most after the event loop was blocked (the rest is skipped)
+const MAX_CATCH_UP = 10;
+
+// sox output options for a codec (raw samples on stdout)
+function getRtpSoxOutputArgs(codec) {
+    const { sampleRate, channels, encoding } = RTP_CODECS[codec];
+    return ['-t', 'raw', '-r', String(sampleRate), ...encoding, '-c', String(channels), '-'];
+}
+
+// Validate an RTP configuration: returns an error message or null
+function validateRtpConfig({ address, port, codec, ptime }) {
+    if (!net.isIPv4(String(address))) {
+        return 'rtp_address must be an IPv4 address (multicast group such as 239.255.0.1, or a speaker)';
+    }
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+        return 'rtp_port must be an integer between 1024 and 65535';
+    }
+    if (!RTP_CODECS[codec]) {
+        return `rtp_codec must be one of: ${Object.keys(RTP_CODECS).join(', ')}`;
+    }
+    if (!RTP_PTIMES.includes(ptime)) {
+        return `rtp_ptime must be one of: ${RTP_PTIMES.join(', ')} ms`;
+    }
+    return null;
+}
+
+// options: { address, port, codec, ptime, log, logError }
+function createRtpSender({ address, port, codec, ptime, log = console.log, logError = console.error }) {
+    const { payloadType, sampleRate, channels, sampleSize, silence } = RTP_CODECS[codec];
+    const samplesPerPacket = (sampleRate * ptime) / 1000;
+    const payloadSize = samplesPerPacket * channels * sampleSize;
+    const ssrc = Math.floor(Math.random() * 0x100000000);
+    let sequence = Math.floor(Math.random() * 0x10000);
+    let timestamp = Math.floor(Math.random() * 0x100000000);
+
+    const socket = dgram.createSocket('udp4');
+    let socketReady = false;
+    socket.on('error', (err) => logError(`[rtp] ❌ Socket error (${address}:${port}):`, err));
+    socket.bind(() => {
+        socket.setMulticastTTL(MULTICAST_TTL);
+        socket.setMulticastLoopback(true);
+        socketReady = true;
+    });
+
+    // Sounds being sent: { child, chunks, size, ended }, only the oldest one is heard
+    // (G.711 cannot be mixed as is: a ducked program stays silent until it resumes)
+    let sources = [];
+    let clock = null;
+    let clockStart = 0;
+    let packetsSent = 0;
+    let talkspurt = true;
+    let idleSince = null;
+
+    // The next sound becomes the heard one
+    function removeSource(source) {
+        sources = sources.filter(item => item !== source);
+        talkspurt = true;
+        if (sources.length > 0) {
+            sources[0].child.stdout.resume();
+        }
+    }
+
+    function readPayload(source) {
+        const payload = Buffer.alloc(payloadSize, silence);
+        let offset = 0;
+        while (offset < payloadSize && source.chunks.length > 0) {
+            const chunk = source.chunks[0];
+            const length = Math.min(chunk.length, payloadSize - offset);
+            chunk.copy(payload, offset, 0, length);
+            offset += length;
+            if (length === chunk.length) {
+                source.chunks.shift();
+            } else {
+                source.chunks[0] = chunk.subarray(length);
+            }
+        }
+        source.size -= offset;
+        if (source.size < payloadSize * 4) {
+            source.child.stdout.resume();
+        }
+        return payload;
+    }
+
+    function sendPacket(payload) {
+        const header = Buffer.alloc(12);
+        header[0] = 0x80; // version 2
+        header[1] = (talkspurt ? 0x80 : 0) | payloadType; // marker on the first packet of a sound
+        header.writeUInt16BE(sequence, 2);
+        header.writeUInt32BE(timestamp >>> 0, 4);
+        header.writeUInt32BE(ssrc, 8);
+        if (socketReady) {
+            socket.send(Buffer.concat([header, payload]), port, address);
+        }
+        sequence = (sequence + 1) & 0xFFFF;
+        timestamp = (timestamp + samplesPerPacket) >>> 0;
+        talkspurt = false;
+    }
+
+    // Packets not sent (silence gap, or too late to catch up) still advance the RTP timestamp
+    function skipPackets(count) {
+        if (count > 0) {
+            packetsSent += count;
+            timestamp = (timestamp + count * samplesPerPacket) >>> 0;
+        }
+    }
+
+    function tick() {
+        const due = Math.floor((Date.now() - clockStart) / ptime);
+        if (due - packetsSent > MAX_CATCH_UP) {
+            skipPackets(due - 1 - packetsSent);
+        }
+        while (packetsSent < due && sources.length > 0) {
+            const source = sources[0];
+            if (source.size === 0) {
+                if (source.ended) {
+                    removeSource(source);
+                    continue;
+                }
+                // Waiting for sox (paused sound, or decoding): no packet, the next one starts a talkspurt
+                skipPackets(due - packetsSent);
+                talkspurt = true;
+                break;
+            }
+            sendPacket(readPayload(source));
+            packetsSent++;
+        }
+        if (sources.length === 0) {
+            clearInterval(clock);
+            clock = null;
+            idleSince = Date.now();
+        }
+    }
+
+    // Send the output of a sox process (getRtpSoxOutputArgs)
+    function addSource(child) {
+        const source = { child, chunks: [], size: 0, ended: false };
+        child.stdout.on('data', (data) => {
+            source.chunks.push(data);
+            source.size += data.length;
+            // A sound waiting behind the heard one is held where it is (removeSource resumes it)
+            if (source.size > payloadSize * 25 || sources[0] !== source) {
+                child.stdout.pause();
+            }
+        });
+        child.on('close', (code) => {
+            // Stopped, replaced or preempted: cut at once; ended by itself: send what is buffered
+            if (code === 0) {
+                source.ended = true;
+            } else {
+                removeSource(source);
+            }
+        });
+        sources.push(source);
+        if (!clock) {
+            clockStart = Date.now();
+            packetsSent = 0;
+            // The time spent idle counts too, so the next sound keeps the stream timing
+            if (idleSince !== null) {
+                timestamp = (timestamp + Math.floor((clockStart - idleSince) / ptime) * samplesPerPacket) >>> 0;
+            }
+            talkspurt = true;
+            clock = setInterval(tick, ptime / 2);
+            log(`[rtp] 📡 Sending ${codec} to ${address}:${port} (${ptime} ms packets)`);
+        }
+    }
+
+    function close() {
+        clearInterval(clock);
+        clock = null;
+        sources = [];
+        socket.close();
+    }
+
+    return { addSource, close };
+}
+
+module.exports = {
+    RTP_CODECS,
+    RTP_PTIMES,
+    RTP_DEFAULTS,
+    getRtpSoxOutputArgs,
+    validateRtpConfig,
+    createRtpSender
+};
@@ -0,0 +1,324 @@
+// Mosque timetable parsing and validation (CSV, XLSX or JSON files)
+// A timetable has one row per day: a date column, the prayer start times and optional iqama times.
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCsv } = require('./csv');
+
+// Fields that can be mapped to a column of the uploaded file
+// prayer: internal prayer name, iqamaOf: prayer the iqama column belongs to
+const TIMETABLE_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'fajr', label: 'Fajr', prayer: 'Fajr | Sobh', required: true },
+    { key: 'sunrise', label: 'Sunrise', prayer: 'Sunrise' },
+    { key: 'dohr', label: 'Dohr', prayer: 'Dohr', required: true },
+    { key: 'asr', label: 'Asr', prayer: 'Asr', required: true },
+    { key: 'maghrib', label: 'Maghrib', prayer: 'Maghrib', required: true },
+    { key: 'isha', label: 'Isha', prayer: 'Isha', required: true },
+    { key: 'fajr_iqama', label: 'Fajr iqama', iqamaOf: 'Fajr | Sobh' },
+    { key: 'dohr_iqama', label: 'Dohr iqama', iqamaOf: 'Dohr' },
+    { key: 'asr_iqama', label: 'Asr iqama', iqamaOf: 'Asr' },
+    { key: 'maghrib_iqama', label: 'Maghrib iqama', iqamaOf: 'Maghrib' },
+    { key: 'isha_iqama', label: 'Isha iqama', iqamaOf: 'Isha' }
+];
+
+// Header aliases used to guess the column mapping (compared lowercase, without accents/punctuation)
+const HEADER_ALIASES = {
+    date: ['date', 'day', 'jour', 'gregorian'],
+    fajr: ['fajr', 'fadjr', 'sobh', 'subh', 'sobuh'],
+    sunrise: ['sunrise', 'shuruq', 'shurooq', 'shorouk', 'chourouk', 'sunrise time'],
+    dohr: ['dohr', 'dhuhr', 'duhr', 'zuhr', 'zohr', 'thuhr', 'dhohr'],
+    asr: ['asr', 'asar'],
+    maghrib: ['maghrib', 'maghreb', 'magrib'],
+    isha: ['isha', 'ishaa', 'icha', 'esha']
+};
+const IQAMA_WORDS = ['iqama', 'iqamah', 'iqamat', 'jamaat', 'jamat', 'jamah', 'jamaah', 'congregation'];
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+function normalizeHeader(header) {
+    return String(header)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Guess which column holds each field from the header names
+function guessColumnMapping(headers) {
+    const mapping = {};
+    const normalized = headers.map(h => ({ header: h, words: normalizeHeader(h).split(' ') }));
+    const hasIqamaWord = (words) => words.some(w => IQAMA_WORDS.includes(w));
+
+    Object.keys(HEADER_ALIASES).forEach(key => {
+        const aliases = HEADER_ALIASES[key];
+        const matches = normalized.filter(h => h.words.some(w => aliases.includes(w)) || aliases.includes(h.words.join(' ')));
+
+        const start = matches.find(h => !hasIqamaWord(h.words));
+        if (start) {
+            mapping[key] = start.header;
+        }
+
+        const iqama = matches.find(h => hasIqamaWord(h.words));
+        if (iqama && key !== 'date' && key !== 'sunrise') {
+            mapping[`${key}_iqama`] = iqama.header;
+        }
+    });
+
+    return mapping;
+}
+
+// Convert a header row + value rows into records keyed by header
+function rowsToRecords(rows) {
+    if (rows.length === 0) {
+        return { headers: [], records: [] };
+    }
+    const headers = rows[0].map(h => String(h).trim());
+    const records = rows.slice(1).map(values => {
+        const record = {};
+        headers.forEach((h, i) => {
+            record[h] = values[i] !== undefined ? values[i] : '';
+        });
+        return record;
+    });
+    return { headers, records };
+}
+
+// Value of a spreadsheet cell: dates (and times) stay Date objects, formulas give their result, rich text its text
+function getCellValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date || typeof value !== 'object') {
+        return value;
+    }
+    if (value.richText) {
+        return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+        return getCellValue(value.result);
+    }
+    if ('text' in value) {
+        return getCellValue(value.text);
+    }
+    return '';
+}
+
+// Rows of the first sheet of an XLSX workbook (empty rows skipped)
+async function readXlsxRows(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw new Error(`Invalid XLSX file: ${error.message}`);
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        throw new Error('The spreadsheet has no sheet');
+    }
+    const rows = [];
+    sheet.eachRow(row => {
+        rows.push(Array.from({ length: sheet.columnCount }, (_, i) => getCellValue(row.getCell(i + 1).value)));
+    });
+    return rows;
+}
+
+// Parse an uploaded timetable file into { headers, records }
+async function parseTimetableFile(buffer, filename) {
+    if (!buffer || buffer.length === 0) {
+        throw new Error('The timetable file is empty');
+    }
+    if (buffer.length > MAX_FILE_SIZE) {
+        throw new Error('The timetable file is too large (max 5 MB)');
+    }
+
+    const extension = path.extname(filename || '').substring(1).toLowerCase();
+
+    if (extension === 'csv' || extension === 'txt') {
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        return rowsToRecords(parseCsv(text));
+    }
+
+    if (extension === 'json') {
+        let data;
+        try {
+            data = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const records = Array.isArray(data) ? data : (data && (data.days || data.timetable || data.data));
+        if (!Array.isArray(records) || records.some(r => !r || typeof r !== 'object')) {
+            throw new Error('JSON timetable must be an array of objects (one object per day)');
+        }
+        const headers = [];
+        records.forEach(r => Object.keys(r).forEach(k => {
+            if (!headers.includes(k)) headers.push(k);
+        }));
+        return { headers, records };
+    }
+
+    if (extension === 'xlsx') {
+        return rowsToRecords(await readXlsxRows(buffer));
+    }
+
+    throw new Error('Unsupported file type (use .csv, .xlsx or .json; save .xls and .ods spreadsheets as .xlsx)');
+}
+
+// Parse a date cell: YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY, DD-MM-YYYY, DD.MM.YYYY, a spreadsheet date
+// or an Excel serial number
+function parseDate(value) {
+    // Spreadsheet dates are read as UTC midnight
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+    }
+    if (typeof value === 'number' && value > 0) {
+        // Excel serial date (days since 1899-12-30)
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+        return date.toISOString().substring(0, 10);
+    }
+
+    const text = String(value).trim();
+    let year, month, day;
+    let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/.exec(text);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text))) {
+        [, day, month, year] = match.map(Number);
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().substring(0, 10);
+}
+
+// Parse a time cell: H:MM, HH:MM:SS, optional am/pm, a spreadsheet time or an Excel day fraction
+function parseTime(value) {
+    // Spreadsheet times are read as a UTC time on 1899-12-30
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        value = (value.getTime() - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+    if (typeof value === 'number' && value >= 0) {
+        const minutes = Math.round((value % 1) * 1440) % 1440;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    const match = /^(\d{1,2})[:hH.](\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3].toLowerCase()[0] : null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Validate records with a column mapping and build the timetable days
+// Returns { days: [{ date, prayers: [{ prayer_name, prayer_time, iqama_time }] }], errors, warnings }
+function buildTimetable(records, mapping) {
+    const errors = [];
+    const warnings = [];
+    const days = [];
+    const seenDates = {};
+
+    const missingFields = TIMETABLE_FIELDS.filter(f => f.required && !mapping[f.key]);
+    if (missingFields.length > 0) {
+        errors.push({ row: null, message: `Missing column mapping for: ${missingFields.map(f => f.label).join(', ')}` });
+        return { days, errors, warnings };
+    }
+
+    const timeFields = TIMETABLE_FIELDS.filter(f => f.prayer && mapping[f.key]);
+    const iqamaFields = TIMETABLE_FIELDS.filter(f => f.iqamaOf && mapping[f.key]);
+
+    records.forEach((record, index) => {
+        const row = index + 2; // 1-based, after the header row
+        const rawDate = record[mapping.date];
+        if (rawDate === undefined || String(rawDate).trim() === '') {
+            return; // Skip empty lines (e.g. totals or notes at the end of the sheet)
+        }
+
+        const date = parseDate(rawDate);
+        if (!date) {
+            errors.push({ row, message: `Invalid date "${rawDate}" (expected YYYY-MM-DD or DD/MM/YYYY)` });
+            return;
+        }
+        if (seenDates[date]) {
+            errors.push({ row, message: `Duplicate date ${date} (already on row ${seenDates[date]})` });
+            return;
+        }
+        seenDates[date] = row;
+
+        const prayers = [];
+        let rowValid = true;
+        timeFields.forEach(field => {
+            const raw = record[mapping[field.key]];
+            const time = parseTime(raw === undefined ? '' : raw);
+            if (!time) {
+                if (field.required) {
+                    errors.push({ row, message: `${date}: invalid or missing ${field.label} time "${raw === undefined ? '' : raw}"` });
+                    rowValid = false;
+                } else if (raw !== undefined && String(raw).trim() !== '') {
+                    warnings.push({ row, message: `${date}: ignored invalid ${field.label} time "${raw}"` });
+                }
+                return;
+            }
+            prayers.push({ prayer_name: field.prayer, prayer_time: time, iqama_time: null });
+        });
+        if (!rowValid) {
+            return;
+        }
+
+        // Times must be in chronological order within the day (Fajr < Sunrise < Dohr < Asr < Maghrib < Isha)
+        for (let i = 1; i < prayers.length; i++) {
+            if (prayers[i].prayer_time <= prayers[i - 1].prayer_time) {
+                errors.push({
+                    row,
+                    message: `${date}: ${prayers[i].prayer_name} (${prayers[i].prayer_time}) is not after ${prayers[i - 1].prayer_name} (${prayers[i - 1].prayer_time})`
+                });
+                return;
+            }
+        }
+
+        iqamaFields.forEach(field => {
+            const raw = record[mapping[field.key]];
+            if (raw === undefined || String(raw).trim() === '') {
+                return;
+            }
+            const time = parseTime(raw);
+            const prayer = prayers.find(p => p.prayer_name === field.iqamaOf);
+            if (!time) {
+                warnings.push({ row, message: `${date}: ignored invalid ${field.label} "${raw}"` });
+            } else if (time < prayer.prayer_time) {
+                warnings.push({ row, message: `${date}: ignored ${field.label} ${time} (before the prayer time ${prayer.prayer_time})` });
+            } else {
+                prayer.iqama_time = time;
+            }
+        });
+
+        days.push({ date, prayers });
+    });
+
+    if (days.length === 0 && errors.length === 0) {
+        errors.push({ row: null, message: 'The timetable does not contain any day' });
+    }
+
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    return { days, errors, warnings };
+}
+
+module.exports = {
+    TIMETABLE_FIELDS,
+    parseTimetableFile,
+    guessColumnMapping,
+    buildTimetable
+};
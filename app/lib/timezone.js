@@ -0,0 +1,192 @@
+// Installation timezone helpers: validation, detection from the ICS link, a suggestion from the calculation
+// location and UTC offsets (computed with Intl so DST transitions are handled).
+
+// Reference cities used to suggest a timezone from coordinates (nearest city wins)
+// [timezone, latitude, longitude]
+const REFERENCE_CITIES = [
+    ['Asia/Riyadh', 21.42, 39.83],
+    ['Asia/Riyadh', 24.47, 39.61],
+    ['Asia/Riyadh', 24.71, 46.68],
+    ['Asia/Dubai', 25.20, 55.27],
+    ['Asia/Qatar', 25.29, 51.53],
+    ['Asia/Kuwait', 29.38, 47.99],
+    ['Asia/Bahrain', 26.23, 50.59],
+    ['Asia/Muscat', 23.59, 58.41],
+    ['Asia/Aden', 15.37, 44.19],
+    ['Asia/Baghdad', 33.31, 44.36],
+    ['Asia/Tehran', 35.69, 51.39],
+    ['Asia/Amman', 31.95, 35.93],
+    ['Asia/Jerusalem', 31.78, 35.22],
+    ['Asia/Damascus', 33.51, 36.29],
+    ['Asia/Beirut', 33.89, 35.50],
+    ['Europe/Istanbul', 41.01, 28.98],
+    ['Europe/Istanbul', 39.93, 32.86],
+    ['Africa/Cairo', 30.04, 31.24],
+    ['Africa/Khartoum', 15.50, 32.56],
+    ['Africa/Tripoli', 32.89, 13.19],
+    ['Africa/Tunis', 36.81, 10.18],
+    ['Africa/Algiers', 36.75, 3.06],
+    ['Africa/Algiers', 35.70, -0.63],
+    ['Africa/Casablanca', 33.57, -7.59],
+    ['Africa/Casablanca', 34.02, -6.84],
+    ['Africa/Casablanca', 31.63, -8.01],
+    ['Africa/Nouakchott', 18.08, -15.98],
+    ['Africa/Dakar', 14.72, -17.47],
+    ['Africa/Bamako', 12.64, -8.00],
+    ['Africa/Abidjan', 5.36, -4.01],
+    ['Africa/Lagos', 6.52, 3.38],
+    ['Africa/Lagos', 12.00, 8.52],
+    ['Africa/Ndjamena', 12.13, 15.06],
+    ['Africa/Addis_Ababa', 9.03, 38.74],
+    ['Africa/Mogadishu', 2.05, 45.32],
+    ['Africa/Nairobi', -1.29, 36.82],
+    ['Africa/Dar_es_Salaam', -6.79, 39.21],
+    ['Africa/Johannesburg', -26.20, 28.05],
+    ['Africa/Johannesburg', -33.92, 18.42],
+    ['Asia/Karachi', 24.86, 67.01],
+    ['Asia/Karachi', 31.55, 74.34],
+    ['Asia/Kabul', 34.56, 69.21],
+    ['Asia/Kolkata', 28.61, 77.21],
+    ['Asia/Kolkata', 19.08, 72.88],
+    ['Asia/Dhaka', 23.81, 90.41],
+    ['Asia/Tashkent', 41.30, 69.24],
+    ['Asia/Almaty', 43.24, 76.89],
+    ['Asia/Baku', 40.41, 49.87],
+    ['Asia/Kuala_Lumpur', 3.14, 101.69],
+    ['Asia/Singapore', 1.35, 103.82],
+    ['Asia/Jakarta', -6.21, 106.85],
+    ['Asia/Makassar', -5.15, 119.43],
+    ['Asia/Shanghai', 39.90, 116.41],
+    ['Asia/Urumqi', 43.83, 87.62],
+    ['Asia/Tokyo', 35.68, 139.69],
+    ['Australia/Sydney', -33.87, 151.21],
+    ['Australia/Perth', -31.95, 115.86],
+    ['Europe/Moscow', 55.76, 37.62],
+    ['Europe/Moscow', 55.79, 49.12],
+    ['Europe/London', 51.51, -0.13],
+    ['Europe/London', 53.48, -2.24],
+    ['Europe/Dublin', 53.35, -6.26],
+    ['Europe/Paris', 48.86, 2.35],
+    ['Europe/Paris', 45.76, 4.84],
+    ['Europe/Paris', 43.30, 5.37],
+    ['Europe/Brussels', 50.85, 4.35],
+    ['Europe/Amsterdam', 52.37, 4.90],
+    ['Europe/Berlin', 52.52, 13.40],
+    ['Europe/Berlin', 48.14, 11.58],
+    ['Europe/Zurich', 47.38, 8.54],
+    ['Europe/Vienna', 48.21, 16.37],
+    ['Europe/Rome', 41.90, 12.50],
+    ['Europe/Madrid', 40.42, -3.70],
+    ['Europe/Lisbon', 38.72, -9.14],
+    ['Europe/Copenhagen', 55.68, 12.57],
+    ['Europe/Stockholm', 59.33, 18.07],
+    ['Europe/Oslo', 59.91, 10.75],
+    ['Europe/Helsinki', 60.17, 24.94],
+    ['Europe/Warsaw', 52.23, 21.01],
+    ['Europe/Sarajevo', 43.86, 18.41],
+    ['Europe/Athens', 37.98, 23.73],
+    ['America/New_York', 40.71, -74.01],
+    ['America/Toronto', 43.65, -79.38],
+    ['America/Montreal', 45.50, -73.57],
+    ['America/Chicago', 41.88, -87.63],
+    ['America/Chicago', 29.76, -95.37],
+    ['America/Detroit', 42.33, -83.05],
+    ['America/Denver', 39.74, -104.99],
+    ['America/Phoenix', 33.45, -112.07],
+    ['America/Los_Angeles', 34.05, -118.24],
+    ['America/Los_Angeles', 37.77, -122.42],
+    ['America/Vancouver', 49.28, -123.12],
+    ['America/Mexico_City', 19.43, -99.13],
+    ['America/Sao_Paulo', -23.55, -46.63],
+    ['America/Argentina/Buenos_Aires', -34.60, -58.38]
+];
+
+// Maximum distance (km) to the nearest reference city for a guess to be trusted
+const MAX_GUESS_DISTANCE = 1500;
+
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Timezone of the tz= parameter of a Prayer WebCal ICS link (e.g. ".../ts=0:tz=Asia%2FRiyadh:x=21.421:y=39.827")
+function extractTimezoneFromIcsUrl(url) {
+    const match = (url || '').match(/[:\/?&]tz=([^:\/?&]+)/);
+    if (!match) {
+        return null;
+    }
+    try {
+        const timezone = decodeURIComponent(match[1]);
+        return isValidTimezone(timezone) ? timezone : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Great-circle distance in km
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const toRad = (d) => (d * Math.PI) / 180;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2
+        + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+// Best-effort timezone for coordinates: the timezone of the nearest reference city, or null when too far from any
+// Only a suggestion: near a border the nearest city can be in another zone (e.g. Albuquerque → America/Phoenix)
+function guessTimezoneFromLocation(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return null;
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    REFERENCE_CITIES.forEach(([timezone, cityLat, cityLng]) => {
+        const distance = distanceKm(lat, lng, cityLat, cityLng);
+        if (distance < bestDistance) {
+            best = timezone;
+            bestDistance = distance;
+        }
+    });
+    return bestDistance <= MAX_GUESS_DISTANCE && isValidTimezone(best) ? best : null;
+}
+
+// UTC offset of a timezone at a given instant, in minutes (e.g. 120 for Europe/Paris in summer)
+function getUtcOffsetMinutes(timezone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Format a UTC offset in minutes as "+02:00"
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    isValidTimezone,
+    extractTimezoneFromIcsUrl,
+    guessTimezoneFromLocation,
+    getUtcOffsetMinutes,
+    formatUtcOffset
+};
@@ -6,10 +6,51 @@ const API_BASE = window.location.origin;
 // instead of the local browser time, preventing issues with time zones and clock drift
 let serverTimeOffset = 0; // Difference in milliseconds between server and client time
 let lastSyncTime = 0; // When we last synchronized with the server
+let serverTimezone = null; // Installation timezone of the server (IANA name)
+let serverTimezoneFormatter = null;
 
 // Get the current time synchronized with the server
+// The date is shifted so that its local getters (getHours(), getDate()...) give the wall-clock time of the
+// installation timezone, even when the browser is in another timezone
 function getServerSyncedDate() {
-    return new Date(Date.now() + serverTimeOffset);
+    const now = new Date(Date.now() + serverTimeOffset);
+    return new Date(now.getTime() + getTimezoneShift(now));
+}
+
+// Difference in milliseconds between the wall clock of the server timezone and the browser's at a given instant
+function getTimezoneShift(date) {
+    if (!serverTimezoneFormatter) {
+        return 0;
+    }
+    const parts = serverTimezoneFormatter.formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    const serverWallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    const browserWallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+    return serverWallClock - browserWallClock;
+}
+
+// Use the timezone returned by /api/server-time
+function setServerTimezone(timezone) {
+    if (!timezone || timezone === serverTimezone) {
+        return;
+    }
+    try {
+        serverTimezoneFormatter = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+        serverTimezone = timezone;
+    } catch (error) {
+        console.error(`Unknown server timezone ${timezone}, using the browser timezone`);
+        serverTimezoneFormatter = null;
+        serverTimezone = null;
+    }
 }
 
 // Synchronize client time with server time
@@ -30,6 +71,7 @@ async function syncTimeWithServer() {
         // Calculate offset: how much time to add to local time to get server time
         serverTimeOffset = estimatedServerTime - clientReceiveTime;
         lastSyncTime = clientReceiveTime;
+        setServerTimezone(data.timezone);
 
 
         return data;
@@ -45,11 +87,47 @@ let currentDate = getServerSyncedDate();
 let nextPrayer = null;
 let countdownInterval = null;
 let lastPlayedPrayer = null; // Avoid replaying the same athan twice
+let lastPlayedIqama = null; // Avoid replaying the same iqama alert twice
+let lastPlayedTimeAlert = null; // Avoid replaying the same extra time alert twice
+let lastPlayedReminder = null; // Avoid replaying the same pre-athan reminder twice
+
+// Extra times shown in the prayer list (no athan, optional alert): internal name -> alert sound setting
+const extraTimes = {
+    'Imsak': 'alert_sound_imsak',
+    'Sunrise': 'alert_sound_sunrise',
+    'Duha': 'alert_sound_duha',
+    'Midnight': 'alert_sound_midnight',
+    'Tahajjud': 'alert_sound_tahajjud',
+    'Suhoor': 'suhoor_sound', // Ramadan only
+    'Taraweeh': 'taraweeh_sound' // Ramadan only
+};
+const extraTimeNames = Object.keys(extraTimes);
 let audioElement = null; // Audio element for browser playback
+let pendingBrowserDua = null; // Post-athan dua: { onEnded, timer } until the athan ends on its own
+let browserFadeTimer = null; // Applies the fades and maximum duration of the athan / Quran being played
+let audioFadeSettings = {}; // Fade settings (athan_fade_in...) for playback started from this page (tests, Listen now)
+let browserPlayback = null; // Sound of audioElement: { type, resume } (see AUDIO_PRIORITIES)
+let suspendedBrowserPlayback = []; // Programs preempted in this page: { type, resume, position, duckAudio }, next to resume last
+let audioPreemption = { mode: 'pause', duckVolume: 0.2 }; // audio_preemption and duck_volume settings
+let serverNowPlaying = null; // Sound playing on the server (/api/audio/now-playing)
+let audioDevices = []; // Server audio cards and Pulse sinks (/api/audio/devices), offered to the audio zones
+const rtpCodecs = { // Codecs of the RTP zones (RTP_CODECS in lib/rtp-output.js)
+    pcmu: 'G.711 µ-law (8 kHz mono)',
+    pcma: 'G.711 A-law (8 kHz mono)',
+    l16: 'L16 (44.1 kHz mono)',
+    l16_stereo: 'L16 (44.1 kHz stereo)'
+};
+const rtpPtimes = [10, 20, 40]; // Packet times (ms) of the RTP zones
+let serverSeekDragging = false; // Don't move the position slider while the user drags it
+let audioLevels = {}; // Per-file playback levels from the loudness analysis: { athan: { file: { gain_db, start, end } }, ... }
+let browserLevel = { gain_db: 0, start: 0, end: null }; // Level of the file being played
+let browserVolumeScale = 1.0; // Attenuation part of the file gain (applied through audioElement.volume)
+let browserAudioContext = null; // Web Audio graph used to play files louder than 100%
+let browserGainNode = null;
 let currentVolume = 0.5; // Default volume set to 50% (0.0-1.0)
 let autoplayUnlockHandler = null;
 let autoplayPromptShown = false;
-let prayerTimeReachedAt = null; // Track when prayer time was reached (for 15-minute display)
+let prayerTimeReachedAt = null; // Track when prayer time was reached (countdown to iqama)
 let currentPrayerInProgress = null; // Track the complete prayer object currently in progress
 let isRealPrayerAudio = false; // Track if current audio is a real prayer (not test/startup)
 let isReloadingPrayer = false; // Prevent multiple simultaneous prayer reloads
@@ -108,12 +186,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         checkFridayQuran();
     });
     loadAudioDevices();  // Load available audio cards
+    loadAudioBackends(); // Load the installed audio players
     loadScheduleMatrix();  // Unified schedule matrix
+    loadPrayerConfig();  // Per-prayer offsets and iqama rules
+    loadAlertSounds();
+    loadJumuah();
+    loadRamadan();
+    loadIslamicEvents();
     loadAudioFiles();
     loadQuranFiles();
+    loadAudioLibrary();
+    loadAudioLevels();
     initializeFridayQuranTime();
     loadServerTime();
     loadUpdateInfo();
+    loadTimetableStatus();
     initAccordion();  // Initialize accordion after all content is loaded
 
     // Start countdown AFTER prayers are loaded to ensure nextPrayerCard has correct data
@@ -136,6 +223,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         checkFridayQuran();
     }, 5000);
 
+    // Check Islamic event reminders and audio every 5 seconds
+    setInterval(() => {
+        checkIslamicEvent();
+    }, 5000);
+
+    // Follow the server playback while the settings are open
+    setInterval(() => {
+        if (document.getElementById('settingsModal').style.display === 'block') {
+            loadNowPlaying();
+        }
+    }, 2000);
+
     // Refresh update info every minute
     setInterval(() => {
         loadUpdateInfo();
@@ -220,6 +319,9 @@ async function initializeLastPlayedPrayer() {
 // Play startup sound in browser
 function playStartupSoundInBrowser() {
     try {
+        if (!claimBrowserPlayback('startup', playStartupSoundInBrowser)) {
+            return;
+        }
 
         // Ensure this is NOT marked as real prayer audio
         isRealPrayerAudio = false;
@@ -265,6 +367,8 @@ function playStartupSoundInBrowser() {
         audioElement.src = startupAudioPath;
 
         // Browser volume is always 100% (1.0) - server volume is controlled by slider
+        stopBrowserFades();
+        applyBrowserLevel(null, null);
         audioElement.volume = 1.0;
 
         audioElement.play()
@@ -485,7 +589,30 @@ async function checkFridayQuran() {
 
         if (data.shouldPlay && data.type === 'friday_quran') {
             // Play Quran in browser
-            playQuranInBrowser(data.quranFile);
+            playQuranInBrowser(data.quranFile, false, data.fade);
+        }
+    } catch (error) {
+        // Silent error - don't spam console
+    }
+}
+
+// Check if an Islamic event reminder (evening before) or event audio (e.g. Eid takbirat) should play
+async function checkIslamicEvent() {
+    try {
+        const response = await fetch(`${API_BASE}/api/check-islamic-event`);
+        const data = await response.json();
+        if (!data.shouldPlay) {
+            return;
+        }
+
+        if (data.kind === 'audio') {
+            playAlertInBrowser(data.audioFile, `📿 ${data.message}`, 'event-audio');
+        } else if (data.audioFile) {
+            playAlertInBrowser(data.audioFile, `📿 ${data.message}`);
+        } else {
+            // Reminder without sound: show the notification for a minute
+            showAudioNotification(`📿 ${data.message}`);
+            setTimeout(hideAudioNotification, 60000);
         }
     } catch (error) {
         // Silent error - don't spam console
@@ -505,27 +632,63 @@ async function checkAthanTime() {
         if (data.shouldPlay) {
             // Create a unique identifier for this prayer (date + name)
             const today = formatDateLocal(getServerSyncedDate());
-            const prayerKey = `${today}-${data.prayerName}`;
+            const prayerKey = `${today}-${data.prayerName}${data.slotTime ? `@${data.slotTime}` : ''}`;
 
 
             // Prevent replaying the same athan
             if (lastPlayedPrayer !== prayerKey) {
-                playAthanInBrowser(data.audioFile, data.prayerName);
+                playAthanInBrowser(data.audioFile, data.prayerName, data.dua, data.fade);
                 lastPlayedPrayer = prayerKey;
             } else {
             }
         }
+
+        // Pre-athan reminder (only for prayers with a reminder file)
+        const reminderResponse = await fetch(`${API_BASE}/api/check-reminder-time`);
+        const reminderData = await reminderResponse.json();
+        if (reminderData.shouldPlay) {
+            const reminderKey = `${formatDateLocal(getServerSyncedDate())}-${reminderData.prayerName}@${reminderData.reminderTime}`;
+            if (lastPlayedReminder !== reminderKey) {
+                playAlertInBrowser(reminderData.audioFile, `${getPrayerName(reminderData.prayerName)} in a few minutes`);
+                lastPlayedReminder = reminderKey;
+            }
+        }
+
+        // Iqama alert (separate sound, only when one is selected)
+        const iqamaResponse = await fetch(`${API_BASE}/api/check-iqama-time`);
+        const iqamaData = await iqamaResponse.json();
+        if (iqamaData.shouldPlay) {
+            const iqamaKey = `${formatDateLocal(getServerSyncedDate())}-${iqamaData.prayerName}@${iqamaData.iqamaTime}`;
+            if (lastPlayedIqama !== iqamaKey) {
+                playAlertInBrowser(iqamaData.audioFile, `Iqama - ${getPrayerName(iqamaData.prayerName)}`);
+                lastPlayedIqama = iqamaKey;
+            }
+        }
+
+        // Extra time alerts (Sunrise, Duha, Tahajjud...)
+        const alertResponse = await fetch(`${API_BASE}/api/check-time-alerts`);
+        const alertData = await alertResponse.json();
+        if (alertData.shouldPlay) {
+            const alertKey = `${formatDateLocal(getServerSyncedDate())}-${alertData.name}`;
+            if (lastPlayedTimeAlert !== alertKey) {
+                playAlertInBrowser(alertData.audioFile, `${getPrayerName(alertData.name)} - ${alertData.time}`);
+                lastPlayedTimeAlert = alertKey;
+            }
+        }
     } catch (error) {
         // Silent error - don't spam console when server is unreachable
     }
 }
 
 // Disable all buttons during athan playback
+// Buttons always kept active during the browser playback (stop, settings and the server transport controls)
+const SERVER_CONTROL_BUTTONS = ['stopAudioBtn', 'settingsBtn', 'serverPauseBtn', 'serverStopBtn'];
+
 function disableAllButtons() {
     const buttons = document.querySelectorAll('button');
     buttons.forEach(button => {
-        // Don't disable the stop audio button and settings button (always keep them active)
-        if (button.id === 'stopAudioBtn' || button.id === 'settingsBtn') {
+        // Don't disable the stop audio, settings and server transport buttons (always keep them active)
+        if (SERVER_CONTROL_BUTTONS.includes(button.id)) {
             return;
         }
         button.dataset.wasDisabled = button.disabled ? 'true' : 'false';
@@ -538,8 +701,8 @@ function disableAllButtons() {
 function enableAllButtons() {
     const buttons = document.querySelectorAll('button');
     buttons.forEach(button => {
-        // Stop audio button and settings button are always active, skip them
-        if (button.id === 'stopAudioBtn' || button.id === 'settingsBtn') {
+        // Stop audio, settings and server transport buttons are always active, skip them
+        if (SERVER_CONTROL_BUTTONS.includes(button.id)) {
             return;
         }
         if (button.dataset.wasDisabled !== 'true') {
@@ -554,14 +717,227 @@ function enableAllButtons() {
     // Note: nextPrayerCard animation is controlled by startCountdown(), not by audio playback
 }
 
+// Fade options of an audio type from the loaded settings: { fade_in, fade_out, ramp, max_duration } (seconds)
+// Same defaults as the server: a maximum duration without fade-out ends with a 3 second fade
+function getBrowserFadeOptions(audioType) {
+    const options = {};
+    ['fade_in', 'fade_out', 'ramp', 'max_duration'].forEach(option => {
+        options[option] = Math.max(0, parseFloat(audioFadeSettings[`${audioType}_${option}`]) || 0);
+    });
+    if (options.max_duration > 0 && options.fade_out === 0) {
+        options.fade_out = Math.min(3, options.max_duration);
+    }
+    return options;
+}
+
+// Load the per-file playback levels (gain and silence trim) computed by the server
+async function loadAudioLevels() {
+    try {
+        audioLevels = await fetch(`${API_BASE}/api/audio-levels`).then(r => r.json());
+    } catch (error) {
+        console.error('Error loading audio levels:', error);
+    }
+}
+
+// Route the audio element through a Web Audio gain node, needed to play a file louder than 100%
+// Only done once the audio context is running: an element attached to a suspended context stays silent
+function connectBrowserGainNode() {
+    if (browserGainNode || !window.AudioContext) {
+        return;
+    }
+    if (!browserAudioContext) {
+        browserAudioContext = new AudioContext();
+    }
+    if (browserAudioContext.state !== 'running') {
+        browserAudioContext.resume().catch(() => { });
+        return;
+    }
+    const source = browserAudioContext.createMediaElementSource(audioElement);
+    browserGainNode = browserAudioContext.createGain();
+    source.connect(browserGainNode).connect(browserAudioContext.destination);
+}
+
+// Select the level of the next file (category: 'athan', 'quran', 'alerts' or 'events'; null for system sounds)
+// Attenuation uses the element volume, a boost uses the gain node when available (otherwise plays at 100%)
+function applyBrowserLevel(category, audioFile) {
+    browserLevel = (category && audioLevels[category] && audioLevels[category][audioFile]) || { gain_db: 0, start: 0, end: null };
+    const linearGain = Math.pow(10, browserLevel.gain_db / 20);
+    if (linearGain > 1) {
+        connectBrowserGainNode();
+    }
+    if (browserGainNode) {
+        browserGainNode.gain.value = Math.max(1, linearGain);
+    }
+    browserVolumeScale = Math.min(1, linearGain);
+
+    // Skip the leading silence once the new source is loaded
+    if (browserLevel.start > 0) {
+        const start = browserLevel.start;
+        audioElement.addEventListener('loadedmetadata', () => {
+            audioElement.currentTime = start;
+        }, { once: true });
+    }
+}
+
+function stopBrowserFades() {
+    if (browserFadeTimer) {
+        clearInterval(browserFadeTimer);
+        browserFadeTimer = null;
+    }
+}
+
+// Follow the playback position to apply the fade-in (or ramp), the fade-out and the maximum duration,
+// matching the sox fades of the server (quarter sine fades, slower rise for the ramp)
+// Positions are relative to the file level (applyBrowserLevel): after the leading silence, up to the trailing one
+function startBrowserFades(fade) {
+    stopBrowserFades();
+    const { fade_in: fadeIn, fade_out: fadeOut, ramp, max_duration: maxDuration } = fade;
+    const { start, end: levelEnd } = browserLevel;
+    const rise = Math.max(fadeIn, ramp);
+    audioElement.volume = rise > 0 ? 0 : browserVolumeScale;
+    if (rise === 0 && fadeOut === 0 && maxDuration === 0 && levelEnd === null) {
+        return;
+    }
+
+    browserFadeTimer = setInterval(() => {
+        if (!audioElement || audioElement.paused) {
+            return;
+        }
+        const position = Math.max(0, audioElement.currentTime - start);
+        const duration = Number.isFinite(audioElement.duration) ? audioElement.duration : Infinity;
+        const fileEnd = (levelEnd !== null ? Math.min(duration, levelEnd) : duration) - start;
+        const end = maxDuration > 0 ? Math.min(fileEnd, maxDuration) : fileEnd;
+
+        // Maximum duration reached: jump to the end so the usual "ended" handling runs (buttons, dua)
+        if (position >= end) {
+            stopBrowserFades();
+            if (Number.isFinite(duration)) {
+                audioElement.currentTime = duration;
+            } else {
+                audioElement.pause();
+            }
+            return;
+        }
+
+        let volume = 1.0;
+        if (position < rise) {
+            const progress = position / rise;
+            volume = ramp > fadeIn ? progress * progress : Math.sin(progress * Math.PI / 2);
+        }
+        if (fadeOut > 0 && end - position < fadeOut) {
+            volume = Math.min(volume, Math.sin(Math.max(0, (end - position) / fadeOut) * Math.PI / 2));
+        }
+        audioElement.volume = Math.min(1, Math.max(0, volume * browserVolumeScale));
+    }, 100);
+}
+
+// Cancel the dua waiting for the end of the athan (Stop audio, or another sound replaced the athan)
+function cancelBrowserDua() {
+    if (pendingBrowserDua) {
+        if (audioElement) {
+            audioElement.removeEventListener('ended', pendingBrowserDua.onEnded);
+        }
+        clearTimeout(pendingBrowserDua.timer);
+        pendingBrowserDua = null;
+    }
+}
+
+// Same playback priorities as the server (lib/audio-engine.js):
+// athan > iqama and other alerts > Quran and event programs > startup and test sounds
+const AUDIO_PRIORITIES = { athan: 4, alert: 3, quran: 2, event: 2, startup: 1, test: 1 };
+const RESUMABLE_TYPES = ['quran', 'event'];
+
+// Decide whether a sound may play in this page (called before it replaces the source of audioElement)
+// resume() plays the sound again, used to resume a preempted program
+// A lower priority sound is not played (a program waits for the current sound); a higher priority sound
+// pauses or ducks a Quran or event program until it ends
+function claimBrowserPlayback(type, resume) {
+    const playing = browserPlayback && audioElement && !audioElement.paused && !audioElement.ended ? browserPlayback : null;
+    const priority = AUDIO_PRIORITIES[type];
+
+    if (playing && priority < AUDIO_PRIORITIES[playing.type]) {
+        if (RESUMABLE_TYPES.includes(type)) {
+            suspendedBrowserPlayback.unshift({ type, resume, position: 0, duckAudio: null });
+            audioElement.addEventListener('ended', resumeSuspendedBrowserPlayback);
+        }
+        console.log(`[claimBrowserPlayback] ${type} not played now (${playing.type} has priority)`);
+        return false;
+    }
+
+    if (playing && priority > AUDIO_PRIORITIES[playing.type] && RESUMABLE_TYPES.includes(playing.type)) {
+        const suspended = { ...playing, position: audioElement.currentTime, duckAudio: null };
+        if (audioPreemption.mode === 'duck' && audioPreemption.duckVolume > 0) {
+            // Keep the program going quietly in a second element, at its own level
+            suspended.duckAudio = new Audio(audioElement.currentSrc || audioElement.src);
+            suspended.duckAudio.volume = Math.min(1, audioPreemption.duckVolume * browserVolumeScale);
+            suspended.duckAudio.addEventListener('loadedmetadata', () => {
+                suspended.duckAudio.currentTime = suspended.position;
+            }, { once: true });
+            suspended.duckAudio.play().catch(err => console.error('[claimBrowserPlayback] ❌ Failed to duck audio:', err));
+        }
+        suspendedBrowserPlayback.push(suspended);
+    }
+
+    if (audioElement) {
+        audioElement.addEventListener('ended', resumeSuspendedBrowserPlayback);
+    }
+    browserPlayback = { type, resume };
+    return true;
+}
+
+// The sound of audioElement ended: resume the last preempted program where it is now, at full volume
+function resumeSuspendedBrowserPlayback() {
+    browserPlayback = null;
+    const suspended = suspendedBrowserPlayback.pop();
+    if (!suspended) {
+        return;
+    }
+    let position = suspended.position;
+    if (suspended.duckAudio) {
+        if (suspended.duckAudio.ended) {
+            // The program ended while ducked
+            resumeSuspendedBrowserPlayback();
+            return;
+        }
+        position = suspended.duckAudio.currentTime;
+        suspended.duckAudio.pause();
+    }
+
+    suspended.resume();
+    if (position > 0) {
+        audioElement.addEventListener('loadedmetadata', () => {
+            audioElement.currentTime = position;
+        }, { once: true });
+    }
+}
+
+// Forget the preempted programs (Stop audio)
+function clearBrowserPlayback() {
+    suspendedBrowserPlayback.forEach(suspended => {
+        if (suspended.duckAudio) {
+            suspended.duckAudio.pause();
+        }
+    });
+    suspendedBrowserPlayback = [];
+    browserPlayback = null;
+}
+
 // Play athan in the browser
-function playAthanInBrowser(audioFile, prayerName) {
+// dua: { audioFile, delaySeconds } played from audio/alerts once the athan ended on its own
+// fade: athan fade options sent by the server (defaults to the settings loaded in this page)
+function playAthanInBrowser(audioFile, prayerName, dua = null, fade = null) {
     try {
+        const isTestAudio = prayerName === 'Test' || prayerName === 'Startup' || prayerName === 'PageLoad';
+        if (!claimBrowserPlayback(isTestAudio ? 'test' : 'athan', () => playAthanInBrowser(audioFile, prayerName, dua, fade))) {
+            return;
+        }
+        cancelBrowserDua();
+
         const nextPrayerCard = document.getElementById('nextPrayerCard');
 
         // Mark as real prayer audio ONLY if it's not a test
         // Real prayers: Fajr | Sobh, Dohr, Asr, Maghrib, Isha
-        isRealPrayerAudio = (prayerName !== 'Test' && prayerName !== 'Startup' && prayerName !== 'PageLoad');
+        isRealPrayerAudio = !isTestAudio;
 
         // Create audio element if it doesn't exist
         if (!audioElement) {
@@ -593,14 +969,28 @@ function playAthanInBrowser(audioFile, prayerName) {
             });
         }
 
-        // Browser volume is always 100% (1.0) - server volume is controlled by slider
-        audioElement.volume = 1.0;
+        // Browser volume is always 100% (1.0) - server volume is controlled by slider - shaped by the file level
+        // and the athan fades
+        applyBrowserLevel('athan', audioFile);
+        startBrowserFades(fade || getBrowserFadeOptions('athan'));
 
         // Show floating notification banner for non-prayer audio (Test)
         if (prayerName === 'Test') {
             showAudioNotification('Test Athan web playing (30s preview)');
         }
 
+        if (dua) {
+            const onEnded = () => {
+                audioElement.removeEventListener('ended', onEnded);
+                pendingBrowserDua.timer = setTimeout(() => {
+                    pendingBrowserDua = null;
+                    playAlertInBrowser(dua.audioFile, `🤲 Dua - ${getPrayerName(prayerName)}`);
+                }, dua.delaySeconds * 1000);
+            };
+            pendingBrowserDua = { onEnded, timer: null };
+            audioElement.addEventListener('ended', onEnded);
+        }
+
         // Load and play audio
         audioElement.src = `${API_BASE}/api/audio/${audioFile}`;
         audioElement.play().catch(err => {
@@ -613,9 +1003,64 @@ function playAthanInBrowser(audioFile, prayerName) {
     }
 }
 
+// Play an alert sound (iqama, extra time alert) in the browser
+// route: API route serving the file ('alert' for audio/alerts, 'event-audio' for audio/events)
+function playAlertInBrowser(audioFile, message, route = 'alert') {
+    try {
+        // Event audio (e.g. Eid takbirat) is a program, like the Friday Quran
+        if (!claimBrowserPlayback(route === 'event-audio' ? 'event' : 'alert', () => playAlertInBrowser(audioFile, message, route))) {
+            return;
+        }
+        cancelBrowserDua();
+
+        // Alerts are not an athan, so don't animate nextPrayerCard
+        isRealPrayerAudio = false;
+
+        // Create audio element if it doesn't exist
+        if (!audioElement) {
+            audioElement = new Audio();
+
+            audioElement.addEventListener('play', () => {
+                disableAllButtons();
+            });
+
+            audioElement.addEventListener('ended', () => {
+                enableAllButtons();
+                hideAudioNotification();
+            });
+
+            audioElement.addEventListener('error', (e) => {
+                console.error('[Audio] Error event triggered:', e);
+                enableAllButtons();
+                hideAudioNotification();
+            });
+        }
+
+        // Browser volume is always 100% (1.0) - server volume is controlled by slider - shaped by the file level
+        applyBrowserLevel(route === 'event-audio' ? 'events' : 'alerts', audioFile);
+        startBrowserFades({ fade_in: 0, fade_out: 0, ramp: 0, max_duration: 0 });
+        showAudioNotification(message);
+
+        audioElement.src = `${API_BASE}/api/${route}/${audioFile}`;
+        audioElement.load();
+        audioElement.play().catch(err => {
+            console.error('[playAlertInBrowser] ❌ Failed to play audio:', err);
+            handleAutoplayBlocked();
+        });
+    } catch (error) {
+        console.error('Error in playAlertInBrowser:', error);
+    }
+}
+
 // Play Quran in the browser
-function playQuranInBrowser(quranFile, isTest = false) {
+// fade: Quran fade options sent by the server (defaults to the settings loaded in this page)
+function playQuranInBrowser(quranFile, isTest = false, fade = null) {
     try {
+        if (!claimBrowserPlayback(isTest ? 'test' : 'quran', () => playQuranInBrowser(quranFile, isTest, fade))) {
+            return;
+        }
+        cancelBrowserDua();
+
         // Quran recitation is NOT a prayer athan, so don't animate nextPrayerCard
         isRealPrayerAudio = false;
 
@@ -645,8 +1090,10 @@ function playQuranInBrowser(quranFile, isTest = false) {
             });
         }
 
-        // Browser volume is always 100% (1.0) - server volume is controlled by slider
-        audioElement.volume = 1.0;
+        // Browser volume is always 100% (1.0) - server volume is controlled by slider - shaped by the file level
+        // and the Quran fades
+        applyBrowserLevel('quran', quranFile);
+        startBrowserFades(fade || getBrowserFadeOptions('quran'));
 
         // Show floating notification banner for Quran recitation
         const message = isTest
@@ -767,11 +1214,76 @@ function generateYearCalendar(year) {
     }
 
     calendarGrid.innerHTML = html;
+    markOverrideDays();
+    markEventDays();
+    attachCalendarDayHandlers();
+}
+
+// Generate the months of a Hijri year (days are still linked to their Gregorian date)
+async function generateHijriYearCalendar(hijriYear) {
+    const calendarGrid = document.getElementById('calendarGrid');
+    document.getElementById('currentYear').textContent = `${hijriYear} AH`;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/hijri-year/${hijriYear}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const todayStr = formatDateLocal(getServerSyncedDate());
+        const selectedStr = formatDateLocal(currentDate);
+
+        calendarGrid.innerHTML = data.months.map(month => {
+            const startingDayOfWeek = new Date(month.days[0].date + 'T12:00:00').getDay();
+            const emptyCells = '<div class="calendar-day empty"></div>'.repeat(startingDayOfWeek);
+            const days = month.days.map(({ day, date }) => {
+                let classes = 'calendar-day';
+                if (date === todayStr) {
+                    classes += ' today';
+                }
+                if (date === selectedStr) {
+                    classes += ' selected';
+                }
+                const gregorian = new Date(date + 'T12:00:00').toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
+                return `<div class="${classes}" data-date="${date}" title="${gregorian}">${day}</div>`;
+            }).join('');
+
+            return `
+                <div class="calendar-month">
+                    <div class="calendar-month-header">${month.month_name} ${hijriYear}
+                        <span class="calendar-month-subtitle">${month.month_name_ar}</span>
+                    </div>
+                    <div class="calendar-weekdays">
+                        ${weekdays.map(day => `<div class="calendar-weekday">${day}</div>`).join('')}
+                    </div>
+                    <div class="calendar-days">${emptyCells}${days}</div>
+                </div>
+            `;
+        }).join('');
+
+        markOverrideDays();
+        markEventDays();
+        attachCalendarDayHandlers();
+    } catch (error) {
+        console.error('Error loading Hijri calendar:', error);
+        calendarGrid.innerHTML = '<p class="help-text">Unable to load the Hijri calendar</p>';
+    }
+}
 
-    // Add click handlers to all calendar days
+// Add click handlers to all calendar days
+function attachCalendarDayHandlers() {
     document.querySelectorAll('.calendar-day:not(.empty)').forEach(dayElement => {
         dayElement.addEventListener('click', () => {
             const selectedDate = dayElement.dataset.date;
+
+            // Edit mode: open the date exception editor instead of navigating
+            if (document.getElementById('calendarEditMode').checked) {
+                openOverrideEditor(selectedDate);
+                return;
+            }
+
             currentDate = new Date(selectedDate + 'T12:00:00');
             loadPrayers();
             document.getElementById('calendarModal').style.display = 'none';
@@ -779,9 +1291,155 @@ function generateYearCalendar(year) {
     });
 }
 
+// Mark calendar days that have date exceptions (over the range of days shown in the calendar)
+async function markOverrideDays() {
+    const dayElements = document.querySelectorAll('.calendar-day:not(.empty)');
+    if (dayElements.length === 0) {
+        return;
+    }
+    const from = dayElements[0].dataset.date;
+    const to = dayElements[dayElements.length - 1].dataset.date;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/overrides?from=${from}&to=${to}`);
+        const overrides = await response.json();
+        const dates = new Set(overrides.map(o => o.date));
+
+        dayElements.forEach(dayElement => {
+            dayElement.classList.toggle('has-override', dates.has(dayElement.dataset.date));
+        });
+    } catch (error) {
+        console.error('Error loading date overrides:', error);
+    }
+}
+
+// Mark calendar days that have Islamic events (over the range of days shown in the calendar)
+async function markEventDays() {
+    const dayElements = document.querySelectorAll('.calendar-day:not(.empty)');
+    if (dayElements.length === 0) {
+        return;
+    }
+    const from = dayElements[0].dataset.date;
+    const to = dayElements[dayElements.length - 1].dataset.date;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/islamic-events?from=${from}&to=${to}`);
+        const days = await response.json();
+        const eventsByDate = {};
+        days.forEach(day => { eventsByDate[day.date] = day.events; });
+
+        dayElements.forEach(dayElement => {
+            const events = eventsByDate[dayElement.dataset.date] || [];
+            dayElement.classList.toggle('has-event', events.length > 0);
+            dayElement.classList.toggle('has-eid', events.some(event => event.type === 'eid'));
+            if (events.length > 0) {
+                const labels = events.map(event => event.label).join(', ');
+                dayElement.title = dayElement.title ? `${dayElement.title} - ${labels}` : labels;
+            }
+        });
+    } catch (error) {
+        console.error('Error loading Islamic events:', error);
+    }
+}
+
+// Show the exception editor for one date (time override and athan exception per prayer)
+async function openOverrideEditor(dateStr) {
+    const editor = document.getElementById('overrideEditor');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/prayers/${dateStr}`);
+        const prayers = await response.json();
+        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
+        const note = (prayers.find(p => p.override_note) || {}).override_note || '';
+        const displayDate = new Date(dateStr + 'T12:00:00').toLocaleDateString('en-GB', {
+            weekday: 'long', day: '2-digit', month: 'long', year: 'numeric'
+        });
+
+        editor.innerHTML = `
+            <h3>✏️ Exceptions for ${displayDate}</h3>
+            <div class="override-editor-grid">
+                <strong>Prayer</strong><strong>Source</strong><strong>Time</strong><strong>Athan</strong>
+                ${mainPrayers.map(name => {
+                    const prayer = prayers.find(p => p.prayer_name === name) || {};
+                    const providerTime = prayer.original_time || (prayer.source === 'override' ? '' : prayer.prayer_time) || '';
+                    const overrideTime = (prayer.original_time || prayer.source === 'override') ? prayer.prayer_time : '';
+                    return `
+                        <span>${getPrayerName(name)}</span>
+                        <span class="override-provider-time">${providerTime || '--:--'}</span>
+                        <input type="time" class="input-field override-time" data-prayer="${name}"
+                               data-provider-time="${providerTime}" value="${overrideTime}">
+                        <label><input type="checkbox" class="override-no-athan" data-prayer="${name}"
+                               ${prayer.athan_disabled ? 'checked' : ''}> 🔕 No athan</label>
+                    `;
+                }).join('')}
+            </div>
+            <label>Note:</label>
+            <input type="text" id="overrideNote" class="input-field" maxlength="200"
+                   placeholder="e.g. Eid prayer at the mosque" value="${escapeHtml(note)}">
+            <div class="override-editor-actions">
+                <button id="saveOverridesBtn" class="btn" style="flex: 1;">💾 Save</button>
+                <button id="clearOverridesBtn" class="btn" style="flex: 1; background: #8B0000;">🗑️ Clear exceptions</button>
+                <button id="closeOverridesBtn" class="btn" style="flex: 1; background: #6c757d;">Close</button>
+            </div>
+        `;
+        editor.style.display = 'block';
+        editor.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+        document.getElementById('saveOverridesBtn').addEventListener('click', () => saveOverrides(dateStr, false));
+        document.getElementById('clearOverridesBtn').addEventListener('click', () => saveOverrides(dateStr, true));
+        document.getElementById('closeOverridesBtn').addEventListener('click', () => {
+            editor.style.display = 'none';
+        });
+    } catch (error) {
+        alert('Error loading prayers for this date: ' + error.message);
+    }
+}
+
+// Save (or clear) the exceptions of one date
+async function saveOverrides(dateStr, clear) {
+    const note = document.getElementById('overrideNote').value.trim();
+    const timeInputs = document.querySelectorAll('#overrideEditor .override-time');
+
+    try {
+        for (const input of timeInputs) {
+            const prayerName = input.dataset.prayer;
+            const noAthan = document.querySelector(`#overrideEditor .override-no-athan[data-prayer="${prayerName}"]`).checked;
+            // Same time as the provider is not an override
+            const time = input.value && input.value !== input.dataset.providerTime ? input.value : null;
+
+            const response = await fetch(`${API_BASE}/api/overrides`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    date: dateStr,
+                    prayer_name: prayerName,
+                    prayer_time: clear ? null : time,
+                    athan_disabled: clear ? false : noAthan,
+                    note
+                })
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Unknown error');
+            }
+        }
+
+        document.getElementById('overrideEditor').style.display = 'none';
+        markOverrideDays();
+        loadPrayers();
+    } catch (error) {
+        alert('Error saving date exceptions: ' + error.message);
+    }
+}
+
 // Stop all audio playback (both server and browser)
 async function stopAllAudio() {
     try {
+        // Stopping the athan also cancels its dua and the programs it preempted
+        cancelBrowserDua();
+        clearBrowserPlayback();
+        stopBrowserFades();
+
         // Stop browser audio completely
         if (audioElement) {
             audioElement.pause();
@@ -954,14 +1612,46 @@ function setupEventListeners() {
     const calendarModal = document.getElementById('calendarModal');
     const calendarBtn = document.getElementById('calendarBtn');
     const closeCalendar = document.getElementById('closeCalendar');
+    const calendarHijriMode = document.getElementById('calendarHijriMode');
     let calendarYear = getServerSyncedDate().getFullYear();
+    let calendarHijriYear = null;
+
+    // Render the Gregorian or Hijri year depending on the toggle
+    const showCalendar = () => {
+        if (calendarHijriMode.checked && calendarHijriYear) {
+            generateHijriYearCalendar(calendarHijriYear);
+        } else {
+            generateYearCalendar(calendarYear);
+        }
+    };
+
+    // Hijri year of the displayed day (the year shown when switching to Hijri months)
+    const loadCalendarHijriYear = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/api/hijri/${formatDateLocal(currentDate)}`);
+            const data = await response.json();
+            calendarHijriYear = data.year || null;
+        } catch (error) {
+            console.error('Error loading Hijri date:', error);
+        }
+    };
 
-    calendarBtn.onclick = () => {
+    calendarBtn.onclick = async () => {
         calendarYear = currentDate.getFullYear();
-        generateYearCalendar(calendarYear);
+        if (calendarHijriMode.checked) {
+            await loadCalendarHijriYear();
+        }
+        showCalendar();
         calendarModal.style.display = 'block';
     };
 
+    calendarHijriMode.addEventListener('change', async () => {
+        if (calendarHijriMode.checked) {
+            await loadCalendarHijriYear();
+        }
+        showCalendar();
+    });
+
     closeCalendar.onclick = () => {
         calendarModal.style.display = 'none';
     };
@@ -973,13 +1663,27 @@ function setupEventListeners() {
     });
 
     document.getElementById('prevYear').addEventListener('click', () => {
-        calendarYear--;
-        generateYearCalendar(calendarYear);
+        if (calendarHijriMode.checked && calendarHijriYear) {
+            calendarHijriYear--;
+        } else {
+            calendarYear--;
+        }
+        showCalendar();
     });
 
     document.getElementById('nextYear').addEventListener('click', () => {
-        calendarYear++;
-        generateYearCalendar(calendarYear);
+        if (calendarHijriMode.checked && calendarHijriYear) {
+            calendarHijriYear++;
+        } else {
+            calendarYear++;
+        }
+        showCalendar();
+    });
+
+    document.getElementById('calendarEditMode').addEventListener('change', (e) => {
+        if (!e.target.checked) {
+            document.getElementById('overrideEditor').style.display = 'none';
+        }
     });
 
     // Settings modal
@@ -989,8 +1693,26 @@ function setupEventListeners() {
 
     btn.onclick = () => {
         modal.style.display = 'block';
+        loadUpcomingSchedule();
+        loadNowPlaying();
     };
 
+    document.getElementById('refreshUpcomingBtn').addEventListener('click', loadUpcomingSchedule);
+
+    // Server transport controls
+    document.getElementById('serverPauseBtn').addEventListener('click', () => {
+        sendServerAudioCommand(serverNowPlaying && serverNowPlaying.paused ? 'resume' : 'pause');
+    });
+    document.getElementById('serverStopBtn').addEventListener('click', () => sendServerAudioCommand('stop'));
+    const serverSeek = document.getElementById('serverSeek');
+    serverSeek.addEventListener('input', () => {
+        serverSeekDragging = true;
+    });
+    serverSeek.addEventListener('change', () => {
+        serverSeekDragging = false;
+        sendServerAudioCommand('seek', { position: parseFloat(serverSeek.value) });
+    });
+
     closeSettings.onclick = () => {
         modal.style.display = 'none';
     };
@@ -1064,7 +1786,10 @@ function setupEventListeners() {
                 body: JSON.stringify({ key: 'ics_url', value: icsUrl })
             });
             alert('Location updated. Prayer times will refresh shortly.');
-            setTimeout(() => {
+            // The timezone may be detected from the ICS link or the provider chain
+            setTimeout(async () => {
+                await syncTimeWithServer();
+                loadServerTime();
                 loadPrayers();
                 loadUpdateInfo();
             }, 2000);
@@ -1073,8 +1798,163 @@ function setupEventListeners() {
         }
     });
 
-    // Update audio file
-    document.getElementById('audioFile').addEventListener('change', async (e) => {
+    // Prayer times provider chain (primary / secondary / last resort)
+    document.querySelectorAll('.prayer-provider-select').forEach(select => select.addEventListener('change', async () => {
+        updatePrayerSourceVisibility();
+        try {
+            await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key: 'prayer_providers', value: getProviderChain().join(',') })
+            });
+            // The timezone may be detected from the ICS link or the provider chain
+            setTimeout(async () => {
+                await syncTimeWithServer();
+                loadServerTime();
+                loadPrayers();
+                loadUpdateInfo();
+            }, 2000);
+        } catch (error) {
+            console.error('Error updating prayer providers:', error);
+        }
+    }));
+
+    document.getElementById('calcMethod').addEventListener('change', updatePrayerSourceVisibility);
+
+    // Installation timezone: suggestions from the browser list of timezones
+    if (typeof Intl.supportedValuesOf === 'function') {
+        document.getElementById('timezoneList').innerHTML = ['auto', ...Intl.supportedValuesOf('timeZone')]
+            .map(timezone => `<option value="${timezone}">`).join('');
+    }
+
+    document.getElementById('timezoneInput').addEventListener('change', async (e) => {
+        const value = e.target.value.trim() || 'auto';
+        try {
+            const response = await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key: 'timezone', value })
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Unknown error');
+            }
+            await syncTimeWithServer();
+            loadServerTime();
+            loadPrayers();
+        } catch (error) {
+            alert('Error updating timezone: ' + error.message);
+            loadSettings();
+        }
+    });
+
+    // Save offline calculation settings and recompute prayer times
+    document.getElementById('saveCalculationBtn').addEventListener('click', async () => {
+        const latitude = parseFloat(document.getElementById('calcLatitude').value);
+        const longitude = parseFloat(document.getElementById('calcLongitude').value);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            alert('Please enter a valid latitude (-90 to 90) and longitude (-180 to 180)');
+            return;
+        }
+
+        const calcSettings = {
+            calc_latitude: String(latitude),
+            calc_longitude: String(longitude),
+            calc_method: document.getElementById('calcMethod').value,
+            calc_asr_method: document.getElementById('calcAsrMethod').value,
+            calc_high_lat_rule: document.getElementById('calcHighLatRule').value,
+            calc_fajr_angle: document.getElementById('calcFajrAngle').value || '18',
+            calc_isha_angle: document.getElementById('calcIshaAngle').value || '17',
+            calc_isha_interval: document.getElementById('calcIshaInterval').value || '0'
+        };
+
+        try {
+            for (const [key, value] of Object.entries(calcSettings)) {
+                await fetch(`${API_BASE}/api/settings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key, value })
+                });
+            }
+
+            const response = await fetch(`${API_BASE}/api/update-prayers`, { method: 'POST' });
+            const result = await response.json();
+            if (result.success) {
+                alert('Calculation settings saved. Prayer times have been recomputed.');
+            } else {
+                alert('Settings saved, but prayer times could not be computed. Please check the coordinates and timezone.');
+            }
+            // The timezone suggestion follows the coordinates
+            loadServerTime();
+            loadPrayers();
+            loadUpdateInfo();
+        } catch (error) {
+            alert('Error while updating: ' + error.message);
+        }
+    });
+
+    // Mosque timetable upload: preview on file selection, then import
+    document.getElementById('timetableFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        timetableUpload = null;
+        document.getElementById('timetableImportBtn').disabled = true;
+        if (!file) return;
+
+        try {
+            timetableUpload = file;
+            await previewTimetable(null);
+        } catch (error) {
+            alert('Error reading timetable file: ' + error.message);
+        }
+    });
+
+    document.getElementById('timetableImportBtn').addEventListener('click', async () => {
+        if (!timetableUpload) return;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/timetable/import`, {
+                method: 'POST',
+                body: getTimetableFormData(getTimetableMapping())
+            });
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                alert(`✅ Timetable imported: ${data.days_count} days.\nIt is now the primary prayer times source.`);
+                timetableUpload = null;
+                document.getElementById('timetableFile').value = '';
+                document.getElementById('timetableMapping').style.display = 'none';
+                document.getElementById('timetablePreview').style.display = 'none';
+                document.getElementById('timetableImportBtn').disabled = true;
+                await loadSettings();
+                loadTimetableStatus();
+                loadPrayers();
+                loadUpdateInfo();
+            } else {
+                alert('❌ Error: ' + (data.error || 'Unknown error'));
+            }
+        } catch (error) {
+            alert('Error importing timetable: ' + error.message);
+        }
+    });
+
+    document.getElementById('timetableDeleteBtn').addEventListener('click', async () => {
+        if (!confirm('Remove the imported timetable? Prayer times will be taken from the other sources.')) {
+            return;
+        }
+
+        try {
+            await fetch(`${API_BASE}/api/timetable`, { method: 'DELETE' });
+            await loadSettings();
+            loadTimetableStatus();
+            loadPrayers();
+            loadUpdateInfo();
+        } catch (error) {
+            alert('Error removing timetable: ' + error.message);
+        }
+    });
+
+    // Update audio file
+    document.getElementById('audioFile').addEventListener('change', async (e) => {
         try {
             await fetch(`${API_BASE}/api/settings`, {
                 method: 'POST',
@@ -1086,6 +1966,148 @@ function setupEventListeners() {
         }
     });
 
+    // Extra time alert sounds and Imsak/Duha offsets
+    document.querySelectorAll('.extra-time-alert').forEach(select => {
+        select.addEventListener('change', async () => {
+            try {
+                await fetch(`${API_BASE}/api/settings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key: select.dataset.setting, value: select.value })
+                });
+            } catch (error) {
+                console.error('Error updating alert sound:', error);
+            }
+        });
+    });
+    ['imsakOffset', 'duhaOffset'].forEach(id => {
+        document.getElementById(id).addEventListener('change', async (e) => {
+            const value = Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 120);
+            e.target.value = value;
+            try {
+                await fetch(`${API_BASE}/api/settings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key: id === 'imsakOffset' ? 'imsak_offset' : 'duha_offset', value: String(value) })
+                });
+                loadPrayers();
+            } catch (error) {
+                console.error('Error updating offset:', error);
+            }
+        });
+    });
+
+    // Fades and maximum duration of the athan and the Quran (seconds)
+    document.querySelectorAll('.audio-fade-setting').forEach(input => {
+        input.addEventListener('change', async (e) => {
+            const value = Math.min(Math.max(parseFloat(e.target.value) || 0, 0), parseFloat(e.target.max));
+            e.target.value = value;
+            try {
+                await fetch(`${API_BASE}/api/settings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key: e.target.dataset.setting, value: String(value) })
+                });
+                audioFadeSettings[e.target.dataset.setting] = String(value);
+            } catch (error) {
+                console.error('Error updating fade setting:', error);
+            }
+        });
+    });
+
+    // Hijri calendar method and moon sighting adjustment
+    [['hijriMethod', 'hijri_method'], ['hijriAdjustment', 'hijri_adjustment']].forEach(([id, key]) => {
+        document.getElementById(id).addEventListener('change', async (e) => {
+            try {
+                await fetch(`${API_BASE}/api/settings`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key, value: e.target.value })
+                });
+                loadPrayers();
+                loadServerTime();
+            } catch (error) {
+                console.error('Error updating Hijri calendar setting:', error);
+            }
+        });
+    });
+
+    // Ramadan mode, suhoor alarm and taraweeh
+    const saveRamadanSetting = async (key, value) => {
+        try {
+            await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key, value })
+            });
+            loadRamadan();
+            loadPrayers();
+        } catch (error) {
+            console.error('Error updating Ramadan setting:', error);
+        }
+    };
+    document.getElementById('ramadanMode').addEventListener('change', (e) => saveRamadanSetting('ramadan_mode', e.target.value));
+    document.getElementById('ramadanStart').addEventListener('change', (e) => saveRamadanSetting('ramadan_start', e.target.value));
+    document.getElementById('ramadanEnd').addEventListener('change', (e) => saveRamadanSetting('ramadan_end', e.target.value));
+    document.getElementById('taraweehEnabled').addEventListener('change', (e) => saveRamadanSetting('taraweeh_enabled', e.target.checked ? '1' : '0'));
+    [['suhoorOffset', 'suhoor_offset', 180], ['taraweehOffset', 'taraweeh_offset', 120]].forEach(([id, key, max]) => {
+        document.getElementById(id).addEventListener('change', (e) => {
+            const value = Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), max);
+            e.target.value = value;
+            saveRamadanSetting(key, String(value));
+        });
+    });
+    const suhoorVolumeSlider = document.getElementById('suhoorVolumeSlider');
+    suhoorVolumeSlider.addEventListener('input', (e) => {
+        document.getElementById('suhoorVolumeValue').textContent = e.target.value;
+    });
+    suhoorVolumeSlider.addEventListener('change', async (e) => {
+        try {
+            await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key: 'suhoor_volume', value: e.target.value })
+            });
+        } catch (error) {
+            console.error('Error updating suhoor volume:', error);
+        }
+    });
+
+    // Islamic event reminder time
+    document.getElementById('eventReminderTime').addEventListener('change', async (e) => {
+        if (!e.target.value) {
+            return;
+        }
+        try {
+            await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key: 'event_reminder_time', value: e.target.value })
+            });
+        } catch (error) {
+            console.error('Error updating event reminder time:', error);
+        }
+    });
+
+    // Jumu'ah slots
+    document.getElementById('addJumuahSlotBtn').addEventListener('click', () => {
+        renderJumuahSlots([...readJumuahSlots(), { athan_time: null }]);
+    });
+    document.getElementById('saveJumuahBtn').addEventListener('click', saveJumuah);
+
+    // Update iqama sound
+    document.getElementById('iqamaSound').addEventListener('change', async (e) => {
+        try {
+            await fetch(`${API_BASE}/api/settings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ key: 'iqama_sound', value: e.target.value })
+            });
+        } catch (error) {
+            console.error('Error updating iqama sound:', error);
+        }
+    });
+
     // Volume control
     const volumeSlider = document.getElementById('volumeSlider');
     const volumeValue = document.getElementById('volumeValue');
@@ -1138,139 +2160,11 @@ function setupEventListeners() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ key: 'volume', value: volume })
             });
-
-            // If Fajr volume is synced (checkbox unchecked), update it too
-            const syncFajrVolumeCheckbox = document.getElementById('syncFajrVolume');
-            if (syncFajrVolumeCheckbox && !syncFajrVolumeCheckbox.checked) {
-                const fajrVolumeSlider = document.getElementById('fajrVolumeSlider');
-                const fajrVolumeValue = document.getElementById('fajrVolumeValue');
-                if (fajrVolumeSlider && fajrVolumeValue) {
-                    fajrVolumeSlider.value = volume;
-                    fajrVolumeValue.textContent = volume;
-                    updateFajrVolumeWarning(parseInt(volume));
-                }
-            }
         } catch (error) {
             console.error('Error updating volume:', error);
         }
     });
 
-    // Fajr volume control
-    const fajrVolumeSlider = document.getElementById('fajrVolumeSlider');
-    const fajrVolumeValue = document.getElementById('fajrVolumeValue');
-    const fajrVolumeWarning = document.getElementById('fajrVolumeWarning');
-    const syncFajrVolumeCheckbox = document.getElementById('syncFajrVolume');
-
-    function updateFajrVolumeWarning(volume) {
-        if (!fajrVolumeSlider || !fajrVolumeWarning) return;
-
-        if (volume > 100) {
-            fajrVolumeWarning.style.display = 'block';
-            fajrVolumeSlider.style.background = 'linear-gradient(to right, #8B0000 0%, #a30000 100%)';
-            fajrVolumeSlider.classList.add('volume-high');
-        } else {
-            fajrVolumeWarning.style.display = 'none';
-            fajrVolumeSlider.style.background = 'linear-gradient(to right, #27ae60 0%, #1e8449 100%)';
-            fajrVolumeSlider.classList.remove('volume-high');
-        }
-    }
-
-    window.updateFajrVolumeWarning = updateFajrVolumeWarning;
-
-    function setFajrVolumeSliderEnabled(isEnabled) {
-        if (!fajrVolumeSlider) return;
-        const fajrVolumeLabel = fajrVolumeSlider.previousElementSibling && fajrVolumeSlider.previousElementSibling.tagName === 'LABEL'
-            ? fajrVolumeSlider.previousElementSibling
-            : null;
-        fajrVolumeSlider.disabled = !isEnabled;
-        fajrVolumeSlider.style.opacity = isEnabled ? '1' : '0.5';
-        fajrVolumeSlider.style.cursor = isEnabled ? 'pointer' : 'not-allowed';
-        if (fajrVolumeLabel) {
-            fajrVolumeLabel.style.color = isEnabled ? '' : '#999';
-        }
-    }
-
-    window.setFajrVolumeSliderEnabled = setFajrVolumeSliderEnabled;
-
-    function setSyncFajrVolumeCheckboxEnabled(isEnabled) {
-        if (!syncFajrVolumeCheckbox) return;
-        const checkboxLabel = syncFajrVolumeCheckbox.closest('.prayer-toggle')?.querySelector('span');
-        syncFajrVolumeCheckbox.disabled = !isEnabled;
-        const toggleSwitch = syncFajrVolumeCheckbox.closest('.toggle-switch');
-        if (toggleSwitch) {
-            toggleSwitch.style.opacity = isEnabled ? '1' : '0.5';
-            toggleSwitch.style.cursor = isEnabled ? 'pointer' : 'not-allowed';
-        }
-        if (checkboxLabel) {
-            checkboxLabel.style.color = isEnabled ? '' : '#999';
-        }
-    }
-
-    window.setSyncFajrVolumeCheckboxEnabled = setSyncFajrVolumeCheckboxEnabled;
-
-    // Initialize Fajr slider background
-    if (fajrVolumeSlider) {
-        updateFajrVolumeWarning(parseInt(fajrVolumeSlider.value));
-    }
-
-    if (fajrVolumeSlider) {
-        fajrVolumeSlider.addEventListener('input', (e) => {
-            const volume = parseInt(e.target.value);
-            fajrVolumeValue.textContent = volume;
-            updateFajrVolumeWarning(volume);
-        });
-
-        fajrVolumeSlider.addEventListener('change', async (e) => {
-            const volume = e.target.value;
-            try {
-                await fetch(`${API_BASE}/api/settings`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ key: 'fajr_volume', value: volume })
-                });
-            } catch (error) {
-                console.error('Error updating Fajr volume:', error);
-            }
-        });
-    }
-
-    // Sync Fajr volume checkbox (checked = independent volume, unchecked = synced with main)
-    if (syncFajrVolumeCheckbox) {
-        syncFajrVolumeCheckbox.addEventListener('change', async (e) => {
-            const useIndependentVolume = e.target.checked;
-            try {
-                await fetch(`${API_BASE}/api/settings`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ key: 'sync_fajr_volume', value: useIndependentVolume ? '1' : '0' })
-                });
-
-                // Enable/disable Fajr volume slider based on independent status AND server audio availability
-                const audioOutput = document.getElementById('audioOutput').value;
-                const isServerEnabled = audioOutput !== 'browser';
-                // Fajr slider is enabled only if server is enabled AND independent volume is active
-                setFajrVolumeSliderEnabled(isServerEnabled && useIndependentVolume);
-
-                // If switching to synced mode, update Fajr volume to match main volume
-                if (!useIndependentVolume && volumeSlider && fajrVolumeSlider && fajrVolumeValue) {
-                    const mainVolume = volumeSlider.value;
-                    fajrVolumeSlider.value = mainVolume;
-                    fajrVolumeValue.textContent = mainVolume;
-                    updateFajrVolumeWarning(parseInt(mainVolume));
-
-                    // Save the synced value to database
-                    await fetch(`${API_BASE}/api/settings`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ key: 'fajr_volume', value: mainVolume })
-                    });
-                }
-            } catch (error) {
-                console.error('Error updating sync Fajr volume setting:', error);
-            }
-        });
-    }
-
     // Audio card selection
     document.getElementById('audioCard').addEventListener('change', async (e) => {
         const audioCard = e.target.value;
@@ -1280,6 +2174,8 @@ function setupEventListeners() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ key: 'audio_card', value: audioCard })
             });
+            // The player in use depends on the output (ALSA card or Pulse sink)
+            loadAudioBackends();
 
             if (audioCard === 'auto') {
             } else {
@@ -1516,7 +2412,8 @@ function setupEventListeners() {
                 const data = await response.json();
 
                 if (data.success) {
-                    alert(data.message + '\n\nThe page will now reload.');
+                    const rejected = (data.errors || []).length > 0 ? '\n\n' + data.errors.join('\n') : '';
+                    alert(data.message + rejected + '\n\nThe page will now reload.');
                     // Full page reload to ensure all settings are properly applied
                     window.location.reload();
                 } else {
@@ -1531,6 +2428,53 @@ function setupEventListeners() {
         importConfigFile.value = '';
     });
 
+    // Playback priorities: pause or duck a program interrupted by the athan or an alert
+    document.getElementById('audioPreemption').addEventListener('change', (e) => {
+        updatePreemptionSetting('audio_preemption', e.target.value);
+    });
+    document.getElementById('duckVolume').addEventListener('change', (e) => {
+        const value = Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 100);
+        e.target.value = value;
+        updatePreemptionSetting('duck_volume', String(value));
+    });
+
+    // Server audio player (sox, mpv, ffplay...)
+    document.getElementById('audioBackend').addEventListener('change', (e) => updateAudioBackend(e.target.value));
+
+    // Audio zones: one named output per audio card
+    document.getElementById('addAudioZoneBtn').addEventListener('click', addAudioZone);
+
+    // Audio library: browse, upload, rename and delete media files
+    document.getElementById('audioLibraryCategory').addEventListener('change', loadAudioLibrary);
+    document.getElementById('loudnessTarget').addEventListener('change', (e) => {
+        const value = Math.min(Math.max(parseInt(e.target.value, 10) || -16, parseInt(e.target.min, 10)), parseInt(e.target.max, 10));
+        e.target.value = value;
+        updateLoudnessSetting('loudness_target', String(value));
+    });
+    document.getElementById('audioLibraryScanBtn').addEventListener('click', async () => {
+        try {
+            const data = await fetch(`${API_BASE}/api/audio-library/scan`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ force: true })
+            }).then(r => r.json());
+            alert(`${data.queued} file(s) queued for analysis. Levels are updated as the analysis progresses.`);
+        } catch (error) {
+            alert('Error starting the analysis: ' + error.message);
+        }
+    });
+    const audioLibraryUpload = document.getElementById('audioLibraryUpload');
+    document.getElementById('audioLibraryUploadBtn').addEventListener('click', () => {
+        audioLibraryUpload.click();
+    });
+    audioLibraryUpload.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            await uploadAudioLibraryFile(file);
+        }
+        audioLibraryUpload.value = '';
+    });
+
     // Reset all prayer checks
     document.getElementById('resetPrayerChecksBtn').addEventListener('click', async () => {
         const confirmed = confirm(
@@ -1806,6 +2750,33 @@ function updateDateButtons() {
     }
 }
 
+// Show the Hijri date of the displayed day (returned with each prayer row)
+function updateHijriDate(prayers) {
+    const hijriDateElement = document.getElementById('hijriDate');
+    const hijriDateText = prayers.length > 0 ? prayers[0].hijri_date_text : null;
+
+    hijriDateElement.textContent = hijriDateText ? `🌙 ${hijriDateText}` : '';
+    hijriDateElement.style.display = hijriDateText ? 'block' : 'none';
+}
+
+// Show the Islamic events of the displayed day (Eid, white days...)
+async function loadDayEvents(dateStr) {
+    const dayEventsElement = document.getElementById('dayEvents');
+    try {
+        const response = await fetch(`${API_BASE}/api/islamic-events?from=${dateStr}&to=${dateStr}`);
+        const days = await response.json();
+        const events = days.length > 0 ? days[0].events : [];
+
+        dayEventsElement.innerHTML = events.map(event =>
+            `<span class="day-event day-event-${event.type}">📿 ${event.label}</span>`
+        ).join('');
+        dayEventsElement.style.display = events.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error loading day events:', error);
+        dayEventsElement.style.display = 'none';
+    }
+}
+
 // Load prayers
 async function loadPrayers() {
     // Prevent multiple simultaneous calls
@@ -1821,6 +2792,8 @@ async function loadPrayers() {
         const prayers = await response.json();
 
         displayPrayers(prayers);
+        updateHijriDate(prayers);
+        loadDayEvents(dateStr);
         updateDateButtons();
         await updateWeekdayMuteBanner();
 
@@ -1931,13 +2904,22 @@ async function displayPrayers(prayers) {
             checkMark = '<span class="prayer-redcheck-mark">✓</span>';
         }
         
-        const canToggle = !isFutureDate;
+        // Extra times (Sunrise, Duha...) are informative: no check mark
+        const isExtraTime = extraTimeNames.includes(prayer.prayer_name);
+        const canToggle = !isFutureDate && !isExtraTime;
         const itemStyle = canToggle ? 'cursor: pointer;' : 'cursor: not-allowed;';
 
+        // Date exception indicators: original provider time and disabled athan
+        const originalTime = prayer.original_time ? `<span class="prayer-original-time">${prayer.original_time}</span>` : '';
+        const athanOff = prayer.athan_disabled ? '🔕 ' : '';
+        const overrideTitle = prayer.override_note ? ` title="${escapeHtml(prayer.override_note)}"` : '';
+        const iqamaTime = prayer.iqama_time ? `<span class="prayer-iqama-time">Iqama ${prayer.iqama_time}</span>` : '';
+        const jumuahSlots = prayer.jumuah_slots ? formatJumuahSlots(prayer.jumuah_slots) : '';
+
         return `
-            <div class="${prayerClass}" data-date="${selectedDate}" data-prayer="${prayer.prayer_name}" data-can-toggle="${canToggle}" style="${itemStyle}">
-                <div class="prayer-name">${checkMark}${getPrayerName(prayer.prayer_name)}</div>
-                <div class="prayer-time">${prayer.prayer_time}</div>
+            <div class="${prayerClass}${isExtraTime ? ' extra-time' : ''}" data-date="${selectedDate}" data-prayer="${prayer.prayer_name}" data-can-toggle="${canToggle}" style="${itemStyle}"${overrideTitle}>
+                <div class="prayer-name">${checkMark}${getPrayerDisplayName(prayer)}</div>
+                <div class="prayer-time">${athanOff}${originalTime}${prayer.prayer_time}${jumuahSlots || iqamaTime}</div>
             </div>
         `;
     }).join('');
@@ -2020,6 +3002,7 @@ async function loadNextPrayerData() {
 // Legacy function kept for compatibility
 async function loadNextPrayer() {
     await loadNextPrayerData();
+    await restorePrayerInProgress();
     if (nextPrayer) {
         displayNextPrayer(nextPrayer);
     } else {
@@ -2039,8 +3022,9 @@ function displayNextPrayer(prayer) {
     const card = document.getElementById('nextPrayerCard');
 
     // Update content BEFORE showing the card to avoid flashing empty data
-    document.querySelector('.next-prayer-name').textContent = getPrayerName(prayer.prayer_name);
-    document.querySelector('.next-prayer-time').textContent = prayer.prayer_time;
+    // Ramadan fasting hours: the card shows iftar (Maghrib) instead of the next prayer
+    document.querySelector('.next-prayer-name').textContent = prayer.iftar_time ? 'Iftar (Maghrib)' : getPrayerDisplayName(prayer);
+    document.querySelector('.next-prayer-time').textContent = prayer.iftar_time || prayer.prayer_time;
 
     // Only show the card after content is updated
     card.style.display = 'block';
@@ -2059,6 +3043,41 @@ function hideNextPrayerCard() {
     if (muteAlert) muteAlert.style.display = 'none';
 }
 
+// End of the "current prayer" display after the athan: the iqama time, else a 15-minute window
+function getPrayerWindowEnd(prayer, reachedAt) {
+    if (prayer.iqama_time) {
+        const iqamaDateTime = new Date(`${prayer.date}T${prayer.iqama_time}:00`);
+        if (iqamaDateTime > new Date(`${prayer.date}T${prayer.prayer_time}:00`)) {
+            return iqamaDateTime;
+        }
+    }
+    return new Date(reachedAt.getTime() + 15 * 60 * 1000);
+}
+
+// After a page load, resume the iqama countdown of a prayer whose athan already passed
+async function restorePrayerInProgress() {
+    if (prayerTimeReachedAt) {
+        return;
+    }
+    try {
+        const now = getServerSyncedDate();
+        const response = await fetch(`${API_BASE}/api/prayers/${formatDateLocal(now)}`);
+        const prayers = await response.json();
+        const inProgress = prayers.find(p => {
+            if (!p.iqama_time) return false;
+            const prayerDateTime = new Date(`${p.date}T${p.prayer_time}:00`);
+            const iqamaDateTime = new Date(`${p.date}T${p.iqama_time}:00`);
+            return prayerDateTime <= now && now < iqamaDateTime;
+        });
+        if (inProgress) {
+            currentPrayerInProgress = inProgress;
+            prayerTimeReachedAt = new Date(`${inProgress.date}T${inProgress.prayer_time}:00`);
+        }
+    } catch (error) {
+        console.error('Error restoring prayer in progress:', error);
+    }
+}
+
 // Start the countdown timer
 function startCountdown() {
     if (countdownInterval) {
@@ -2092,25 +3111,28 @@ function startCountdown() {
             return;
         }
 
-        // Check if we're currently in the 15-minute "Time to pray" window
+        // Check if we're currently between the athan and the iqama (or in the default "Time to pray" window)
         if (prayerTimeReachedAt && currentPrayerInProgress) {
-            const timeSincePrayerTime = now - prayerTimeReachedAt;
-            const fifteenMinutes = 15 * 60 * 1000;
-
-            if (timeSincePrayerTime < fifteenMinutes) {
-                // Still within 15-minute window - keep showing the current prayer with "Time to pray"
-                document.querySelector('.next-prayer-label').textContent = 'Time to pray';
-                document.querySelector('.next-prayer-name').textContent = getPrayerName(currentPrayerInProgress.prayer_name);
-                document.querySelector('.next-prayer-time').textContent = currentPrayerInProgress.prayer_time;
-
-                const remainingMs = fifteenMinutes - timeSincePrayerTime;
+            const windowEnd = getPrayerWindowEnd(currentPrayerInProgress, prayerTimeReachedAt);
+
+            if (now < windowEnd) {
+                // Keep showing the current prayer with the countdown to its iqama
+                const hasIqama = !!currentPrayerInProgress.iqama_time;
+                document.querySelector('.next-prayer-label').textContent = hasIqama ? 'Iqama' : 'Time to pray';
+                document.querySelector('.next-prayer-name').textContent = getPrayerDisplayName(currentPrayerInProgress);
+                document.querySelector('.next-prayer-time').textContent = hasIqama
+                    ? `${currentPrayerInProgress.prayer_time} · ${currentPrayerInProgress.iqama_time}`
+                    : currentPrayerInProgress.prayer_time;
+
+                const remainingMs = windowEnd - now;
                 const remainingMinutes = Math.floor(remainingMs / (1000 * 60));
                 const remainingSeconds = Math.floor((remainingMs % (1000 * 60)) / 1000);
-                document.querySelector('.next-prayer-countdown').textContent =
-                    `${remainingMinutes}m ${remainingSeconds}s remaining`;
+                document.querySelector('.next-prayer-countdown').textContent = hasIqama
+                    ? `In ${remainingMinutes}m ${remainingSeconds}s`
+                    : `${remainingMinutes}m ${remainingSeconds}s remaining`;
                 return;
             } else {
-                // 15 minutes have passed, reset and load the actual next prayer
+                // Iqama reached (or window over), reset and load the actual next prayer
                 if (!isReloadingPrayer) {
 
                     // Stop animation on nextPrayerCard
@@ -2132,15 +3154,20 @@ function startCountdown() {
 
         // Logic according to diff:
         // - If diff > 0: Show "Next Prayer" with countdown (even if 1 second before)
-        // - If diff <= 0 and >= -60s: Show "Time to pray" and play audio (ONLY when time has arrived or passed)
+        // - If diff <= 0 and >= -60s: Start the countdown to iqama and play audio (ONLY when time has arrived or passed)
         // - If diff < -60s: Reload to get actual next prayer
 
         if (diff > 0) {
-            // Prayer time hasn't arrived yet - show normal countdown
-            document.querySelector('.next-prayer-label').textContent = 'Next Prayer';
-            const hours = Math.floor(diff / (1000 * 60 * 60));
-            const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-            const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+            // Prayer time hasn't arrived yet - show normal countdown (to iftar during Ramadan fasting hours)
+            const countdownMs = nextPrayer.iftar_time
+                ? new Date(`${nextPrayer.date}T${nextPrayer.iftar_time}:00`) - now
+                : diff;
+            document.querySelector('.next-prayer-label').textContent = nextPrayer.iftar_time ? '🌙 Iftar' : 'Next Prayer';
+            document.querySelector('.next-prayer-name').textContent = nextPrayer.iftar_time ? 'Iftar (Maghrib)' : getPrayerDisplayName(nextPrayer);
+            document.querySelector('.next-prayer-time').textContent = nextPrayer.iftar_time || nextPrayer.prayer_time;
+            const hours = Math.floor(countdownMs / (1000 * 60 * 60));
+            const minutes = Math.floor((countdownMs % (1000 * 60 * 60)) / (1000 * 60));
+            const seconds = Math.floor((countdownMs % (1000 * 60)) / 1000);
 
             document.querySelector('.next-prayer-countdown').textContent =
                 `In ${hours}h ${minutes}m ${seconds}s`;
@@ -2158,38 +3185,653 @@ function startCountdown() {
                     nextPrayerCard.classList.add('playing-athan');
                 }
 
-                // Trigger audio check (will respect lastPlayedPrayer to avoid replaying)
-                checkAthanTime();
-            }
+                // Trigger audio check (will respect lastPlayedPrayer to avoid replaying)
+                checkAthanTime();
+            }
+
+            document.querySelector('.next-prayer-label').textContent = nextPrayer.iqama_time ? 'Iqama' : 'Time to pray';
+            document.querySelector('.next-prayer-name').textContent = getPrayerDisplayName(nextPrayer);
+            document.querySelector('.next-prayer-time').textContent = nextPrayer.prayer_time;
+            document.querySelector('.next-prayer-countdown').textContent = '';
+        }
+        else {
+            // More than 60 seconds past prayer time - reload to get actual next prayer
+            if (!isReloadingPrayer) {
+
+                // Stop animation on nextPrayerCard
+                const nextPrayerCard = document.getElementById('nextPrayerCard');
+                if (nextPrayerCard) {
+                    nextPrayerCard.classList.remove('playing-athan');
+                }
+
+                prayerTimeReachedAt = null;
+                currentPrayerInProgress = null;
+                isReloadingPrayer = true;
+                loadNextPrayer().then(() => {
+                    isReloadingPrayer = false;
+                });
+            }
+        }
+    }, 1000);
+}
+
+// Ordered provider chain from the primary/secondary/last resort selects (duplicates removed)
+function getProviderChain() {
+    return ['providerPrimary', 'providerSecondary', 'providerFallback']
+        .map(id => document.getElementById(id).value)
+        .filter((id, index, list) => id && list.indexOf(id) === index);
+}
+
+// Per-prayer athan volumes only apply to server playback (disabled when there is no server audio)
+let prayerVolumesEnabled = true;
+
+function setPrayerVolumesEnabled(isEnabled) {
+    prayerVolumesEnabled = isEnabled;
+    document.querySelectorAll('.prayer-athan-audio input[data-field$="volume"]').forEach(input => {
+        input.disabled = !isEnabled;
+    });
+}
+
+// Load per-prayer offsets into the Athan call settings
+async function loadPrayerConfig() {
+    try {
+        const response = await fetch(`${API_BASE}/api/prayer-config`);
+        const config = await response.json();
+        const athanFiles = await fetch(`${API_BASE}/api/audio-files`).then(r => r.json());
+        const alertFiles = await fetch(`${API_BASE}/api/alert-files`).then(r => r.json());
+        const container = document.getElementById('prayerOffsets');
+
+        // Athan file and server volume of each prayer (empty = athan call audio file / server volume)
+        const athanContainer = document.getElementById('prayerAthanAudio');
+        athanContainer.innerHTML = `
+            <span></span>
+            <span class="prayer-offsets-header">Audio file</span>
+            <span class="prayer-offsets-header">Volume (%)</span>
+        ` + config.map(pc => `
+            <span>${getPrayerName(pc.prayer_name)}</span>
+            <select class="input-field" data-prayer="${pc.prayer_name}" data-field="audio_file">
+                <option value="">Default</option>
+                ${athanFiles.map(file => `
+                    <option value="${file}" ${pc.audio_file === file ? 'selected' : ''}>${getAudioDisplayName(file)}</option>
+                `).join('')}
+            </select>
+            <input type="number" class="input-field" min="0" max="200" step="1" placeholder="Default"
+                   data-prayer="${pc.prayer_name}" data-field="volume" value="${pc.volume === null ? '' : pc.volume}"
+                   ${prayerVolumesEnabled ? '' : 'disabled'}>
+        `).join('');
+
+        athanContainer.querySelectorAll('select, input').forEach(input => {
+            input.addEventListener('change', () => updatePrayerConfig(input));
+        });
+
+        // Athan sequence: reminder before the athan and dua after it (file, minutes before / seconds after, volume)
+        const sequenceSteps = [
+            { container: 'prayerReminders', step: 'reminder', timing: 'reminder_offset', min: 1, max: 60, title: 'Minutes before the athan' },
+            { container: 'prayerDuas', step: 'dua', timing: 'dua_delay', min: 0, max: 300, title: 'Seconds after the athan' }
+        ];
+        sequenceSteps.forEach(({ container, step, timing, min, max, title }) => {
+            const stepContainer = document.getElementById(container);
+            stepContainer.innerHTML = `
+                <span></span>
+                <span class="prayer-offsets-header">Audio file</span>
+                <span class="prayer-offsets-header">${step === 'reminder' ? 'Min. before' : 'Sec. after'}</span>
+                <span class="prayer-offsets-header">Volume (%)</span>
+            ` + config.map(pc => `
+                <span>${getPrayerName(pc.prayer_name)}</span>
+                <select class="input-field" data-prayer="${pc.prayer_name}" data-field="${step}_file">
+                    <option value="">None</option>
+                    ${alertFiles.map(file => `
+                        <option value="${file}" ${pc[`${step}_file`] === file ? 'selected' : ''}>${getAudioDisplayName(file)}</option>
+                    `).join('')}
+                </select>
+                <input type="number" class="input-field" min="${min}" max="${max}" step="1" title="${title}"
+                       data-prayer="${pc.prayer_name}" data-field="${timing}" value="${pc[timing]}">
+                <input type="number" class="input-field" min="0" max="200" step="1" placeholder="Athan"
+                       data-prayer="${pc.prayer_name}" data-field="${step}_volume"
+                       value="${pc[`${step}_volume`] === null ? '' : pc[`${step}_volume`]}"
+                       ${prayerVolumesEnabled ? '' : 'disabled'}>
+            `).join('');
+
+            stepContainer.querySelectorAll('select, input').forEach(input => {
+                input.addEventListener('change', () => updatePrayerConfig(input));
+            });
+        });
+
+        container.innerHTML = `
+            <span></span>
+            <span class="prayer-offsets-header">Displayed</span>
+            <span class="prayer-offsets-header">Athan</span>
+            <span class="prayer-offsets-header">Catch-up</span>
+        ` + config.map(pc => `
+            <span>${getPrayerName(pc.prayer_name)}</span>
+            <input type="number" class="input-field" min="-120" max="120" step="1"
+                   data-prayer="${pc.prayer_name}" data-field="display_offset" value="${pc.display_offset}">
+            <input type="number" class="input-field" min="-120" max="120" step="1"
+                   data-prayer="${pc.prayer_name}" data-field="athan_offset" value="${pc.athan_offset}">
+            <input type="number" class="input-field" min="0" max="120" step="1"
+                   data-prayer="${pc.prayer_name}" data-field="catchup_grace" value="${pc.catchup_grace}">
+        `).join('');
+
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => updatePrayerConfig(input));
+        });
+
+        // Iqama rules: mode, minutes after the athan and fixed clock time
+        const iqamaModes = {
+            none: 'None',
+            offset: 'After athan',
+            round5: 'Rounded',
+            fixed: 'Fixed time',
+            timetable: 'Timetable'
+        };
+        const iqamaContainer = document.getElementById('prayerIqamaRules');
+        iqamaContainer.innerHTML = config.map(pc => `
+            <span>${getPrayerName(pc.prayer_name)}</span>
+            <select class="input-field" data-prayer="${pc.prayer_name}" data-field="iqama_mode">
+                ${Object.keys(iqamaModes).map(mode => `
+                    <option value="${mode}" ${pc.iqama_mode === mode ? 'selected' : ''}>${iqamaModes[mode]}</option>
+                `).join('')}
+            </select>
+            <input type="number" class="input-field" min="0" max="120" step="1" title="Minutes after the athan"
+                   data-prayer="${pc.prayer_name}" data-field="iqama_offset" value="${pc.iqama_offset}"
+                   ${['offset', 'round5', 'timetable'].includes(pc.iqama_mode) ? '' : 'disabled'}>
+            <input type="time" class="input-field"
+                   data-prayer="${pc.prayer_name}" data-field="iqama_time" value="${pc.iqama_time || ''}"
+                   ${pc.iqama_mode === 'fixed' ? '' : 'disabled'}>
+        `).join('');
+
+        iqamaContainer.querySelectorAll('select, input').forEach(input => {
+            input.addEventListener('change', async () => {
+                await updatePrayerConfig(input);
+                if (input.dataset.field === 'iqama_mode') {
+                    loadPrayerConfig();
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error loading prayer config:', error);
+    }
+}
+
+// Load the alert sound choices (audio/alerts): iqama sound and extra time alerts
+async function loadAlertSounds() {
+    try {
+        const response = await fetch(`${API_BASE}/api/alert-files`);
+        const files = await response.json();
+        const currentSettings = await fetch(`${API_BASE}/api/settings`).then(r => r.json());
+
+        const fillSelect = (select, settingKey) => {
+            // Keep the label of the empty option ("No sound", "Notification only"...)
+            const emptyOption = select.querySelector('option[value=""]');
+            const emptyLabel = emptyOption ? emptyOption.textContent : 'No sound';
+            select.innerHTML = `<option value="">${emptyLabel}</option>` + files.map(file => `
+                <option value="${file}" ${currentSettings[settingKey] === file ? 'selected' : ''}>
+                    ${getAudioDisplayName(file)}
+                </option>
+            `).join('');
+        };
+
+        fillSelect(document.getElementById('iqamaSound'), 'iqama_sound');
+        document.querySelectorAll('.extra-time-alert').forEach(select => fillSelect(select, select.dataset.setting));
+
+        document.getElementById('imsakOffset').value = currentSettings.imsak_offset || 10;
+        document.getElementById('duhaOffset').value = currentSettings.duha_offset || 20;
+    } catch (error) {
+        console.error('Error loading alert sounds:', error);
+    }
+}
+
+// Save one per-prayer setting (offsets, iqama rule, athan file, volume and sequence)
+async function updatePrayerConfig(input) {
+    let value;
+    if (input.dataset.field === 'iqama_mode') {
+        value = input.value;
+    } else if (['iqama_time', 'audio_file', 'reminder_file', 'dua_file'].includes(input.dataset.field)) {
+        value = input.value || null;
+    } else if (['volume', 'reminder_volume', 'dua_volume'].includes(input.dataset.field)) {
+        // Empty = server volume (athan volume for the reminder and the dua)
+        value = input.value === '' ? null : Math.min(200, Math.max(0, parseInt(input.value, 10) || 0));
+        input.value = value === null ? '' : value;
+    } else {
+        value = Math.min(parseInt(input.max, 10), Math.max(parseInt(input.min, 10), parseInt(input.value, 10) || 0));
+        input.value = value;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/prayer-config`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prayer_name: input.dataset.prayer, [input.dataset.field]: value })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert('❌ Error: ' + (data.error || 'Unknown error'));
+            loadPrayerConfig();
+            return;
+        }
+
+        // Displayed times and iqama times are shown in the prayer list and the next prayer card
+        if (['display_offset', 'iqama_mode', 'iqama_offset', 'iqama_time'].includes(input.dataset.field)) {
+            loadPrayers();
+            loadNextPrayer();
+        }
+    } catch (error) {
+        console.error('Error updating prayer config:', error);
+    }
+}
+
+// Jumu'ah slot times under the prayer time (second line per slot: khutbah and iqama)
+function formatJumuahSlots(slots) {
+    return slots.map(slot => {
+        const parts = [slot.athan_time];
+        if (slot.khutbah_time) parts.push(`Khutbah ${slot.khutbah_time}`);
+        if (slot.iqama_time) parts.push(`Iqama ${slot.iqama_time}`);
+        return `<span class="prayer-iqama-time">${parts.join(' · ')}</span>`;
+    }).join('');
+}
+
+// Load the Ramadan settings and show the current or next Ramadan period
+async function loadRamadan() {
+    try {
+        const settings = await fetch(`${API_BASE}/api/settings`).then(r => r.json());
+        const status = await fetch(`${API_BASE}/api/ramadan`).then(r => r.json());
+        const mode = settings.ramadan_mode || 'auto';
+
+        document.getElementById('ramadanMode').value = mode;
+        document.getElementById('ramadanManualDates').style.display = mode === 'manual' ? 'grid' : 'none';
+        document.getElementById('ramadanStart').value = settings.ramadan_start || '';
+        document.getElementById('ramadanEnd').value = settings.ramadan_end || '';
+        document.getElementById('suhoorOffset').value = settings.suhoor_offset || 60;
+        document.getElementById('suhoorVolumeSlider').value = settings.suhoor_volume || 50;
+        document.getElementById('suhoorVolumeValue').textContent = settings.suhoor_volume || 50;
+        document.getElementById('taraweehEnabled').checked = settings.taraweeh_enabled === '1';
+        document.getElementById('taraweehOffset').value = settings.taraweeh_offset || 20;
+
+        const formatDay = (dateStr) => new Date(dateStr + 'T12:00:00').toLocaleDateString('en-GB', {
+            day: '2-digit', month: 'long', year: 'numeric'
+        });
+        let statusText;
+        if (mode === 'off') {
+            statusText = 'Ramadan mode is off';
+        } else if (!status.start) {
+            statusText = 'Set the first and last day of Ramadan';
+        } else if (status.active) {
+            statusText = `🌙 Ramadan mode active until ${formatDay(status.end)}`;
+        } else {
+            statusText = `Ramadan: ${formatDay(status.start)} to ${formatDay(status.end)}`;
+        }
+        document.getElementById('ramadanStatus').textContent = statusText;
+    } catch (error) {
+        console.error('Error loading Ramadan settings:', error);
+    }
+}
+
+// Show the jobs queued on the server (GET /api/schedule/upcoming)
+async function loadUpcomingSchedule() {
+    const container = document.getElementById('upcomingSchedule');
+    try {
+        const response = await fetch(`${API_BASE}/api/schedule/upcoming`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Unknown error');
+        }
+
+        if (data.jobs.length === 0) {
+            container.innerHTML = '<p class="help-text">Nothing scheduled</p>';
+            return;
+        }
+
+        const typeIcons = {
+            athan: '🕌',
+            iqama: '🔔',
+            alert: '⏰',
+            quran: '📖',
+            event_reminder: '📿',
+            event_audio: '📿',
+            refresh: '🔄'
+        };
+        container.innerHTML = `
+            <table>
+                <tr><th>Time</th><th>Job</th><th>Audio</th><th>Volume</th><th>Output</th><th>Status</th></tr>
+                ${data.jobs.map(job => `
+                    <tr class="${job.suppressed ? 'suppressed' : ''}">
+                        <td>${job.local_time}</td>
+                        <td>${typeIcons[job.type] || ''} ${job.prayer_name ? job.label.replace(job.prayer_name, getPrayerName(job.prayer_name)) : job.label}</td>
+                        <td>${job.audio_file ? getAudioDisplayName(job.audio_file) : '-'}</td>
+                        <td>${job.volume !== null ? `${job.volume}%` : '-'}</td>
+                        <td>${job.zones ? (job.zones.map(escapeHtml).join(', ') || 'no zone') : job.zone || '-'}</td>
+                        <td>${job.suppressed ? `🔕 ${job.reason}` : '✅'}</td>
+                    </tr>
+                `).join('')}
+            </table>
+            <p class="help-text">Timezone: ${data.timezone}</p>
+        `;
+    } catch (error) {
+        console.error('Error loading upcoming schedule:', error);
+        container.innerHTML = '<p class="help-text">Error loading the schedule</p>';
+    }
+
+    loadAthanDecisions();
+}
+
+// Show the latest athan decisions (played, played late, missed, suppressed)
+async function loadAthanDecisions() {
+    const container = document.getElementById('athanDecisions');
+    try {
+        const response = await fetch(`${API_BASE}/api/athan-decisions?limit=20`);
+        const decisions = await response.json();
+        if (!response.ok) {
+            throw new Error(decisions.error || 'Unknown error');
+        }
+
+        if (decisions.length === 0) {
+            container.innerHTML = '<p class="help-text">No athan decision recorded yet</p>';
+            return;
+        }
+
+        const decisionLabels = {
+            played: '✅ Played',
+            played_late: '⏰ Played late',
+            missed: '❌ Missed',
+            suppressed: '🔕 Silent'
+        };
+        container.innerHTML = `
+            <table>
+                <tr><th>Athan</th><th>Decision</th><th>Details</th></tr>
+                ${decisions.map(decision => `
+                    <tr class="${decision.decision === 'missed' ? 'suppressed' : ''}">
+                        <td>${decision.date} ${decision.trigger_time} ${getPrayerName(decision.prayer_name)}</td>
+                        <td>${decisionLabels[decision.decision] || decision.decision}</td>
+                        <td>${[
+                            decision.reason,
+                            decision.delay_seconds >= 60 ? `${Math.floor(decision.delay_seconds / 60)} min late` : ''
+                        ].filter(Boolean).join(' - ') || '-'}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading athan decisions:', error);
+        container.innerHTML = '<p class="help-text">Error loading the athan decisions</p>';
+    }
+}
+
+// Load the Islamic events configuration (shown, reminder, audio and time per event)
+async function loadIslamicEvents() {
+    try {
+        const config = await fetch(`${API_BASE}/api/islamic-events/config`).then(r => r.json());
+        const files = await fetch(`${API_BASE}/api/event-audio-files`).then(r => r.json());
+
+        document.getElementById('eventReminderTime').value = config.reminder_time || '20:00';
+
+        const container = document.getElementById('islamicEventsConfig');
+        container.innerHTML = `
+            <strong>Event</strong><strong>Shown</strong><strong>Reminder</strong><strong>Audio</strong><strong>Time</strong>
+            ${config.events.map(event => `
+                <span>${event.name}</span>
+                <input type="checkbox" class="islamic-event-field" data-event="${event.event_id}" data-field="enabled" ${event.enabled ? 'checked' : ''}>
+                <input type="checkbox" class="islamic-event-field" data-event="${event.event_id}" data-field="reminder" ${event.reminder ? 'checked' : ''}>
+                <select class="input-field islamic-event-field" data-event="${event.event_id}" data-field="audio_file">
+                    <option value="">None</option>
+                    ${files.map(file => `<option value="${file}" ${event.audio_file === file ? 'selected' : ''}>${getAudioDisplayName(file)}</option>`).join('')}
+                </select>
+                <input type="time" class="input-field islamic-event-field" data-event="${event.event_id}" data-field="audio_time" value="${event.audio_time || ''}">
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.islamic-event-field').forEach(input => {
+            input.addEventListener('change', () => updateIslamicEvent(input));
+        });
+    } catch (error) {
+        console.error('Error loading Islamic events:', error);
+    }
+}
+
+// Save one field of an Islamic event configuration
+async function updateIslamicEvent(input) {
+    const value = input.type === 'checkbox' ? input.checked : (input.value || null);
+    try {
+        const response = await fetch(`${API_BASE}/api/islamic-events/config`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event_id: input.dataset.event, [input.dataset.field]: value })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+        loadPrayers();
+    } catch (error) {
+        alert('Error updating Islamic event: ' + error.message);
+        loadIslamicEvents();
+    }
+}
+
+// Load the Jumu'ah configuration into the settings
+async function loadJumuah() {
+    try {
+        const response = await fetch(`${API_BASE}/api/jumuah`);
+        const data = await response.json();
+        document.getElementById('jumuahEnabled').checked = data.enabled;
+        renderJumuahSlots(data.slots.length > 0 ? data.slots : [{ athan_time: '13:00' }]);
+    } catch (error) {
+        console.error('Error loading Jumu\'ah configuration:', error);
+    }
+}
+
+// Render editable Jumu'ah slots (one row per session)
+function renderJumuahSlots(slots) {
+    const container = document.getElementById('jumuahSlots');
+    const fields = {
+        first_adhan_time: 'First adhan',
+        athan_time: 'Athan',
+        khutbah_time: 'Khutbah',
+        iqama_time: 'Iqama'
+    };
+
+    container.innerHTML = `
+        ${Object.values(fields).map(label => `<span class="prayer-offsets-header">${label}</span>`).join('')}
+        <span></span>
+    ` + slots.map(slot => `
+        ${Object.keys(fields).map(field => `
+            <input type="time" class="input-field" data-field="${field}" value="${slot[field] || ''}">
+        `).join('')}
+        <button class="btn jumuah-remove-btn" title="Remove slot">✕</button>
+    `).join('');
+
+    container.querySelectorAll('.jumuah-remove-btn').forEach((button, index) => {
+        button.addEventListener('click', () => {
+            const current = readJumuahSlots();
+            current.splice(index, 1);
+            renderJumuahSlots(current);
+        });
+    });
+}
+
+// Read the Jumu'ah slots from the settings form
+function readJumuahSlots() {
+    const inputs = Array.from(document.querySelectorAll('#jumuahSlots input'));
+    const slots = [];
+    for (let i = 0; i < inputs.length; i += 4) {
+        const slot = {};
+        inputs.slice(i, i + 4).forEach(input => {
+            slot[input.dataset.field] = input.value || null;
+        });
+        slots.push(slot);
+    }
+    return slots;
+}
+
+// Save the Jumu'ah configuration
+async function saveJumuah() {
+    try {
+        const enabled = document.getElementById('jumuahEnabled').checked;
+        // Rows left without athan time are ignored
+        const slots = readJumuahSlots().filter(slot => slot.athan_time);
+        const response = await fetch(`${API_BASE}/api/jumuah`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled, slots })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert('❌ Error: ' + (data.error || 'Unknown error'));
+            return;
+        }
+
+        renderJumuahSlots(data.slots.length > 0 ? data.slots : [{ athan_time: '13:00' }]);
+        loadPrayers();
+        loadNextPrayer();
+        alert('✅ Jumu\'ah configuration saved');
+    } catch (error) {
+        alert('Error saving Jumu\'ah configuration: ' + error.message);
+    }
+}
+
+// Timetable file selected in the settings (not imported yet)
+let timetableUpload = null;
+let timetableFields = null;
+
+// Escape text coming from uploaded files before inserting it as HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Multipart body of a timetable preview or import: the selected file and the column mapping (null = saved or guessed)
+function getTimetableFormData(mapping) {
+    const formData = new FormData();
+    formData.append('file', timetableUpload);
+    if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping));
+    }
+    return formData;
+}
+
+// Column mapping currently selected in the timetable mapping selects
+function getTimetableMapping() {
+    const selects = document.querySelectorAll('#timetableMapping select');
+    if (selects.length === 0) return null;
+
+    const mapping = {};
+    selects.forEach(select => {
+        if (select.value) {
+            mapping[select.dataset.field] = select.value;
+        }
+    });
+    return mapping;
+}
+
+// Validate the selected timetable file on the server and display the preview
+async function previewTimetable(mapping) {
+    if (!timetableUpload) return;
+
+    if (!timetableFields) {
+        const fieldsResponse = await fetch(`${API_BASE}/api/timetable/fields`);
+        timetableFields = await fieldsResponse.json();
+    }
+
+    const response = await fetch(`${API_BASE}/api/timetable/preview`, {
+        method: 'POST',
+        body: getTimetableFormData(mapping)
+    });
+    const data = await response.json();
+    const previewDiv = document.getElementById('timetablePreview');
+    const mappingDiv = document.getElementById('timetableMapping');
+    previewDiv.style.display = 'block';
+
+    if (!response.ok) {
+        mappingDiv.style.display = 'none';
+        previewDiv.innerHTML = `<ul class="timetable-errors"><li>${escapeHtml(data.error)}</li></ul>`;
+        return;
+    }
+
+    // Column mapping selects
+    const headerOptions = data.headers.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+    mappingDiv.innerHTML = timetableFields.map(field => `
+        <div>
+            <label>${field.label}${field.required ? ' *' : ''}</label>
+            <select class="input-field" data-field="${field.key}">
+                <option value="">— None —</option>
+                ${headerOptions}
+            </select>
+        </div>
+    `).join('');
+    mappingDiv.querySelectorAll('select').forEach(select => {
+        select.value = data.mapping[select.dataset.field] || '';
+        select.addEventListener('change', () => previewTimetable(getTimetableMapping()));
+    });
+    mappingDiv.style.display = 'grid';
+
+    // Preview of the first days
+    const columns = ['Fajr | Sobh', 'Sunrise', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
+    const rows = data.preview.map(day => `
+        <tr>
+            <td>${day.date}</td>
+            ${columns.map(name => {
+                const prayer = day.prayers.find(p => p.prayer_name === name);
+                if (!prayer) return '<td>-</td>';
+                return `<td>${prayer.prayer_time}${prayer.iqama_time ? `<br><small>${prayer.iqama_time}</small>` : ''}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    let html = `<p class="help-text">${data.days_count} day(s)` +
+        (data.first_date ? ` from ${data.first_date} to ${data.last_date}` : '') +
+        ` - ${data.errors_count} error(s), ${data.warnings_count} warning(s)</p>`;
+    if (data.errors.length > 0) {
+        html += `<ul class="timetable-errors">${data.errors.map(e => `<li>${e.row ? `Row ${e.row}: ` : ''}${escapeHtml(e.message)}</li>`).join('')}</ul>`;
+    }
+    if (data.warnings.length > 0) {
+        html += `<ul class="timetable-warnings">${data.warnings.map(w => `<li>Row ${w.row}: ${escapeHtml(w.message)}</li>`).join('')}</ul>`;
+    }
+    if (rows) {
+        html += `<table><thead><tr><th>Date</th>${columns.map(name => `<th>${getPrayerName(name)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${rows}</tbody></table>`;
+    }
+    previewDiv.innerHTML = html;
 
-            document.querySelector('.next-prayer-label').textContent = 'Time to pray';
-            document.querySelector('.next-prayer-name').textContent = getPrayerName(nextPrayer.prayer_name);
-            document.querySelector('.next-prayer-time').textContent = nextPrayer.prayer_time;
-            document.querySelector('.next-prayer-countdown').textContent = '15m 0s remaining';
-        }
-        else {
-            // More than 60 seconds past prayer time - reload to get actual next prayer
-            if (!isReloadingPrayer) {
+    document.getElementById('timetableImportBtn').disabled = data.errors_count > 0 || data.days_count === 0;
+}
 
-                // Stop animation on nextPrayerCard
-                const nextPrayerCard = document.getElementById('nextPrayerCard');
-                if (nextPrayerCard) {
-                    nextPrayerCard.classList.remove('playing-athan');
-                }
+// Display the currently imported timetable
+async function loadTimetableStatus() {
+    try {
+        const response = await fetch(`${API_BASE}/api/timetable`);
+        const info = await response.json();
+        const status = document.getElementById('timetableStatus');
 
-                prayerTimeReachedAt = null;
-                currentPrayerInProgress = null;
-                isReloadingPrayer = true;
-                loadNextPrayer().then(() => {
-                    isReloadingPrayer = false;
-                });
-            }
+        if (info.days_count > 0) {
+            status.textContent = `📅 ${info.filename || 'Timetable'}: ${info.days_count} days (${info.first_date} → ${info.last_date})`;
+            document.getElementById('timetableDeleteBtn').style.display = '';
+        } else {
+            status.textContent = 'No timetable imported';
+            document.getElementById('timetableDeleteBtn').style.display = 'none';
         }
-    }, 1000);
+    } catch (error) {
+        console.error('Error loading timetable status:', error);
+    }
+}
+
+// Show the fields matching the selected prayer times sources
+function updatePrayerSourceVisibility() {
+    const chain = getProviderChain();
+    document.getElementById('icsSourceGroup').style.display = chain.includes('ics') ? 'block' : 'none';
+    document.getElementById('calcSourceGroup').style.display = chain.includes('calculation') ? 'block' : 'none';
+    document.getElementById('calcCustomAngles').style.display =
+        document.getElementById('calcMethod').value === 'Custom' ? 'block' : 'none';
 }
 
 // Check if ICS configuration exists
 function checkIcsConfiguration() {
+    // Only nag about the ICS link when it is the primary source
+    if (document.getElementById('providerPrimary').value !== 'ics') {
+        return;
+    }
+
     const icsUrl = document.getElementById('icsUrl').value;
     const icsInput = document.getElementById('icsUrl');
     const icsLabel = document.getElementById('icsLabel');
@@ -2234,12 +3876,16 @@ async function loadAudioDevices() {
         // Clear existing options except "auto"
         audioCardSelect.innerHTML = '<option value="auto">Auto-detect (USB/HDMI)</option>';
 
+        audioDevices = data.devices || [];
+        loadAudioZones();
+
         // Add detected devices
         if (data.devices && data.devices.length > 0) {
+            // ALSA cards by number, PulseAudio / PipeWire sinks by id ("pulse:<sink>")
             data.devices.forEach(device => {
                 const option = document.createElement('option');
-                option.value = device.card;
-                option.textContent = `${device.displayName} (card ${device.card})`;
+                option.value = device.card !== undefined ? device.card : device.id;
+                option.textContent = device.card !== undefined ? `${device.displayName} (card ${device.card})` : device.displayName;
                 audioCardSelect.appendChild(option);
             });
 
@@ -2258,12 +3904,7 @@ async function loadAudioDevices() {
             if (window.setVolumeSliderEnabled) {
                 window.setVolumeSliderEnabled(false);
             }
-            if (window.setSyncFajrVolumeCheckboxEnabled) {
-                window.setSyncFajrVolumeCheckboxEnabled(false);
-            }
-            if (window.setFajrVolumeSliderEnabled) {
-                window.setFajrVolumeSliderEnabled(false);
-            }
+            setPrayerVolumesEnabled(false);
         }
     } catch (error) {
         console.error('Error loading audio devices:', error);
@@ -2277,12 +3918,7 @@ async function loadAudioDevices() {
         if (window.setVolumeSliderEnabled) {
             window.setVolumeSliderEnabled(false);
         }
-        if (window.setSyncFajrVolumeCheckboxEnabled) {
-            window.setSyncFajrVolumeCheckboxEnabled(false);
-        }
-        if (window.setFajrVolumeSliderEnabled) {
-            window.setFajrVolumeSliderEnabled(false);
-        }
+        setPrayerVolumesEnabled(false);
     }
 }
 
@@ -2296,6 +3932,28 @@ async function loadSettings() {
             document.getElementById('icsUrl').value = settings.ics_url;
         }
 
+        // Prayer times source and offline calculation settings
+        const providerChain = (settings.prayer_providers || 'ics').split(',');
+        document.getElementById('providerPrimary').value = providerChain[0] || 'ics';
+        document.getElementById('providerSecondary').value = providerChain[1] || '';
+        document.getElementById('providerFallback').value = providerChain[2] || '';
+        document.getElementById('calcLatitude').value = settings.calc_latitude || '';
+        document.getElementById('calcLongitude').value = settings.calc_longitude || '';
+        document.getElementById('calcMethod').value = settings.calc_method || 'MWL';
+        document.getElementById('calcAsrMethod').value = settings.calc_asr_method || 'shafii';
+        document.getElementById('calcHighLatRule').value = settings.calc_high_lat_rule || 'angle_based';
+        document.getElementById('calcFajrAngle').value = settings.calc_fajr_angle || '18';
+        document.getElementById('calcIshaAngle').value = settings.calc_isha_angle || '17';
+        document.getElementById('calcIshaInterval').value = settings.calc_isha_interval || '0';
+        updatePrayerSourceVisibility();
+
+        // Installation timezone (empty field = automatic detection)
+        document.getElementById('timezoneInput').value = settings.timezone && settings.timezone !== 'auto' ? settings.timezone : '';
+
+        // Hijri calendar
+        document.getElementById('hijriMethod').value = settings.hijri_method || 'umalqura';
+        document.getElementById('hijriAdjustment').value = settings.hijri_adjustment || '0';
+
         // Update audio toggles
         if (settings.play_on_startup) {
             document.getElementById('playOnStartup').checked = settings.play_on_startup === '1';
@@ -2311,6 +3969,7 @@ async function loadSettings() {
             if (window.setVolumeSliderEnabled) {
                 window.setVolumeSliderEnabled(settings.audio_output !== 'browser');
             }
+            setPrayerVolumesEnabled(settings.audio_output !== 'browser');
         }
 
         // Update audio card selection
@@ -2329,42 +3988,26 @@ async function loadSettings() {
             // Note: Browser volume is always 100% (1.0), slider controls server volume only
         }
 
-        // Update Fajr volume slider
-        if (settings.fajr_volume) {
-            const fajrVolumePercent = parseInt(settings.fajr_volume);
-            const fajrVolumeSlider = document.getElementById('fajrVolumeSlider');
-            const fajrVolumeValue = document.getElementById('fajrVolumeValue');
-            if (fajrVolumeSlider && fajrVolumeValue) {
-                fajrVolumeSlider.value = fajrVolumePercent;
-                fajrVolumeValue.textContent = fajrVolumePercent;
-                if (typeof updateFajrVolumeWarning === 'function') {
-                    updateFajrVolumeWarning(fajrVolumePercent);
-                }
-            }
-        }
-
-        // Update sync Fajr volume checkbox (checked = independent volume, unchecked = synced)
-        if (settings.sync_fajr_volume !== undefined) {
-            const syncFajrVolumeCheckbox = document.getElementById('syncFajrVolume');
-            if (syncFajrVolumeCheckbox) {
-                const useIndependentVolume = settings.sync_fajr_volume === '1';
-                syncFajrVolumeCheckbox.checked = useIndependentVolume;
-
-                const audioOutput = settings.audio_output || 'both';
-                const isServerEnabled = audioOutput !== 'browser';
-
-                // Enable/disable Fajr volume checkbox based on server audio availability
-                if (typeof setSyncFajrVolumeCheckboxEnabled === 'function') {
-                    setSyncFajrVolumeCheckboxEnabled(isServerEnabled);
-                }
-
-                // Enable/disable Fajr volume slider based on independent status AND server audio availability
-                if (typeof setFajrVolumeSliderEnabled === 'function') {
-                    // Fajr slider is enabled only if server is enabled AND independent volume is active
-                    setFajrVolumeSliderEnabled(isServerEnabled && useIndependentVolume);
-                }
-            }
-        }
+        // Loudness normalization and silence trim
+        document.getElementById('loudnessNormalization').checked = settings.loudness_normalization !== '0';
+        document.getElementById('silenceTrim').checked = settings.silence_trim === '1';
+        document.getElementById('loudnessTarget').value = settings.loudness_target || '-16';
+
+        // Preemption of the Quran and event programs (also used by the playback in this page)
+        audioPreemption = {
+            mode: settings.audio_preemption || 'pause',
+            duckVolume: parseInt(settings.duck_volume || '20', 10) / 100
+        };
+        document.getElementById('audioPreemption').value = audioPreemption.mode;
+        document.getElementById('duckVolume').value = settings.duck_volume || '20';
+        document.getElementById('liveStream').checked = settings.live_stream === '1';
+        loadLiveStream();
+
+        // Fades and maximum duration (also used by the playback started from this page)
+        document.querySelectorAll('.audio-fade-setting').forEach(input => {
+            audioFadeSettings[input.dataset.setting] = settings[input.dataset.setting] || '0';
+            input.value = audioFadeSettings[input.dataset.setting];
+        });
 
         // Update Friday Quran settings
         if (settings.friday_quran_enabled !== undefined) {
@@ -2403,18 +4046,8 @@ async function updateAudioOutput(value) {
             window.setVolumeSliderEnabled(isServerEnabled);
         }
 
-        // Enable/disable Fajr volume checkbox
-        if (window.setSyncFajrVolumeCheckboxEnabled) {
-            window.setSyncFajrVolumeCheckboxEnabled(isServerEnabled);
-        }
-
-        // Enable/disable Fajr volume slider (only if server enabled AND independent volume active)
-        const syncFajrVolumeCheckbox = document.getElementById('syncFajrVolume');
-        if (window.setFajrVolumeSliderEnabled && syncFajrVolumeCheckbox) {
-            const useIndependentVolume = syncFajrVolumeCheckbox.checked;
-            // Fajr slider is enabled only if server is enabled AND independent volume is active
-            window.setFajrVolumeSliderEnabled(isServerEnabled && useIndependentVolume);
-        }
+        // Enable/disable per-prayer athan volumes
+        setPrayerVolumesEnabled(isServerEnabled);
     } catch (error) {
         console.error('Error updating audio output:', error);
     }
@@ -2558,6 +4191,19 @@ async function loadScheduleMatrix() {
                     </label>
                 </div>`;
             }
+
+            // Extra time alerts (only play when an alert sound is selected)
+            html += `<div class="schedule-day-header">Alerts</div>`;
+            for (const extra of extraTimeNames) {
+                const allEnabled = [0, 1, 2, 3, 4, 5, 6].every(d => matrix[extra] && matrix[extra][d] !== 0);
+                html += `<div class="schedule-prayer-row">
+                    <span class="schedule-prayer-name">${getPrayerName(extra)}</span>
+                    <label class="toggle-switch">
+                        <input type="checkbox" ${allEnabled ? 'checked' : ''} onchange="toggleSchedulePrayer('${extra}')">
+                        <span class="slider"></span>
+                    </label>
+                </div>`;
+            }
         } else {
             // Specific day - header with day name
             html += `<div class="schedule-day-header">${daysFull[currentScheduleDay]}</div>`;
@@ -2583,6 +4229,18 @@ async function loadScheduleMatrix() {
                     </label>
                 </div>`;
             }
+
+            html += `<div class="schedule-day-header">Alerts</div>`;
+            for (const extra of extraTimeNames) {
+                const enabled = matrix[extra] && matrix[extra][currentScheduleDay] !== undefined ? matrix[extra][currentScheduleDay] : 1;
+                html += `<div class="schedule-prayer-row">
+                    <span class="schedule-prayer-name">${getPrayerName(extra)}</span>
+                    <label class="toggle-switch">
+                        <input type="checkbox" ${enabled ? 'checked' : ''} onchange="toggleScheduleCell('${extra}', ${currentScheduleDay})">
+                        <span class="slider"></span>
+                    </label>
+                </div>`;
+            }
         }
         html += '</div>';
 
@@ -2809,6 +4467,21 @@ async function loadUpdateInfo() {
             document.getElementById('prayersCount').textContent = '';
         }
 
+        // Display which provider produced the stored days
+        const providerLabels = { ics: 'ICS link', timetable: 'Mosque timetable', calculation: 'Offline calculation' };
+        const dayCounts = {};
+        Object.values(info.day_sources || {}).forEach(source => {
+            dayCounts[source] = (dayCounts[source] || 0) + 1;
+        });
+        const failedProviders = (info.providers || []).filter(p => p.status === 'error');
+        let summaryText = Object.entries(dayCounts)
+            .map(([source, count]) => `${providerLabels[source] || source}: ${count} day${count > 1 ? 's' : ''}`)
+            .join(' · ') || 'No data';
+        if (failedProviders.length > 0) {
+            summaryText += ` (⚠️ failed: ${failedProviders.map(p => providerLabels[p.provider] || p.provider).join(', ')})`;
+        }
+        document.getElementById('providerSummary').textContent = summaryText;
+
         // Display next scheduled update
         if (info.next_update) {
             const nextUpdateDate = new Date(info.next_update);
@@ -2830,6 +4503,7 @@ async function loadUpdateInfo() {
         document.getElementById('updateCity').textContent = 'Load error';
         document.getElementById('lastUpdate').textContent = 'Load error';
         document.getElementById('nextUpdate').textContent = 'Load error';
+        document.getElementById('providerSummary').textContent = 'Load error';
     }
 }
 
@@ -2887,15 +4561,8 @@ async function loadAudioSupport() {
                 window.setVolumeSliderEnabled(false);
             }
 
-            // Disable Fajr volume checkbox
-            if (window.setSyncFajrVolumeCheckboxEnabled) {
-                window.setSyncFajrVolumeCheckboxEnabled(false);
-            }
-
-            // Disable Fajr volume slider
-            if (window.setFajrVolumeSliderEnabled) {
-                window.setFajrVolumeSliderEnabled(false);
-            }
+            // Disable per-prayer athan volumes
+            setPrayerVolumesEnabled(false);
 
             // Disable Server startup sound toggle
             const playOnStartupToggle = document.getElementById('playOnStartup');
@@ -2954,17 +4621,8 @@ async function loadAudioSupport() {
                 const isServerEnabled = audioOutput !== 'browser';
                 window.setVolumeSliderEnabled(isServerEnabled);
 
-                // Enable/disable Fajr volume checkbox
-                if (window.setSyncFajrVolumeCheckboxEnabled) {
-                    window.setSyncFajrVolumeCheckboxEnabled(isServerEnabled);
-                }
-
-                // Enable/disable Fajr volume slider based on checkbox state
-                const syncFajrVolumeCheckbox = document.getElementById('syncFajrVolume');
-                if (window.setFajrVolumeSliderEnabled && syncFajrVolumeCheckbox) {
-                    const useIndependentVolume = syncFajrVolumeCheckbox.checked;
-                    window.setFajrVolumeSliderEnabled(isServerEnabled && useIndependentVolume);
-                }
+                // Enable/disable per-prayer athan volumes
+                setPrayerVolumesEnabled(isServerEnabled);
             }
         }
 
@@ -3013,6 +4671,28 @@ async function loadServerTime() {
             serverIpValue.textContent = data.ip;
         }
 
+        const serverTimezoneValue = document.getElementById('serverTimezoneValue');
+        if (serverTimezoneValue && data.timezone) {
+            serverTimezoneValue.textContent = `${data.timezone} (UTC${data.utc_offset})`;
+        }
+
+        // Where the timezone comes from (Location settings)
+        const timezoneStatus = document.getElementById('timezoneStatus');
+        if (timezoneStatus && data.timezone) {
+            const sources = {
+                setting: 'set manually',
+                ics: 'detected from the ICS link',
+                system: 'timezone of the server system'
+            };
+            timezoneStatus.textContent = `Current timezone: ${data.timezone} (UTC${data.utc_offset}), ${sources[data.timezone_source] || data.timezone_source}`
+                + (data.timezone_suggestion ? `. The calculation coordinates suggest ${data.timezone_suggestion}: enter it below if it is right` : '');
+        }
+
+        const serverHijriDateValue = document.getElementById('serverHijriDateValue');
+        if (serverHijriDateValue && data.hijri) {
+            serverHijriDateValue.textContent = `${data.hijri.formatted} (${data.hijri.month_name_ar})`;
+        }
+
         const serverHostnameValue = document.getElementById('serverHostnameValue');
         if (serverHostnameValue && data.hostname) {
             serverHostnameValue.textContent = data.hostname;
@@ -3167,6 +4847,286 @@ async function loadAudioFiles() {
     }
 }
 
+// Format a position in seconds as m:ss
+function formatPlaybackTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Show the sound playing on the server with its position, and enable the matching transport controls
+async function loadNowPlaying() {
+    try {
+        serverNowPlaying = await fetch(`${API_BASE}/api/audio/now-playing`).then(r => r.json());
+        const playing = serverNowPlaying.playing;
+        const seek = document.getElementById('serverSeek');
+        const pauseButton = document.getElementById('serverPauseBtn');
+
+        document.getElementById('serverNowPlaying').textContent = playing
+            ? `${serverNowPlaying.paused ? '⏸️' : '▶️'} ${serverNowPlaying.type}: ${getAudioDisplayName(serverNowPlaying.file)} - ` +
+            `${formatPlaybackTime(serverNowPlaying.elapsed)}${serverNowPlaying.duration !== null ? ` / ${formatPlaybackTime(serverNowPlaying.duration)}` : ''}`
+            : 'Nothing playing';
+        // Programs interrupted by the current sound
+        (serverNowPlaying.suspended || []).forEach(program => {
+            document.getElementById('serverNowPlaying').textContent +=
+                ` | ${program.ducked ? '🔉' : '⏸️'} ${program.type}: ${getAudioDisplayName(program.file)} (waiting at ${formatPlaybackTime(program.elapsed)})`;
+        });
+        // Audio zones playing the sound
+        const playingZones = (serverNowPlaying.zones || []).filter(zone => zone.playing).map(zone => zone.name);
+        if (playingZones.length > 0) {
+            document.getElementById('serverNowPlaying').textContent += ` (${playingZones.join(', ')})`;
+        }
+        pauseButton.textContent = playing && serverNowPlaying.paused ? '▶️ Resume' : '⏸️ Pause';
+        pauseButton.disabled = !playing;
+        document.getElementById('serverStopBtn').disabled = !playing && !(serverNowPlaying.suspended || []).length;
+
+        // Seeking needs the duration of the sound (known once the file has been analyzed)
+        seek.disabled = !playing || serverNowPlaying.duration === null || serverNowPlaying.seekable === false;
+        if (!serverSeekDragging) {
+            seek.max = playing && serverNowPlaying.duration !== null ? serverNowPlaying.duration : 0;
+            seek.value = playing ? serverNowPlaying.elapsed : 0;
+        }
+    } catch (error) {
+        console.error('Error loading server playback:', error);
+    }
+}
+
+// Show the audio zones, each with its device, volume and prayer × day schedule
+async function loadAudioZones() {
+    const container = document.getElementById('audioZones');
+    try {
+        const zones = await fetch(`${API_BASE}/api/audio-zones`).then(r => r.json());
+        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const prayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha', ...extraTimeNames];
+
+        container.innerHTML = zones.map(zone => {
+            const isRtp = zone.type === 'rtp';
+            // The device of a zone stays selectable when its card is not plugged in
+            const devices = isRtp || audioDevices.some(device => device.id === zone.device || device.card === zone.device)
+                ? audioDevices
+                : [...audioDevices, { id: zone.device, displayName: `${zone.device} (not detected)` }];
+            const isEnabled = (prayer, day) => !zone.schedule.some(cell => cell.prayer_name === prayer && cell.day_of_week === day && cell.enabled === 0);
+            return `
+                <div class="audio-zone" data-zone="${zone.id}">
+                    <div class="audio-zone-fields">
+                        <input type="text" class="input-field audio-zone-name" value="${escapeHtml(zone.name)}" maxlength="40">
+                        <select class="input-field audio-zone-device">
+                            ${devices.map(device => `<option value="${device.id}" ${!isRtp && (device.id === zone.device || device.card === zone.device) ? 'selected' : ''}>
+                                ${escapeHtml(device.displayName)}${device.card !== undefined ? ` (card ${device.card})` : ''}</option>`).join('')}
+                            <option value="rtp" ${isRtp ? 'selected' : ''}>🌐 Network (RTP multicast)</option>
+                        </select>
+                        <input type="number" class="input-field audio-zone-volume" value="${zone.volume}" min="0" max="200" step="5" title="Zone volume (%)">
+                        <label class="toggle-switch" title="Zone enabled">
+                            <input type="checkbox" class="audio-zone-enabled" ${zone.enabled ? 'checked' : ''}>
+                            <span class="slider"></span>
+                        </label>
+                        <button class="btn audio-zone-delete-btn" title="Remove zone">🗑️</button>
+                    </div>
+                    ${isRtp ? `
+                        <div class="audio-zone-rtp">
+                            <input type="text" class="input-field audio-zone-rtp-address" value="${escapeHtml(zone.rtp_address)}" title="Multicast group or speaker address">
+                            <input type="number" class="input-field audio-zone-rtp-port" value="${zone.rtp_port}" min="1024" max="65535" title="UDP port">
+                            <select class="input-field audio-zone-rtp-codec" title="Codec">
+                                ${Object.entries(rtpCodecs).map(([codec, name]) => `<option value="${codec}" ${codec === zone.rtp_codec ? 'selected' : ''}>${name}</option>`).join('')}
+                            </select>
+                            <select class="input-field audio-zone-rtp-ptime" title="Packet time">
+                                ${rtpPtimes.map(ptime => `<option value="${ptime}" ${ptime === zone.rtp_ptime ? 'selected' : ''}>${ptime} ms</option>`).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    <div class="audio-zone-schedule">
+                        <span></span>${days.map(day => `<strong>${day}</strong>`).join('')}
+                        ${prayers.map(prayer => `
+                            <span class="audio-zone-prayer" data-prayer="${prayer}" title="Whole week">${getPrayerName(prayer)}</span>
+                            ${days.map((day, index) => `<input type="checkbox" class="audio-zone-cell" data-prayer="${prayer}" data-day="${index}"
+                                ${isEnabled(prayer, index) ? 'checked' : ''}>`).join('')}
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('') || '<span class="help-text">No audio zone: the server plays on the audio device above</span>';
+
+        container.querySelectorAll('.audio-zone').forEach(element => {
+            const zoneId = element.dataset.zone;
+            element.querySelector('.audio-zone-name').addEventListener('change', (e) => updateAudioZone(zoneId, { name: e.target.value }));
+            element.querySelector('.audio-zone-device').addEventListener('change', (e) => {
+                updateAudioZone(zoneId, e.target.value === 'rtp' ? { type: 'rtp' } : { type: 'alsa', device: e.target.value });
+            });
+            if (element.querySelector('.audio-zone-rtp')) {
+                element.querySelector('.audio-zone-rtp-address').addEventListener('change', (e) => updateAudioZone(zoneId, { rtp_address: e.target.value.trim() }));
+                element.querySelector('.audio-zone-rtp-port').addEventListener('change', (e) => updateAudioZone(zoneId, { rtp_port: parseInt(e.target.value, 10) }));
+                element.querySelector('.audio-zone-rtp-codec').addEventListener('change', (e) => updateAudioZone(zoneId, { rtp_codec: e.target.value }));
+                element.querySelector('.audio-zone-rtp-ptime').addEventListener('change', (e) => updateAudioZone(zoneId, { rtp_ptime: parseInt(e.target.value, 10) }));
+            }
+            element.querySelector('.audio-zone-volume').addEventListener('change', (e) => {
+                updateAudioZone(zoneId, { volume: Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 200) });
+            });
+            element.querySelector('.audio-zone-enabled').addEventListener('change', (e) => updateAudioZone(zoneId, { enabled: e.target.checked }));
+            element.querySelector('.audio-zone-delete-btn').addEventListener('click', () => deleteAudioZone(zoneId));
+            element.querySelectorAll('.audio-zone-cell').forEach(cell => {
+                cell.addEventListener('change', () => updateAudioZoneSchedule(zoneId, {
+                    prayer_name: cell.dataset.prayer,
+                    day_of_week: parseInt(cell.dataset.day, 10),
+                    enabled: cell.checked
+                }));
+            });
+            // Clicking a prayer name switches it for the whole week
+            element.querySelectorAll('.audio-zone-prayer').forEach(label => {
+                label.addEventListener('click', () => {
+                    const cells = element.querySelectorAll(`.audio-zone-cell[data-prayer="${label.dataset.prayer}"]`);
+                    const enabled = Array.from(cells).some(cell => !cell.checked);
+                    updateAudioZoneSchedule(zoneId, { prayer_name: label.dataset.prayer, enabled });
+                });
+            });
+        });
+    } catch (error) {
+        console.error('Error loading audio zones:', error);
+        container.innerHTML = '<span class="help-text">Error loading audio zones</span>';
+    }
+}
+
+// Send a zone request and show the zones again
+async function sendAudioZoneRequest(url, method, body = null) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+    } catch (error) {
+        alert('Error updating audio zones: ' + error.message);
+    }
+    loadAudioZones();
+}
+
+// New zones play on the first audio card, or on the network when the server has none
+async function addAudioZone() {
+    const name = prompt('Zone name (e.g. Main hall, Outside):');
+    if (!name || !name.trim()) {
+        return;
+    }
+    const output = audioDevices.length > 0 ? { type: 'alsa', device: audioDevices[0].id } : { type: 'rtp' };
+    await sendAudioZoneRequest(`${API_BASE}/api/audio-zones`, 'POST', { name: name.trim(), ...output });
+}
+
+function updateAudioZone(zoneId, changes) {
+    return sendAudioZoneRequest(`${API_BASE}/api/audio-zones/${zoneId}`, 'PUT', changes);
+}
+
+function updateAudioZoneSchedule(zoneId, cell) {
+    return sendAudioZoneRequest(`${API_BASE}/api/audio-zones/${zoneId}/schedule`, 'POST', cell);
+}
+
+async function deleteAudioZone(zoneId) {
+    if (!confirm('Remove this audio zone?')) {
+        return;
+    }
+    await sendAudioZoneRequest(`${API_BASE}/api/audio-zones/${zoneId}`, 'DELETE');
+}
+
+// Show the audio players of the server, installed or not, and what the one in use does not support
+async function loadAudioBackends() {
+    try {
+        const data = await fetch(`${API_BASE}/api/audio/backends`).then(r => r.json());
+        const active = data.backends.find(backend => backend.id === data.active);
+        const select = document.getElementById('audioBackend');
+        select.innerHTML = `<option value="auto">Auto-detect${data.selected === 'auto' && active ? ` (${escapeHtml(active.name)})` : ''}</option>` +
+            data.backends.map(backend => `<option value="${backend.id}" ${backend.installed ? '' : 'disabled'}>
+                ${escapeHtml(backend.name)}${backend.installed ? '' : ' (not installed)'}</option>`).join('');
+        select.value = data.selected;
+
+        let info = '';
+        if (!active) {
+            info = '<br>⚠️ No audio player installed on the server';
+        } else if (data.selected !== 'auto' && data.active !== data.selected) {
+            info = `<br>⚠️ Not available for this output, ${escapeHtml(active.name)} is used`;
+        } else if (active.limits) {
+            info = `<br>ℹ️ ${escapeHtml(active.limits)}`;
+        }
+        document.getElementById('audioBackendInfo').innerHTML = info;
+    } catch (error) {
+        console.error('Error loading audio players:', error);
+    }
+}
+
+async function updateAudioBackend(backend) {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key: 'audio_backend', value: backend })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+    } catch (error) {
+        alert('Error updating audio player: ' + error.message);
+    }
+    loadAudioBackends();
+    loadAudioSupport();
+}
+
+// Show the address of the live stream and its listeners
+async function loadLiveStream() {
+    try {
+        const data = await fetch(`${API_BASE}/api/stream`).then(r => r.json());
+        document.getElementById('liveStreamInfo').innerHTML = data.enabled
+            ? `<br>📡 <a href="${data.url}" target="_blank">${data.url}</a> - ${data.listeners} listener(s)`
+            : '';
+    } catch (error) {
+        console.error('Error loading live stream status:', error);
+    }
+}
+
+async function updateLiveStream(enabled) {
+    await toggleSetting('live_stream', enabled);
+    loadLiveStream();
+}
+
+// Save audio_preemption or duck_volume, and use it for the playback of this page too
+async function updatePreemptionSetting(key, value) {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key, value })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+        if (key === 'audio_preemption') {
+            audioPreemption.mode = value;
+        } else {
+            audioPreemption.duckVolume = parseInt(value, 10) / 100;
+        }
+    } catch (error) {
+        alert('Error updating playback priority setting: ' + error.message);
+    }
+}
+
+// Pause, resume, stop or seek the server playback
+async function sendServerAudioCommand(action, body = {}) {
+    try {
+        const response = await fetch(`${API_BASE}/api/audio/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+    } catch (error) {
+        alert(`Error (${action}): ` + error.message);
+    }
+    loadNowPlaying();
+}
+
 // Load available Quran files
 async function loadQuranFiles() {
     try {
@@ -3190,6 +5150,183 @@ async function loadQuranFiles() {
     }
 }
 
+// Format a duration in seconds as m:ss
+function formatAudioDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return '?';
+    }
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Format a file size in bytes as KB/MB
+function formatAudioSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Loudness column: measured loudness and the gain applied, e.g. "-21.3 LUFS (+5.3 dB)"
+function formatAudioLoudness(entry) {
+    if (!entry.loudness) {
+        return 'Not analyzed';
+    }
+    if (entry.loudness.error || entry.loudness.lufs === null) {
+        return '⚠️ Analysis failed';
+    }
+    const gain = entry.level.gain_db;
+    return `${entry.loudness.lufs} LUFS${gain !== 0 ? ` (${gain > 0 ? '+' : ''}${gain} dB)` : ''}`;
+}
+
+function formatAudioLoudnessDetails(entry) {
+    if (!entry.loudness) {
+        return 'Waiting for the loudness analysis';
+    }
+    if (entry.loudness.error) {
+        return entry.loudness.error;
+    }
+    const { peak_db: peak, rms_db: rms, silence_start: silenceStart, silence_end: silenceEnd } = entry.loudness;
+    return `Peak ${peak} dB, RMS ${rms} dB, silence ${silenceStart}s at the start and ${silenceEnd}s at the end`;
+}
+
+// Save a loudness setting and reload the levels used by the web app
+async function updateLoudnessSetting(key, value) {
+    try {
+        const response = await fetch(`${API_BASE}/api/settings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key, value })
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Unknown error');
+        }
+        loadAudioLevels();
+        loadAudioLibrary();
+    } catch (error) {
+        alert('Error updating loudness setting: ' + error.message);
+    }
+}
+
+// Load the files of the selected audio library folder
+async function loadAudioLibrary() {
+    const category = document.getElementById('audioLibraryCategory').value;
+    const container = document.getElementById('audioLibraryFiles');
+    try {
+        const data = await fetch(`${API_BASE}/api/audio-library/${category}`).then(r => r.json());
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        document.getElementById('audioLibraryUploadBtn').textContent = `📤 Upload audio file (max ${data.max_size_mb} MB)`;
+        if (data.files.length === 0) {
+            container.innerHTML = '<span class="help-text">No audio files in this folder</span>';
+            return;
+        }
+
+        container.innerHTML = `
+            <strong>File</strong><strong>Length</strong><strong>Size</strong><strong>Loudness</strong><strong>Used by</strong><span></span><span></span>
+            ${data.files.map(entry => `
+                <span title="${entry.file}">${entry.decodable ? '' : '⚠️ '}${getAudioDisplayName(entry.file)}</span>
+                <span>${formatAudioDuration(entry.duration)}</span>
+                <span>${formatAudioSize(entry.size)}</span>
+                <span class="audio-library-in-use" title="${formatAudioLoudnessDetails(entry)}">${formatAudioLoudness(entry)}</span>
+                <span class="audio-library-in-use">${entry.used_by.length > 0 ? entry.used_by.join(', ') : '-'}</span>
+                <button class="btn audio-library-rename-btn" data-file="${entry.file}" title="Rename">✏️</button>
+                <button class="btn audio-library-delete-btn" data-file="${entry.file}"
+                    title="${entry.used_by.length > 0 ? 'In use, cannot be deleted' : 'Delete'}" ${entry.used_by.length > 0 ? 'disabled' : ''}>🗑️</button>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.audio-library-rename-btn').forEach(button => {
+            button.addEventListener('click', () => renameAudioLibraryFile(category, button.dataset.file));
+        });
+        container.querySelectorAll('.audio-library-delete-btn').forEach(button => {
+            button.addEventListener('click', () => deleteAudioLibraryFile(category, button.dataset.file));
+        });
+    } catch (error) {
+        console.error('Error loading audio library:', error);
+        container.innerHTML = '<span class="help-text">Error loading audio files</span>';
+    }
+}
+
+// Refresh the library and every file selector after a change
+function refreshAudioFileSelectors() {
+    loadAudioLibrary();
+    loadAudioLevels();
+    loadAudioFiles();
+    loadQuranFiles();
+    loadAlertSounds();
+    loadPrayerConfig();
+    loadIslamicEvents();
+}
+
+// Upload a file to the selected audio library folder
+async function uploadAudioLibraryFile(file) {
+    const category = document.getElementById('audioLibraryCategory').value;
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const button = document.getElementById('audioLibraryUploadBtn');
+    button.disabled = true;
+    button.textContent = '⏳ Uploading...';
+    try {
+        const response = await fetch(`${API_BASE}/api/audio-library/${category}`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Unknown error');
+        }
+        alert(`${data.file} uploaded successfully`);
+    } catch (error) {
+        alert('Error uploading audio file: ' + error.message);
+    } finally {
+        button.disabled = false;
+        refreshAudioFileSelectors();
+    }
+}
+
+// Rename a file of the audio library (references follow the new name)
+async function renameAudioLibraryFile(category, file) {
+    const name = prompt('New file name:', file);
+    if (!name || name === file) {
+        return;
+    }
+    try {
+        const response = await fetch(`${API_BASE}/api/audio-library/${category}/${encodeURIComponent(file)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Unknown error');
+        }
+        refreshAudioFileSelectors();
+    } catch (error) {
+        alert('Error renaming audio file: ' + error.message);
+    }
+}
+
+// Delete a file of the audio library
+async function deleteAudioLibraryFile(category, file) {
+    if (!confirm(`Delete ${file}? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        const response = await fetch(`${API_BASE}/api/audio-library/${category}/${encodeURIComponent(file)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.used_by ? `${data.error} (${data.used_by.join(', ')})` : (data.error || 'Unknown error'));
+        }
+        refreshAudioFileSelectors();
+    } catch (error) {
+        alert('Error deleting audio file: ' + error.message);
+    }
+}
+
 // Initialize Friday Quran time dropdowns
 function initializeFridayQuranTime() {
     // Populate hours (06-21)
@@ -3218,6 +5355,11 @@ function initializeFridayQuranTime() {
 }
 
 // Get the display name for a prayer
+// Name shown for a prayer row: "Jumu'ah" replaces Dohr on Fridays when Jumu'ah mode is enabled
+function getPrayerDisplayName(prayer) {
+    return prayer.display_name || getPrayerName(prayer.prayer_name);
+}
+
 function getPrayerName(name) {
     const names = {
         'Fajr | Sobh': 'Fajr | Sobh',
@@ -3226,10 +5368,15 @@ function getPrayerName(name) {
         'Maghrib': 'Maghrib',
         'Isha': 'Isha',
         'Sunrise': 'Sunrise',
+        'Imsak': 'Imsak',
+        'Duha': 'Duha',
+        'Midnight': 'Midnight',
         'Sunset': 'Sunset',
         '🌅 Sunrise': 'Sunrise',
         '🌄 Sunset': 'Sunset',
-        'Tahajjud': 'Tahajjud',
+        'Tahajjud': 'Last third (Tahajjud)',
+        'Suhoor': 'Suhoor',
+        'Taraweeh': 'Taraweeh',
         'Qiyam': 'Qiyam'
     };
     return names[name] || name;
@@ -8,8 +8,19 @@ const Database = require('better-sqlite3');
 const axios = require('axios');
 const ical = require('ical');
 const player = require('play-sound')({});
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
+const multer = require('multer');
 const os = require('os');
+const prayerCalc = require('./lib/prayer-calc');
+const timetable = require('./lib/timetable');
+const { parseCsv, formatCsvRow } = require('./lib/csv');
+const hijriCalendar = require('./lib/hijri');
+const islamicEvents = require('./lib/islamic-events');
+const timezones = require('./lib/timezone');
+const { createAudioEngine, PREEMPTION_MODES, RESUMABLE_TYPES } = require('./lib/audio-engine');
+const { createAudioStream, PCM_OUTPUT_ARGS } = require('./lib/audio-stream');
+const { createRtpSender, getRtpSoxOutputArgs, validateRtpConfig, RTP_DEFAULTS } = require('./lib/rtp-output');
+const { PLAYER_BACKENDS, isPulseDevice, getOutputTarget, describeOutputTarget, detectPlayerBackends, needsVolumeControl, selectPlayerBackend } = require('./lib/player-backends');
 
 const app = express();
 const PORT = 7777;
@@ -32,6 +43,29 @@ function logWarn(...args) {
     console.warn(`[${getTimestamp()}] WARN:`, ...args);
 }
 
+// Options shared by the audio engines of the default output and of each audio zone
+const audioEngineOptions = {
+    log,
+    logError,
+    // A Quran or event program preempted by a higher priority sound is paused or ducked (audio_preemption)
+    getPreemption: () => ({
+        mode: getSetting('audio_preemption', 'pause'),
+        duckVolume: parseInt(getSetting('duck_volume', '20'), 10) / 100
+    })
+};
+
+// Owner of the playback on the default output (one sound at a time by priority, now-playing state and transport controls)
+// Audio zones have their own engine (see AUDIO ZONES)
+const audioEngine = createAudioEngine(audioEngineOptions);
+
+// Live stream (/stream.mp3): its own engine decodes the sounds for the stream mixer
+const streamEngine = createAudioEngine(audioEngineOptions);
+const audioStream = createAudioStream({ log, logError });
+
+// Players installed on the server (detected at startup and again by /api/audio/backends and /api/audio-support)
+let installedPlayerBackends = detectPlayerBackends();
+log(`🔊 Audio players found: ${installedPlayerBackends.join(', ') || 'none'}`);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -106,6 +140,124 @@ db.exec(`
         CHECK(day_of_week >= 0 AND day_of_week <= 6)
     );
 
+    CREATE TABLE IF NOT EXISTS timetable (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        prayer_name TEXT NOT NULL,
+        prayer_time TEXT NOT NULL,
+        iqama_time TEXT DEFAULT NULL,
+        UNIQUE(date, prayer_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS prayer_config (
+        prayer_name TEXT PRIMARY KEY,
+        display_offset INTEGER DEFAULT 0,
+        athan_offset INTEGER DEFAULT 0,
+        iqama_mode TEXT DEFAULT 'none',
+        iqama_offset INTEGER DEFAULT 10,
+        iqama_time TEXT DEFAULT NULL,
+        catchup_grace INTEGER DEFAULT 5,
+        audio_file TEXT DEFAULT NULL,
+        volume INTEGER DEFAULT NULL,
+        reminder_file TEXT DEFAULT NULL,
+        reminder_offset INTEGER DEFAULT 5,
+        reminder_volume INTEGER DEFAULT NULL,
+        dua_file TEXT DEFAULT NULL,
+        dua_delay INTEGER DEFAULT 0,
+        dua_volume INTEGER DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS prayer_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        prayer_name TEXT NOT NULL,
+        prayer_time TEXT DEFAULT NULL,
+        athan_disabled INTEGER DEFAULT 0,
+        note TEXT DEFAULT NULL,
+        UNIQUE(date, prayer_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS jumuah_slots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_adhan_time TEXT DEFAULT NULL,
+        athan_time TEXT NOT NULL,
+        khutbah_time TEXT DEFAULT NULL,
+        iqama_time TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS audio_zones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        device TEXT NOT NULL,
+        volume INTEGER DEFAULT 100,
+        enabled INTEGER DEFAULT 1,
+        type TEXT DEFAULT 'alsa',
+        rtp_address TEXT DEFAULT NULL,
+        rtp_port INTEGER DEFAULT NULL,
+        rtp_codec TEXT DEFAULT NULL,
+        rtp_ptime INTEGER DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS audio_zone_schedule (
+        zone_id INTEGER NOT NULL,
+        prayer_name TEXT NOT NULL,
+        day_of_week INTEGER NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        PRIMARY KEY (zone_id, prayer_name, day_of_week),
+        CHECK(day_of_week >= 0 AND day_of_week <= 6)
+    );
+
+    CREATE TABLE IF NOT EXISTS islamic_events (
+        event_id TEXT PRIMARY KEY,
+        enabled INTEGER DEFAULT 1,
+        reminder INTEGER DEFAULT 0,
+        audio_file TEXT DEFAULT NULL,
+        audio_time TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS islamic_event_trigger (
+        id INTEGER PRIMARY KEY,
+        should_play INTEGER DEFAULT 0,
+        kind TEXT DEFAULT NULL,
+        message TEXT DEFAULT NULL,
+        audio_file TEXT DEFAULT NULL,
+        last_played_date TEXT DEFAULT NULL,
+        last_played_time TEXT DEFAULT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS athan_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        date TEXT NOT NULL,
+        prayer_name TEXT NOT NULL,
+        athan_index INTEGER NOT NULL DEFAULT 0,
+        trigger_time TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        reason TEXT DEFAULT NULL,
+        delay_seconds INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS audio_analysis (
+        category TEXT NOT NULL,
+        file TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        mtime REAL NOT NULL,
+        duration REAL DEFAULT NULL,
+        peak_db REAL DEFAULT NULL,
+        rms_db REAL DEFAULT NULL,
+        lufs REAL DEFAULT NULL,
+        silence_start REAL DEFAULT 0,
+        silence_end REAL DEFAULT 0,
+        analyzed_at TEXT NOT NULL,
+        error TEXT DEFAULT NULL,
+        PRIMARY KEY (category, file)
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduler_state (
+        id INTEGER PRIMARY KEY,
+        last_heartbeat TEXT DEFAULT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS prayer_checks (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         date TEXT NOT NULL,
@@ -119,6 +271,15 @@ db.exec(`
 // Initialize friday_quran_trigger
 db.prepare('INSERT OR IGNORE INTO friday_quran_trigger (id, should_play, last_played_date, last_played_time) VALUES (1, 0, NULL, NULL)').run();
 
+// Initialize islamic_event_trigger (browser playback of event reminders and audio)
+db.prepare('INSERT OR IGNORE INTO islamic_event_trigger (id, should_play) VALUES (1, 0)').run();
+
+// Initialize the Islamic events configuration (all shown, except the weekly Monday/Thursday fasts)
+const initIslamicEvent = db.prepare('INSERT OR IGNORE INTO islamic_events (event_id, enabled) VALUES (?, ?)');
+Object.keys(islamicEvents.ISLAMIC_EVENTS).forEach(eventId => {
+    initIslamicEvent.run(eventId, eventId === 'monday_thursday' ? 0 : 1);
+});
+
 // Initialize default settings
 const initSettings = db.prepare('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)');
 initSettings.run('ics_url', 'https://prayerwebcal.dsultan.com/ics/La_Mecque/cq=0:csr=0:ct=0:ee=0:qs=0:srs=0:ss=0:sus=0:ts=0:tz=Asia%2FRiyadh:x=21.421:y=39.827');
@@ -132,8 +293,62 @@ initSettings.run('friday_quran_enabled', '0'); // Friday Quran recitation
 initSettings.run('friday_quran_time', '07:00'); // Default time 7:00 AM
 initSettings.run('friday_quran_file', 'Sourat Al Kahf - Hani Arrifai.mp3'); // Default Quran audio file
 initSettings.run('dark_mode', '0'); // Dark mode disabled by default
-initSettings.run('fajr_volume', '50'); // Default Fajr volume at 50% (same as main volume)
-initSettings.run('sync_fajr_volume', '0'); // Sync Fajr volume disabled by default (independent volume)
+initSettings.run('timezone', 'auto'); // Installation timezone: 'auto' (from the ICS link, else the system) or an IANA name
+// prayer_source (a single provider) became the prayer_providers chain: migrated once, then removed
+const legacyPrayerSource = db.prepare('SELECT value FROM settings WHERE key = ?').get('prayer_source');
+if (legacyPrayerSource) {
+    if (['ics', 'calculation'].includes(legacyPrayerSource.value)) {
+        initSettings.run('prayer_providers', legacyPrayerSource.value);
+    }
+    db.prepare('DELETE FROM settings WHERE key = ?').run('prayer_source');
+}
+initSettings.run('prayer_providers', 'ics'); // Ordered provider chain (comma separated): 'ics', 'timetable', 'calculation'
+initSettings.run('calc_latitude', '21.421'); // Calculation location (default: Makkah, same as the default ICS URL)
+initSettings.run('calc_longitude', '39.827');
+initSettings.run('calc_method', 'Makkah'); // Options: MWL, ISNA, Egypt, Makkah (Umm al-Qura), UOIF, Karachi, Custom
+initSettings.run('calc_asr_method', 'shafii'); // Options: 'shafii' (standard), 'hanafi'
+initSettings.run('calc_high_lat_rule', 'angle_based'); // Options: none, middle_of_night, one_seventh, angle_based
+initSettings.run('calc_fajr_angle', '18'); // Custom method only
+initSettings.run('calc_isha_angle', '17'); // Custom method only
+initSettings.run('calc_isha_interval', '0'); // Custom method only: minutes after Maghrib (0 = use Isha angle)
+initSettings.run('timetable_columns', ''); // JSON column mapping of the uploaded timetable (empty = guessed from headers)
+initSettings.run('timetable_filename', ''); // Name of the last imported timetable file
+initSettings.run('iqama_sound', ''); // Iqama alert file from audio/alerts (empty = no iqama sound)
+initSettings.run('jumuah_enabled', '0'); // Replace Friday Dohr with the Jumu'ah slots
+initSettings.run('imsak_offset', '10'); // Imsak: minutes before Fajr
+initSettings.run('duha_offset', '20'); // Duha: minutes after Sunrise
+initSettings.run('alert_sound_imsak', ''); // Extra time alerts from audio/alerts (empty = no alert)
+initSettings.run('alert_sound_sunrise', ''); // e.g. "Fajr ends" warning
+initSettings.run('alert_sound_duha', '');
+initSettings.run('alert_sound_midnight', '');
+initSettings.run('alert_sound_tahajjud', ''); // Wake-up for the last third of the night
+initSettings.run('hijri_method', 'umalqura'); // Options: 'umalqura', 'tabular'
+initSettings.run('hijri_adjustment', '0'); // Local moon sighting: -2 to +2 days
+initSettings.run('ramadan_mode', 'auto'); // Options: 'auto' (Hijri calendar), 'manual' (ramadan_start..ramadan_end), 'off'
+initSettings.run('ramadan_start', ''); // Manual mode: first day of Ramadan (YYYY-MM-DD)
+initSettings.run('ramadan_end', ''); // Manual mode: last day of Ramadan (YYYY-MM-DD)
+initSettings.run('suhoor_offset', '60'); // Suhoor wake-up: minutes before Fajr
+initSettings.run('suhoor_sound', ''); // Suhoor alarm file from audio/alerts (empty = no alarm)
+initSettings.run('suhoor_volume', '50'); // Suhoor alarm volume (0-100), independent of the athan volume
+initSettings.run('taraweeh_enabled', '0'); // Show Taraweeh in the prayer list during Ramadan
+initSettings.run('taraweeh_offset', '20'); // Taraweeh: minutes after the Isha iqama (or Isha when no iqama)
+initSettings.run('taraweeh_sound', ''); // Taraweeh alert file from audio/alerts (empty = no alert)
+// Fades and maximum duration of server and browser playback, per audio type (seconds, 0 = off)
+['athan', 'quran'].forEach(audioType => {
+    initSettings.run(`${audioType}_fade_in`, '0'); // Fade-in at the start
+    initSettings.run(`${audioType}_fade_out`, '0'); // Fade-out at the end (or before the maximum duration)
+    initSettings.run(`${audioType}_ramp`, '0'); // Gradual volume ramp from silence to the full volume
+    initSettings.run(`${audioType}_max_duration`, '0'); // Maximum play duration, ended with a fade-out
+});
+initSettings.run('loudness_normalization', '1'); // Apply the per-file gain measured by the loudness analysis
+initSettings.run('loudness_target', '-16'); // Target loudness (LUFS) of every file
+initSettings.run('silence_trim', '0'); // Skip the leading and trailing silence measured by the analysis
+initSettings.run('audio_preemption', 'pause'); // What happens to a Quran or event program when the athan or an alert plays: pause or duck
+initSettings.run('duck_volume', '20'); // Volume (%) of a ducked program
+initSettings.run('live_stream', '0'); // Publish the server playback as an MP3 stream on /stream.mp3
+initSettings.run('audio_backend', 'auto'); // Server audio player: auto or a PLAYER_BACKENDS id (sox, mpv, ffplay, mpg123, aplay...)
+initSettings.run('event_reminder_time', '20:00'); // Islamic events: reminder time the evening before
+initSettings.run('event_reminder_sound', ''); // Islamic events: reminder file from audio/alerts (empty = notification only)
 
 // Prayer name mapping: WebCal ICS names → Internal database names
 function mapPrayerNameFromWebCal(webCalName) {
@@ -151,15 +366,78 @@ function mapPrayerNameFromWebCal(webCalName) {
 // All prayer enable/disable logic now uses prayer_schedule matrix
 const prayerNames = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
 
-// Initialize prayer schedule (5 prayers × 7 days = 35 entries, all enabled by default)
+// Extra times stored next to the prayers (no athan, optional alert sound): name -> alert sound setting
+// Midnight and Tahajjud (last third of the night) are computed from Maghrib to the next Fajr
+// Suhoor and Taraweeh are only added during Ramadan (computed when the prayers are read, not stored)
+const extraTimes = {
+    'Imsak': 'alert_sound_imsak',
+    'Sunrise': 'alert_sound_sunrise',
+    'Duha': 'alert_sound_duha',
+    'Midnight': 'alert_sound_midnight',
+    'Tahajjud': 'alert_sound_tahajjud',
+    'Suhoor': 'suhoor_sound',
+    'Taraweeh': 'taraweeh_sound'
+};
+const extraTimeNames = Object.keys(extraTimes);
+
+// Initialize prayer schedule (5 prayers + extra times × 7 days, all enabled by default)
 // day_of_week: 0=Monday, 1=Tuesday, 2=Wednesday, 3=Thursday, 4=Friday, 5=Saturday, 6=Sunday
 const initPrayerSchedule = db.prepare('INSERT OR IGNORE INTO prayer_schedule (prayer_name, day_of_week, enabled) VALUES (?, ?, 1)');
 for (let day = 0; day <= 6; day++) {
-    prayerNames.forEach(prayerName => {
+    [...prayerNames, ...extraTimeNames].forEach(prayerName => {
         initPrayerSchedule.run(prayerName, day);
     });
 }
-log('✅ Prayer schedule matrix initialized: 5 prayers × 7 days = 35 entries');
+log(`✅ Prayer schedule matrix initialized: ${prayerNames.length + extraTimeNames.length} prayers and extra times × 7 days = ${(prayerNames.length + extraTimeNames.length) * 7} entries`);
+
+// Add iqama rule columns to prayer_config (installations created before iqama support)
+const prayerConfigTableColumns = db.pragma('table_info(prayer_config)');
+if (!prayerConfigTableColumns.some(col => col.name === 'iqama_mode')) {
+    log('Adding iqama columns to prayer_config table...');
+    db.prepare("ALTER TABLE prayer_config ADD COLUMN iqama_mode TEXT DEFAULT 'none'").run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN iqama_offset INTEGER DEFAULT 10').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN iqama_time TEXT DEFAULT NULL').run();
+}
+if (!prayerConfigTableColumns.some(col => col.name === 'catchup_grace')) {
+    log('Adding catchup_grace column to prayer_config table...');
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN catchup_grace INTEGER DEFAULT 5').run();
+}
+if (!prayerConfigTableColumns.some(col => col.name === 'audio_file')) {
+    log('Adding per-prayer athan audio columns to prayer_config table...');
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN audio_file TEXT DEFAULT NULL').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN volume INTEGER DEFAULT NULL').run();
+}
+if (!prayerConfigTableColumns.some(col => col.name === 'reminder_file')) {
+    log('Adding athan sequence columns (reminder, dua) to prayer_config table...');
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN reminder_file TEXT DEFAULT NULL').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN reminder_offset INTEGER DEFAULT 5').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN reminder_volume INTEGER DEFAULT NULL').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN dua_file TEXT DEFAULT NULL').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN dua_delay INTEGER DEFAULT 0').run();
+    db.prepare('ALTER TABLE prayer_config ADD COLUMN dua_volume INTEGER DEFAULT NULL').run();
+}
+
+// Initialize per-prayer configuration (minute offsets relative to the provider times)
+// display_offset: shifts the stored/displayed time, athan_offset: shifts only the athan trigger
+// iqama_mode: 'none', 'offset' (iqama_offset minutes after the athan), 'fixed' (iqama_time),
+// 'round5' (athan + iqama_offset rounded up to the next 5 minutes), 'timetable' (uploaded timetable iqama)
+// catchup_grace: minutes during which a missed athan (server off, clock jump) is still played late
+// audio_file, volume: athan file (audio/athan) and server volume (0-200) of the prayer, NULL = global audio_file/volume
+// Athan sequence (files from audio/alerts, NULL volume = athan volume of the prayer):
+// reminder_file played reminder_offset minutes before the athan, dua_file played dua_delay seconds after the athan ends
+const initPrayerConfig = db.prepare('INSERT OR IGNORE INTO prayer_config (prayer_name, display_offset, athan_offset) VALUES (?, 0, 0)');
+prayerNames.forEach(prayerName => initPrayerConfig.run(prayerName));
+
+// MIGRATION: the Fajr volume (fajr_volume, used when sync_fajr_volume = 1) became the Fajr prayer_config volume
+const legacyFajrVolume = db.prepare("SELECT key, value FROM settings WHERE key IN ('fajr_volume', 'sync_fajr_volume')").all();
+if (legacyFajrVolume.length > 0) {
+    const legacy = Object.fromEntries(legacyFajrVolume.map(row => [row.key, row.value]));
+    if (legacy.sync_fajr_volume === '1' && legacy.fajr_volume !== undefined) {
+        db.prepare("UPDATE prayer_config SET volume = ? WHERE prayer_name = 'Fajr | Sobh'").run(parseInt(legacy.fajr_volume));
+        log(`✅ Migrated Fajr volume ${legacy.fajr_volume}% to prayer_config`);
+    }
+    db.prepare("DELETE FROM settings WHERE key IN ('fajr_volume', 'sync_fajr_volume')").run();
+}
 
 // Initialize skip_next with migration for new columns
 // First, check if the new columns exist
@@ -180,18 +458,52 @@ if (!hasLastSkippedDate) {
 // Initialize skip_next row
 db.prepare('INSERT OR IGNORE INTO skip_next (id, skip, last_skipped_prayer, last_skipped_date) VALUES (1, 0, NULL, NULL)').run();
 
+// Add provider tracking columns (which provider produced each day)
+const prayersColumns = db.pragma('table_info(prayers)');
+if (!prayersColumns.some(col => col.name === 'source')) {
+    log('Adding source column to prayers table...');
+    db.prepare('ALTER TABLE prayers ADD COLUMN source TEXT DEFAULT NULL').run();
+}
+const updateInfoColumns = db.pragma('table_info(update_info)');
+if (!updateInfoColumns.some(col => col.name === 'provider_summary')) {
+    log('Adding provider_summary column to update_info table...');
+    db.prepare('ALTER TABLE update_info ADD COLUMN provider_summary TEXT DEFAULT NULL').run();
+}
+const audioZonesColumns = db.pragma('table_info(audio_zones)');
+if (!audioZonesColumns.some(col => col.name === 'type')) {
+    log('Adding RTP output columns to audio_zones table...');
+    db.prepare("ALTER TABLE audio_zones ADD COLUMN type TEXT DEFAULT 'alsa'").run();
+    db.prepare('ALTER TABLE audio_zones ADD COLUMN rtp_address TEXT DEFAULT NULL').run();
+    db.prepare('ALTER TABLE audio_zones ADD COLUMN rtp_port INTEGER DEFAULT NULL').run();
+    db.prepare('ALTER TABLE audio_zones ADD COLUMN rtp_codec TEXT DEFAULT NULL').run();
+    db.prepare('ALTER TABLE audio_zones ADD COLUMN rtp_ptime INTEGER DEFAULT NULL').run();
+}
+
 // Initialize update_info
 db.prepare('INSERT OR IGNORE INTO update_info (id, last_update, prayers_count, city_name, next_update) VALUES (1, NULL, 0, NULL, NULL)').run();
 
 // State variables for scheduled jobs
 let scheduledJobs = [];
-let currentAudioPlayer = null;
-let currentAudioType = null; // Track what type of audio is playing: 'quran', 'athan', 'startup', 'test', null
 let fridayQuranJob = null;
+let islamicEventJobs = [];
 
 // System time tracking for drift detection
 let lastSystemTime = Date.now();
 
+// Last time the previous server run was known alive (heartbeat written every minute and on shutdown):
+// athans between this moment and the startup were missed while the server was off
+db.prepare('INSERT OR IGNORE INTO scheduler_state (id, last_heartbeat) VALUES (1, NULL)').run();
+const previousHeartbeat = db.prepare('SELECT last_heartbeat FROM scheduler_state WHERE id = 1').get().last_heartbeat;
+
+// Heartbeat of this run: written once a minute (by the drift detector) to spare the SD card, and on shutdown
+const HEARTBEAT_INTERVAL = 60 * 1000;
+let lastHeartbeatWrite = 0;
+
+function writeHeartbeat() {
+    lastHeartbeatWrite = Date.now();
+    db.prepare('UPDATE scheduler_state SET last_heartbeat = ? WHERE id = 1').run(new Date(lastHeartbeatWrite).toISOString());
+}
+
 // Audio support cache to avoid testing during playback
 let audioSupportCache = null;
 let audioSupportCacheTime = 0;
@@ -230,7 +542,308 @@ if (!currentIcsUrl || !currentIcsUrl.value || currentIcsUrl.value.trim() === '')
     log('ICS URL was empty, set to default: La Mecque (Makkah)');
 }
 
+// Read a single value from the settings table (with a fallback when the key is missing)
+function getSetting(key, defaultValue = null) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? row.value : defaultValue;
+}
+
+// Installation timezone and where it comes from: { timezone, source: 'setting' | 'ics' | 'system' }
+// In 'auto' mode, the tz= parameter of the ICS link is used, else the timezone of the system (TZ environment variable).
+// The calculation coordinates are never used as is: a nearest-city guess can be wrong near a border (see getTimezoneSuggestion())
+function resolveTimezone() {
+    const configured = getSetting('timezone', 'auto');
+    if (configured !== 'auto' && timezones.isValidTimezone(configured)) {
+        return { timezone: configured, source: 'setting' };
+    }
+
+    const fromIcs = timezones.extractTimezoneFromIcsUrl(getSetting('ics_url', ''));
+    if (fromIcs) {
+        return { timezone: fromIcs, source: 'ics' };
+    }
+    return { timezone: systemTimezone, source: 'system' };
+}
+
+// Timezone guessed from the calculation coordinates, shown as a suggestion in the settings when the
+// timezone is not set manually and differs from it (null otherwise)
+function getTimezoneSuggestion(resolved = resolveTimezone()) {
+    if (resolved.source === 'setting' || !getProviderChain().includes('calculation')) {
+        return null;
+    }
+    const guess = timezones.guessTimezoneFromLocation(getSetting('calc_latitude', ''), getSetting('calc_longitude', ''));
+    return guess && guess !== resolved.timezone ? guess : null;
+}
+
+function getTimezone() {
+    return resolveTimezone().timezone;
+}
+
+// Timezone of the system at startup (before the installation timezone is applied)
+const systemTimezone = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Apply the installation timezone to the process: every Date local getter (formatDateLocal, node-schedule
+// dates, getHours()...) then follows it, including its DST transitions. Returns true when it changed.
+function applyTimezone() {
+    const timezone = getTimezone();
+    if (process.env.TZ === timezone) {
+        return false;
+    }
+    process.env.TZ = timezone;
+    log(`🌍 Installation timezone: ${timezone} (UTC${timezones.formatUtcOffset(timezones.getUtcOffsetMinutes(timezone))})`);
+    return true;
+}
+
+applyTimezone();
+
+// Hijri conversion options from the settings (method and moon sighting adjustment)
+function getHijriOptions() {
+    return {
+        method: getSetting('hijri_method', 'umalqura'),
+        adjustment: parseInt(getSetting('hijri_adjustment', '0')) || 0
+    };
+}
+
+// Ramadan period containing or following a date: manual dates, or the 9th Hijri month in auto mode
+// Returns { start, end } (YYYY-MM-DD) or null when Ramadan mode is off or the manual dates are missing
+function getRamadanPeriod(date) {
+    const mode = getSetting('ramadan_mode', 'auto');
+    if (mode === 'manual') {
+        const start = getSetting('ramadan_start', '');
+        const end = getSetting('ramadan_end', '');
+        return start && end && start <= end ? { start, end } : null;
+    }
+    if (mode !== 'auto') {
+        return null;
+    }
+    const options = getHijriOptions();
+    const hijriDate = hijriCalendar.toHijri(date, options);
+    const days = hijriCalendar.getHijriMonthDays(hijriDate.month > 9 ? hijriDate.year + 1 : hijriDate.year, 9, options);
+    return { start: days[0].date, end: days[days.length - 1].date };
+}
+
+// Whether a date (YYYY-MM-DD) is a day of Ramadan
+function isRamadanDate(date) {
+    if (getSetting('ramadan_mode', 'auto') === 'auto') {
+        return hijriCalendar.toHijri(date, getHijriOptions()).month === 9;
+    }
+    const period = getRamadanPeriod(date);
+    return !!period && period.start <= date && date <= period.end;
+}
+
+// Enabled Islamic events of a date (YYYY-MM-DD) with their reminder and audio configuration
+function getDayEvents(date) {
+    const config = {};
+    db.prepare('SELECT * FROM islamic_events').all().forEach(row => {
+        config[row.event_id] = row;
+    });
+    return islamicEvents.getIslamicEvents(date, hijriCalendar.toHijri(date, getHijriOptions()))
+        .filter(event => config[event.id] && config[event.id].enabled)
+        .map(event => ({
+            ...event,
+            reminder: config[event.id].reminder,
+            audio_file: config[event.id].audio_file,
+            audio_time: config[event.id].audio_time
+        }));
+}
+
+// Shift an HH:MM time by a number of minutes; null when the result leaves the day (times are stored per date)
+function shiftTime(time, minutes) {
+    const [h, m] = time.split(':').map(Number);
+    const total = h * 60 + m + minutes;
+    if (total < 0 || total >= 24 * 60) {
+        return null;
+    }
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Per-prayer configuration indexed by prayer name
+function getPrayerConfig() {
+    const config = {};
+    db.prepare('SELECT * FROM prayer_config').all().forEach(row => {
+        config[row.prayer_name] = row;
+    });
+    return config;
+}
+
+// Date/time at which the athan of a prayer row should fire (prayer time + athan offset)
+function getAthanTriggerTime(prayer, config = getPrayerConfig()) {
+    const triggerTime = new Date(`${prayer.date}T${prayer.prayer_time}:00`);
+    const athanOffset = config[prayer.prayer_name] ? config[prayer.prayer_name].athan_offset : 0;
+    triggerTime.setMinutes(triggerTime.getMinutes() + athanOffset);
+    return triggerTime;
+}
+
+// Jumu'ah slots ordered by athan time (empty when Jumu'ah mode is disabled)
+function getJumuahSlots() {
+    if (getSetting('jumuah_enabled', '0') !== '1') {
+        return [];
+    }
+    return db.prepare('SELECT * FROM jumuah_slots ORDER BY athan_time').all();
+}
+
+// Moments at which the athan of a prayer row plays: the athan trigger time, or every Jumu'ah first adhan and athan
+function getAthanTriggerTimes(prayer, config = getPrayerConfig()) {
+    if (!prayer.jumuah_slots) {
+        return [getAthanTriggerTime(prayer, config)];
+    }
+    const times = [];
+    prayer.jumuah_slots.forEach(slot => {
+        if (slot.first_adhan_time) {
+            times.push(slot.first_adhan_time);
+        }
+        times.push(slot.athan_time);
+    });
+    return times.map(time => new Date(`${prayer.date}T${time}:00`));
+}
+
+// Pre-athan reminder times of a prayer row: reminder_offset minutes before the athan (before the first athan
+// of each slot on Jumu'ah), none when the prayer has no reminder file
+function getReminderTimes(prayer, config = getPrayerConfig()) {
+    const rule = config[prayer.prayer_name];
+    if (!rule || !rule.reminder_file) {
+        return [];
+    }
+    const athanTimes = prayer.jumuah_slots
+        ? prayer.jumuah_slots.map(slot => new Date(`${prayer.date}T${slot.first_adhan_time || slot.athan_time}:00`))
+        : [getAthanTriggerTime(prayer, config)];
+    return athanTimes.map(time => new Date(time.getTime() - rule.reminder_offset * 60000));
+}
+
+// Iqama times (HH:MM) of a prayer row: one per Jumu'ah slot on Fridays
+function getIqamaTimes(prayer) {
+    if (prayer.jumuah_slots) {
+        const slotIqamas = prayer.jumuah_slots.map(slot => slot.iqama_time).filter(Boolean);
+        // Slots without their own iqama fall back to the Dohr iqama rule (first slot only)
+        return slotIqamas.length > 0 ? slotIqamas : (prayer.iqama_time ? [prayer.iqama_time] : []);
+    }
+    return prayer.iqama_time ? [prayer.iqama_time] : [];
+}
+
+// Iqama time (HH:MM) of a prayer row according to its iqama rule, or null when no iqama is configured
+// (or when an offset iqama would fall after midnight)
+// timetableIqama is the iqama column of the uploaded timetable for that date (if any)
+function computeIqamaTime(prayer, config = getPrayerConfig(), timetableIqama = null) {
+    const rule = config[prayer.prayer_name];
+    if (!rule || !rule.iqama_mode || rule.iqama_mode === 'none') {
+        return null;
+    }
+
+    const offset = Number.isInteger(rule.iqama_offset) ? rule.iqama_offset : 10;
+    const afterAthan = shiftTime(prayer.prayer_time, offset);
+
+    if (rule.iqama_mode === 'round5') {
+        if (!afterAthan) {
+            return null;
+        }
+        const [h, m] = afterAthan.split(':').map(Number);
+        return shiftTime('00:00', Math.ceil((h * 60 + m) / 5) * 5);
+    }
+    // A fixed or timetable iqama that would come before the athan falls back to the offset rule
+    if (rule.iqama_mode === 'fixed' && rule.iqama_time && rule.iqama_time >= prayer.prayer_time) {
+        return rule.iqama_time;
+    }
+    if (rule.iqama_mode === 'timetable' && timetableIqama && timetableIqama >= prayer.prayer_time) {
+        return timetableIqama;
+    }
+    return afterAthan;
+}
+
+// Prayers of one or several dates with the date-specific overrides applied, ordered by date and time
+// Overridden rows keep the provider time in original_time; athan_disabled marks dates without athan
+function getEffectivePrayers(dates, names = null) {
+    const dateList = Array.isArray(dates) ? dates : [dates];
+    const placeholders = dateList.map(() => '?').join(', ');
+    const prayers = db.prepare(`SELECT * FROM prayers WHERE date IN (${placeholders})`).all(...dateList);
+    const overrides = db.prepare(`SELECT * FROM prayer_overrides WHERE date IN (${placeholders})`).all(...dateList);
+
+    overrides.forEach(override => {
+        let prayer = prayers.find(p => p.date === override.date && p.prayer_name === override.prayer_name);
+        if (!prayer) {
+            if (!override.prayer_time) {
+                return;
+            }
+            // Override for a day the providers did not fill
+            prayer = { date: override.date, prayer_name: override.prayer_name, prayer_time: override.prayer_time, source: 'override' };
+            prayers.push(prayer);
+        } else if (override.prayer_time && override.prayer_time !== prayer.prayer_time) {
+            prayer.original_time = prayer.prayer_time;
+            prayer.prayer_time = override.prayer_time;
+        }
+        prayer.override_id = override.id;
+        prayer.athan_disabled = override.athan_disabled;
+        prayer.override_note = override.note;
+    });
+
+    // Jumu'ah: Friday Dohr takes the time of the first slot (unless a date override sets another time)
+    const jumuahSlots = getJumuahSlots();
+    if (jumuahSlots.length > 0) {
+        prayers.forEach(prayer => {
+            const overrideTime = overrides.some(o => o.date === prayer.date && o.prayer_name === prayer.prayer_name && o.prayer_time);
+            if (prayer.prayer_name !== 'Dohr' || overrideTime || new Date(`${prayer.date}T00:00:00`).getDay() !== 5) {
+                return;
+            }
+            prayer.prayer_time = jumuahSlots[0].athan_time;
+            prayer.display_name = "Jumu'ah";
+            prayer.jumuah_slots = jumuahSlots;
+        });
+    }
+
+    // Iqama times of the main prayers (computed after overrides so they follow the effective time)
+    const config = getPrayerConfig();
+    const timetableIqamas = db.prepare(`SELECT date, prayer_name, iqama_time FROM timetable WHERE iqama_time IS NOT NULL AND date IN (${placeholders})`).all(...dateList);
+    prayers.forEach(prayer => {
+        if (!prayerNames.includes(prayer.prayer_name)) {
+            return;
+        }
+        const timetableRow = timetableIqamas.find(t => t.date === prayer.date && t.prayer_name === prayer.prayer_name);
+        prayer.iqama_time = (prayer.jumuah_slots && prayer.jumuah_slots[0].iqama_time)
+            || computeIqamaTime(prayer, config, timetableRow ? timetableRow.iqama_time : null);
+    });
+
+    // Ramadan: Suhoor wake-up before Fajr and optional Taraweeh after the Isha iqama
+    const ramadanDates = dateList.filter(isRamadanDate);
+    if (ramadanDates.length > 0) {
+        const suhoorOffset = parseInt(getSetting('suhoor_offset', '60')) || 0;
+        const taraweehOffset = getSetting('taraweeh_enabled', '0') === '1' ? parseInt(getSetting('taraweeh_offset', '20')) || 0 : null;
+        ramadanDates.forEach(date => {
+            const dayPrayers = prayers.filter(p => p.date === date);
+            const fajr = dayPrayers.find(p => p.prayer_name === 'Fajr | Sobh');
+            const isha = dayPrayers.find(p => p.prayer_name === 'Isha');
+            dayPrayers.forEach(prayer => { prayer.ramadan = true; });
+
+            // Left out when they would fall on another day
+            const suhoorTime = fajr ? shiftTime(fajr.prayer_time, -suhoorOffset) : null;
+            if (suhoorTime) {
+                prayers.push({ date, prayer_name: 'Suhoor', prayer_time: suhoorTime, source: 'ramadan', ramadan: true });
+            }
+            const taraweehTime = isha && taraweehOffset !== null ? shiftTime(isha.iqama_time || isha.prayer_time, taraweehOffset) : null;
+            if (taraweehTime) {
+                prayers.push({ date, prayer_name: 'Taraweeh', prayer_time: taraweehTime, source: 'ramadan', ramadan: true });
+            }
+        });
+    }
+
+    return prayers
+        .filter(p => !names || names.includes(p.prayer_name))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.prayer_time.localeCompare(b.prayer_time));
+}
+
+// Next main prayer strictly after the given moment (today, else the first one tomorrow)
+function getNextMainPrayer(now = new Date()) {
+    const currentDate = formatDateLocal(now);
+    const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const tomorrowDate = formatDateLocal(tomorrow);
+
+    const prayers = getEffectivePrayers([currentDate, tomorrowDate], prayerNames);
+    return prayers.find(p => p.date === currentDate && p.prayer_time > currentTime)
+        || prayers.find(p => p.date === tomorrowDate)
+        || null;
+}
+
 // Utility function to format date as YYYY-MM-DD using local time (avoiding timezone issues)
+// Local time is the installation timezone (see applyTimezone())
 function formatDateLocal(date) {
     return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
@@ -284,62 +897,292 @@ function getNextUpdateTime() {
     return next.toISOString();
 }
 
-// Fetch prayer times from the ICS feed
-async function fetchPrayerTimes() {
-    try {
-        const urlRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('ics_url');
-        const icsUrl = urlRow.value;
+// Download the ICS feed and convert its events into prayer rows between two dates (inclusive)
+async function fetchIcsPrayerRows(fromStr, toStr) {
+    const icsUrl = getSetting('ics_url', '');
+
+    log('Fetching prayer times from:', icsUrl);
+
+    const response = await axios.get(icsUrl);
+    const events = ical.parseICS(response.data);
+
+    const rows = [];
+    for (let k in events) {
+        if (events.hasOwnProperty(k)) {
+            const ev = events[k];
+            if (ev.type === 'VEVENT') {
+                const webCalPrayerName = ev.summary;
+                // Map WebCal name to internal database name
+                const prayerName = mapPrayerNameFromWebCal(webCalPrayerName);
+                const prayerTime = new Date(ev.start);
+                const date = formatDateLocal(prayerTime);
+                const time = prayerTime.toTimeString().split(' ')[0].substring(0, 5);
+
+                if (date >= fromStr && date <= toStr) {
+                    rows.push({ date, prayer_name: prayerName, prayer_time: time });
+                }
+            }
+        }
+    }
+
+    return { rows, cityName: extractCityFromIcsUrl(icsUrl) };
+}
+
+// Read the offline calculation settings from the database
+function getCalculationSettings() {
+    return {
+        latitude: getSetting('calc_latitude', ''),
+        longitude: getSetting('calc_longitude', ''),
+        timezone: getTimezone(),
+        method: getSetting('calc_method', 'MWL'),
+        asrMethod: getSetting('calc_asr_method', 'shafii'),
+        highLatRule: getSetting('calc_high_lat_rule', 'angle_based'),
+        fajrAngle: getSetting('calc_fajr_angle', '18'),
+        ishaAngle: getSetting('calc_isha_angle', '17'),
+        ishaInterval: getSetting('calc_isha_interval', '0')
+    };
+}
+
+// Compute prayer rows between two dates (inclusive) with the offline astronomical engine
+function calculatePrayerRows(fromStr, toStr) {
+    const settings = getCalculationSettings();
+    log(`Calculating prayer times offline (method: ${settings.method}, lat: ${settings.latitude}, lng: ${settings.longitude}, tz: ${settings.timezone})`);
+
+    const rows = [];
+    const day = new Date(`${fromStr}T12:00:00`);
+    while (formatDateLocal(day) <= toStr) {
+        rows.push(...prayerCalc.calculatePrayerTimes(formatDateLocal(day), settings));
+        day.setDate(day.getDate() + 1);
+    }
+
+    // Times moved to stay on their own day (Isha after midnight in summer at high latitudes)
+    const adjusted = rows.filter(row => row.adjustment);
+    if (adjusted.length > 0) {
+        logWarn(`[calculation] ${adjusted.length} Fajr/Isha time(s) would cross midnight (first on ${adjusted[0].date}): `
+            + 'one seventh of the night used instead. A method with smaller angles avoids it');
+    }
+
+    const cityName = `Calculated (${parseFloat(settings.latitude).toFixed(3)}, ${parseFloat(settings.longitude).toFixed(3)})`;
+    return { rows, cityName };
+}
+
+// The settings panel saves the calculation settings one key at a time: recompute once, shortly after the last one
+let calculationRefreshTimer = null;
+
+function scheduleCalculationRefresh() {
+    clearTimeout(calculationRefreshTimer);
+    calculationRefreshTimer = setTimeout(() => {
+        calculationRefreshTimer = null;
+        log('🧮 Calculation settings changed, recomputing prayer times');
+        fetchPrayerTimes();
+    }, 2000);
+}
+
+// Read uploaded mosque timetable rows between two dates (inclusive)
+async function fetchTimetablePrayerRows(fromStr, toStr) {
+    const rows = db.prepare('SELECT date, prayer_name, prayer_time FROM timetable WHERE date >= ? AND date <= ? ORDER BY date, prayer_time')
+        .all(fromStr, toStr);
+    const filename = getSetting('timetable_filename', '');
+    return { rows, cityName: filename ? `Timetable (${filename})` : 'Mosque timetable' };
+}
+
+// Prayer-time providers: each one returns { rows, cityName } for a date range (inclusive)
+// Rows use the internal prayer names; days a provider cannot fill are taken from the next provider
+const prayerProviders = {
+    ics: { label: 'ICS link', fetch: fetchIcsPrayerRows },
+    timetable: { label: 'Mosque timetable', fetch: fetchTimetablePrayerRows },
+    calculation: { label: 'Offline calculation', fetch: async (fromStr, toStr) => calculatePrayerRows(fromStr, toStr) }
+};
+
+// Ordered provider chain from settings (unknown ids and duplicates are ignored)
+function getProviderChain() {
+    const chain = getSetting('prayer_providers', 'ics')
+        .split(',')
+        .map(id => id.trim())
+        .filter((id, index, list) => prayerProviders[id] && list.indexOf(id) === index);
+    return chain.length > 0 ? chain : ['ics'];
+}
+
+// Compute and store the extra times (Imsak, Sunrise, Duha, Midnight, Tahajjud) of the given dates from their stored prayers
+// Midnight and Tahajjud belong to the night that starts at Maghrib, so they are stored on the date they fall on
+function storeExtraTimes(dates) {
+    const imsakOffset = parseInt(getSetting('imsak_offset', '10')) || 0;
+    const duhaOffset = parseInt(getSetting('duha_offset', '20')) || 0;
+    // Missing Sunrise is only calculated when the offline calculation is part of the provider chain (its location is set)
+    const canCalculateSunrise = getProviderChain().includes('calculation');
+
+    const getDay = db.prepare('SELECT prayer_name, prayer_time FROM prayers WHERE date = ?');
+    const upsert = db.prepare('INSERT OR REPLACE INTO prayers (date, prayer_name, prayer_time, source) VALUES (?, ?, ?, ?)');
+    const toHHMM = (date) => date.toTimeString().substring(0, 5);
+    let storedCount = 0;
+
+    db.transaction(() => {
+        dates.forEach(date => {
+            const times = {};
+            getDay.all(date).forEach(row => { times[row.prayer_name] = row.prayer_time; });
+            if (!times['Fajr | Sobh'] || !times['Maghrib']) {
+                return;
+            }
+
+            const imsakTime = shiftTime(times['Fajr | Sobh'], -imsakOffset);
+            if (imsakTime) {
+                upsert.run(date, 'Imsak', imsakTime, 'computed');
+                storedCount++;
+            }
+
+            if (!times['Sunrise'] && canCalculateSunrise) {
+                try {
+                    const sunrise = prayerCalc.calculatePrayerTimes(date, getCalculationSettings()).find(row => row.prayer_name === 'Sunrise');
+                    if (sunrise) {
+                        times['Sunrise'] = sunrise.prayer_time;
+                        upsert.run(date, 'Sunrise', sunrise.prayer_time, 'calculation');
+                        storedCount++;
+                    }
+                } catch (error) {
+                    logWarn(`[extra-times] Sunrise calculation failed for ${date}: ${error.message}`);
+                }
+            }
+            const duhaTime = times['Sunrise'] ? shiftTime(times['Sunrise'], duhaOffset) : null;
+            if (duhaTime) {
+                upsert.run(date, 'Duha', duhaTime, 'computed');
+                storedCount++;
+            }
+
+            // Night from Maghrib to the next Fajr (same day Fajr + 24h when the next day is unknown)
+            const nextDay = new Date(`${date}T00:00:00`);
+            nextDay.setDate(nextDay.getDate() + 1);
+            const nextFajrRow = getDay.all(formatDateLocal(nextDay)).find(row => row.prayer_name === 'Fajr | Sobh');
+            const nightStart = new Date(`${date}T${times['Maghrib']}:00`);
+            const nightEnd = new Date(`${formatDateLocal(nextDay)}T${nextFajrRow ? nextFajrRow.prayer_time : times['Fajr | Sobh']}:00`);
+            const nightLength = nightEnd - nightStart;
+            if (nightLength <= 0) {
+                return;
+            }
+            const midnight = new Date(nightStart.getTime() + nightLength / 2);
+            const lastThird = new Date(nightStart.getTime() + (nightLength * 2) / 3);
+            upsert.run(formatDateLocal(midnight), 'Midnight', toHHMM(midnight), 'computed');
+            upsert.run(formatDateLocal(lastThird), 'Tahajjud', toHHMM(lastThird), 'computed');
+            storedCount += 2;
+        });
+    })();
 
-        log('Fetching prayer times from:', icsUrl);
+    log(`[extra-times] ${storedCount} extra times stored for ${dates.length} day(s)`);
+}
 
-        // Extract city name
-        const cityName = extractCityFromIcsUrl(icsUrl);
-        const response = await axios.get(icsUrl);
-        const events = ical.parseICS(response.data);
+// Fetch prayer times by walking the provider chain until every day is complete
+async function fetchPrayerTimes() {
+    try {
+        const chain = getProviderChain();
 
         // Keep historical data and replace only future prayers (today onward)
         const today = new Date();
         const todayStr = formatDateLocal(today);
 
-        // Remove future prayers (from today onward)
-        db.prepare('DELETE FROM prayers WHERE date >= ?').run(todayStr);
-        log(`Kept historical prayers before ${todayStr}`);
-
-        const insertPrayer = db.prepare('INSERT OR REPLACE INTO prayers (date, prayer_name, prayer_time) VALUES (?, ?, ?)');
-
         // Only store the next three months
         const threeMonthsLater = new Date();
         threeMonthsLater.setMonth(threeMonthsLater.getMonth() + 3);
         const threeMonthsStr = formatDateLocal(threeMonthsLater);
 
-        let insertedCount = 0;
-        for (let k in events) {
-            if (events.hasOwnProperty(k)) {
-                const ev = events[k];
-                if (ev.type === 'VEVENT') {
-                    const webCalPrayerName = ev.summary;
-                    // Map WebCal name to internal database name
-                    const prayerName = mapPrayerNameFromWebCal(webCalPrayerName);
-                    const prayerTime = new Date(ev.start);
-                    const date = formatDateLocal(prayerTime);
-                    const time = prayerTime.toTimeString().split(' ')[0].substring(0, 5);
-
-                    // Insert prayers within the next three months
-                    if (date >= todayStr && date <= threeMonthsStr) {
-                        insertPrayer.run(date, prayerName, time);
-                        insertedCount++;
+        const days = [];
+        for (const day = new Date(today); formatDateLocal(day) <= threeMonthsStr; day.setDate(day.getDate() + 1)) {
+            days.push(formatDateLocal(day));
+        }
+
+        const filledDays = {}; // date -> { source, rows }
+        const summary = [];
+        let cityName = null;
+
+        for (const providerId of chain) {
+            const missingDays = days.filter(date => !filledDays[date]);
+            if (missingDays.length === 0) {
+                break;
+            }
+
+            try {
+                const result = await prayerProviders[providerId].fetch(missingDays[0], missingDays[missingDays.length - 1]);
+
+                const rowsByDate = {};
+                result.rows.forEach(row => {
+                    (rowsByDate[row.date] = rowsByDate[row.date] || []).push(row);
+                });
+
+                // A day only counts when the provider returned all five main prayers
+                let providedDays = 0;
+                missingDays.forEach(date => {
+                    const dayRows = rowsByDate[date] || [];
+                    if (prayerNames.every(name => dayRows.some(row => row.prayer_name === name))) {
+                        filledDays[date] = { source: providerId, rows: dayRows };
+                        providedDays++;
                     }
+                });
+
+                if (providedDays > 0 && !cityName) {
+                    cityName = result.cityName;
                 }
+                summary.push({ provider: providerId, status: 'ok', days: providedDays });
+                log(`[providers] ${providerId}: ${providedDays}/${missingDays.length} missing days provided`);
+            } catch (error) {
+                summary.push({ provider: providerId, status: 'error', days: 0, error: error.message });
+                logWarn(`[providers] ${providerId} failed: ${error.message} - trying next provider`);
             }
         }
 
+        const filledDates = Object.keys(filledDays);
+        if (filledDates.length === 0) {
+            logError('No prayer-time provider returned usable data, keeping existing prayer times');
+            db.prepare('UPDATE update_info SET provider_summary = ? WHERE id = 1').run(JSON.stringify(summary));
+            return false;
+        }
+
+        const missingCount = days.length - filledDates.length;
+        if (missingCount > 0) {
+            logWarn(`[providers] ${missingCount} day(s) could not be provided by any provider, existing data kept for those days`);
+        }
+
+        // Display offsets are applied when writing, so every reader sees the shifted time
+        // (not applied, with a warning, to a time it would move to another day)
+        const prayerConfig = getPrayerConfig();
+        const unshifted = [];
+        const displayTime = (row) => {
+            const offset = prayerConfig[row.prayer_name] ? prayerConfig[row.prayer_name].display_offset : 0;
+            const shifted = offset ? shiftTime(row.prayer_time, offset) : row.prayer_time;
+            if (shifted === null) {
+                unshifted.push(row);
+                return row.prayer_time;
+            }
+            return shifted;
+        };
+
+        // Replace only the days that were provided (keeps historical and unprovided days)
+        const deleteDay = db.prepare('DELETE FROM prayers WHERE date = ?');
+        const insertPrayer = db.prepare('INSERT OR REPLACE INTO prayers (date, prayer_name, prayer_time, source) VALUES (?, ?, ?, ?)');
+        let insertedCount = 0;
+        db.transaction(() => {
+            filledDates.forEach(date => {
+                deleteDay.run(date);
+                filledDays[date].rows.forEach(row => {
+                    insertPrayer.run(row.date, row.prayer_name, displayTime(row), filledDays[date].source);
+                    insertedCount++;
+                });
+            });
+        })();
+
         log(`Prayer times updated successfully: ${insertedCount} prayers inserted for the next 3 months`);
+        if (unshifted.length > 0) {
+            logWarn(`[prayer-config] Display offset not applied to ${unshifted.length} time(s) it would move to another day `
+                + `(first: ${unshifted[0].prayer_name} ${unshifted[0].prayer_time} on ${unshifted[0].date})`);
+        }
+
+        // Extra times of the refreshed days, plus yesterday whose night ends today
+        const yesterday = new Date(today);
+        yesterday.setDate(yesterday.getDate() - 1);
+        storeExtraTimes([formatDateLocal(yesterday), ...filledDates.sort()]);
 
         // Update metadata
         const now = new Date().toISOString();
         const nextUpdate = getNextUpdateTime();
-        db.prepare('UPDATE update_info SET last_update = ?, prayers_count = ?, city_name = ?, next_update = ? WHERE id = 1')
-            .run(now, insertedCount, cityName, nextUpdate);
+        db.prepare('UPDATE update_info SET last_update = ?, prayers_count = ?, city_name = ?, next_update = ?, provider_summary = ? WHERE id = 1')
+            .run(now, insertedCount, cityName, nextUpdate, JSON.stringify(summary));
 
         scheduleAthanCalls();
         return true;
@@ -366,36 +1209,101 @@ function scheduleAthanCalls() {
 
     // Only schedule the 5 main prayers (same filter as frontend)
     const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
-    const prayers = db.prepare(`
-        SELECT * FROM prayers 
-        WHERE date IN (?, ?) AND prayer_name IN (?, ?, ?, ?, ?)
-        ORDER BY date, prayer_time
-    `).all(todayStr, tomorrowStr, ...mainPrayers);
+    const prayers = getEffectivePrayers([todayStr, tomorrowStr], mainPrayers);
 
     log(`[scheduleAthanCalls] Found ${prayers.length} main prayers for today and tomorrow`);
 
     let scheduled = 0;
     let skipped = 0;
+    let iqamaScheduled = 0;
+    let remindersScheduled = 0;
+    const prayerConfig = getPrayerConfig();
+    const iqamaSound = getSetting('iqama_sound', '');
 
     prayers.forEach(prayer => {
-        const prayerDateTime = new Date(`${prayer.date}T${prayer.prayer_time}:00`);
         const now = new Date();
+        const label = prayer.display_name || prayer.prayer_name;
 
-        if (prayerDateTime > now) {
-            const job = schedule.scheduleJob(prayerDateTime, () => {
-                log(`[Backend Schedule] Triggering athan for ${prayer.prayer_name} at exact time`);
-                playAthan(prayer.prayer_name);
-            });
-            scheduledJobs.push(job);
-            scheduled++;
-            log(`✅ Scheduled athan for ${prayer.prayer_name} at ${prayerDateTime}`);
-        } else {
+        if (prayer.athan_disabled) {
             skipped++;
-            log(`⏭️ Skipped ${prayer.prayer_name} at ${prayer.prayer_time} (already passed)`);
+            log(`🔕 Skipped ${label} on ${prayer.date} (athan disabled by date override)`);
+            return;
+        }
+
+        // Athan fires at the prayer time shifted by the per-prayer athan offset (each slot on Jumu'ah)
+        getAthanTriggerTimes(prayer, prayerConfig).forEach((prayerDateTime, index) => {
+            if (prayerDateTime > now) {
+                const job = schedule.scheduleJob(prayerDateTime, () => {
+                    log(`[Backend Schedule] Triggering athan for ${label} at exact time`);
+                    playAthan(prayer.prayer_name, {
+                        date: prayer.date,
+                        index,
+                        time: prayerDateTime.toTimeString().substring(0, 5),
+                        delaySeconds: Math.max(0, Math.round((Date.now() - prayerDateTime) / 1000))
+                    });
+                });
+                job.scheduleInfo = { type: 'athan', prayer }; // Read by /api/schedule/upcoming
+                scheduledJobs.push(job);
+                scheduled++;
+                log(`✅ Scheduled athan for ${label} at ${prayerDateTime}`);
+            } else {
+                skipped++;
+                log(`⏭️ Skipped ${label} at ${prayerDateTime.toTimeString().substring(0, 5)} (already passed)`);
+            }
+        });
+
+        // Pre-athan reminder (checks are repeated when it fires)
+        getReminderTimes(prayer, prayerConfig).forEach(reminderDateTime => {
+            if (reminderDateTime > now) {
+                const job = schedule.scheduleJob(reminderDateTime, () => {
+                    log(`[Backend Schedule] Triggering athan reminder for ${label}`);
+                    playAthanReminder(prayer);
+                });
+                job.scheduleInfo = { type: 'reminder', prayer };
+                scheduledJobs.push(job);
+                remindersScheduled++;
+                log(`🔔 Scheduled athan reminder for ${label} at ${reminderDateTime}`);
+            }
+        });
+
+        // Iqama alert: separate job at the iqama time (checks are repeated when it fires)
+        if (!iqamaSound) {
+            return;
         }
+        getIqamaTimes(prayer).forEach(iqamaTime => {
+            const iqamaDateTime = new Date(`${prayer.date}T${iqamaTime}:00`);
+            if (iqamaDateTime > now) {
+                const job = schedule.scheduleJob(iqamaDateTime, () => {
+                    log(`[Backend Schedule] Triggering iqama alert for ${label}`);
+                    playIqama(prayer);
+                });
+                job.scheduleInfo = { type: 'iqama', prayer };
+                scheduledJobs.push(job);
+                iqamaScheduled++;
+                log(`🔔 Scheduled iqama alert for ${label} at ${iqamaDateTime}`);
+            }
+        });
     });
 
-    log(`[scheduleAthanCalls] Summary: ${scheduled} scheduled, ${skipped} skipped (already passed)`);
+    // Extra time alerts (only the ones with an alert sound)
+    let alertsScheduled = 0;
+    const alertNames = extraTimeNames.filter(name => getSetting(extraTimes[name], ''));
+    if (alertNames.length > 0) {
+        getEffectivePrayers([todayStr, tomorrowStr], alertNames).forEach(row => {
+            const alertDateTime = new Date(`${row.date}T${row.prayer_time}:00`);
+            if (alertDateTime > new Date()) {
+                const job = schedule.scheduleJob(alertDateTime, () => {
+                    log(`[Backend Schedule] Triggering ${row.prayer_name} alert`);
+                    playExtraTimeAlert(row);
+                });
+                job.scheduleInfo = { type: 'alert', row };
+                scheduledJobs.push(job);
+                alertsScheduled++;
+            }
+        });
+    }
+
+    log(`[scheduleAthanCalls] Summary: ${scheduled} scheduled, ${skipped} skipped (already passed or disabled), ${iqamaScheduled} iqama alerts, ${remindersScheduled} athan reminders, ${alertsScheduled} extra time alerts`);
 }
 
 // Helper function to update .asoundrc with selected audio card
@@ -407,6 +1315,10 @@ function updateAsoundrc(audioCard) {
         log('[updateAsoundrc] Using auto-detect mode (card from entrypoint.sh)');
         return; // Don't modify .asoundrc, use what entrypoint.sh created
     }
+    if (isPulseDevice(audioCard)) {
+        log(`[updateAsoundrc] Using PulseAudio / PipeWire (${audioCard}), .asoundrc left unchanged`);
+        return;
+    }
 
     const asoundrcContent = `pcm.!default {
     type hw
@@ -425,41 +1337,139 @@ ctl.!default {
     }
 }
 
-// Helper function to build sox play command arguments
-function buildSoxArgs(volumeLevel, audioPath, additionalArgs = []) {
-    const args = [];
+// Fade settings of an audio type ('athan' or 'quran'): maximum accepted value (seconds)
+const AUDIO_FADE_LIMITS = { fade_in: 60, fade_out: 60, ramp: 300, max_duration: 7200 };
+// Fade-out used when the maximum duration is reached without a fade-out setting (no hard cut)
+const MAX_DURATION_FADE_OUT = 3;
 
-    // Get selected audio card from settings
-    const audioCardRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('audio_card');
-    const audioCard = audioCardRow ? audioCardRow.value : 'auto';
+function getFadeOptions(audioType) {
+    const options = {};
+    Object.keys(AUDIO_FADE_LIMITS).forEach(option => {
+        options[option] = Math.max(0, parseFloat(getSetting(`${audioType}_${option}`, '0')) || 0);
+    });
+    if (options.max_duration > 0 && options.fade_out === 0) {
+        options.fade_out = Math.min(MAX_DURATION_FADE_OUT, options.max_duration);
+    }
+    return options;
+}
 
-    log(`[buildSoxArgs] Selected audio card from DB: ${audioCard}`);
+// Fades of an audio type for the player backends: { limit, fadeIn, fadeOut } (see lib/player-backends.js)
+// previewSeconds: shorter play time for test previews (30 seconds), on top of the maximum duration
+function getFadeSpec(audioType, previewSeconds = 0) {
+    const { fade_in: fadeIn, fade_out: fadeOut, ramp, max_duration: maxDuration } = getFadeOptions(audioType);
+    const limits = [maxDuration, previewSeconds].filter(seconds => seconds > 0);
+    return {
+        limit: limits.length > 0 ? Math.min(...limits) : 0,
+        // Ramp: slow logarithmic rise (even loudness increase), fade-in: short quarter sine
+        fadeIn: ramp > fadeIn ? { curve: 'l', seconds: ramp } : fadeIn > 0 ? { curve: 'q', seconds: fadeIn } : null,
+        // Fade-out over the last seconds of the trimmed audio
+        fadeOut
+    };
+}
+
+// Output target of the default output (audio_card): the default ALSA device (.asoundrc) or a PulseAudio / PipeWire sink
+function getDefaultAudioTarget() {
+    const audioCard = getSetting('audio_card', 'auto');
+    return isPulseDevice(audioCard) ? getOutputTarget(audioCard) : { type: 'alsa', device: null };
+}
 
-    // Update .asoundrc with selected card (if not auto)
-    updateAsoundrc(audioCard);
+// Player backend of an output, from the audio_backend setting and the installed players (null when none fits)
+function getPlayerBackend(target, audioPath, needsVolume = false) {
+    const choice = getSetting('audio_backend', 'auto');
+    const id = selectPlayerBackend(choice, installedPlayerBackends, target, audioPath, needsVolume);
+    if (id && choice !== 'auto' && id !== choice) {
+        logWarn(`[player] ${choice} cannot play ${path.basename(audioPath)} on ${describeOutputTarget(target)}, using ${id}`);
+    }
+    if (id && needsVolume && PLAYER_BACKENDS[id].volume === false) {
+        logWarn(`[player] ${id} cannot change the volume, ${path.basename(audioPath)} plays at the file's level`);
+    }
+    return id ? PLAYER_BACKENDS[id] : null;
+}
 
-    // Add volume
-    args.push('-v', volumeLevel);
+// Play a file on the server speakers through the audio engine, according to the playback priorities
+// type: 'athan', 'quran', 'alert', 'event', 'startup' or 'test' (see AUDIO_PRIORITIES in lib/audio-engine.js)
+// fadeType: 'athan' / 'quran' to apply their fades and maximum duration; previewSeconds: test previews (30 seconds)
+// prayerName: prayer or extra time the sound belongs to, checked against the schedule of each audio zone on prayerDate
+// (the date of the prayer row, null = today)
+// onEnd(code) runs when the sound ends by itself (not when it is stopped or replaced), once for all zones
+// Returns false when a higher priority sound is playing (a Quran or event program then starts after it)
+function playOnServer({ type, label, audioPath, volumePercent, fadeType = null, previewSeconds = 0, prayerName = null, prayerDate = null, onEnd = null }) {
+    const limits = [fadeType ? getFadeOptions(fadeType).max_duration : 0, previewSeconds].filter(seconds => seconds > 0);
+    const analyzed = getAnalyzedPlayTime(audioPath);
+    const duration = analyzed !== null && limits.length > 0 ? Math.min(analyzed, ...limits) : analyzed;
+    const file = path.basename(audioPath);
+
+    // Sound for the player backends: per-file gain and silence trim from the loudness analysis, fades
+    const sound = {
+        file: audioPath,
+        ...getAudioLevelSpec(audioPath),
+        ...(fadeType ? getFadeSpec(fadeType, previewSeconds) : { limit: 0, fadeIn: null, fadeOut: 0 }),
+        playTime: duration
+    };
 
-    // Add audio file path
-    args.push(audioPath);
+    // x4: 100% on UI = 400% on server
+    const getVolumeLevel = (percent) => (percent / 100) * 4;
 
-    // Add any additional arguments (like 'trim', '0', '30')
-    if (additionalArgs.length > 0) {
-        args.push(...additionalArgs);
+    // Outputs playing the sound: { engine, label, target, volume, onProcess }
+    const outputs = [];
+    if (getSetting('audio_output', 'both') !== 'browser') {
+        const zones = getAudioZones();
+        if (zones.length === 0) {
+            outputs.push({ engine: audioEngine, label, target: getDefaultAudioTarget(), volume: getVolumeLevel(volumePercent) });
+        }
+        zones.filter(zone => isZoneScheduled(zone, prayerName, prayerDate)).forEach(zone => {
+            const output = { engine: getZoneEngine(zone.id), label: `${label} @ ${zone.name}`, volume: getVolumeLevel((volumePercent * zone.volume) / 100) };
+            if (zone.type === 'rtp') {
+                const sender = getZoneRtpSender(zone);
+                outputs.push({ ...output, target: { type: 'pipe', format: getRtpSoxOutputArgs(zone.rtp_codec) }, onProcess: (child) => sender.addSource(child) });
+            } else {
+                outputs.push({ ...output, target: getOutputTarget(zone.device) });
+            }
+        });
+    }
+    // The live stream gets every sound at its normalized level (listeners set their own volume)
+    if (isLiveStreamEnabled()) {
+        outputs.push({ engine: streamEngine, label: `${label} @ stream`, target: { type: 'pipe', format: PCM_OUTPUT_ARGS }, volume: 1, onProcess: (child) => audioStream.addSource(child) });
     }
 
-    log(`[buildSoxArgs] Sox command: play ${args.join(' ')}`);
+    // Outputs with a player able to play the file there (the live stream and RTP zones need sox)
+    // A program that can be ducked needs volume control even at its normal volume
+    const duckable = RESUMABLE_TYPES.includes(type) && getSetting('audio_preemption', 'pause') === 'duck';
+    const playable = outputs.map(output => {
+        const needsVolume = duckable || needsVolumeControl({ ...sound, volume: output.volume });
+        return { ...output, backend: getPlayerBackend(output.target, audioPath, needsVolume) };
+    }).filter(output => {
+        if (!output.backend) {
+            logWarn(`[${output.label}] 🔇 No installed player can play ${file} on ${describeOutputTarget(output.target)}`);
+        }
+        return output.backend;
+    });
 
-    // Create environment with AUDIODRIVER set to alsa
-    // This forces sox to use ALSA directly instead of libao
-    const env = {
-        ...process.env,
-        AUDIODRIVER: 'alsa'
-    };
-    log(`[buildSoxArgs] AUDIODRIVER: ${env.AUDIODRIVER}`);
+    if (playable.length === 0) {
+        log(`[${label}] 🔇 No server output plays ${prayerName || type} now`);
+        return false;
+    }
 
-    return { args, env };
+    // onEnd runs once, for the first output where the sound ends by itself
+    let ended = false;
+    return playable.map(output => {
+        return output.engine.play({
+            type,
+            label: output.label,
+            file,
+            // Built again on every start: resume and seek set the position, ducking lowers the volume
+            getCommand: (position, volumeScale) => output.backend.build({ ...sound, volume: output.volume * volumeScale, position }, output.target),
+            duration,
+            seekable: output.backend.seek,
+            onProcess: output.onProcess || null,
+            onEnd: (code) => {
+                if (!ended && onEnd) {
+                    ended = true;
+                    onEnd(code);
+                }
+            }
+        });
+    }).some(Boolean);
 }
 
 // Play startup sound (server-side)
@@ -499,161 +1509,423 @@ function playStartupSound() {
 
         log(`[playStartupSound] 🔊 Playing startup sound: ${startupAudioPath} (${fileStats.size} bytes) at UI volume ${volumePercent}% (server: ${volumeLevel}x)`);
 
-        const { args, env } = buildSoxArgs(volumeLevel, startupAudioPath, []);
+        playOnServer({
+            type: 'startup',
+            label: 'playStartupSound',
+            audioPath: startupAudioPath,
+            volumePercent,
+            onEnd: (code) => {
+                if (code !== 0) {
+                    logError(`[playStartupSound] ❌ Startup sound process exited with code ${code}`);
+                    log('[playStartupSound] 💡 Tip: Make sure startup.mp3 is a valid audio file');
+                } else {
+                    log(`[playStartupSound] ✅ Startup sound finished successfully`);
+                }
+            }
+        });
+    } catch (error) {
+        logError('[playStartupSound] Error playing startup sound:', error);
+    }
+}
 
-        log(`[playStartupSound] 🔧 DEBUG - Full command: play ${args.join(' ')}`);
+// ===== MISSED ATHAN CATCH-UP =====
+// Days of athan decisions kept in the log
+const ATHAN_DECISIONS_RETENTION_DAYS = 30;
 
-        currentAudioPlayer = spawn('play', args, { env });
+// Record what happened to an athan trigger: 'played', 'played_late', 'missed' or 'suppressed'
+// trigger.index is the athan of the prayer on that date (0, or the Jumu'ah slot adhan, see getAthanTriggerTimes())
+function recordAthanDecision(trigger, prayerName, decision, reason = null) {
+    db.prepare(`INSERT INTO athan_decisions (created_at, date, prayer_name, athan_index, trigger_time, decision, reason, delay_seconds)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(new Date().toISOString(), trigger.date, prayerName, trigger.index || 0, trigger.time, decision, reason, trigger.delaySeconds || 0);
 
-        // Capture stdout
-        currentAudioPlayer.stdout.on('data', (data) => {
-            log(`[playStartupSound] 📤 STDOUT: ${data.toString().trim()}`);
-        });
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - ATHAN_DECISIONS_RETENTION_DAYS);
+    db.prepare('DELETE FROM athan_decisions WHERE date < ?').run(formatDateLocal(oldest));
+}
 
-        // Capture stderr (error messages from sox)
-        currentAudioPlayer.stderr.on('data', (data) => {
-            logError(`[playStartupSound] 📥 STDERR: ${data.toString().trim()}`);
-        });
+// An athan is handled once per prayer and date, whatever its time: changing the athan offset (or a Jumu'ah slot)
+// after it played must not make the catch-up or a new job play it again
+function hasAthanDecision(trigger, prayerName) {
+    return Boolean(db.prepare('SELECT id FROM athan_decisions WHERE date = ? AND prayer_name = ? AND athan_index = ?')
+        .get(trigger.date, prayerName, trigger.index || 0));
+}
 
-        currentAudioPlayer.on('error', (err) => {
-            logError(`[playStartupSound] ❌ Error spawning process:`, err);
-            currentAudioPlayer = null;
-        });
+// Athan triggers between since and now (minus a few seconds left to the regular jobs) that were never handled:
+// the most recent one plays late when it is within the grace window of its prayer, the others are logged as missed
+function catchUpMissedAthans(since, context) {
+    const now = new Date();
+    const until = new Date(now.getTime() - 5000);
+    if (!(since < until)) {
+        return;
+    }
 
-        currentAudioPlayer.on('close', (code) => {
-            if (code !== 0) {
-                logError(`[playStartupSound] ❌ Startup sound process exited with code ${code}`);
-                log('[playStartupSound] 💡 Tip: Make sure startup.mp3 is a valid audio file');
-            } else {
-                log(`[playStartupSound] ✅ Startup sound finished successfully`);
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
+    const prayerConfig = getPrayerConfig();
+
+    const missed = [];
+    getEffectivePrayers([formatDateLocal(yesterday), formatDateLocal(now)], mainPrayers).forEach(prayer => {
+        getAthanTriggerTimes(prayer, prayerConfig).forEach((triggerDateTime, index) => {
+            if (triggerDateTime <= since || triggerDateTime > until) {
+                return;
+            }
+            const trigger = {
+                date: prayer.date,
+                index,
+                time: triggerDateTime.toTimeString().substring(0, 5),
+                delaySeconds: Math.round((now - triggerDateTime) / 1000)
+            };
+            if (!hasAthanDecision(trigger, prayer.prayer_name)) {
+                missed.push({ prayer, trigger });
             }
-            currentAudioPlayer = null;
         });
+    });
+    if (missed.length === 0) {
+        return;
+    }
+
+    log(`[catchUp] ${missed.length} athan(s) not handled since ${since.toISOString()} (${context})`);
+    // Most recent first: only that one may still be played
+    missed.sort((a, b) => a.trigger.delaySeconds - b.trigger.delaySeconds);
+
+    let caughtUp = false;
+    missed.forEach(({ prayer, trigger }) => {
+        const label = prayer.display_name || prayer.prayer_name;
+        const config = prayerConfig[prayer.prayer_name];
+        const grace = config && config.catchup_grace !== null ? config.catchup_grace : 5;
+        const lateMinutes = Math.floor(trigger.delaySeconds / 60);
+
+        if (prayer.athan_disabled) {
+            recordAthanDecision(trigger, prayer.prayer_name, 'suppressed', 'athan disabled by date override');
+        } else if (caughtUp) {
+            recordAthanDecision(trigger, prayer.prayer_name, 'missed', `${context}, a later athan was caught up instead`);
+            logWarn(`[catchUp] ⏭️ ${label} (${trigger.time}) missed: a later athan was caught up instead`);
+        } else if (trigger.delaySeconds <= grace * 60) {
+            caughtUp = true;
+            log(`[catchUp] ⏰ Playing ${label} (${trigger.time}) ${lateMinutes} min late (grace window ${grace} min)`);
+            playAthan(prayer.prayer_name, { ...trigger, late: true, context });
+        } else {
+            recordAthanDecision(trigger, prayer.prayer_name, 'missed', `${context}, ${lateMinutes} min late (grace window ${grace} min)`);
+            logWarn(`[catchUp] ❌ ${label} (${trigger.time}) missed: ${lateMinutes} min late, grace window ${grace} min`);
+        }
+    });
+}
+
+// Reason why the athan of a prayer must stay silent on a date (YYYY-MM-DD), or null when it may play
+// "Mute next athan" is not included: it is consumed by the first athan that would play (see playAthan())
+function getAthanSuppressionReason(prayerName, date) {
+    // Convert JS day (0=Sunday) to our matrix day (0=Monday...6=Sunday)
+    const dayIndex = (new Date(`${date}T00:00:00`).getDay() + 6) % 7;
+    const scheduleEntry = db.prepare('SELECT enabled FROM prayer_schedule WHERE prayer_name = ? AND day_of_week = ?')
+        .get(prayerName, dayIndex);
+    if (scheduleEntry && scheduleEntry.enabled === 0) {
+        const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        return `disabled for ${dayNames[dayIndex]} in schedule matrix`;
+    }
+    return null;
+}
+
+// Athan audio file (audio/athan) of a prayer: its own file, or the global audio_file setting
+function getAthanAudioFile(prayerName) {
+    const config = db.prepare('SELECT audio_file FROM prayer_config WHERE prayer_name = ?').get(prayerName);
+    return (config && config.audio_file) || getSetting('audio_file', 'Masjid Al-Haram.mp3');
+}
+
+// Athan volume (0-200) of a prayer: its own volume, or the global volume setting
+function getAthanVolume(prayerName) {
+    const config = db.prepare('SELECT volume FROM prayer_config WHERE prayer_name = ?').get(prayerName);
+    return config && config.volume !== null ? config.volume : parseInt(getSetting('volume', '50'));
+}
+
+// Volume (0-200) of an athan sequence step ('reminder' or 'dua'): its own volume, or the athan volume of the prayer
+function getSequenceVolume(prayerName, step) {
+    const config = getPrayerConfig()[prayerName];
+    const volume = config ? config[`${step}_volume`] : null;
+    return volume !== null && volume !== undefined ? volume : getAthanVolume(prayerName);
+}
+
+// Reason why the pre-athan reminder of a prayer row must stay silent, or null when it may play
+// Follows the athan it announces: date override, schedule matrix and "mute next athan" (not consumed here)
+function getReminderSuppressionReason(prayer) {
+    if (prayer.athan_disabled) {
+        return 'athan disabled by date override';
+    }
+    const reason = getAthanSuppressionReason(prayer.prayer_name, prayer.date);
+    if (reason) {
+        return reason;
+    }
+    const skipNext = db.prepare('SELECT skip FROM skip_next WHERE id = 1').get();
+    if (skipNext && skipNext.skip === 1) {
+        return 'next athan muted';
+    }
+    return null;
+}
+
+// Play the pre-athan reminder (server-side)
+function playAthanReminder(prayer) {
+    try {
+        const label = `${prayer.display_name || prayer.prayer_name} reminder`;
+        const reason = getReminderSuppressionReason(prayer);
+        if (reason) {
+            log(`[playAthanReminder] ❌ ${label} not played (${reason})`);
+            return;
+        }
+        const config = getPrayerConfig()[prayer.prayer_name];
+        if (!config || !config.reminder_file) {
+            return;
+        }
+        playAlertSound(config.reminder_file, label, getSequenceVolume(prayer.prayer_name, 'reminder'), prayer.prayer_name, prayer.date);
     } catch (error) {
-        logError('[playStartupSound] Error playing startup sound:', error);
+        logError('Error playing athan reminder:', error);
+    }
+}
+
+// Post-athan dua waiting for its delay (cancelled by Stop audio)
+let pendingDuaTimer = null;
+
+function cancelPendingDua() {
+    if (pendingDuaTimer) {
+        clearTimeout(pendingDuaTimer);
+        pendingDuaTimer = null;
+        log('[playAthan] Pending dua cancelled');
+    }
+}
+
+// Queue the dua of a prayer after its athan ended on its own (prayerDate: date of the prayer row, null = today)
+function scheduleAthanDua(prayerName, prayerDate = null) {
+    const config = getPrayerConfig()[prayerName];
+    if (!config || !config.dua_file) {
+        return;
     }
+    cancelPendingDua();
+    log(`[playAthan] 🤲 Dua for ${prayerName} in ${config.dua_delay}s`);
+    pendingDuaTimer = setTimeout(() => {
+        pendingDuaTimer = null;
+        playAlertSound(config.dua_file, `${prayerName} dua`, getSequenceVolume(prayerName, 'dua'), prayerName, prayerDate);
+    }, config.dua_delay * 1000);
 }
 
 // Play athan (server-side)
-function playAthan(prayerName) {
+// trigger: { date, index, time, late, context, delaySeconds } of a scheduled athan, recorded in the athan decisions log
+function playAthan(prayerName, trigger = null) {
     try {
         // Bypass checks for special events (Startup, PageLoad, Test)
         const isSpecialEvent = ['Startup', 'PageLoad', 'Test'].includes(prayerName);
 
         if (!isSpecialEvent) {
-            // Convert JS day (0=Sunday) to our matrix day (0=Monday...6=Sunday)
-            const jsDay = new Date().getDay();
-            const dayIndex = (jsDay + 6) % 7; // 0=Monday, 1=Tuesday, ..., 6=Sunday
-            const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+            const currentDate = trigger ? trigger.date : formatDateLocal(new Date());
+
+            // A trigger is handled once (the regular job and the catch-up may both reach it)
+            if (trigger && hasAthanDecision(trigger, prayerName)) {
+                log(`[playAthan] ⏭️ ${prayerName} (${trigger.time}) already handled`);
+                return;
+            }
 
             // Check prayer_schedule matrix (unified control)
-            const scheduleEntry = db.prepare('SELECT enabled FROM prayer_schedule WHERE prayer_name = ? AND day_of_week = ?')
-                .get(prayerName, dayIndex);
-            if (scheduleEntry && scheduleEntry.enabled === 0) {
-                log(`[playAthan] ❌ ${prayerName} disabled for ${dayNames[dayIndex]} in schedule matrix`);
+            const reason = getAthanSuppressionReason(prayerName, currentDate);
+            if (reason) {
+                log(`[playAthan] ❌ ${prayerName} not played on ${currentDate} (${reason})`);
+                if (trigger) {
+                    recordAthanDecision(trigger, prayerName, 'suppressed', reason);
+                }
                 return;
             }
 
             // Confirm the next athan isn't skipped (mute next athan)
             const skipNext = db.prepare('SELECT skip FROM skip_next WHERE id = 1').get();
-            const currentDate = new Date().toISOString().split('T')[0];
 
             if (skipNext && skipNext.skip === 1) {
                 log(`[playAthan] ❌ Skipping athan for ${prayerName} (skip_next flag set)`);
                 db.prepare('UPDATE skip_next SET skip = 0, last_skipped_prayer = ?, last_skipped_date = ? WHERE id = 1').run(prayerName, currentDate);
+                if (trigger) {
+                    recordAthanDecision(trigger, prayerName, 'suppressed', 'next athan muted');
+                }
                 return;
             }
 
-            log(`[playAthan] ✅ All checks passed for ${prayerName} on ${dayNames[dayIndex]}, proceeding with playback...`);
+            log(`[playAthan] ✅ All checks passed for ${prayerName} on ${currentDate}, proceeding with playback...`);
         }
 
         // Determine playback target
         const audioOutputRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('audio_output');
         const audioOutput = audioOutputRow ? audioOutputRow.value : 'both';
 
-        // Only play server-side if configured for server or both
-        if (audioOutput === 'browser') {
+        // The decision of a scheduled athan is recorded once its playback is known
+        const recordOutcome = (played, reason = null) => {
+            if (trigger && !isSpecialEvent) {
+                const decision = played ? (trigger.late ? 'played_late' : 'played') : 'missed';
+                recordAthanDecision(trigger, prayerName, decision, played ? (trigger.late ? trigger.context : null) : reason);
+            }
+        };
+
+        // Only play server-side if configured for server or both, or for the live stream
+        if (!hasServerOutput()) {
             log(`Audio output set to browser only, skipping server playback for ${prayerName}`);
+            recordOutcome(false, 'audio output set to browser only, no server playback');
             return;
         }
 
-        const audioFileRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('audio_file');
-        const audioFile = audioFileRow ? audioFileRow.value : 'Masjid Al-Haram.mp3';
+        const audioFile = getAthanAudioFile(prayerName);
         const audioPath = path.join(__dirname, 'audio', 'athan', audioFile);
 
-        // Retrieve volume (0-100)
-        // For Fajr prayer, check if we should use the specific Fajr volume
-        let volumePercent = 50;
-        if (prayerName === 'Fajr | Sobh') {
-            // Check if Fajr volume is independent (not synced with main volume)
-            const syncFajrVolumeRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('sync_fajr_volume');
-            const useFajrVolume = syncFajrVolumeRow ? syncFajrVolumeRow.value === '1' : false;
-
-            if (useFajrVolume) {
-                // Use specific Fajr volume
-                const fajrVolumeRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('fajr_volume');
-                volumePercent = fajrVolumeRow ? parseInt(fajrVolumeRow.value) : 50;
-                log(`[playAthan] Using specific Fajr volume: ${volumePercent}%`);
-            } else {
-                // Use main volume (synced)
-                const volumeRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('volume');
-                volumePercent = volumeRow ? parseInt(volumeRow.value) : 50;
-                log(`[playAthan] Using synced main volume for Fajr: ${volumePercent}%`);
-            }
-        } else {
-            // Use main volume for all other prayers
-            const volumeRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('volume');
-            volumePercent = volumeRow ? parseInt(volumeRow.value) : 50;
-        }
+        // Retrieve volume (0-200)
+        const volumePercent = getAthanVolume(prayerName);
 
-        // Convert 0-100 to 0.0-4.0 for sox (x4: 100% on UI = 400% on server)
+        // Convert 0-100 to 0.0-4.0 for the server player (x4: 100% on UI = 400% on server)
         const volumeLevel = ((volumePercent / 100) * 4).toFixed(2);
 
         if (fs.existsSync(audioPath)) {
             log(`[playAthan] 🔊 BACKEND AUDIO PLAYING for ${prayerName}: ${audioPath} at UI volume ${volumePercent}% (server: ${volumeLevel}x)`);
-
-            // Use sox play command with -v for volume control and selected audio card
-            // For test athan, only play the first 30 seconds
-            const additionalArgs = prayerName === 'Test' ? ['trim', '0', '30'] : [];
-            const { args, env } = buildSoxArgs(volumeLevel, audioPath, additionalArgs);
-
-            log(`[playAthan] 🔧 DEBUG - Full command: play ${args.join(' ')}`);
-            log(`[playAthan] 🔧 DEBUG - Audio file exists: ${fs.existsSync(audioPath)}`);
             log(`[playAthan] 🔧 DEBUG - Audio file size: ${fs.statSync(audioPath).size} bytes`);
 
-            currentAudioPlayer = spawn('play', args, { env });
-
-            // Capture stdout
-            currentAudioPlayer.stdout.on('data', (data) => {
-                log(`[playAthan] 📤 STDOUT: ${data.toString().trim()}`);
-            });
-
-            // Capture stderr (error messages from sox)
-            currentAudioPlayer.stderr.on('data', (data) => {
-                logError(`[playAthan] 📥 STDERR: ${data.toString().trim()}`);
-            });
-
-            currentAudioPlayer.on('error', (err) => {
-                logError(`[playAthan] ❌ Error spawning process:`, err);
-                currentAudioPlayer = null;
-            });
-
-            currentAudioPlayer.on('close', (code) => {
-                if (code !== 0) {
-                    logError(`[playAthan] ❌ Athan process exited with code ${code}`);
-                } else {
-                    log(`[playAthan] ✅ Athan finished successfully for ${prayerName}`);
+            // The athan replaces a reminder (or any alert) still playing, and a dua waiting for its delay
+            cancelPendingDua();
+
+            // Sox play with the athan fades; for test athan, only play the first 30 seconds
+            const played = playOnServer({
+                type: isSpecialEvent ? 'test' : 'athan',
+                label: 'playAthan',
+                audioPath,
+                volumePercent,
+                fadeType: 'athan',
+                previewSeconds: prayerName === 'Test' ? 30 : 0,
+                prayerName: isSpecialEvent ? null : prayerName,
+                prayerDate: trigger ? trigger.date : null,
+                // Not reached when stopped (Stop audio) or replaced by another sound: the sequence ends there
+                onEnd: (code) => {
+                    if (code !== 0) {
+                        logError(`[playAthan] ❌ Athan process exited with code ${code}`);
+                    } else {
+                        log(`[playAthan] ✅ Athan finished successfully for ${prayerName}`);
+                        if (!isSpecialEvent) {
+                            scheduleAthanDua(prayerName, trigger ? trigger.date : null);
+                        }
+                    }
                 }
-                currentAudioPlayer = null;
             });
+            recordOutcome(played, 'no server output could play it');
         } else {
             logError(`Audio file not found: ${audioPath}`);
+            recordOutcome(false, `audio file not found (${audioFile})`);
         }
     } catch (error) {
         logError('Error playing athan:', error);
     }
 }
 
+// Reason why the iqama alert of a prayer row must stay silent, or null when it may play
+// Follows the athan controls: date override, schedule matrix and "mute next athan" for that prayer
+function getIqamaSuppressionReason(prayer) {
+    if (!getSetting('iqama_sound', '')) {
+        return 'no iqama sound selected';
+    }
+    if (getIqamaTimes(prayer).length === 0) {
+        return 'no iqama rule';
+    }
+    if (prayer.athan_disabled) {
+        return 'athan disabled by date override';
+    }
+
+    // Convert JS day (0=Sunday) to our matrix day (0=Monday...6=Sunday)
+    const dayIndex = (new Date(`${prayer.date}T00:00:00`).getDay() + 6) % 7;
+    const scheduleEntry = db.prepare('SELECT enabled FROM prayer_schedule WHERE prayer_name = ? AND day_of_week = ?')
+        .get(prayer.prayer_name, dayIndex);
+    if (scheduleEntry && scheduleEntry.enabled === 0) {
+        return 'prayer disabled in schedule matrix';
+    }
+
+    const skipNext = db.prepare('SELECT last_skipped_prayer, last_skipped_date FROM skip_next WHERE id = 1').get();
+    if (skipNext && skipNext.last_skipped_prayer === prayer.prayer_name && skipNext.last_skipped_date === prayer.date) {
+        return 'athan muted';
+    }
+    return null;
+}
+
+// Play a short alert sound from audio/alerts on the server (iqama, extra time alerts)
+// volumePercent defaults to the athan volume; prayerName and prayerDate select the audio zones (see isZoneScheduled)
+function playAlertSound(soundFile, label, volumePercent = null, prayerName = null, prayerDate = null) {
+    if (volumePercent === null) {
+        volumePercent = parseInt(getSetting('volume', '50'));
+    }
+    if (!hasServerOutput()) {
+        log(`Audio output set to browser only, skipping server alert for ${label}`);
+        return;
+    }
+
+    const audioPath = path.join(__dirname, 'audio', 'alerts', soundFile);
+    if (!fs.existsSync(audioPath)) {
+        logError(`[playAlertSound] Alert sound not found: ${audioPath}`);
+        return;
+    }
+
+    // Never plays over the athan; a Quran or event program is paused (or ducked) until the alert ends
+    log(`[playAlertSound] 🔔 BACKEND ALERT for ${label}: ${audioPath} at UI volume ${volumePercent}%`);
+    playOnServer({
+        type: 'alert',
+        label: 'playAlertSound',
+        audioPath,
+        volumePercent,
+        prayerName,
+        prayerDate,
+        onEnd: (code) => {
+            if (code !== 0) {
+                logError(`[playAlertSound] ❌ Alert process exited with code ${code}`);
+            } else {
+                log(`[playAlertSound] ✅ Alert finished for ${label}`);
+            }
+        }
+    });
+}
+
+// Play the iqama alert (server-side)
+function playIqama(prayer) {
+    try {
+        const reason = getIqamaSuppressionReason(prayer);
+        if (reason) {
+            log(`[playIqama] ❌ Iqama alert for ${prayer.prayer_name} not played (${reason})`);
+            return;
+        }
+        playAlertSound(getSetting('iqama_sound', ''), `${prayer.display_name || prayer.prayer_name} iqama`, null, prayer.prayer_name, prayer.date);
+    } catch (error) {
+        logError('Error playing iqama alert:', error);
+    }
+}
+
+// Reason why the alert of an extra time row (Sunrise, Duha...) must stay silent, or null when it may play
+function getExtraTimeAlertSuppressionReason(row) {
+    if (!getSetting(extraTimes[row.prayer_name], '')) {
+        return 'no alert sound selected';
+    }
+    const dayIndex = (new Date(`${row.date}T00:00:00`).getDay() + 6) % 7;
+    const scheduleEntry = db.prepare('SELECT enabled FROM prayer_schedule WHERE prayer_name = ? AND day_of_week = ?')
+        .get(row.prayer_name, dayIndex);
+    if (scheduleEntry && scheduleEntry.enabled === 0) {
+        return 'disabled in schedule matrix';
+    }
+    return null;
+}
+
+// Play the alert of an extra time (server-side)
+function playExtraTimeAlert(row) {
+    try {
+        const reason = getExtraTimeAlertSuppressionReason(row);
+        if (reason) {
+            log(`[playExtraTimeAlert] ❌ ${row.prayer_name} alert not played (${reason})`);
+            return;
+        }
+        // The suhoor alarm has its own volume (it has to wake the household up)
+        if (row.prayer_name === 'Suhoor') {
+            playAlertSound(getSetting('suhoor_sound', ''), 'Suhoor', parseInt(getSetting('suhoor_volume', '50')), 'Suhoor', row.date);
+            return;
+        }
+        playAlertSound(getSetting(extraTimes[row.prayer_name], ''), row.prayer_name, null, row.prayer_name, row.date);
+    } catch (error) {
+        logError('Error playing extra time alert:', error);
+    }
+}
+
 // Function to play Quran recitation
 function playQuran() {
     try {
@@ -668,7 +1940,7 @@ function playQuran() {
         // Set trigger for browser playback if needed
         if (audioOutput === 'browser' || audioOutput === 'both') {
             const now = new Date();
-            const currentDate = now.toISOString().split('T')[0];
+            const currentDate = formatDateLocal(now);
             const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
 
             db.prepare('UPDATE friday_quran_trigger SET should_play = 1, last_played_date = ?, last_played_time = ? WHERE id = 1')
@@ -676,8 +1948,8 @@ function playQuran() {
             log(`[playQuran] ✅ Browser trigger set for ${currentDate} ${currentTime}`);
         }
 
-        // Only play server-side if configured for server or both
-        if (audioOutput === 'browser') {
+        // Only play server-side if configured for server or both, or for the live stream
+        if (!hasServerOutput()) {
             log('[playQuran] ❌ Audio output set to browser only, skipping server playback for Quran');
             return;
         }
@@ -698,35 +1970,20 @@ function playQuran() {
             log(`[playQuran] ✅ File exists, starting playback...`);
             log(`[playQuran] 🔊 BACKEND QURAN PLAYING: ${quranPath}`);
 
-            // Use sox play command with -v for volume control and selected audio card
-            const { args, env } = buildSoxArgs(volumeLevel, quranPath);
-            log(`[playQuran] Sox args: ${JSON.stringify(args)}`);
-
-            currentAudioPlayer = spawn('play', args, { env });
-            currentAudioType = 'quran'; // Track that Quran is playing
-
-            currentAudioPlayer.stdout.on('data', (data) => {
-                log(`[playQuran] stdout: ${data}`);
-            });
-
-            currentAudioPlayer.stderr.on('data', (data) => {
-                log(`[playQuran] stderr: ${data}`);
-            });
-
-            currentAudioPlayer.on('error', (err) => {
-                logError('[playQuran] ❌ Error playing Quran:', err);
-                currentAudioPlayer = null;
-                currentAudioType = null;
-            });
-
-            currentAudioPlayer.on('close', (code) => {
-                if (code !== 0) {
-                    logError(`[playQuran] ❌ Quran process exited with code ${code}`);
-                } else {
-                    log('[playQuran] ✅ Quran recitation finished successfully');
+            // Play on the server output with the volume, selected audio card and the Quran fades
+            playOnServer({
+                type: 'quran',
+                label: 'playQuran',
+                audioPath: quranPath,
+                volumePercent,
+                fadeType: 'quran',
+                onEnd: (code) => {
+                    if (code !== 0) {
+                        logError(`[playQuran] ❌ Quran process exited with code ${code}`);
+                    } else {
+                        log('[playQuran] ✅ Quran recitation finished successfully');
+                    }
                 }
-                currentAudioPlayer = null;
-                currentAudioType = null;
             });
         } else {
             logError(`[playQuran] ❌ Quran file NOT FOUND: ${quranPath}`);
@@ -745,19 +2002,143 @@ function playQuran() {
     log('[playQuran] ==========================================');
 }
 
-// Cron job - Every day at midnight
-cron.schedule('0 0 * * *', () => {
-    log('Running daily prayer times update...');
+// Set the browser trigger of an Islamic event (reminder or audio), consumed by /api/check-islamic-event
+function setIslamicEventTrigger(kind, message, audioFile) {
+    const now = new Date();
+    db.prepare('UPDATE islamic_event_trigger SET should_play = 1, kind = ?, message = ?, audio_file = ?, last_played_date = ?, last_played_time = ? WHERE id = 1')
+        .run(kind, message, audioFile || null, formatDateLocal(now), now.toTimeString().substring(0, 5));
+}
+
+// Reminder the evening before Islamic events (sound from audio/alerts, or a notification only)
+function playEventReminder(events) {
+    try {
+        const message = `Tomorrow: ${events.map(event => event.label).join(', ')}`;
+        const reminderSound = getSetting('event_reminder_sound', '');
+        const audioOutput = getSetting('audio_output', 'both');
+        log(`[playEventReminder] 📿 ${message}`);
+
+        if (audioOutput === 'browser' || audioOutput === 'both') {
+            setIslamicEventTrigger('reminder', message, reminderSound);
+        }
+        if (reminderSound) {
+            playAlertSound(reminderSound, message);
+        }
+    } catch (error) {
+        logError('[playEventReminder] ❌ Exception:', error);
+    }
+}
+
+// Play the audio of an Islamic event (e.g. Eid takbirat) from audio/events, like the Friday Quran
+function playEventAudio(event) {
+    try {
+        log(`[playEventAudio] 📿 Playing ${event.audio_file} for ${event.label}`);
+        const audioOutput = getSetting('audio_output', 'both');
+
+        if (audioOutput === 'browser' || audioOutput === 'both') {
+            setIslamicEventTrigger('audio', event.label, event.audio_file);
+            log(`[playEventAudio] ✅ Browser trigger set for ${event.label}`);
+        }
+        if (!hasServerOutput()) {
+            log('[playEventAudio] ❌ Audio output set to browser only, skipping server playback');
+            return;
+        }
+
+        const audioPath = path.join(__dirname, 'audio', 'events', event.audio_file);
+        if (!fs.existsSync(audioPath)) {
+            logError(`[playEventAudio] ❌ Event audio file NOT FOUND: ${audioPath}`);
+            return;
+        }
+
+        playOnServer({
+            type: 'event',
+            label: 'playEventAudio',
+            audioPath,
+            volumePercent: parseInt(getSetting('volume', '50')),
+            onEnd: (code) => {
+                if (code !== 0) {
+                    logError(`[playEventAudio] ❌ Event audio process exited with code ${code}`);
+                } else {
+                    log(`[playEventAudio] ✅ Event audio finished for ${event.label}`);
+                }
+            }
+        });
+    } catch (error) {
+        logError('[playEventAudio] ❌ Exception:', error);
+    }
+}
+
+// Schedule the Islamic event reminders and audio: daily cron jobs that play only on the days of an event
+function scheduleIslamicEvents() {
+    islamicEventJobs.forEach(job => job.stop());
+    islamicEventJobs = [];
+
+    const config = db.prepare('SELECT * FROM islamic_events WHERE enabled = 1').all();
+    const toCron = (time) => {
+        const [hour, minute] = time.split(':').map(part => parseInt(part, 10));
+        return `${minute} ${hour} * * *`;
+    };
+
+    // Reminder the evening before (checks tomorrow's events)
+    if (config.some(row => row.reminder)) {
+        const reminderTime = getSetting('event_reminder_time', '20:00');
+        islamicEventJobs.push(cron.schedule(toCron(reminderTime), () => {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            const events = getDayEvents(formatDateLocal(tomorrow)).filter(event => event.reminder);
+            if (events.length > 0) {
+                playEventReminder(events);
+            }
+        }, {
+            timezone: getTimezone()
+        }));
+        log(`[scheduleIslamicEvents] ✅ Event reminders scheduled every evening at ${reminderTime}`);
+    }
+
+    // Event audio: one job per configured time, the first event of the day with audio at that time plays
+    const audioTimes = [...new Set(config.filter(row => row.audio_file && row.audio_time).map(row => row.audio_time))];
+    audioTimes.forEach(time => {
+        islamicEventJobs.push(cron.schedule(toCron(time), () => {
+            const event = getDayEvents(formatDateLocal(new Date())).find(e => e.audio_file && e.audio_time === time);
+            if (event) {
+                playEventAudio(event);
+            }
+        }, {
+            timezone: getTimezone()
+        }));
+    });
+    log(`[scheduleIslamicEvents] ✅ ${audioTimes.length} event audio time(s) scheduled`);
+}
+
+// Cron job - Every day at midnight (installation timezone)
+let dailyUpdateJob = null;
+function scheduleDailyUpdate() {
+    if (dailyUpdateJob) {
+        dailyUpdateJob.stop();
+    }
+    dailyUpdateJob = cron.schedule('0 0 * * *', () => {
+        log('Running daily prayer times update...');
+        fetchPrayerTimes();
+    }, {
+        timezone: getTimezone()
+    });
+}
+scheduleDailyUpdate();
+
+// Re-schedule every job after a change of the installation timezone
+function onTimezoneChanged() {
+    scheduleDailyUpdate();
+    scheduleFridayQuran();
+    scheduleIslamicEvents();
+    // Calculated prayer times depend on the timezone, fetchPrayerTimes() also re-schedules the athans
     fetchPrayerTimes();
-}, {
-    timezone: "Europe/Paris"
-});
+}
 
 // Function to schedule Friday Quran recitation
 function scheduleFridayQuran() {
     const now = new Date();
+    const timezone = getTimezone();
     log(`[scheduleFridayQuran] ========== FRIDAY QURAN SCHEDULING ==========`);
-    log(`[scheduleFridayQuran] Current server time: ${now.toISOString()} (${now.toLocaleString('fr-FR', { timeZone: 'Europe/Paris' })})`);
+    log(`[scheduleFridayQuran] Current server time: ${now.toISOString()} (${now.toLocaleString('fr-FR', { timeZone: timezone })})`);
     log(`[scheduleFridayQuran] Current day of week: ${now.getDay()} (0=Sun, 5=Fri)`);
 
     // Destroy existing job if any
@@ -799,69 +2180,284 @@ function scheduleFridayQuran() {
     // Format: minute hour day-of-month month day-of-week
     const cronExpression = `${minute} ${hour} * * 5`;
     log(`[scheduleFridayQuran] ✅ Scheduling Friday Quran for every Friday at ${hour}:${minute.toString().padStart(2, '0')} (cron: ${cronExpression})`);
-    log(`[scheduleFridayQuran] Timezone: Europe/Paris`);
+    log(`[scheduleFridayQuran] Timezone: ${timezone}`);
 
     fridayQuranJob = cron.schedule(cronExpression, () => {
         const triggerTime = new Date();
         log(`[scheduleFridayQuran] ========== FRIDAY QURAN TRIGGERED ==========`);
-        log(`[scheduleFridayQuran] 🕌 Trigger time: ${triggerTime.toISOString()} (${triggerTime.toLocaleString('fr-FR', { timeZone: 'Europe/Paris' })})`);
+        log(`[scheduleFridayQuran] 🕌 Trigger time: ${triggerTime.toISOString()} (${triggerTime.toLocaleString('fr-FR', { timeZone: timezone })})`);
         log(`[scheduleFridayQuran] Day of week: ${triggerTime.getDay()} (expected: 5 = Friday)`);
         playQuran();
     }, {
-        timezone: "Europe/Paris"
+        timezone
     });
 
     log(`[scheduleFridayQuran] ✅ Friday Quran job created successfully`);
-    log(`[scheduleFridayQuran] Next execution: Every Friday at ${time} (Europe/Paris)`);
+    log(`[scheduleFridayQuran] Next execution: Every Friday at ${time} (${timezone})`);
     log(`[scheduleFridayQuran] ==============================================`);
 }
 
 // Initialize Friday Quran schedule on startup
 scheduleFridayQuran();
+scheduleIslamicEvents();
 
-// API Routes
+// ===== SCHEDULER INTROSPECTION =====
+// Days searched ahead for the next occurrence of a cron job (Friday Quran, Islamic events)
+const UPCOMING_SEARCH_DAYS = 60;
 
-// POST - Trigger audio on page load
-// DEPRECATED: This endpoint is no longer used
-// Page load audio now plays ONLY in the browser (never on server)
-// Server audio only plays at Docker container startup
-app.post('/api/play-on-page-load', (req, res) => {
-    try {
-        log('[DEPRECATED] /api/play-on-page-load endpoint called - this endpoint is no longer used');
-        log('[DEPRECATED] Page load audio now plays only in browser, not on server');
-        res.json({
-            success: false,
-            message: 'This endpoint is deprecated. Page load audio plays only in browser.'
-        });
-    } catch (error) {
-        logError('Error in play-on-page-load:', error);
-        res.status(500).json({ error: error.message });
+// Names of the audio zones playing the sounds of a prayer on a date (see isZoneScheduled), null without zones
+function getScheduledZoneNames(prayerName, date) {
+    const zones = getAudioZones();
+    if (zones.length === 0) {
+        return null;
     }
-});
+    if (getSetting('audio_output', 'both') === 'browser') {
+        return [];
+    }
+    return zones.filter(zone => isZoneScheduled(zone, prayerName, date)).map(zone => zone.name);
+}
 
-// GET - Retrieve prayers for a given date
-app.get('/api/prayers/:date', (req, res) => {
-    try {
-        const { date } = req.params;
-        const prayers = db.prepare('SELECT * FROM prayers WHERE date = ? ORDER BY prayer_time').all(date);
-        res.json(prayers);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+// One entry of /api/schedule/upcoming
+// details.zonePrayerName: prayer or extra time selecting the audio zones (defaults to prayerName), details.date: its date
+function upcomingEntry(type, label, fireTime, details = {}) {
+    const zoneDate = details.date || formatDateLocal(fireTime);
+    return {
+        type,
+        label,
+        prayer_name: details.prayerName || null,
+        fire_time: fireTime.toISOString(),
+        local_time: `${formatDateLocal(fireTime)} ${fireTime.toTimeString().substring(0, 5)}`,
+        audio_file: details.audioFile || null,
+        volume: details.volume !== undefined ? details.volume : null,
+        zone: details.zone !== undefined ? details.zone : getSetting('audio_output', 'both'),
+        zones: details.zone === null ? null : getScheduledZoneNames(details.zonePrayerName || details.prayerName || null, zoneDate),
+        suppressed: Boolean(details.reason),
+        reason: details.reason || null
+    };
+}
+
+// Next time (HH:MM) after now on a day accepted by matches(date), within UPCOMING_SEARCH_DAYS
+function getNextOccurrence(time, matches = () => true) {
+    const now = new Date();
+    const day = new Date();
+    for (let i = 0; i <= UPCOMING_SEARCH_DAYS; i++, day.setDate(day.getDate() + 1)) {
+        const date = formatDateLocal(day);
+        const fireTime = new Date(`${date}T${time}:00`);
+        if (fireTime > now && matches(date)) {
+            return fireTime;
+        }
     }
-});
+    return null;
+}
 
-// GET - Retrieve prayer checks for a given date
-app.get('/api/prayer-checks/:date', (req, res) => {
-    try {
-        const { date } = req.params;
-        const checks = db.prepare('SELECT * FROM prayer_checks WHERE date = ?').all(date);
-        res.json(checks);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+// Reason shown when the audio file of a job is missing
+function getMissingFileReason(folder, audioFile) {
+    if (!audioFile) {
+        return null;
     }
-});
+    return fs.existsSync(path.join(__dirname, 'audio', folder, audioFile)) ? null : `audio file not found in audio/${folder}`;
+}
 
-// POST - Toggle prayer check
+// Every pending job (athans, iqama and extra time alerts, Friday Quran, Islamic events, daily update),
+// with the audio it will play and the reason it will stay silent (same checks as the play functions)
+function getUpcomingSchedule() {
+    const entries = [];
+    const iqamaSound = getSetting('iqama_sound', '');
+    const volume = parseInt(getSetting('volume', '50'));
+
+    // Athan, iqama and extra time alert jobs (node-schedule)
+    scheduledJobs.forEach(job => {
+        const fireTime = job.nextInvocation && job.nextInvocation();
+        if (!fireTime || !job.scheduleInfo) {
+            return;
+        }
+        const { type, prayer, row } = job.scheduleInfo;
+        // nextInvocation() returns a CronDate
+        const fireDate = new Date(fireTime.getTime());
+        if (type === 'athan') {
+            const athanFile = getAthanAudioFile(prayer.prayer_name);
+            entries.push(upcomingEntry('athan', prayer.display_name || prayer.prayer_name, fireDate, {
+                prayerName: prayer.prayer_name,
+                date: prayer.date,
+                audioFile: athanFile,
+                volume: getAthanVolume(prayer.prayer_name),
+                reason: getAthanSuppressionReason(prayer.prayer_name, prayer.date) || getMissingFileReason('athan', athanFile)
+            }));
+        } else if (type === 'iqama') {
+            entries.push(upcomingEntry('iqama', `${prayer.display_name || prayer.prayer_name} iqama`, fireDate, {
+                prayerName: prayer.prayer_name,
+                date: prayer.date,
+                audioFile: iqamaSound,
+                volume,
+                reason: getIqamaSuppressionReason(prayer) || getMissingFileReason('alerts', iqamaSound)
+            }));
+        } else if (type === 'reminder') {
+            const reminderFile = (getPrayerConfig()[prayer.prayer_name] || {}).reminder_file;
+            entries.push(upcomingEntry('reminder', `${prayer.display_name || prayer.prayer_name} reminder`, fireDate, {
+                prayerName: prayer.prayer_name,
+                date: prayer.date,
+                audioFile: reminderFile,
+                volume: getSequenceVolume(prayer.prayer_name, 'reminder'),
+                // "Mute next athan" is applied below, to the reminder of the muted athan only
+                reason: getAthanSuppressionReason(prayer.prayer_name, prayer.date) || getMissingFileReason('alerts', reminderFile)
+            }));
+        } else if (type === 'alert') {
+            const sound = getSetting(extraTimes[row.prayer_name], '');
+            entries.push(upcomingEntry('alert', row.prayer_name, fireDate, {
+                zonePrayerName: row.prayer_name,
+                date: row.date,
+                audioFile: sound,
+                volume: row.prayer_name === 'Suhoor' ? parseInt(getSetting('suhoor_volume', '50')) : volume,
+                reason: getExtraTimeAlertSuppressionReason(row) || getMissingFileReason('alerts', sound)
+            }));
+        }
+    });
+
+    // Athans disabled by a date override are not scheduled at all: list them too
+    const now = new Date();
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    getEffectivePrayers([formatDateLocal(now), formatDateLocal(tomorrow)], ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'])
+        .filter(prayer => prayer.athan_disabled)
+        .forEach(prayer => {
+            const fireTime = new Date(`${prayer.date}T${prayer.prayer_time}:00`);
+            if (fireTime > now) {
+                entries.push(upcomingEntry('athan', prayer.display_name || prayer.prayer_name, fireTime, {
+                    prayerName: prayer.prayer_name,
+                    date: prayer.date,
+                    audioFile: getAthanAudioFile(prayer.prayer_name),
+                    volume: getAthanVolume(prayer.prayer_name),
+                    reason: 'athan disabled by date override'
+                }));
+            }
+        });
+
+    // Friday Quran
+    if (fridayQuranJob) {
+        const quranFile = getSetting('friday_quran_file', 'Sourat Al Kahf - Hani Arrifai.mp3');
+        const fireTime = getNextOccurrence(getSetting('friday_quran_time', '07:00'), date => new Date(`${date}T12:00:00`).getDay() === 5);
+        if (fireTime) {
+            entries.push(upcomingEntry('quran', 'Friday Quran', fireTime, {
+                audioFile: quranFile,
+                volume,
+                reason: getMissingFileReason('coran', quranFile)
+            }));
+        }
+    }
+
+    // Islamic events: reminder the evening before and event audio
+    const eventConfig = db.prepare('SELECT * FROM islamic_events').all();
+    if (eventConfig.some(row => row.reminder)) {
+        let reminderEvents = [];
+        const fireTime = getNextOccurrence(getSetting('event_reminder_time', '20:00'), date => {
+            const nextDay = new Date(`${date}T12:00:00`);
+            nextDay.setDate(nextDay.getDate() + 1);
+            reminderEvents = getDayEvents(formatDateLocal(nextDay)).filter(event => event.reminder);
+            return reminderEvents.length > 0;
+        });
+        if (fireTime) {
+            const reminderSound = getSetting('event_reminder_sound', '');
+            entries.push(upcomingEntry('event_reminder', `Reminder: ${reminderEvents.map(event => event.label).join(', ')}`, fireTime, {
+                audioFile: reminderSound,
+                volume: reminderSound ? volume : null,
+                reason: getMissingFileReason('alerts', reminderSound)
+            }));
+        }
+    }
+    [...new Set(eventConfig.filter(row => row.audio_file && row.audio_time).map(row => row.audio_time))].forEach(time => {
+        let event = null;
+        const fireTime = getNextOccurrence(time, date => {
+            event = getDayEvents(date).find(e => e.audio_file && e.audio_time === time);
+            return Boolean(event);
+        });
+        if (fireTime) {
+            entries.push(upcomingEntry('event_audio', event.label, fireTime, {
+                audioFile: event.audio_file,
+                volume,
+                reason: getMissingFileReason('events', event.audio_file)
+            }));
+        }
+    });
+
+    // Daily prayer times update
+    if (dailyUpdateJob) {
+        const fireTime = getNextOccurrence('00:00');
+        entries.push(upcomingEntry('refresh', 'Prayer times update', fireTime, { zone: null }));
+    }
+
+    entries.sort((a, b) => a.fire_time.localeCompare(b.fire_time));
+
+    // "Mute next athan": the first athan that would play is skipped, with its reminder and its iqama
+    const skipNext = db.prepare('SELECT skip FROM skip_next WHERE id = 1').get();
+    if (skipNext && skipNext.skip === 1) {
+        const skipped = entries.find(entry => entry.type === 'athan' && !entry.suppressed);
+        if (skipped) {
+            skipped.suppressed = true;
+            skipped.reason = 'next athan muted';
+            entries.filter(entry => entry.type === 'reminder' && entry.prayer_name === skipped.prayer_name && entry.fire_time <= skipped.fire_time)
+                .slice(-1)
+                .forEach(entry => {
+                    entry.suppressed = true;
+                    entry.reason = entry.reason || 'next athan muted';
+                });
+            entries.filter(entry => entry.type === 'iqama' && entry.prayer_name === skipped.prayer_name && entry.fire_time > skipped.fire_time)
+                .slice(0, 1)
+                .forEach(entry => {
+                    entry.suppressed = true;
+                    entry.reason = entry.reason || 'athan muted';
+                });
+        }
+    }
+    return entries;
+}
+
+// API Routes
+
+// POST - Trigger audio on page load
+// DEPRECATED: This endpoint is no longer used
+// Page load audio now plays ONLY in the browser (never on server)
+// Server audio only plays at Docker container startup
+app.post('/api/play-on-page-load', (req, res) => {
+    try {
+        log('[DEPRECATED] /api/play-on-page-load endpoint called - this endpoint is no longer used');
+        log('[DEPRECATED] Page load audio now plays only in browser, not on server');
+        res.json({
+            success: false,
+            message: 'This endpoint is deprecated. Page load audio plays only in browser.'
+        });
+    } catch (error) {
+        logError('Error in play-on-page-load:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Retrieve prayers for a given date
+app.get('/api/prayers/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        const hijriDate = hijriCalendar.toHijri(date, getHijriOptions());
+        res.json(getEffectivePrayers(date).map(prayer => ({
+            ...prayer,
+            hijri_date: hijriDate.iso,
+            hijri_date_text: hijriDate.formatted
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Retrieve prayer checks for a given date
+app.get('/api/prayer-checks/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        const checks = db.prepare('SELECT * FROM prayer_checks WHERE date = ?').all(date);
+        res.json(checks);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Toggle prayer check
 // Supports 3 states: 0 (unchecked) → 2 (orange) → 1 (green) → 0 (unchecked)
 app.post('/api/prayer-checks/toggle', (req, res) => {
     try {
@@ -920,44 +2516,25 @@ app.get('/api/prayers/next/upcoming', (req, res) => {
         // Only include the 5 main prayers
         const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
 
-        // Debug: Show all main prayers for today
-        const allMainPrayersToday = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-        `).all(currentDate, ...mainPrayers);
+        // Debug: Show all main prayers for today (date overrides applied)
+        const allMainPrayersToday = getEffectivePrayers(currentDate, mainPrayers);
 
         log(`[API] All main prayers today:`, allMainPrayersToday.map(p => `${p.prayer_name}:${p.prayer_time}`).join(', '));
 
-        // Find next prayer strictly in the future (prayer_time > current_time)
+        // Find next prayer strictly in the future (prayer_time > current_time), else the first one tomorrow
         // This ensures we always get the truly NEXT prayer, not the current one
-        const nextPrayer = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_time > ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-            LIMIT 1
-        `).get(currentDate, currentTime, ...mainPrayers);
-
-        if (nextPrayer) {
-            log(`[API] Returning next prayer: ${nextPrayer.prayer_name} at ${nextPrayer.prayer_time} on ${nextPrayer.date}`);
-            res.json(nextPrayer);
-        } else {
-            // If none remain today, return the first main prayer tomorrow
-            log(`[API] No prayers left today, looking for tomorrow...`);
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowDate = formatDateLocal(tomorrow);
-
-            const firstPrayerTomorrow = db.prepare(`
-                SELECT * FROM prayers 
-                WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-                ORDER BY prayer_time
-                LIMIT 1
-            `).get(tomorrowDate, ...mainPrayers);
+        const nextPrayer = getNextMainPrayer(now);
 
-            log(`[API] Returning first prayer tomorrow: ${firstPrayerTomorrow ? firstPrayerTomorrow.prayer_name : 'null'}`);
-            res.json(firstPrayerTomorrow || null);
+        // Ramadan fasting hours (Dohr to Maghrib): the card counts down to iftar
+        if (nextPrayer && nextPrayer.ramadan && ['Dohr', 'Asr', 'Maghrib'].includes(nextPrayer.prayer_name)) {
+            const maghrib = getEffectivePrayers(nextPrayer.date, ['Maghrib'])[0];
+            if (maghrib) {
+                nextPrayer.iftar_time = maghrib.prayer_time;
+            }
         }
+
+        log(`[API] Returning next prayer: ${nextPrayer ? `${nextPrayer.prayer_name} at ${nextPrayer.prayer_time} on ${nextPrayer.date}` : 'null'}`);
+        res.json(nextPrayer);
     } catch (error) {
         logError(`[API] Error in /api/prayers/next/upcoming:`, error);
         res.status(500).json({ error: error.message });
@@ -971,35 +2548,11 @@ app.get('/api/next-prayer-text', (req, res) => {
     try {
         const lang = (req.query.lang || 'FR').toUpperCase();
         const now = new Date();
-        const currentDate = formatDateLocal(now);
-        const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
 
         log(`[API] /api/next-prayer-text called with lang=${lang}`);
 
-        // Only include the 5 main prayers
-        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
-
-        // Find next prayer strictly in the future
-        let nextPrayer = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_time > ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-            LIMIT 1
-        `).get(currentDate, currentTime, ...mainPrayers);
-
-        // If no prayer today, get first prayer tomorrow
-        if (!nextPrayer) {
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowDate = formatDateLocal(tomorrow);
-
-            nextPrayer = db.prepare(`
-                SELECT * FROM prayers 
-                WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-                ORDER BY prayer_time
-                LIMIT 1
-            `).get(tomorrowDate, ...mainPrayers);
-        }
+        // Find next prayer strictly in the future (or the first prayer tomorrow)
+        const nextPrayer = getNextMainPrayer(now);
 
         // If no prayer found at all, return configuration message
         if (!nextPrayer) {
@@ -1027,7 +2580,7 @@ app.get('/api/next-prayer-text', (req, res) => {
             'Isha': 'Isha'
         };
 
-        const prayerName = prayerNamesFR[nextPrayer.prayer_name] || nextPrayer.prayer_name;
+        const prayerName = nextPrayer.display_name || prayerNamesFR[nextPrayer.prayer_name] || nextPrayer.prayer_name;
 
         // Build natural language response in French
         if (lang === 'FR') {
@@ -1088,18 +2641,99 @@ app.get('/api/settings', (req, res) => {
 app.post('/api/settings', (req, res) => {
     try {
         const { key, value } = req.body;
+        if (key === 'timezone' && value !== 'auto' && !timezones.isValidTimezone(value)) {
+            return res.status(400).json({ error: `Unknown timezone: ${value} (use an IANA name such as Europe/Paris, or auto)` });
+        }
+        const fadeSetting = /^(athan|quran)_(fade_in|fade_out|ramp|max_duration)$/.exec(key);
+        if (fadeSetting) {
+            const seconds = Number(value);
+            const limit = AUDIO_FADE_LIMITS[fadeSetting[2]];
+            if (!Number.isFinite(seconds) || seconds < 0 || seconds > limit) {
+                return res.status(400).json({ error: `${key} must be a number of seconds between 0 and ${limit}` });
+            }
+        }
+        if (key === 'loudness_target') {
+            const lufs = Number(value);
+            if (!Number.isFinite(lufs) || lufs < LOUDNESS_TARGET_RANGE.min || lufs > LOUDNESS_TARGET_RANGE.max) {
+                return res.status(400).json({ error: `loudness_target must be between ${LOUDNESS_TARGET_RANGE.min} and ${LOUDNESS_TARGET_RANGE.max} LUFS` });
+            }
+        }
+        if (key === 'audio_preemption' && !PREEMPTION_MODES[value]) {
+            return res.status(400).json({ error: `Unknown audio_preemption: ${value} (use ${Object.keys(PREEMPTION_MODES).join(' or ')})` });
+        }
+        if (key === 'audio_backend' && value !== 'auto' && !PLAYER_BACKENDS[value]) {
+            return res.status(400).json({ error: `Unknown audio_backend: ${value} (use auto, ${Object.keys(PLAYER_BACKENDS).join(', ')})` });
+        }
+        if (key === 'duck_volume') {
+            const percent = Number(value);
+            if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+                return res.status(400).json({ error: 'duck_volume must be a percentage between 0 and 100' });
+            }
+        }
         db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value);
 
-        // If ICS URL changed, fetch new prayer times
-        if (key === 'ics_url') {
+        // The installation timezone may be detected from the ICS link
+        const timezoneKeys = ['timezone', 'ics_url'];
+        const timezoneChanged = timezoneKeys.includes(key) && applyTimezone();
+        if (timezoneChanged) {
+            onTimezoneChanged();
+        }
+
+        // The default output is written once here, not before every play
+        if (key === 'audio_card') {
+            updateAsoundrc(value);
+        }
+        // The audio support check follows the selected player and output
+        if (key === 'audio_card' || key === 'audio_backend') {
+            audioSupportCache = null;
+        }
+
+        // Turning the live stream off disconnects its listeners
+        if (key === 'live_stream' && value !== '1') {
+            streamEngine.stop();
+            audioStream.close();
+        }
+
+        // If ICS URL or provider chain changed, fetch new prayer times (already done on a timezone change)
+        if ((key === 'ics_url' || key === 'prayer_providers') && !timezoneChanged) {
             fetchPrayerTimes();
         }
 
+        // Calculation parameters (location, method, angles...): recompute when the calculation is a provider
+        if (key.startsWith('calc_') && getProviderChain().includes('calculation')) {
+            scheduleCalculationRefresh();
+        }
+
         // If Friday Quran settings changed, reschedule the job
         if (key === 'friday_quran_enabled' || key === 'friday_quran_time') {
             scheduleFridayQuran();
         }
 
+        // Iqama and extra time alert jobs are only scheduled when a sound is selected
+        if (key === 'iqama_sound' || Object.values(extraTimes).includes(key)) {
+            scheduleAthanCalls();
+        }
+
+        // Islamic event reminder time
+        if (key === 'event_reminder_time') {
+            scheduleIslamicEvents();
+        }
+
+        // Ramadan times are computed when the prayers are read: only the jobs need rescheduling
+        const ramadanKeys = ['ramadan_mode', 'ramadan_start', 'ramadan_end', 'suhoor_offset', 'taraweeh_enabled', 'taraweeh_offset', 'hijri_method', 'hijri_adjustment'];
+        if (ramadanKeys.includes(key)) {
+            scheduleAthanCalls();
+        }
+
+        // Imsak/Duha offsets: recompute the stored extra times (from yesterday onward)
+        if (key === 'imsak_offset' || key === 'duha_offset') {
+            const yesterday = new Date();
+            yesterday.setDate(yesterday.getDate() - 1);
+            const dates = db.prepare('SELECT DISTINCT date FROM prayers WHERE date >= ? ORDER BY date').all(formatDateLocal(yesterday)).map(row => row.date);
+            storeExtraTimes(dates);
+            scheduleAthanCalls();
+        }
+
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1187,6 +2821,254 @@ app.post('/api/muted-weekdays/:weekday', (req, res) => {
     }
 });
 
+// ========== PER-PRAYER CONFIGURATION ==========
+
+// File name of audio/alerts (no path)
+function isAlertFile(file) {
+    return typeof file === 'string' && path.basename(file) === file && fs.existsSync(path.join(__dirname, 'audio', 'alerts', file));
+}
+
+// Editable prayer_config columns: validation and whether prayer times must be rewritten after a change
+const prayerConfigFields = {
+    display_offset: { validate: (v) => Number.isInteger(v) && Math.abs(v) <= 120, refetch: true },
+    athan_offset: { validate: (v) => Number.isInteger(v) && Math.abs(v) <= 120, refetch: false },
+    iqama_mode: { validate: (v) => ['none', 'offset', 'fixed', 'round5', 'timetable'].includes(v), refetch: false },
+    iqama_offset: { validate: (v) => Number.isInteger(v) && v >= 0 && v <= 120, refetch: false },
+    iqama_time: { validate: (v) => v === null || /^([01]\d|2[0-3]):[0-5]\d$/.test(v), refetch: false },
+    catchup_grace: { validate: (v) => Number.isInteger(v) && v >= 0 && v <= 120, refetch: false },
+    audio_file: {
+        validate: (v) => v === null || (typeof v === 'string' && path.basename(v) === v && fs.existsSync(path.join(__dirname, 'audio', 'athan', v))),
+        refetch: false
+    },
+    volume: { validate: (v) => v === null || (Number.isInteger(v) && v >= 0 && v <= 200), refetch: false },
+    reminder_file: { validate: (v) => v === null || isAlertFile(v), refetch: false },
+    reminder_offset: { validate: (v) => Number.isInteger(v) && v >= 1 && v <= 60, refetch: false },
+    reminder_volume: { validate: (v) => v === null || (Number.isInteger(v) && v >= 0 && v <= 200), refetch: false },
+    dua_file: { validate: (v) => v === null || isAlertFile(v), refetch: false },
+    dua_delay: { validate: (v) => Number.isInteger(v) && v >= 0 && v <= 300, refetch: false },
+    dua_volume: { validate: (v) => v === null || (Number.isInteger(v) && v >= 0 && v <= 200), refetch: false }
+};
+
+// Times are stored per date: a display offset may not move a stored prayer (today onward) to another day
+// Returns an error message or null
+function getDisplayOffsetError(prayerName, displayOffset) {
+    const current = db.prepare('SELECT display_offset FROM prayer_config WHERE prayer_name = ?').get(prayerName);
+    const change = displayOffset - ((current && current.display_offset) || 0);
+    const outside = db.prepare('SELECT date, prayer_time FROM prayers WHERE prayer_name = ? AND date >= ? ORDER BY date')
+        .all(prayerName, formatDateLocal(new Date()))
+        .find(row => shiftTime(row.prayer_time, change) === null);
+    if (!outside) {
+        return null;
+    }
+    return `display_offset ${displayOffset} would move ${prayerName} to another day on ${outside.date} `
+        + `(${outside.prayer_time} with the current offset)`;
+}
+
+// GET - Retrieve per-prayer configuration (offsets)
+app.get('/api/prayer-config', (req, res) => {
+    try {
+        const config = db.prepare('SELECT * FROM prayer_config').all();
+        // Keep the usual prayer order
+        config.sort((a, b) => prayerNames.indexOf(a.prayer_name) - prayerNames.indexOf(b.prayer_name));
+        res.json(config);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Update per-prayer configuration: { prayer_name, display_offset?, athan_offset? (minutes, -120 to 120),
+//        iqama_mode?, iqama_offset? (minutes, 0 to 120), iqama_time? (HH:MM or null), catchup_grace? (minutes, 0 to 120),
+//        audio_file? (file of audio/athan or null), volume? (0 to 200 or null),
+//        reminder_file?, dua_file? (file of audio/alerts or null), reminder_offset? (minutes, 1 to 60), dua_delay? (seconds, 0 to 300),
+//        reminder_volume?, dua_volume? (0 to 200 or null) }
+app.post('/api/prayer-config', async (req, res) => {
+    try {
+        const { prayer_name, ...fields } = req.body;
+
+        if (!prayerNames.includes(prayer_name)) {
+            return res.status(400).json({ error: 'Invalid prayer_name. Must be one of: Fajr | Sobh, Dohr, Asr, Maghrib, Isha' });
+        }
+
+        const columns = Object.keys(fields).filter(column => prayerConfigFields[column]);
+        if (columns.length === 0) {
+            return res.status(400).json({ error: `Nothing to update. Allowed fields: ${Object.keys(prayerConfigFields).join(', ')}` });
+        }
+
+        for (const column of columns) {
+            if (!prayerConfigFields[column].validate(fields[column])) {
+                return res.status(400).json({ error: `Invalid value for ${column}` });
+            }
+        }
+
+        const offsetError = columns.includes('display_offset') ? getDisplayOffsetError(prayer_name, fields.display_offset) : null;
+        if (offsetError) {
+            return res.status(400).json({ error: offsetError });
+        }
+
+        columns.forEach(column => {
+            db.prepare(`UPDATE prayer_config SET ${column} = ? WHERE prayer_name = ?`).run(fields[column], prayer_name);
+        });
+        log(`[prayer-config] ${prayer_name}: ${columns.map(column => `${column}=${fields[column]}`).join(', ')}`);
+
+        // Display offsets are applied when prayers are written, athan offsets and iqama rules when jobs are scheduled
+        if (columns.some(column => prayerConfigFields[column].refetch)) {
+            await fetchPrayerTimes();
+        } else {
+            scheduleAthanCalls();
+        }
+
+        res.json({ success: true, config: db.prepare('SELECT * FROM prayer_config WHERE prayer_name = ?').get(prayer_name) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========== DATE-SPECIFIC OVERRIDES ==========
+
+// GET - List date overrides (optional range: ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/api/overrides', (req, res) => {
+    try {
+        const from = req.query.from || '0000-00-00';
+        const to = req.query.to || '9999-99-99';
+        const overrides = db.prepare('SELECT * FROM prayer_overrides WHERE date >= ? AND date <= ? ORDER BY date').all(from, to);
+        overrides.sort((a, b) => a.date.localeCompare(b.date) || prayerNames.indexOf(a.prayer_name) - prayerNames.indexOf(b.prayer_name));
+        res.json(overrides);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validate the date, prayer and optional time of an override; returns an error message or null
+function validateOverride(date, prayerName, prayerTime) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(`${date}T00:00:00Z`))
+        || new Date(`${date}T00:00:00Z`).toISOString().slice(0, 10) !== date) {
+        return 'date must be a valid date in YYYY-MM-DD format';
+    }
+    if (!prayerNames.includes(prayerName)) {
+        return 'Invalid prayer_name. Must be one of: Fajr | Sobh, Dohr, Asr, Maghrib, Isha';
+    }
+    if (prayerTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(prayerTime)) {
+        return 'prayer_time must be in HH:MM format';
+    }
+    return null;
+}
+
+// POST - Create or update the override of one prayer on one date
+// Body: { date, prayer_name, prayer_time (HH:MM or null), athan_disabled (bool), note }
+app.post('/api/overrides', (req, res) => {
+    try {
+        const { date, prayer_name, prayer_time, athan_disabled, note } = req.body;
+
+        const overrideError = validateOverride(date, prayer_name, prayer_time);
+        if (overrideError) {
+            return res.status(400).json({ error: overrideError });
+        }
+
+        // An override without time change nor athan exception is meaningless: remove it
+        if (!prayer_time && !athan_disabled) {
+            db.prepare('DELETE FROM prayer_overrides WHERE date = ? AND prayer_name = ?').run(date, prayer_name);
+            log(`[overrides] Removed override for ${prayer_name} on ${date}`);
+            scheduleAthanCalls();
+            return res.json({ success: true, override: null });
+        }
+
+        db.prepare(`
+            INSERT INTO prayer_overrides (date, prayer_name, prayer_time, athan_disabled, note)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(date, prayer_name) DO UPDATE SET
+                prayer_time = excluded.prayer_time,
+                athan_disabled = excluded.athan_disabled,
+                note = excluded.note
+        `).run(date, prayer_name, prayer_time || null, athan_disabled ? 1 : 0, note || null);
+
+        log(`[overrides] ${prayer_name} on ${date}: ${prayer_time ? `time ${prayer_time}` : 'provider time'}${athan_disabled ? ', no athan' : ''}`);
+        scheduleAthanCalls();
+
+        res.json({
+            success: true,
+            override: db.prepare('SELECT * FROM prayer_overrides WHERE date = ? AND prayer_name = ?').get(date, prayer_name)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE - Remove an override
+app.delete('/api/overrides/:id', (req, res) => {
+    try {
+        const result = db.prepare('DELETE FROM prayer_overrides WHERE id = ?').run(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+        scheduleAthanCalls();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========== JUMU'AH ==========
+
+// GET - Jumu'ah mode and its slots
+app.get('/api/jumuah', (req, res) => {
+    try {
+        res.json({
+            enabled: getSetting('jumuah_enabled', '0') === '1',
+            slots: db.prepare('SELECT * FROM jumuah_slots ORDER BY athan_time').all()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Replace the Jumu'ah configuration: { enabled, slots: [{ first_adhan_time?, athan_time, khutbah_time?, iqama_time? }] }
+app.post('/api/jumuah', (req, res) => {
+    try {
+        const { enabled, slots = [] } = req.body;
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        const fields = ['first_adhan_time', 'athan_time', 'khutbah_time', 'iqama_time'];
+
+        if (!Array.isArray(slots)) {
+            return res.status(400).json({ error: 'slots must be an array' });
+        }
+        if (enabled && slots.length === 0) {
+            return res.status(400).json({ error: "At least one slot is required to enable Jumu'ah mode" });
+        }
+        for (const [index, slot] of slots.entries()) {
+            if (!slot.athan_time) {
+                return res.status(400).json({ error: `Slot ${index + 1}: athan_time is required` });
+            }
+            const invalid = fields.find(field => slot[field] && !timePattern.test(slot[field]));
+            if (invalid) {
+                return res.status(400).json({ error: `Slot ${index + 1}: ${invalid} must be in HH:MM format` });
+            }
+            // Times of a slot must follow each other: first adhan, athan, khutbah, iqama
+            const times = fields.map(field => slot[field]).filter(Boolean);
+            if (times.some((time, i) => i > 0 && time < times[i - 1])) {
+                return res.status(400).json({ error: `Slot ${index + 1}: times must be in order (first adhan, athan, khutbah, iqama)` });
+            }
+        }
+
+        const insertSlot = db.prepare('INSERT INTO jumuah_slots (first_adhan_time, athan_time, khutbah_time, iqama_time) VALUES (?, ?, ?, ?)');
+        db.transaction(() => {
+            db.prepare('DELETE FROM jumuah_slots').run();
+            slots.forEach(slot => insertSlot.run(slot.first_adhan_time || null, slot.athan_time, slot.khutbah_time || null, slot.iqama_time || null));
+            db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('jumuah_enabled', enabled ? '1' : '0');
+        })();
+
+        log(`[jumuah] Jumu'ah mode ${enabled ? 'enabled' : 'disabled'} with ${slots.length} slot(s)`);
+        scheduleAthanCalls();
+
+        res.json({
+            success: true,
+            enabled: !!enabled,
+            slots: db.prepare('SELECT * FROM jumuah_slots ORDER BY athan_time').all()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ========== PRAYER SCHEDULE MATRIX (5 prayers × 7 days) ==========
 
 // GET - Retrieve entire prayer schedule matrix
@@ -1218,9 +3100,9 @@ app.post('/api/prayer-schedule', (req, res) => {
             return res.status(400).json({ error: 'day_of_week must be between 0 (Monday) and 6 (Sunday)' });
         }
 
-        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
-        if (!mainPrayers.includes(prayer_name)) {
-            return res.status(400).json({ error: 'Invalid prayer_name. Must be one of: Fajr | Sobh, Dohr, Asr, Maghrib, Isha' });
+        const scheduleNames = [...prayerNames, ...extraTimeNames];
+        if (!scheduleNames.includes(prayer_name)) {
+            return res.status(400).json({ error: `Invalid prayer_name. Must be one of: ${scheduleNames.join(', ')}` });
         }
 
         db.prepare('UPDATE prayer_schedule SET enabled = ? WHERE prayer_name = ? AND day_of_week = ?')
@@ -1244,11 +3126,9 @@ app.post('/api/prayer-schedule/bulk', (req, res) => {
             return res.status(400).json({ error: 'type, target, and enabled are required' });
         }
 
-        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
-
         if (type === 'prayer') {
-            // Update all 7 days for a specific prayer (whole week column)
-            if (!mainPrayers.includes(target)) {
+            // Update all 7 days for a specific prayer or extra time (whole week column)
+            if (!prayerNames.includes(target) && !extraTimeNames.includes(target)) {
                 return res.status(400).json({ error: 'Invalid prayer name' });
             }
             db.prepare('UPDATE prayer_schedule SET enabled = ? WHERE prayer_name = ?')
@@ -1276,45 +3156,10 @@ app.post('/api/prayer-schedule/bulk', (req, res) => {
 // POST - Skip next athan
 app.post('/api/skip-next', (req, res) => {
     try {
-        // Get next upcoming prayer (strictly in the future)
-        const now = new Date();
-        const currentDate = formatDateLocal(now);
-        const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
-        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
+        // Get next upcoming prayer (strictly in the future, date overrides applied)
+        const nextPrayer = getNextMainPrayer();
 
-        const nextPrayer = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_time > ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-            LIMIT 1
-        `).get(currentDate, currentTime, ...mainPrayers);
-
-        if (!nextPrayer) {
-            // No prayer today, check tomorrow
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowDate = formatDateLocal(tomorrow);
-
-            const firstPrayerTomorrow = db.prepare(`
-                SELECT * FROM prayers 
-                WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-                ORDER BY prayer_time
-                LIMIT 1
-            `).get(tomorrowDate, ...mainPrayers);
-
-            if (firstPrayerTomorrow) {
-                // Check if prayer is disabled for ALL days in the schedule matrix
-                const disabledCount = db.prepare(
-                    'SELECT COUNT(*) as count FROM prayer_schedule WHERE prayer_name = ? AND enabled = 0'
-                ).get(firstPrayerTomorrow.prayer_name).count;
-                if (disabledCount === 7) { // Disabled for all 7 days
-                    return res.status(400).json({
-                        success: false,
-                        message: `${firstPrayerTomorrow.prayer_name} is already muted in general settings`
-                    });
-                }
-            }
-        } else {
+        if (nextPrayer) {
             // Check if prayer is disabled for ALL days in the schedule matrix
             const disabledCount = db.prepare(
                 'SELECT COUNT(*) as count FROM prayer_schedule WHERE prayer_name = ? AND enabled = 0'
@@ -1337,46 +3182,10 @@ app.post('/api/skip-next', (req, res) => {
 // GET - Public route to mute next athan
 app.get('/api/mute-next-athan', (req, res) => {
     try {
-        // Get next upcoming prayer (strictly in the future)
-        const now = new Date();
-        const currentDate = formatDateLocal(now);
-        const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
-        const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
+        // Get next upcoming prayer (strictly in the future, date overrides applied)
+        const nextPrayer = getNextMainPrayer();
 
-        const nextPrayer = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_time > ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-            LIMIT 1
-        `).get(currentDate, currentTime, ...mainPrayers);
-
-        if (!nextPrayer) {
-            // No prayer today, check tomorrow
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowDate = formatDateLocal(tomorrow);
-
-            const firstPrayerTomorrow = db.prepare(`
-                SELECT * FROM prayers 
-                WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-                ORDER BY prayer_time
-                LIMIT 1
-            `).get(tomorrowDate, ...mainPrayers);
-
-            if (firstPrayerTomorrow) {
-                // Check if prayer is disabled for ALL days in the schedule matrix
-                const disabledCount = db.prepare(
-                    'SELECT COUNT(*) as count FROM prayer_schedule WHERE prayer_name = ? AND enabled = 0'
-                ).get(firstPrayerTomorrow.prayer_name).count;
-                if (disabledCount === 7) { // Disabled for all 7 days
-                    return res.json({
-                        success: false,
-                        message: `${firstPrayerTomorrow.prayer_name} is already muted in general settings`,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            }
-        } else {
+        if (nextPrayer) {
             // Check if prayer is disabled for ALL days in the schedule matrix
             const disabledCount = db.prepare(
                 'SELECT COUNT(*) as count FROM prayer_schedule WHERE prayer_name = ? AND enabled = 0'
@@ -1438,6 +3247,9 @@ app.get('/api/skip-next', (req, res) => {
 // POST - Force prayer times refresh
 app.post('/api/update-prayers', async (req, res) => {
     try {
+        // Replaces a refresh pending after a change of the calculation settings
+        clearTimeout(calculationRefreshTimer);
+        calculationRefreshTimer = null;
         const success = await fetchPrayerTimes();
         res.json({ success, message: success ? 'Prayer times updated' : 'Failed to update prayer times' });
     } catch (error) {
@@ -1445,10 +3257,159 @@ app.post('/api/update-prayers', async (req, res) => {
     }
 });
 
-// POST - Test athan playback
-app.post('/api/test-athan', (req, res) => {
-    try {
-        playAthan('Test');
+// Timetable files are parsed from memory (multipart/form-data, field "file")
+const timetableUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
+// Receive the timetable file of a preview or import request (error response sent on failure)
+function receiveTimetableFile(req, res, next) {
+    timetableUpload.single('file')(req, res, (uploadError) => {
+        if (uploadError) {
+            const message = uploadError.code === 'LIMIT_FILE_SIZE' ? 'The timetable file is too large (max 5 MB)' : uploadError.message;
+            return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No timetable file uploaded (multipart field "file")' });
+        }
+        next();
+    });
+}
+
+// Parse an uploaded timetable (multer file, optional "mapping" field as JSON) and validate it
+// Uses the given column mapping, else the saved one, else a mapping guessed from the headers
+async function parseTimetableUpload(file, body) {
+    const { headers, records } = await timetable.parseTimetableFile(file.buffer, file.originalname);
+
+    let columns = null;
+    if (body && body.mapping) {
+        try {
+            columns = JSON.parse(body.mapping);
+        } catch (error) {
+            throw new Error(`Invalid column mapping: ${error.message}`);
+        }
+    }
+    if (!columns) {
+        const saved = getSetting('timetable_columns', '');
+        const savedMapping = saved ? JSON.parse(saved) : null;
+        // Only reuse the saved mapping when the file has the same columns
+        columns = savedMapping && Object.values(savedMapping).every(h => headers.includes(h))
+            ? savedMapping
+            : timetable.guessColumnMapping(headers);
+    }
+
+    return { headers, mapping: columns, ...timetable.buildTimetable(records, columns) };
+}
+
+// GET - Fields that can be mapped to timetable columns
+app.get('/api/timetable/fields', (req, res) => {
+    res.json(timetable.TIMETABLE_FIELDS);
+});
+
+// POST - Preview an uploaded timetable (validation only, nothing is stored)
+app.post('/api/timetable/preview', receiveTimetableFile, async (req, res) => {
+    try {
+        const result = await parseTimetableUpload(req.file, req.body);
+        res.json({
+            headers: result.headers,
+            mapping: result.mapping,
+            days_count: result.days.length,
+            first_date: result.days.length > 0 ? result.days[0].date : null,
+            last_date: result.days.length > 0 ? result.days[result.days.length - 1].date : null,
+            preview: result.days.slice(0, 7),
+            errors: result.errors.slice(0, 50),
+            errors_count: result.errors.length,
+            warnings: result.warnings.slice(0, 50),
+            warnings_count: result.warnings.length
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST - Import an uploaded timetable and use it as the primary prayer-time provider
+app.post('/api/timetable/import', receiveTimetableFile, async (req, res) => {
+    try {
+        let result;
+        try {
+            result = await parseTimetableUpload(req.file, req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                error: `The timetable has ${result.errors.length} error(s)`,
+                errors: result.errors.slice(0, 50)
+            });
+        }
+
+        const insertRow = db.prepare('INSERT INTO timetable (date, prayer_name, prayer_time, iqama_time) VALUES (?, ?, ?, ?)');
+        db.transaction(() => {
+            db.prepare('DELETE FROM timetable').run();
+            result.days.forEach(day => {
+                day.prayers.forEach(p => insertRow.run(day.date, p.prayer_name, p.prayer_time, p.iqama_time));
+            });
+        })();
+
+        const updateSetting = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+        updateSetting.run('timetable_columns', JSON.stringify(result.mapping));
+        updateSetting.run('timetable_filename', path.basename(req.file.originalname));
+
+        // Put the timetable first in the provider chain (other providers fill the days it does not cover)
+        const chain = ['timetable', ...getProviderChain().filter(id => id !== 'timetable')];
+        updateSetting.run('prayer_providers', chain.join(','));
+
+        log(`📅 Timetable imported from ${req.file.originalname}: ${result.days.length} days (${result.days[0].date} → ${result.days[result.days.length - 1].date})`);
+
+        const success = await fetchPrayerTimes();
+        res.json({
+            success,
+            days_count: result.days.length,
+            warnings_count: result.warnings.length,
+            provider_chain: chain
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Currently imported timetable summary
+app.get('/api/timetable', (req, res) => {
+    try {
+        const summary = db.prepare('SELECT COUNT(DISTINCT date) AS days_count, MIN(date) AS first_date, MAX(date) AS last_date FROM timetable').get();
+        const columns = getSetting('timetable_columns', '');
+        res.json({
+            filename: getSetting('timetable_filename', '') || null,
+            mapping: columns ? JSON.parse(columns) : null,
+            ...summary
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE - Remove the imported timetable and fall back to the other providers
+app.delete('/api/timetable', async (req, res) => {
+    try {
+        db.prepare('DELETE FROM timetable').run();
+        db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('timetable_filename', '');
+
+        const chain = getProviderChain().filter(id => id !== 'timetable');
+        db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('prayer_providers', (chain.length > 0 ? chain : ['ics']).join(','));
+
+        log('📅 Timetable removed');
+        const success = await fetchPrayerTimes();
+        res.json({ success });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Test athan playback
+app.post('/api/test-athan', (req, res) => {
+    try {
+        playAthan('Test');
         res.json({ success: true, message: 'Test athan started' });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -1458,10 +3419,9 @@ app.post('/api/test-athan', (req, res) => {
 // GET - Stop all audio playback (server-side)
 app.get('/api/stop-audio', (req, res) => {
     try {
-        if (currentAudioPlayer) {
-            log('[stop-audio] Stopping server audio playback...');
-            currentAudioPlayer.kill('SIGTERM');
-            currentAudioPlayer = null;
+        // Stop audio also ends the athan sequence (no dua after a stopped athan)
+        cancelPendingDua();
+        if (stopServerAudio()) {
             log('[stop-audio] ✅ Server audio stopped');
             res.json({ success: true, message: 'Server audio stopped successfully' });
         } else {
@@ -1474,6 +3434,57 @@ app.get('/api/stop-audio', (req, res) => {
     }
 });
 
+// GET - Sound playing on the server: { playing, paused, type, label, file, started_at, elapsed, duration, suspended }
+// suspended: Quran and event programs paused or ducked until it ends, next to resume first
+app.get('/api/audio/now-playing', (req, res) => {
+    try {
+        res.json(getServerNowPlaying());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Transport controls of the server playback (404 when nothing is playing)
+// Stop also ends the athan sequence, like /api/stop-audio
+app.post('/api/audio/:action(pause|resume|stop)', (req, res) => {
+    try {
+        const { action } = req.params;
+        if (action === 'stop') {
+            cancelPendingDua();
+        }
+        // Applied to every audio zone; stop also ends the programs waiting for the current sound
+        const done = getAllAudioEngines().map(engine => engine[action]()).some(Boolean);
+        if (!done && !isServerAudioPlaying()) {
+            return res.status(404).json({ error: 'No audio currently playing on server' });
+        }
+        res.json({ success: true, now_playing: getServerNowPlaying() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Move the server playback to a position: { position } in seconds from the start of the sound
+// 409 when a player of the sound cannot seek (aplay, paplay, pw-play)
+app.post('/api/audio/seek', (req, res) => {
+    try {
+        const position = Number(req.body.position);
+        if (!Number.isFinite(position) || position < 0) {
+            return res.status(400).json({ error: 'position must be a number of seconds (0 or more)' });
+        }
+        const playing = getAllAudioEngines().filter(engine => engine.isPlaying());
+        if (playing.length === 0) {
+            return res.status(404).json({ error: 'No audio currently playing on server' });
+        }
+        if (!playing.every(engine => engine.canSeek())) {
+            return res.status(409).json({ error: 'The audio player of the current sound cannot seek' });
+        }
+        playing.forEach(engine => engine.seek(position));
+        res.json({ success: true, now_playing: getServerNowPlaying() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Test Athan playback on server (30 seconds)
 app.get('/api/test-athan-server', (req, res) => {
     try {
@@ -1494,29 +3505,26 @@ app.get('/api/test-athan-server', (req, res) => {
 
         log(`[test-athan-server] 🔊 BACKEND ATHAN TEST PLAYING (30s): ${audioPath} at UI volume ${volumePercent}% (server: ${volumeLevel}x)`);
 
-        // Stop any currently playing audio
-        if (currentAudioPlayer) {
-            currentAudioPlayer.kill('SIGTERM');
-            currentAudioPlayer = null;
-        }
-
-        // Play only the first 30 seconds using sox trim with selected audio card
-        const { args, env } = buildSoxArgs(volumeLevel, audioPath, ['trim', '0', '30']);
-        currentAudioPlayer = spawn('play', args, { env });
-
-        currentAudioPlayer.on('error', (err) => {
-            logError('Error playing Athan test:', err);
-            currentAudioPlayer = null;
-        });
-
-        currentAudioPlayer.on('close', (code) => {
-            if (code !== 0) {
-                logError(`Athan test process exited with code ${code}`);
-            } else {
-                log('Athan test (30s) finished');
+        // Play only the first 30 seconds on the selected audio card (with the athan fades)
+        // Tests have the lowest priority: refused while the athan, an alert or a program is playing
+        const started = playOnServer({
+            type: 'test',
+            label: 'test-athan-server',
+            audioPath,
+            volumePercent,
+            fadeType: 'athan',
+            previewSeconds: 30,
+            onEnd: (code) => {
+                if (code !== 0) {
+                    logError(`Athan test process exited with code ${code}`);
+                } else {
+                    log('Athan test (30s) finished');
+                }
             }
-            currentAudioPlayer = null;
         });
+        if (!started) {
+            return res.status(409).json({ success: false, error: 'Higher priority audio is playing', now_playing: getServerNowPlaying() });
+        }
 
         res.json({
             success: true,
@@ -1550,29 +3558,26 @@ app.get('/api/test-quran-server', (req, res) => {
 
         log(`[test-quran-server] 🔊 BACKEND QURAN TEST PLAYING (30s): ${quranPath} at UI volume ${volumePercent}% (server: ${volumeLevel}x)`);
 
-        // Stop any currently playing audio
-        if (currentAudioPlayer) {
-            currentAudioPlayer.kill('SIGTERM');
-            currentAudioPlayer = null;
-        }
-
-        // Play only the first 30 seconds using sox trim with selected audio card
-        const { args, env } = buildSoxArgs(volumeLevel, quranPath, ['trim', '0', '30']);
-        currentAudioPlayer = spawn('play', args, { env });
-
-        currentAudioPlayer.on('error', (err) => {
-            logError('Error playing Quran test:', err);
-            currentAudioPlayer = null;
-        });
-
-        currentAudioPlayer.on('close', (code) => {
-            if (code !== 0) {
-                logError(`Quran test process exited with code ${code}`);
-            } else {
-                log('Quran test (30s) finished');
+        // Play only the first 30 seconds on the selected audio card (with the Quran fades)
+        // Tests have the lowest priority: refused while the athan, an alert or a program is playing
+        const started = playOnServer({
+            type: 'test',
+            label: 'test-quran-server',
+            audioPath: quranPath,
+            volumePercent,
+            fadeType: 'quran',
+            previewSeconds: 30,
+            onEnd: (code) => {
+                if (code !== 0) {
+                    logError(`Quran test process exited with code ${code}`);
+                } else {
+                    log('Quran test (30s) finished');
+                }
             }
-            currentAudioPlayer = null;
         });
+        if (!started) {
+            return res.status(409).json({ success: false, error: 'Higher priority audio is playing', now_playing: getServerNowPlaying() });
+        }
 
         res.json({
             success: true,
@@ -1601,6 +3606,30 @@ app.get('/api/trigger-friday-quran', (req, res) => {
     }
 });
 
+// GET - Every pending scheduled job with its audio, volume, zone and suppression reason
+app.get('/api/schedule/upcoming', (req, res) => {
+    try {
+        res.json({
+            timezone: getTimezone(),
+            generated_at: new Date().toISOString(),
+            jobs: getUpcomingSchedule()
+        });
+    } catch (error) {
+        logError('Error in /api/schedule/upcoming:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Athan decisions log (played, played late, missed, suppressed), most recent first
+app.get('/api/athan-decisions', (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        res.json(db.prepare('SELECT * FROM athan_decisions ORDER BY created_at DESC, id DESC LIMIT ?').all(limit));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Check Friday Quran status
 app.get('/api/friday-quran-status', (req, res) => {
     try {
@@ -1617,7 +3646,7 @@ app.get('/api/friday-quran-status', (req, res) => {
             file: fileRow ? fileRow.value : 'Sourat Al Kahf - Hani Arrifai.mp3',
             jobScheduled: isJobScheduled,
             currentServerTime: now.toISOString(),
-            currentServerTimeLocal: now.toLocaleString('fr-FR', { timeZone: 'Europe/Paris' }),
+            currentServerTimeLocal: now.toLocaleString('fr-FR', { timeZone: getTimezone() }),
             currentDayOfWeek: now.getDay(),
             isFriday: now.getDay() === 5
         });
@@ -1627,7 +3656,26 @@ app.get('/api/friday-quran-status', (req, res) => {
     }
 });
 
-// GET - List available audio devices
+// PulseAudio / PipeWire sinks of the server (`pactl list short sinks`, also served by pipewire-pulse)
+// callback(devices): [{ id: 'pulse:<sink>', name, displayName, type: 'pulse' }], empty without a sound server
+function listPulseSinks(callback) {
+    const { exec } = require('child_process');
+    exec('pactl list short sinks 2>/dev/null', { timeout: 3000 }, (error, stdout) => {
+        if (error) {
+            return callback([]);
+        }
+        // Format: "0\talsa_output.pci-0000_00_1f.3.analog-stereo\tmodule-alsa-card.c\ts16le 2ch 44100Hz\tSUSPENDED"
+        const sinks = stdout.split('\n').map(line => line.split('\t')[1]).filter(Boolean).map(sink => ({
+            id: `pulse:${sink}`,
+            name: sink,
+            displayName: `Pulse: ${sink}`,
+            type: 'pulse'
+        }));
+        callback(sinks.length > 0 ? [{ id: 'pulse', name: 'default', displayName: 'Pulse: default sink', type: 'pulse' }, ...sinks] : []);
+    });
+}
+
+// GET - List available audio devices: ALSA cards, then PulseAudio / PipeWire sinks
 app.get('/api/audio/devices', (req, res) => {
     try {
         const { exec } = require('child_process');
@@ -1635,11 +3683,10 @@ app.get('/api/audio/devices', (req, res) => {
         exec('aplay -l 2>/dev/null', (error, stdout, stderr) => {
             if (error) {
                 logError('Error listing audio devices:', error);
-                return res.json({ devices: [] });
             }
 
             const devices = [];
-            const lines = stdout.split('\n');
+            const lines = error ? [] : stdout.split('\n');
 
             // Parse aplay -l output
             // Format: "card 0: vc4hdmi0 [vc4-hdmi-0], device 0: MAI PCM i2s-hifi-0 [MAI PCM i2s-hifi-0]"
@@ -1662,12 +3709,13 @@ app.get('/api/audio/devices', (req, res) => {
                         card: cardNumber,
                         id: cardId,
                         name: cardName,
-                        displayName: displayName
+                        displayName: displayName,
+                        type: 'alsa'
                     });
                 }
             }
 
-            res.json({ devices });
+            listPulseSinks(sinks => res.json({ devices: [...devices, ...sinks] }));
         });
     } catch (error) {
         logError('Error in /api/audio/devices:', error);
@@ -1675,6 +3723,30 @@ app.get('/api/audio/devices', (req, res) => {
     }
 });
 
+// GET - Audio players: the audio_backend setting, the player used on the default output and every backend
+// with whether it is installed (detected again on each call)
+app.get('/api/audio/backends', (req, res) => {
+    try {
+        installedPlayerBackends = detectPlayerBackends();
+        const selected = getSetting('audio_backend', 'auto');
+        res.json({
+            selected,
+            active: selectPlayerBackend(selected, installedPlayerBackends, getDefaultAudioTarget(), null),
+            backends: Object.entries(PLAYER_BACKENDS).map(([id, backend]) => ({
+                id,
+                name: backend.name,
+                command: backend.command,
+                installed: installedPlayerBackends.includes(id),
+                outputs: backend.outputs,
+                seek: backend.seek,
+                limits: backend.limits
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Debug ALSA configuration
 app.get('/api/audio/debug', (req, res) => {
     try {
@@ -1685,6 +3757,7 @@ app.get('/api/audio/debug', (req, res) => {
             asoundrc: null,
             aplayList: null,
             selectedCard: null,
+            zones: getAudioZones().map(zone => ({ name: zone.name, device: describeZoneOutput(zone), enabled: zone.enabled })),
             errors: []
         };
 
@@ -1714,17 +3787,340 @@ app.get('/api/audio/debug', (req, res) => {
     }
 });
 
+// ========== AUDIO ZONES ==========
+// Named server outputs (e.g. main hall, women's section, outside speaker), each an ALSA card or PulseAudio / PipeWire
+// sink from /api/audio/devices (type 'alsa') or an RTP stream to a multicast group or IP speaker for PA systems
+// (type 'rtp', see lib/rtp-output.js).
+// Each zone has its own audio engine, volume and prayer × day schedule; a sound plays in every scheduled zone at once.
+// The device is chosen per process (see lib/player-backends.js), so .asoundrc is left alone. Without any zone, audio_card is used.
+
+// Zone volume: percentage of the sound volume (100 = unchanged)
+const MAX_ZONE_VOLUME = 200;
+
+// Audio engine of each zone, by zone id (created on first use)
+const zoneEngines = new Map();
+// RTP sender (UDP socket) of each RTP zone, by zone id (created on first use)
+const zoneRtpSenders = new Map();
+
+function getAudioZones() {
+    return db.prepare('SELECT * FROM audio_zones ORDER BY id').all();
+}
+
+function getZoneEngine(zoneId) {
+    if (!zoneEngines.has(zoneId)) {
+        zoneEngines.set(zoneId, createAudioEngine(audioEngineOptions));
+    }
+    return zoneEngines.get(zoneId);
+}
+
+// Engines of the default output, the zones and the live stream (transport controls act on all of them)
+function getAllAudioEngines() {
+    return [audioEngine, ...zoneEngines.values(), streamEngine];
+}
+
+// Output of a zone for the logs: "plughw:1", "pulse:<sink>" or "rtp://239.255.0.1:5004 (pcmu)"
+// device: card number or card id (e.g. "1" or "Device", played through plughw, which converts the file format
+// to what the card accepts), or a PulseAudio / PipeWire sink ("pulse" or "pulse:<sink name>")
+function describeZoneOutput(zone) {
+    return zone.type === 'rtp' ? `rtp://${zone.rtp_address}:${zone.rtp_port} (${zone.rtp_codec})` : describeOutputTarget(getOutputTarget(zone.device));
+}
+
+function getZoneRtpSender(zone) {
+    if (!zoneRtpSenders.has(zone.id)) {
+        zoneRtpSenders.set(zone.id, createRtpSender({
+            address: zone.rtp_address,
+            port: zone.rtp_port,
+            codec: zone.rtp_codec,
+            ptime: zone.rtp_ptime,
+            log,
+            logError
+        }));
+    }
+    return zoneRtpSenders.get(zone.id);
+}
+
+// Close the RTP sender of a zone (removed, or its RTP settings changed)
+function closeZoneRtpSender(zoneId) {
+    const sender = zoneRtpSenders.get(zoneId);
+    if (sender) {
+        sender.close();
+        zoneRtpSenders.delete(zoneId);
+    }
+}
+
+// Whether a zone plays the sounds of a prayer or extra time on its date (YYYY-MM-DD, null = today; missing schedule
+// cells are enabled). Sounds without a prayer (Quran, events, startup sound, tests) play in every enabled zone
+function isZoneScheduled(zone, prayerName, date = null) {
+    if (!zone.enabled) {
+        return false;
+    }
+    if (!prayerName) {
+        return true;
+    }
+    const dayIndex = (new Date(`${date || formatDateLocal(new Date())}T00:00:00`).getDay() + 6) % 7;
+    const entry = db.prepare('SELECT enabled FROM audio_zone_schedule WHERE zone_id = ? AND prayer_name = ? AND day_of_week = ?')
+        .get(zone.id, prayerName, dayIndex);
+    return !entry || entry.enabled === 1;
+}
+
+function removeAudioZone(zoneId) {
+    const engine = zoneEngines.get(zoneId);
+    if (engine) {
+        engine.stop();
+        zoneEngines.delete(zoneId);
+    }
+    closeZoneRtpSender(zoneId);
+    db.prepare('DELETE FROM audio_zone_schedule WHERE zone_id = ?').run(zoneId);
+    db.prepare('DELETE FROM audio_zones WHERE id = ?').run(zoneId);
+}
+
+function removeAllAudioZones() {
+    getAudioZones().forEach(zone => removeAudioZone(zone.id));
+}
+
+function stopServerAudio() {
+    return getAllAudioEngines().map(engine => engine.stop()).some(Boolean);
+}
+
+function isServerAudioPlaying() {
+    return getAllAudioEngines().some(engine => engine.isPlaying());
+}
+
+// Server playback for /api/audio/now-playing: the first sound playing (default output or zones),
+// and the state of each zone under zones
+function getServerNowPlaying() {
+    const states = getAllAudioEngines().map(engine => engine.getNowPlaying());
+    const main = states.find(state => state.playing) || states[0];
+    return {
+        ...main,
+        zones: getAudioZones().map(zone => ({ id: zone.id, name: zone.name, ...getZoneEngine(zone.id).getNowPlaying() }))
+    };
+}
+
+function getAudioZoneWithSchedule(zoneId) {
+    const zone = db.prepare('SELECT * FROM audio_zones WHERE id = ?').get(zoneId);
+    if (!zone) {
+        return null;
+    }
+    zone.schedule = db.prepare('SELECT prayer_name, day_of_week, enabled FROM audio_zone_schedule WHERE zone_id = ?').all(zoneId);
+    return zone;
+}
+
+// Validate the fields of a zone once merged with its current values (POST and PUT): returns an error message or null
+function validateAudioZone({ name, type, device, volume, rtp_address, rtp_port, rtp_codec, rtp_ptime }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 40) {
+        return 'name is required (40 characters max)';
+    }
+    if (!['alsa', 'rtp'].includes(type)) {
+        return "type must be 'alsa' or 'rtp'";
+    }
+    if (type === 'alsa' && !/^([A-Za-z0-9_]+|pulse(:[A-Za-z0-9_.:-]+)?)$/.test(String(device || ''))) {
+        return 'device must be an ALSA card number or id, or a pulse sink, from /api/audio/devices';
+    }
+    if (type === 'rtp') {
+        const error = validateRtpConfig({ address: rtp_address, port: rtp_port, codec: rtp_codec, ptime: rtp_ptime });
+        if (error) {
+            return error;
+        }
+    }
+    if (!Number.isInteger(volume) || volume < 0 || volume > MAX_ZONE_VOLUME) {
+        return `volume must be an integer between 0 and ${MAX_ZONE_VOLUME}`;
+    }
+    return null;
+}
+
+// Fields of a zone from a request body or an import, over its current values (RTP fields default to RTP_DEFAULTS)
+function mergeAudioZoneFields(zone, fields) {
+    const merged = { ...zone };
+    ['name', 'type', 'device', 'volume', 'rtp_address', 'rtp_port', 'rtp_codec', 'rtp_ptime'].forEach(key => {
+        if (fields[key] !== undefined) {
+            merged[key] = fields[key];
+        }
+    });
+    if (merged.type === 'rtp') {
+        merged.rtp_address = merged.rtp_address || RTP_DEFAULTS.address;
+        merged.rtp_port = merged.rtp_port || RTP_DEFAULTS.port;
+        merged.rtp_codec = merged.rtp_codec || RTP_DEFAULTS.codec;
+        merged.rtp_ptime = merged.rtp_ptime || RTP_DEFAULTS.ptime;
+    }
+    return merged;
+}
+
+// GET - Audio zones with their schedule (only the cells that were changed: missing cells are enabled)
+app.get('/api/audio-zones', (req, res) => {
+    try {
+        res.json(getAudioZones().map(zone => getAudioZoneWithSchedule(zone.id)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Insert a validated zone (mergeAudioZoneFields), returns its id
+function insertAudioZone(zone, enabled) {
+    const isRtp = zone.type === 'rtp';
+    return db.prepare(`INSERT INTO audio_zones (name, type, device, volume, enabled, rtp_address, rtp_port, rtp_codec, rtp_ptime)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        zone.name.trim(),
+        zone.type,
+        isRtp ? '' : String(zone.device),
+        zone.volume,
+        enabled ? 1 : 0,
+        isRtp ? zone.rtp_address : null,
+        isRtp ? zone.rtp_port : null,
+        isRtp ? zone.rtp_codec : null,
+        isRtp ? zone.rtp_ptime : null
+    ).lastInsertRowid;
+}
+
+// POST - Add an audio zone: { name, type, device, volume, enabled }
+// type 'rtp' (network output): { rtp_address, rtp_port, rtp_codec, rtp_ptime } instead of device
+app.post('/api/audio-zones', (req, res) => {
+    try {
+        const zone = mergeAudioZoneFields({ type: 'alsa', volume: 100 }, req.body);
+        const error = validateAudioZone(zone);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (db.prepare('SELECT id FROM audio_zones WHERE name = ?').get(zone.name.trim())) {
+            return res.status(409).json({ error: `A zone named ${zone.name.trim()} already exists` });
+        }
+        const zoneId = insertAudioZone(zone, req.body.enabled !== false);
+        log(`[audio-zones] ➕ Zone ${zone.name.trim()} on ${describeZoneOutput(zone)}`);
+        res.json({ success: true, zone: getAudioZoneWithSchedule(zoneId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT - Update an audio zone: any of { name, type, device, volume, enabled, rtp_address, rtp_port, rtp_codec, rtp_ptime }
+app.put('/api/audio-zones/:id', (req, res) => {
+    try {
+        const zone = db.prepare('SELECT * FROM audio_zones WHERE id = ?').get(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ error: 'Audio zone not found' });
+        }
+        const updated = mergeAudioZoneFields(zone, req.body);
+        const error = validateAudioZone(updated);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (db.prepare('SELECT id FROM audio_zones WHERE name = ? AND id != ?').get(updated.name.trim(), zone.id)) {
+            return res.status(409).json({ error: `A zone named ${updated.name.trim()} already exists` });
+        }
+        const isRtp = updated.type === 'rtp';
+        db.prepare(`UPDATE audio_zones SET name = ?, type = ?, device = ?, volume = ?, enabled = ?,
+            rtp_address = ?, rtp_port = ?, rtp_codec = ?, rtp_ptime = ? WHERE id = ?`).run(
+            updated.name.trim(),
+            updated.type,
+            isRtp ? '' : String(updated.device),
+            updated.volume,
+            req.body.enabled !== undefined ? (req.body.enabled ? 1 : 0) : zone.enabled,
+            isRtp ? updated.rtp_address : null,
+            isRtp ? updated.rtp_port : null,
+            isRtp ? updated.rtp_codec : null,
+            isRtp ? updated.rtp_ptime : null,
+            zone.id
+        );
+        // A disabled zone (or one moved to another card or RTP destination) stops what it plays
+        const outputChanged = describeZoneOutput(updated) !== describeZoneOutput(zone) || updated.rtp_ptime !== zone.rtp_ptime;
+        if (req.body.enabled === false || outputChanged) {
+            getZoneEngine(zone.id).stop();
+        }
+        if (outputChanged) {
+            closeZoneRtpSender(zone.id);
+        }
+        res.json({ success: true, zone: getAudioZoneWithSchedule(zone.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE - Remove an audio zone (stops what it plays)
+app.delete('/api/audio-zones/:id', (req, res) => {
+    try {
+        const zone = db.prepare('SELECT * FROM audio_zones WHERE id = ?').get(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ error: 'Audio zone not found' });
+        }
+        removeAudioZone(zone.id);
+        log(`[audio-zones] 🗑️ Zone ${zone.name} removed`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Enable or disable a prayer in a zone: { prayer_name, day_of_week, enabled }
+// Without day_of_week, the prayer is changed for the whole week
+app.post('/api/audio-zones/:id/schedule', (req, res) => {
+    try {
+        const zone = db.prepare('SELECT * FROM audio_zones WHERE id = ?').get(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ error: 'Audio zone not found' });
+        }
+        const { prayer_name, day_of_week, enabled } = req.body;
+        const scheduleNames = [...prayerNames, ...extraTimeNames];
+        if (!scheduleNames.includes(prayer_name)) {
+            return res.status(400).json({ error: `Invalid prayer_name. Must be one of: ${scheduleNames.join(', ')}` });
+        }
+        if (day_of_week !== undefined && (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6)) {
+            return res.status(400).json({ error: 'day_of_week must be between 0 (Monday) and 6 (Sunday)' });
+        }
+
+        const days = day_of_week !== undefined ? [day_of_week] : [0, 1, 2, 3, 4, 5, 6];
+        const updateCell = db.prepare('INSERT OR REPLACE INTO audio_zone_schedule (zone_id, prayer_name, day_of_week, enabled) VALUES (?, ?, ?, ?)');
+        days.forEach(day => updateCell.run(zone.id, prayer_name, day, enabled ? 1 : 0));
+        res.json({ success: true, zone: getAudioZoneWithSchedule(zone.id) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========== LIVE STREAM ==========
+// Whatever the server plays is also published as a continuous MP3 stream (silence between sounds) on /stream.mp3,
+// for phones and internet radios on the LAN. The stream is fed by playOnServer(), even when audio_output is browser only.
+
+function isLiveStreamEnabled() {
+    return getSetting('live_stream', '0') === '1';
+}
+
+// Whether server-side playback is needed: speakers (audio_output is not browser only) or the live stream
+function hasServerOutput() {
+    return getSetting('audio_output', 'both') !== 'browser' || isLiveStreamEnabled();
+}
+
+// GET - Live MP3 stream of the server playback (404 when the live stream is disabled)
+app.get('/stream.mp3', (req, res) => {
+    if (!isLiveStreamEnabled()) {
+        return res.status(404).json({ error: 'Live stream is disabled (live_stream setting)' });
+    }
+    audioStream.addListener(req, res);
+});
+
+// GET - Live stream status: { enabled, url, listeners }
+app.get('/api/stream', (req, res) => {
+    try {
+        res.json({
+            enabled: isLiveStreamEnabled(),
+            url: `http://${getServerIPAddress()}:${PORT}/stream.mp3`,
+            listeners: audioStream.getListenerCount()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Export configuration as CSV
 app.get('/api/settings/export', (req, res) => {
     try {
         log('[EXPORT] ========== STARTING CONFIGURATION EXPORT ==========');
         let csvContent = 'type,key,value\n';
 
-        // Export general settings (includes ics_url, audio_file, friday_quran_file, volume, audio_card, play_on_startup, play_on_page_load, audio_output, dark_mode, fajr_volume, sync_fajr_volume, etc.)
+        // Export general settings (includes ics_url, audio_file, friday_quran_file, volume, audio_card, play_on_startup, play_on_page_load, audio_output, dark_mode, etc.)
         const settings = db.prepare('SELECT key, value FROM settings').all();
         log(`[EXPORT] Exporting ${settings.length} general settings`);
         settings.forEach(setting => {
-            csvContent += `setting,${setting.key},${setting.value}\n`;
+            csvContent += formatCsvRow(['setting', setting.key, setting.value]);
             log(`[EXPORT]   - ${setting.key} = ${setting.value}`);
         });
 
@@ -1734,21 +4130,60 @@ app.get('/api/settings/export', (req, res) => {
         // Export weekday mute settings
         const weekdaySettings = db.prepare('SELECT weekday, muted FROM muted_weekdays').all();
         weekdaySettings.forEach(ws => {
-            csvContent += `weekday_mute,${ws.weekday},${ws.muted}\n`;
+            csvContent += formatCsvRow(['weekday_mute', ws.weekday, ws.muted]);
         });
 
         // Export prayer schedule matrix (5 prayers × 7 days)
         const prayerSchedule = db.prepare('SELECT prayer_name, day_of_week, enabled FROM prayer_schedule').all();
         log(`[EXPORT] Exporting ${prayerSchedule.length} prayer_schedule entries`);
         prayerSchedule.forEach(ps => {
-            csvContent += `prayer_schedule,${ps.prayer_name}-${ps.day_of_week},${ps.enabled}\n`;
+            csvContent += formatCsvRow(['prayer_schedule', `${ps.prayer_name}-${ps.day_of_week}`, ps.enabled]);
             log(`[EXPORT]   - ${ps.prayer_name}-${ps.day_of_week} = ${ps.enabled}`);
         });
 
+        // Export per-prayer configuration (key format: "Dohr-display_offset")
+        const prayerConfigRows = db.prepare('SELECT * FROM prayer_config').all();
+        prayerConfigRows.forEach(pc => {
+            Object.keys(pc).filter(column => column !== 'prayer_name').forEach(column => {
+                csvContent += formatCsvRow(['prayer_config', `${pc.prayer_name}-${column}`, pc[column]]);
+            });
+        });
+
+        // Export date overrides (key format: "2026-12-25-Dohr", value: "time|athan_disabled|note")
+        const overrides = db.prepare('SELECT * FROM prayer_overrides ORDER BY date').all();
+        log(`[EXPORT] Exporting ${overrides.length} date overrides`);
+        overrides.forEach(o => {
+            csvContent += formatCsvRow(['prayer_override', `${o.date}-${o.prayer_name}`, `${o.prayer_time || ''}|${o.athan_disabled}|${o.note || ''}`]);
+        });
+
+        // Export Jumu'ah slots (key: slot number, value: "first_adhan|athan|khutbah|iqama")
+        const jumuahSlots = db.prepare('SELECT * FROM jumuah_slots ORDER BY athan_time').all();
+        log(`[EXPORT] Exporting ${jumuahSlots.length} Jumu'ah slots`);
+        jumuahSlots.forEach((slot, index) => {
+            csvContent += formatCsvRow(['jumuah_slot', index + 1, `${slot.first_adhan_time || ''}|${slot.athan_time}|${slot.khutbah_time || ''}|${slot.iqama_time || ''}`]);
+        });
+
+        // Export audio zones (key: zone number, value: JSON with the zone and its disabled schedule cells)
+        getAudioZones().forEach((zone, index) => {
+            const disabled = db.prepare('SELECT prayer_name, day_of_week FROM audio_zone_schedule WHERE zone_id = ? AND enabled = 0')
+                .all(zone.id);
+            const { name, type, device, volume, enabled, rtp_address, rtp_port, rtp_codec, rtp_ptime } = zone;
+            const fields = type === 'rtp' ? { name, type, volume, enabled, rtp_address, rtp_port, rtp_codec, rtp_ptime } : { name, type, device, volume, enabled };
+            csvContent += formatCsvRow(['audio_zone', index + 1, JSON.stringify({ ...fields, disabled })]);
+        });
+
+        // Export Islamic events configuration (key format: "ashura-reminder")
+        const islamicEventRows = db.prepare('SELECT * FROM islamic_events').all();
+        islamicEventRows.forEach(row => {
+            Object.keys(row).filter(column => column !== 'event_id').forEach(column => {
+                csvContent += formatCsvRow(['islamic_event', `${row.event_id}-${column}`, row[column]]);
+            });
+        });
+
         // Export skip_next status
         const skipNext = db.prepare('SELECT skip FROM skip_next WHERE id = 1').get();
         if (skipNext) {
-            csvContent += `skip_next,skip,${skipNext.skip}\n`;
+            csvContent += formatCsvRow(['skip_next', 'skip', skipNext.skip]);
             log(`[EXPORT] Exporting skip_next: ${skipNext.skip}`);
         }
 
@@ -1756,8 +4191,7 @@ app.get('/api/settings/export', (req, res) => {
         const prayerChecks = db.prepare('SELECT date, prayer_name, checked, checked_at FROM prayer_checks WHERE checked > 0').all();
         log(`[EXPORT] Exporting ${prayerChecks.length} prayer checks`);
         prayerChecks.forEach(pc => {
-            csvContent += `prayer_check,${pc.date}-${pc.prayer_name},${pc.checked}|${pc.checked_at || ''}
-`;
+            csvContent += formatCsvRow(['prayer_check', `${pc.date}-${pc.prayer_name}`, `${pc.checked}|${pc.checked_at || ''}`]);
             const checkState = pc.checked === 1 ? 'green' : pc.checked === 2 ? 'orange' : 'unchecked';
             log(`[EXPORT]   - ${pc.date}-${pc.prayer_name} ${checkState} (${pc.checked}) at ${pc.checked_at}`);
         });
@@ -1783,9 +4217,9 @@ app.post('/api/settings/import', (req, res) => {
             return res.status(400).json({ error: 'No CSV data provided' });
         }
 
-        const lines = csvData.split('\n').filter(line => line.trim());
-        log(`[IMPORT] Total lines in CSV: ${lines.length}`);
-        const headers = lines[0].split(',');
+        const rows = parseCsv(csvData, 3);
+        log(`[IMPORT] Total rows in CSV: ${rows.length}`);
+        const headers = rows[0] || [];
 
         if (headers[0] !== 'type' || headers[1] !== 'key' || headers[2] !== 'value') {
             logError('[IMPORT] Invalid CSV format');
@@ -1794,23 +4228,32 @@ app.post('/api/settings/import', (req, res) => {
 
         let importedCount = 0;
         let prayerScheduleCount = 0;
-
-        for (let i = 1; i < lines.length; i++) {
-            const parts = lines[i].split(',');
-            if (parts.length < 3) {
-                log(`[IMPORT] Skipping line ${i}: not enough parts (${parts.length})`);
+        let jumuahSlotsCleared = false;
+        let audioZonesCleared = false;
+        const legacyFajrVolume = {};
+        const prayerConfigColumnTypes = {};
+        db.pragma('table_info(prayer_config)')
+            .filter(col => col.name !== 'prayer_name')
+            .forEach(col => { prayerConfigColumnTypes[col.name] = col.type; });
+
+        const errors = [];
+
+        for (let i = 1; i < rows.length; i++) {
+            const [type, key, value] = rows[i];
+            if (value === undefined) {
+                log(`[IMPORT] Skipping line ${i}: not enough parts (${rows[i].length})`);
                 continue;
             }
 
-            const type = parts[0];
-            const key = parts[1];
-            const value = parts.slice(2).join(','); // Handle values with commas
-
             log(`[IMPORT] Line ${i}: type="${type}", key="${key}", value="${value}"`);
 
             try {
-                if (type === 'setting') {
-                    // Import general settings (includes ics_url, audio_file, friday_quran_file, volume, audio_card, play_on_startup, play_on_page_load, audio_output, dark_mode, fajr_volume, sync_fajr_volume, etc.)
+                if (type === 'setting' && (key === 'fajr_volume' || key === 'sync_fajr_volume')) {
+                    // LEGACY SUPPORT: the Fajr volume became the Fajr prayer_config volume (applied after the loop)
+                    legacyFajrVolume[key] = value;
+                    importedCount++;
+                } else if (type === 'setting') {
+                    // Import general settings (includes ics_url, audio_file, friday_quran_file, volume, audio_card, play_on_startup, play_on_page_load, audio_output, dark_mode, etc.)
                     db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value);
                     log(`[IMPORT]   - Setting: ${key} = ${value}`);
                     importedCount++;
@@ -1833,6 +4276,99 @@ app.post('/api/settings/import', (req, res) => {
                     log(`[IMPORT] prayer_schedule: ${prayerName}-${dayOfWeek} = ${value}`);
                     importedCount++;
                     prayerScheduleCount++;
+                } else if (type === 'prayer_config') {
+                    // key format: "Dohr-display_offset" (prayer_name-column)
+                    const separator = key.lastIndexOf('-');
+                    const prayerName = key.substring(0, separator);
+                    const column = key.substring(separator + 1);
+                    if (prayerConfigColumnTypes[column] && prayerConfigFields[column]) {
+                        // Same checks as POST /api/prayer-config
+                        let columnValue = prayerConfigColumnTypes[column] === 'INTEGER' ? Number(value) : value;
+                        if (value === '') {
+                            columnValue = null;
+                        }
+                        let configError = null;
+                        if (!prayerNames.includes(prayerName)) {
+                            configError = 'unknown prayer';
+                        } else if (!prayerConfigFields[column].validate(columnValue)) {
+                            configError = `invalid value for ${column}`;
+                        } else if (column === 'display_offset') {
+                            configError = getDisplayOffsetError(prayerName, columnValue);
+                        }
+                        if (configError) {
+                            logWarn(`[IMPORT] prayer_config ${key} skipped: ${configError}`);
+                            errors.push(`Line ${i} (prayer_config ${key}): ${configError}`);
+                            continue;
+                        }
+                        db.prepare('INSERT OR IGNORE INTO prayer_config (prayer_name) VALUES (?)').run(prayerName);
+                        db.prepare(`UPDATE prayer_config SET ${column} = ? WHERE prayer_name = ?`).run(columnValue, prayerName);
+                        log(`[IMPORT] prayer_config: ${prayerName} ${column} = ${value}`);
+                        importedCount++;
+                    }
+                } else if (type === 'prayer_override') {
+                    // key format: "2026-12-25-Dohr" (date-prayer_name), value: "time|athan_disabled|note"
+                    const date = key.substring(0, 10);
+                    const prayerName = key.substring(11);
+                    const [time, disabled, ...noteParts] = value.split('|');
+                    const overrideError = validateOverride(date, prayerName, time);
+                    if (overrideError) {
+                        logWarn(`[IMPORT] prayer_override ${key} skipped: ${overrideError}`);
+                        errors.push(`Line ${i} (prayer_override ${key}): ${overrideError}`);
+                        continue;
+                    }
+                    db.prepare('INSERT OR REPLACE INTO prayer_overrides (date, prayer_name, prayer_time, athan_disabled, note) VALUES (?, ?, ?, ?, ?)')
+                        .run(date, prayerName, time || null, parseInt(disabled) || 0, noteParts.join('|') || null);
+                    log(`[IMPORT] prayer_override: ${date}-${prayerName} = ${value}`);
+                    importedCount++;
+                } else if (type === 'jumuah_slot') {
+                    // Imported slots replace the existing ones
+                    if (!jumuahSlotsCleared) {
+                        db.prepare('DELETE FROM jumuah_slots').run();
+                        jumuahSlotsCleared = true;
+                    }
+                    const [firstAdhan, athan, khutbah, iqama] = value.split('|');
+                    db.prepare('INSERT INTO jumuah_slots (first_adhan_time, athan_time, khutbah_time, iqama_time) VALUES (?, ?, ?, ?)')
+                        .run(firstAdhan || null, athan, khutbah || null, iqama || null);
+                    log(`[IMPORT] jumuah_slot: ${key} = ${value}`);
+                    importedCount++;
+                } else if (type === 'audio_zone') {
+                    // Imported zones replace the existing ones
+                    if (!audioZonesCleared) {
+                        removeAllAudioZones();
+                        audioZonesCleared = true;
+                    }
+                    const imported = JSON.parse(value);
+                    const zone = mergeAudioZoneFields({ type: 'alsa' }, { ...imported, volume: parseInt(imported.volume) || 100 });
+                    const zoneError = validateAudioZone(zone);
+                    if (zoneError) {
+                        logWarn(`[IMPORT] audio_zone ${imported.name} skipped: ${zoneError}`);
+                        errors.push(`Line ${i} (audio_zone ${imported.name}): ${zoneError}`);
+                        continue;
+                    }
+                    const zoneId = insertAudioZone(zone, imported.enabled);
+                    (imported.disabled || []).forEach(cell => {
+                        db.prepare('INSERT OR REPLACE INTO audio_zone_schedule (zone_id, prayer_name, day_of_week, enabled) VALUES (?, ?, ?, 0)')
+                            .run(zoneId, cell.prayer_name, parseInt(cell.day_of_week));
+                    });
+                    log(`[IMPORT] audio_zone: ${zone.name} (${describeZoneOutput(zone)})`);
+                    importedCount++;
+                } else if (type === 'islamic_event') {
+                    // key format: "ashura-reminder" (event_id-column)
+                    const separator = key.lastIndexOf('-');
+                    const eventId = key.substring(0, separator);
+                    const column = key.substring(separator + 1);
+                    if (islamicEvents.ISLAMIC_EVENTS[eventId] && ['enabled', 'reminder', 'audio_file', 'audio_time'].includes(column)) {
+                        const columnValue = column === 'enabled' || column === 'reminder' ? parseInt(value) || 0 : value || null;
+                        // Event audio files are names of audio/events (no path)
+                        if (column === 'audio_file' && columnValue && path.basename(columnValue) !== columnValue) {
+                            logWarn(`[IMPORT] islamic_event ${key} skipped: invalid audio file name`);
+                            errors.push(`Line ${i} (islamic_event ${key}): invalid audio file name`);
+                            continue;
+                        }
+                        db.prepare(`UPDATE islamic_events SET ${column} = ? WHERE event_id = ?`).run(columnValue, eventId);
+                        log(`[IMPORT] islamic_event: ${eventId} ${column} = ${value}`);
+                        importedCount++;
+                    }
                 } else if (type === 'skip_next' && key === 'skip') {
                     db.prepare('UPDATE skip_next SET skip = ? WHERE id = 1').run(parseInt(value));
                     importedCount++;
@@ -1864,9 +4400,18 @@ app.post('/api/settings/import', (req, res) => {
                 }
             } catch (err) {
                 logError(`Error importing line ${i}:`, err.message);
+                errors.push(`Line ${i} (${type} ${key}): ${err.message}`);
             }
         }
 
+        if (legacyFajrVolume.sync_fajr_volume !== undefined) {
+            const fajrVolume = legacyFajrVolume.sync_fajr_volume === '1' ? parseInt(legacyFajrVolume.fajr_volume) : null;
+            db.prepare("UPDATE prayer_config SET volume = ? WHERE prayer_name = 'Fajr | Sobh'").run(Number.isInteger(fajrVolume) ? fajrVolume : null);
+            log(`[import] Legacy Fajr volume converted: volume = ${Number.isInteger(fajrVolume) ? fajrVolume : 'global'}`);
+        }
+
+        updateAsoundrc(getSetting('audio_card', 'auto'));
+
         log(`[IMPORT] Imported ${prayerScheduleCount} prayer_schedule entries`);
         log('[IMPORT] ========== VERIFYING DATABASE AFTER IMPORT ==========');
 
@@ -1878,16 +4423,22 @@ app.post('/api/settings/import', (req, res) => {
         });
 
         // Re-schedule athans and Friday Quran after configuration import
+        if (applyTimezone()) {
+            scheduleDailyUpdate();
+        }
         fetchPrayerTimes().then(() => {
             log('[IMPORT] Prayer times reloaded after configuration import');
         });
         scheduleFridayQuran(); // Re-schedule Friday Quran job
+        scheduleIslamicEvents();
 
         log('[IMPORT] ========== IMPORT COMPLETED ==========');
         res.json({
             success: true,
-            message: `Configuration imported successfully (${importedCount} settings, ${prayerScheduleCount} prayer_schedule)`,
-            imported: importedCount
+            message: `Configuration imported successfully (${importedCount} settings, ${prayerScheduleCount} prayer_schedule)`
+                + (errors.length > 0 ? `, ${errors.length} line(s) rejected` : ''),
+            imported: importedCount,
+            errors
         });
     } catch (error) {
         logError('Error importing configuration:', error);
@@ -1913,8 +4464,40 @@ app.post('/api/settings/restore-defaults', (req, res) => {
         updateSetting.run('friday_quran_time', '07:00');
         updateSetting.run('friday_quran_file', 'Sourat Al Kahf - Hani Arrifai.mp3'); // Default Quran audio file
         updateSetting.run('dark_mode', '0'); // Dark mode disabled by default
-        updateSetting.run('fajr_volume', '50'); // Default Fajr volume at 50%
-        updateSetting.run('sync_fajr_volume', '0'); // Sync Fajr volume disabled by default (independent volume)
+        updateSetting.run('prayer_providers', 'ics');
+        updateSetting.run('timetable_columns', '');
+        updateSetting.run('calc_latitude', '21.421');
+        updateSetting.run('calc_longitude', '39.827');
+        updateSetting.run('calc_method', 'Makkah');
+        updateSetting.run('calc_asr_method', 'shafii');
+        updateSetting.run('calc_high_lat_rule', 'angle_based');
+        updateSetting.run('calc_fajr_angle', '18');
+        updateSetting.run('calc_isha_angle', '17');
+        updateSetting.run('calc_isha_interval', '0');
+        updateSetting.run('iqama_sound', '');
+        updateSetting.run('jumuah_enabled', '0');
+        updateSetting.run('imsak_offset', '10');
+        updateSetting.run('duha_offset', '20');
+        Object.values(extraTimes).forEach(key => updateSetting.run(key, ''));
+        updateSetting.run('hijri_method', 'umalqura');
+        updateSetting.run('hijri_adjustment', '0');
+        updateSetting.run('ramadan_mode', 'auto');
+        updateSetting.run('ramadan_start', '');
+        updateSetting.run('ramadan_end', '');
+        updateSetting.run('suhoor_offset', '60');
+        updateSetting.run('suhoor_volume', '50');
+        updateSetting.run('taraweeh_enabled', '0');
+        updateSetting.run('taraweeh_offset', '20');
+        ['athan', 'quran'].forEach(audioType => {
+            ['fade_in', 'fade_out', 'ramp', 'max_duration'].forEach(option => updateSetting.run(`${audioType}_${option}`, '0'));
+        });
+        updateSetting.run('loudness_normalization', '1');
+        updateSetting.run('loudness_target', '-16');
+        updateSetting.run('silence_trim', '0');
+        updateSetting.run('audio_preemption', 'pause');
+        updateSetting.run('duck_volume', '20');
+        updateSetting.run('live_stream', '0');
+        updateSetting.run('audio_backend', 'auto');
 
         // NOTE: prayer_settings table is DEPRECATED - prayer_schedule matrix handles all enable/disable logic
 
@@ -1928,6 +4511,10 @@ app.post('/api/settings/restore-defaults', (req, res) => {
         db.prepare('UPDATE prayer_schedule SET enabled = 1').run();
         log('Prayer schedule matrix restored: all 35 entries enabled');
 
+        // Reset per-prayer configuration (offsets and iqama rules)
+        db.prepare("UPDATE prayer_config SET display_offset = 0, athan_offset = 0, iqama_mode = 'none', iqama_offset = 10, iqama_time = NULL, catchup_grace = 5, audio_file = NULL, volume = NULL, "
+            + 'reminder_file = NULL, reminder_offset = 5, reminder_volume = NULL, dua_file = NULL, dua_delay = 0, dua_volume = NULL').run();
+
         // Reset skip_next
         db.prepare('UPDATE skip_next SET skip = 0, last_skipped_prayer = NULL, last_skipped_date = NULL WHERE id = 1').run();
 
@@ -1935,11 +4522,31 @@ app.post('/api/settings/restore-defaults', (req, res) => {
         db.prepare('DELETE FROM prayer_checks').run();
         log('All prayer checks reset');
 
+        // Remove all date overrides
+        db.prepare('DELETE FROM prayer_overrides').run();
+        log('All date overrides removed');
+
+        // Remove Jumu'ah slots
+        db.prepare('DELETE FROM jumuah_slots').run();
+
+        // Remove the audio zones (back to the default output)
+        removeAllAudioZones();
+
+        // Restore the Islamic events configuration
+        db.prepare("UPDATE islamic_events SET enabled = CASE WHEN event_id = 'monday_thursday' THEN 0 ELSE 1 END, reminder = 0, audio_file = NULL, audio_time = NULL").run();
+        updateSetting.run('event_reminder_time', '20:00');
+        updateSetting.run('event_reminder_sound', '');
+        updateSetting.run('timezone', 'auto');
+
         // Re-fetch prayer times with default ICS URL and re-schedule
+        if (applyTimezone()) {
+            scheduleDailyUpdate();
+        }
         fetchPrayerTimes().then(() => {
             log('Prayer times reloaded with default ICS URL');
         });
         scheduleFridayQuran();
+        scheduleIslamicEvents();
 
         log('✅ Default configuration restored successfully');
 
@@ -1969,49 +4576,621 @@ app.get('/api/audio-files', (req, res) => {
     }
 });
 
-// GET - Serve an audio file
-app.get('/api/audio/:filename', (req, res) => {
+// GET - Serve an audio file
+app.get('/api/audio/:filename', (req, res) => {
+    try {
+        const { filename } = req.params;
+        const audioPath = path.join(__dirname, 'audio', 'athan', filename);
+
+        if (!fs.existsSync(audioPath)) {
+            return res.status(404).json({ error: 'Audio file not found' });
+        }
+
+        res.sendFile(audioPath);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - List available alert sounds (iqama, reminders)
+app.get('/api/alert-files', (req, res) => {
+    try {
+        const alertsDir = path.join(__dirname, 'audio', 'alerts');
+        if (!fs.existsSync(alertsDir)) {
+            fs.mkdirSync(alertsDir, { recursive: true });
+        }
+        const files = fs.readdirSync(alertsDir).filter(file =>
+            file.endsWith('.mp3') || file.endsWith('.wav')
+        );
+        res.json(files);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - List Islamic event audio files (takbirat, etc.)
+app.get('/api/event-audio-files', (req, res) => {
+    try {
+        const eventsDir = path.join(__dirname, 'audio', 'events');
+        if (!fs.existsSync(eventsDir)) {
+            fs.mkdirSync(eventsDir, { recursive: true });
+        }
+        const files = fs.readdirSync(eventsDir).filter(file =>
+            file.endsWith('.mp3') || file.endsWith('.wav')
+        );
+        res.json(files);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Serve an Islamic event audio file
+app.get('/api/event-audio/:filename', (req, res) => {
+    try {
+        const { filename } = req.params;
+        if (path.basename(filename) !== filename) {
+            return res.status(400).json({ error: 'Invalid file name' });
+        }
+        const eventsDir = path.join(__dirname, 'audio', 'events');
+
+        if (!fs.existsSync(path.join(eventsDir, filename))) {
+            return res.status(404).json({ error: 'Event audio file not found' });
+        }
+
+        res.sendFile(filename, { root: eventsDir });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Serve an alert sound
+app.get('/api/alert/:filename', (req, res) => {
+    try {
+        const { filename } = req.params;
+        if (path.basename(filename) !== filename) {
+            return res.status(400).json({ error: 'Invalid file name' });
+        }
+        const alertsDir = path.join(__dirname, 'audio', 'alerts');
+
+        if (!fs.existsSync(path.join(alertsDir, filename))) {
+            return res.status(404).json({ error: 'Alert file not found' });
+        }
+
+        res.sendFile(filename, { root: alertsDir });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - List available Quran audio files
+app.get('/api/quran-files', (req, res) => {
+    try {
+        const quranDir = path.join(__dirname, 'audio', 'coran');
+        if (!fs.existsSync(quranDir)) {
+            fs.mkdirSync(quranDir, { recursive: true });
+        }
+        const files = fs.readdirSync(quranDir).filter(file =>
+            file.endsWith('.mp3') || file.endsWith('.wav')
+        );
+        res.json(files);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Serve a Quran audio file
+app.get('/api/quran/:filename', (req, res) => {
+    try {
+        const { filename } = req.params;
+        const quranPath = path.join(__dirname, 'audio', 'coran', filename);
+
+        if (!fs.existsSync(quranPath)) {
+            return res.status(404).json({ error: 'Quran file not found' });
+        }
+
+        res.sendFile(quranPath);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========== AUDIO LIBRARY ==========
+
+// Library categories: folder under audio/ and maximum upload size (MB)
+const AUDIO_LIBRARY = {
+    athan: { folder: 'athan', maxSizeMb: 30 },
+    quran: { folder: 'coran', maxSizeMb: 200 },
+    alerts: { folder: 'alerts', maxSizeMb: 10 },
+    events: { folder: 'events', maxSizeMb: 100 }
+};
+const AUDIO_EXTENSIONS = ['.mp3', '.wav'];
+const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave', 'application/octet-stream'];
+
+// Uploads are written next to their final place under a temporary name, then probed and renamed
+// One multer instance per category, so an upload stops at the size limit of its category
+const audioUploads = {};
+Object.entries(AUDIO_LIBRARY).forEach(([category, { maxSizeMb }]) => {
+    audioUploads[category] = multer({
+        storage: multer.diskStorage({
+            destination: (req, file, cb) => cb(null, getAudioLibraryDir(category)),
+            filename: (req, file, cb) => cb(null, `.upload-${Date.now()}-${Math.round(Math.random() * 1e6)}`)
+        }),
+        limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+        fileFilter: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            if (!AUDIO_EXTENSIONS.includes(extension) || !AUDIO_MIME_TYPES.includes(file.mimetype)) {
+                return cb(new Error(`Unsupported file type: only ${AUDIO_EXTENSIONS.join(', ')} files are accepted`));
+            }
+            cb(null, true);
+        }
+    });
+});
+
+function getAudioLibraryDir(category) {
+    const dir = path.join(__dirname, 'audio', AUDIO_LIBRARY[category].folder);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+// Safe file name for the library: no path, no control or reserved characters, .mp3/.wav extension
+function sanitizeAudioFileName(name) {
+    const base = path.basename(String(name || '')).replace(/[\x00-\x1f<>:"/\\|?*]/g, '').trim();
+    const extension = path.extname(base).toLowerCase();
+    if (!base || base.startsWith('.') || !AUDIO_EXTENSIONS.includes(extension)) {
+        return null;
+    }
+    return base;
+}
+
+// Duration of an audio file in seconds (soxi -D), { duration } or { error } when sox cannot decode it
+// soxi missing (development without sox): { duration: null }
+const audioDurationCache = new Map();
+
+function probeAudioDuration(filePath) {
+    return new Promise(resolve => {
+        execFile('soxi', ['-D', filePath], { timeout: 15000 }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                resolve({ duration: null });
+            } else if (error) {
+                resolve({ error: (stderr || error.message).toString().trim() });
+            } else {
+                const duration = parseFloat(stdout);
+                resolve(Number.isFinite(duration) && duration > 0 ? { duration } : { error: 'empty or unreadable audio' });
+            }
+        });
+    });
+}
+
+async function getCachedAudioDuration(filePath) {
+    const stat = fs.statSync(filePath);
+    const key = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+    if (!audioDurationCache.has(key)) {
+        audioDurationCache.set(key, await probeAudioDuration(filePath));
+    }
+    return audioDurationCache.get(key);
+}
+
+// ---------- Loudness analysis ----------
+// Each library file is measured once (on upload, or by the scan at startup / on demand) with sox stats:
+// peak and RMS level, an approximate loudness (K-weighted RMS, ungated) and the leading/trailing silence.
+// The gain bringing the file to the loudness target is applied by the server player (getAudioLevelSpec()) and by the web app.
+
+const LOUDNESS_TARGET_RANGE = { min: -30, max: -6 };
+// Gain limits (dB) and highest peak allowed after the gain (no clipping)
+const MAX_LOUDNESS_GAIN = 20;
+const LOUDNESS_PEAK_CEILING = -1;
+// Silence detection threshold, and longest file whose silence is measured (the trailing silence needs sox reverse,
+// which buffers the whole file on disk)
+const SILENCE_THRESHOLD = '-50d';
+const SILENCE_ANALYSIS_MAX_DURATION = 20 * 60;
+
+// Run sox on a file and parse the last stats block of its output: { 'Pk lev dB': -0.5, ..., channels }
+function runSoxStats(filePath, effects) {
+    return new Promise((resolve, reject) => {
+        execFile('sox', [filePath, '-n', ...effects, 'stats'], { timeout: 10 * 60 * 1000 }, (error, stdout, stderr) => {
+            if (error) {
+                return reject(error);
+            }
+            const stats = { channels: 1 };
+            stderr.toString().split('\n').forEach(line => {
+                const header = line.match(/^\s+Overall((\s+\S+)+)\s*$/);
+                if (header) {
+                    stats.channels = header[1].trim().split(/\s+/).length;
+                    return;
+                }
+                // The first value is the overall one (multi-channel files have one more column per channel)
+                const match = line.match(/^(\S.*?)\s{2,}(-?[\d.]+|-inf)/);
+                if (match) {
+                    stats[match[1].trim()] = match[2] === '-inf' ? -Infinity : parseFloat(match[2]);
+                }
+            });
+            resolve(stats);
+        });
+    });
+}
+
+async function measureAudioFile(filePath) {
+    const levels = await runSoxStats(filePath, []);
+    if (!Number.isFinite(levels['Length s']) || levels['Length s'] <= 0) {
+        throw new Error('empty or unreadable audio');
+    }
+    // K-weighting approximation (pre-filter shelf + RLB high-pass), channels summed as in ITU-R BS.1770
+    const weighted = await runSoxStats(filePath, ['highpass', '38', 'treble', '4', '1681']);
+    const rmsK = weighted['RMS lev dB'];
+    const lufs = Number.isFinite(rmsK) ? rmsK - 0.691 + 10 * Math.log10(levels.channels) : null;
+
+    let silenceStart = 0;
+    let silenceEnd = 0;
+    if (levels['Length s'] <= SILENCE_ANALYSIS_MAX_DURATION) {
+        const afterStart = await runSoxStats(filePath, ['silence', '1', '0.1', SILENCE_THRESHOLD]);
+        const afterEnd = await runSoxStats(filePath, ['reverse', 'silence', '1', '0.1', SILENCE_THRESHOLD]);
+        // A file that is silent from start to end keeps its full length
+        if (afterStart['Length s'] > 0 && afterEnd['Length s'] > 0) {
+            silenceStart = Math.max(0, levels['Length s'] - afterStart['Length s']);
+            silenceEnd = Math.max(0, levels['Length s'] - afterEnd['Length s']);
+        }
+    }
+
+    const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+    return {
+        duration: round(levels['Length s']),
+        peak_db: round(levels['Pk lev dB']),
+        rms_db: round(levels['RMS lev dB']),
+        lufs: round(lufs),
+        silence_start: round(silenceStart),
+        silence_end: round(silenceEnd)
+    };
+}
+
+// Analyses run one at a time in the background (sox decodes the whole file several times)
+const audioAnalysisQueue = [];
+let audioAnalysisRunning = false;
+
+function queueAudioAnalysis(category, file) {
+    if (!audioAnalysisQueue.some(item => item.category === category && item.file === file)) {
+        audioAnalysisQueue.push({ category, file });
+    }
+    if (!audioAnalysisRunning) {
+        runAudioAnalysisQueue();
+    }
+}
+
+async function runAudioAnalysisQueue() {
+    audioAnalysisRunning = true;
+    try {
+        while (audioAnalysisQueue.length > 0) {
+            const { category, file } = audioAnalysisQueue.shift();
+            try {
+                await analyzeAudioFile(category, file);
+            } catch (error) {
+                // File removed or renamed during the analysis, or database error: go on with the next file
+                logError(`[loudness] ❌ ${category}/${file}:`, error.message);
+            }
+        }
+    } finally {
+        audioAnalysisRunning = false;
+    }
+}
+
+async function analyzeAudioFile(category, file) {
+    const filePath = path.join(getAudioLibraryDir(category), file);
+    if (!fs.existsSync(filePath)) {
+        return;
+    }
+    const stat = fs.statSync(filePath);
+    const row = { category, file, size: stat.size, mtime: stat.mtimeMs, analyzed_at: new Date().toISOString() };
+    try {
+        Object.assign(row, await measureAudioFile(filePath), { error: null });
+        log(`[loudness] 📊 ${category}/${file}: ${row.lufs} LUFS, peak ${row.peak_db} dB, silence ${row.silence_start}s / ${row.silence_end}s`);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logError('[loudness] ⚠️ sox is not installed, loudness analysis skipped');
+            audioAnalysisQueue.length = 0;
+            return;
+        }
+        Object.assign(row, { duration: null, peak_db: null, rms_db: null, lufs: null, silence_start: 0, silence_end: 0 });
+        row.error = (error.killed ? 'analysis timed out' : error.message).split('\n')[0];
+        logError(`[loudness] ❌ ${category}/${file}: ${row.error}`);
+    }
+    db.prepare(`
+        INSERT OR REPLACE INTO audio_analysis (category, file, size, mtime, duration, peak_db, rms_db, lufs, silence_start, silence_end, analyzed_at, error)
+        VALUES (@category, @file, @size, @mtime, @duration, @peak_db, @rms_db, @lufs, @silence_start, @silence_end, @analyzed_at, @error)
+    `).run(row);
+}
+
+// Queue every library file without an up-to-date analysis (force: analyze all files again)
+function scanAudioLibrary(force = false) {
+    let queued = 0;
+    Object.keys(AUDIO_LIBRARY).forEach(category => {
+        const dir = getAudioLibraryDir(category);
+        const analyses = db.prepare('SELECT file, size, mtime FROM audio_analysis WHERE category = ?').all(category);
+        const files = fs.readdirSync(dir).filter(file => !file.startsWith('.') && AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+        files.forEach(file => {
+            const stat = fs.statSync(path.join(dir, file));
+            const analysis = analyses.find(row => row.file === file);
+            if (force || !analysis || analysis.size !== stat.size || analysis.mtime !== stat.mtimeMs) {
+                queueAudioAnalysis(category, file);
+                queued++;
+            }
+        });
+        // Forget the analyses of files removed outside the web app
+        analyses.filter(row => !files.includes(row.file)).forEach(row => {
+            db.prepare('DELETE FROM audio_analysis WHERE category = ? AND file = ?').run(category, row.file);
+        });
+    });
+    return queued;
+}
+
+// Playback level of a library file: { gain_db, start, end } (end = null to play until the end of the file)
+function getAudioLevel(category, file) {
+    const level = { gain_db: 0, start: 0, end: null };
+    const analysis = db.prepare('SELECT * FROM audio_analysis WHERE category = ? AND file = ? AND error IS NULL').get(category, file);
+    if (!analysis) {
+        return level;
+    }
+
+    if (getSetting('loudness_normalization', '1') === '1' && analysis.lufs !== null) {
+        const target = parseFloat(getSetting('loudness_target', '-16'));
+        let gain = Math.max(-MAX_LOUDNESS_GAIN, Math.min(MAX_LOUDNESS_GAIN, target - analysis.lufs));
+        if (analysis.peak_db !== null) {
+            gain = Math.min(gain, LOUDNESS_PEAK_CEILING - analysis.peak_db);
+        }
+        level.gain_db = Math.round(gain * 10) / 10;
+    }
+
+    if (getSetting('silence_trim', '0') === '1' && analysis.duration !== null) {
+        level.start = analysis.silence_start;
+        if (analysis.silence_end > 0) {
+            level.end = Math.round((analysis.duration - analysis.silence_end) * 100) / 100;
+        }
+    }
+    return level;
+}
+
+// Library category and name of a file path: { category, file }, or null outside the library (system sounds)
+function getLibraryFile(audioPath) {
+    const [folder, file, ...rest] = path.relative(path.join(__dirname, 'audio'), audioPath).split(path.sep);
+    const category = Object.keys(AUDIO_LIBRARY).find(key => AUDIO_LIBRARY[key].folder === folder);
+    return category && file && rest.length === 0 ? { category, file } : null;
+}
+
+// Playback level of a file for the player backends: { gainDb, start, end } (files outside the library play unchanged)
+function getAudioLevelSpec(audioPath) {
+    const libraryFile = getLibraryFile(audioPath);
+    if (!libraryFile) {
+        return { gainDb: 0, start: 0, end: null };
+    }
+    const { gain_db: gainDb, start, end } = getAudioLevel(libraryFile.category, libraryFile.file);
+    return { gainDb, start, end };
+}
+
+// Play time of a file from its loudness analysis, after the silence trim (seconds, null when not analyzed)
+function getAnalyzedPlayTime(audioPath) {
+    const libraryFile = getLibraryFile(audioPath);
+    const analysis = libraryFile && db.prepare('SELECT duration FROM audio_analysis WHERE category = ? AND file = ? AND error IS NULL')
+        .get(libraryFile.category, libraryFile.file);
+    if (!analysis || analysis.duration === null) {
+        return null;
+    }
+    const { start, end } = getAudioLevel(libraryFile.category, libraryFile.file);
+    return Math.round(((end !== null ? end : analysis.duration) - start) * 10) / 10;
+}
+
+// Settings and prayer_config columns that point to a file of each category
+// (events are referenced by islamic_events.audio_file)
+const AUDIO_FILE_SETTINGS = {
+    athan: ['audio_file'],
+    quran: ['friday_quran_file'],
+    alerts: ['iqama_sound', 'event_reminder_sound', ...Object.values(extraTimes)],
+    events: []
+};
+const AUDIO_FILE_PRAYER_COLUMNS = {
+    athan: ['audio_file'],
+    quran: [],
+    alerts: ['reminder_file', 'dua_file'],
+    events: []
+};
+
+// Where a file is in use, e.g. ['setting iqama_sound', 'Fajr | Sobh dua_file']
+function getAudioFileReferences(category, file) {
+    const references = [];
+    AUDIO_FILE_SETTINGS[category].forEach(key => {
+        if (getSetting(key, '') === file) {
+            references.push(`setting ${key}`);
+        }
+    });
+
+    AUDIO_FILE_PRAYER_COLUMNS[category].forEach(column => {
+        db.prepare(`SELECT prayer_name FROM prayer_config WHERE ${column} = ?`).all(file)
+            .forEach(row => references.push(`${row.prayer_name} ${column}`));
+    });
+
+    if (category === 'events') {
+        db.prepare('SELECT event_id FROM islamic_events WHERE audio_file = ?').all(file)
+            .forEach(row => references.push(`${row.event_id} event audio`));
+    }
+    return references;
+}
+
+// Point every reference of a renamed file to its new name
+function renameAudioFileReferences(category, oldName, newName) {
+    AUDIO_FILE_SETTINGS[category].forEach(key => {
+        db.prepare('UPDATE settings SET value = ? WHERE key = ? AND value = ?').run(newName, key, oldName);
+    });
+    AUDIO_FILE_PRAYER_COLUMNS[category].forEach(column => {
+        db.prepare(`UPDATE prayer_config SET ${column} = ? WHERE ${column} = ?`).run(newName, oldName);
+    });
+    if (category === 'events') {
+        db.prepare('UPDATE islamic_events SET audio_file = ? WHERE audio_file = ?').run(newName, oldName);
+    }
+}
+
+function validateAudioCategory(req, res, next) {
+    if (!AUDIO_LIBRARY[req.params.category]) {
+        return res.status(404).json({ error: `Unknown audio category. Must be one of: ${Object.keys(AUDIO_LIBRARY).join(', ')}` });
+    }
+    next();
+}
+
+// GET - Playback levels of the analyzed files, per category: { athan: { file: { gain_db, start, end } }, ... }
+app.get('/api/audio-levels', (req, res) => {
+    try {
+        const levels = {};
+        Object.keys(AUDIO_LIBRARY).forEach(category => {
+            levels[category] = {};
+            db.prepare('SELECT file FROM audio_analysis WHERE category = ? AND error IS NULL').all(category).forEach(row => {
+                levels[category][row.file] = getAudioLevel(category, row.file);
+            });
+        });
+        res.json(levels);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Analyze the library files again: { force: true } for every file, otherwise new and modified files only
+app.post('/api/audio-library/scan', (req, res) => {
+    try {
+        const queued = scanAudioLibrary(req.body && req.body.force === true);
+        res.json({ success: true, queued });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Files of a library category with their size, duration and references
+app.get('/api/audio-library/:category', validateAudioCategory, async (req, res) => {
     try {
-        const { filename } = req.params;
-        const audioPath = path.join(__dirname, 'audio', 'athan', filename);
-
-        if (!fs.existsSync(audioPath)) {
-            return res.status(404).json({ error: 'Audio file not found' });
+        const { category } = req.params;
+        const dir = getAudioLibraryDir(category);
+        const files = fs.readdirSync(dir)
+            .filter(file => !file.startsWith('.') && AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort((a, b) => a.localeCompare(b));
+
+        const library = [];
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            const probe = await getCachedAudioDuration(filePath);
+            library.push({
+                file,
+                size: fs.statSync(filePath).size,
+                duration: probe.duration !== undefined ? probe.duration : null,
+                decodable: !probe.error,
+                used_by: getAudioFileReferences(category, file),
+                loudness: db.prepare('SELECT peak_db, rms_db, lufs, silence_start, silence_end, error FROM audio_analysis WHERE category = ? AND file = ?').get(category, file) || null,
+                level: getAudioLevel(category, file)
+            });
         }
-
-        res.sendFile(audioPath);
+        res.json({ category, max_size_mb: AUDIO_LIBRARY[category].maxSizeMb, files: library });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// GET - List available Quran audio files
-app.get('/api/quran-files', (req, res) => {
+// POST - Upload a file (multipart/form-data, field "file"; optional field "name" to rename it)
+app.post('/api/audio-library/:category', validateAudioCategory, (req, res) => {
+    const { category } = req.params;
+    audioUploads[category].single('file')(req, res, async (uploadError) => {
+        const tempPath = req.file ? req.file.path : null;
+        const discard = () => {
+            if (tempPath && fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+        };
+
+        try {
+            if (uploadError) {
+                const message = uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? `File too large (maximum ${AUDIO_LIBRARY[category].maxSizeMb} MB for ${category})`
+                    : uploadError.message;
+                return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+            }
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded (multipart field "file")' });
+            }
+
+            const fileName = sanitizeAudioFileName(req.body.name || req.file.originalname);
+            if (!fileName) {
+                discard();
+                return res.status(400).json({ error: `Invalid file name (must end with ${AUDIO_EXTENSIONS.join(' or ')})` });
+            }
+            const finalPath = path.join(getAudioLibraryDir(category), fileName);
+            if (fs.existsSync(finalPath)) {
+                discard();
+                return res.status(409).json({ error: `A file named ${fileName} already exists` });
+            }
+
+            const probe = await probeAudioDuration(tempPath);
+            if (probe.error) {
+                discard();
+                return res.status(400).json({ error: `Not a playable audio file: ${probe.error}` });
+            }
+
+            fs.renameSync(tempPath, finalPath);
+            queueAudioAnalysis(category, fileName);
+            log(`[audio-library] ⬆️ Uploaded ${category}/${fileName} (${req.file.size} bytes, ${probe.duration !== null ? `${probe.duration.toFixed(1)}s` : 'duration unknown'})`);
+            res.json({ success: true, file: fileName, size: req.file.size, duration: probe.duration });
+        } catch (error) {
+            discard();
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// PUT - Rename a file: { name }; settings, prayers and events using it follow the new name
+app.put('/api/audio-library/:category/:filename', validateAudioCategory, (req, res) => {
     try {
-        const quranDir = path.join(__dirname, 'audio', 'coran');
-        if (!fs.existsSync(quranDir)) {
-            fs.mkdirSync(quranDir, { recursive: true });
+        const { category, filename } = req.params;
+        const dir = getAudioLibraryDir(category);
+        const oldName = path.basename(filename);
+        const newName = sanitizeAudioFileName(req.body.name);
+
+        if (!fs.existsSync(path.join(dir, oldName))) {
+            return res.status(404).json({ error: 'Audio file not found' });
         }
-        const files = fs.readdirSync(quranDir).filter(file =>
-            file.endsWith('.mp3') || file.endsWith('.wav')
-        );
-        res.json(files);
+        if (!newName) {
+            return res.status(400).json({ error: `Invalid file name (must end with ${AUDIO_EXTENSIONS.join(' or ')})` });
+        }
+        if (newName !== oldName && fs.existsSync(path.join(dir, newName))) {
+            return res.status(409).json({ error: `A file named ${newName} already exists` });
+        }
+
+        fs.renameSync(path.join(dir, oldName), path.join(dir, newName));
+        renameAudioFileReferences(category, oldName, newName);
+        db.prepare('UPDATE OR REPLACE audio_analysis SET file = ? WHERE category = ? AND file = ?').run(newName, category, oldName);
+        log(`[audio-library] ✏️ Renamed ${category}/${oldName} to ${newName}`);
+
+        // Jobs keep the file names they were scheduled with
+        scheduleAthanCalls();
+        scheduleIslamicEvents();
+        res.json({ success: true, file: newName });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// GET - Serve a Quran audio file
-app.get('/api/quran/:filename', (req, res) => {
+// DELETE - Delete a file (409 while a setting, prayer or event uses it)
+app.delete('/api/audio-library/:category/:filename', validateAudioCategory, (req, res) => {
     try {
-        const { filename } = req.params;
-        const quranPath = path.join(__dirname, 'audio', 'coran', filename);
+        const { category, filename } = req.params;
+        const file = path.basename(filename);
+        const filePath = path.join(getAudioLibraryDir(category), file);
 
-        if (!fs.existsSync(quranPath)) {
-            return res.status(404).json({ error: 'Quran file not found' });
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Audio file not found' });
+        }
+        const usedBy = getAudioFileReferences(category, file);
+        if (usedBy.length > 0) {
+            return res.status(409).json({ error: `${file} is in use`, used_by: usedBy });
         }
 
-        res.sendFile(quranPath);
+        fs.unlinkSync(filePath);
+        db.prepare('DELETE FROM audio_analysis WHERE category = ? AND file = ?').run(category, file);
+        log(`[audio-library] 🗑️ Deleted ${category}/${file}`);
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -2029,8 +5208,8 @@ app.post('/api/test-quran', (req, res) => {
         const audioOutputRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('audio_output');
         const audioOutput = audioOutputRow ? audioOutputRow.value : 'both';
 
-        // Only play server-side if configured for server or both
-        if (audioOutput === 'browser') {
+        // Only play server-side if configured for server or both, or for the live stream
+        if (!hasServerOutput()) {
             log('Audio output set to browser only, skipping server playback for Quran test');
             return res.json({ success: true, message: 'Quran test will play in browser only' });
         }
@@ -2050,23 +5229,26 @@ app.post('/api/test-quran', (req, res) => {
 
         log(`[test-quran] 🔊 BACKEND QURAN TEST PLAYING (30s): ${quranPath} at UI volume ${volumePercent}% (server: ${volumeLevel}x)`);
 
-        // Play only the first 30 seconds using sox trim with selected audio card
-        const { args, env } = buildSoxArgs(volumeLevel, quranPath, ['trim', '0', '30']);
-        currentAudioPlayer = spawn('play', args, { env });
-
-        currentAudioPlayer.on('error', (err) => {
-            logError('Error playing Quran test:', err);
-            currentAudioPlayer = null;
-        });
-
-        currentAudioPlayer.on('close', (code) => {
-            if (code !== 0) {
-                logError(`Quran test process exited with code ${code}`);
-            } else {
-                log('Quran test (30s) finished');
+        // Play only the first 30 seconds on the selected audio card (with the Quran fades)
+        // Tests have the lowest priority: refused while the athan, an alert or a program is playing
+        const started = playOnServer({
+            type: 'test',
+            label: 'test-quran',
+            audioPath: quranPath,
+            volumePercent,
+            fadeType: 'quran',
+            previewSeconds: 30,
+            onEnd: (code) => {
+                if (code !== 0) {
+                    logError(`Quran test process exited with code ${code}`);
+                } else {
+                    log('Quran test (30s) finished');
+                }
             }
-            currentAudioPlayer = null;
         });
+        if (!started) {
+            return res.status(409).json({ success: false, error: 'Higher priority audio is playing', now_playing: getServerNowPlaying() });
+        }
 
         res.json({ success: true, message: 'Playing Quran test (30 seconds)...' });
     } catch (error) {
@@ -2079,11 +5261,30 @@ app.post('/api/test-quran', (req, res) => {
 app.get('/api/update-info', (req, res) => {
     try {
         const updateInfo = db.prepare('SELECT * FROM update_info WHERE id = 1').get();
-        res.json(updateInfo || {
-            last_update: null,
-            prayers_count: 0,
-            city_name: 'Not configured',
-            next_update: getNextUpdateTime()
+        if (!updateInfo) {
+            return res.json({
+                last_update: null,
+                prayers_count: 0,
+                city_name: 'Not configured',
+                next_update: getNextUpdateTime(),
+                providers: [],
+                day_sources: {}
+            });
+        }
+
+        // Provider that produced each stored day (today onward), from the five prayers only:
+        // the extra times are 'computed' and Sunrise may be calculated on ICS or timetable days
+        const daySources = {};
+        db.prepare(`SELECT date, MIN(source) AS source FROM prayers WHERE date >= ? AND prayer_name IN (${prayerNames.map(() => '?').join(', ')}) GROUP BY date ORDER BY date`)
+            .all(formatDateLocal(new Date()), ...prayerNames)
+            .forEach(row => { daySources[row.date] = row.source || 'ics'; });
+
+        const { provider_summary, ...info } = updateInfo;
+        res.json({
+            ...info,
+            provider_chain: getProviderChain(),
+            providers: provider_summary ? JSON.parse(provider_summary) : [],
+            day_sources: daySources
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -2094,12 +5295,17 @@ app.get('/api/update-info', (req, res) => {
 app.get('/api/server-time', (req, res) => {
     try {
         const now = new Date();
+        const resolved = resolveTimezone();
         res.json({
             timestamp: now.toISOString(),
             timestampMs: now.getTime(), // Unix timestamp in milliseconds for client sync
             time: now.toTimeString().split(' ')[0], // HH:MM:SS
             date: formatDateLocal(now),   // YYYY-MM-DD (local date)
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            timezone: resolved.timezone,
+            timezone_source: resolved.source, // 'setting', 'ics' or 'system'
+            timezone_suggestion: getTimezoneSuggestion(resolved),
+            utc_offset: timezones.formatUtcOffset(timezones.getUtcOffsetMinutes(resolved.timezone, now)),
+            hijri: hijriCalendar.toHijri(formatDateLocal(now), getHijriOptions()),
             ip: getServerIPAddress(),
             hostname: process.env.HOST_HOSTNAME || os.hostname()
         });
@@ -2109,13 +5315,155 @@ app.get('/api/server-time', (req, res) => {
     }
 });
 
+// GET - Hijri date of a Gregorian date (YYYY-MM-DD)
+app.get('/api/hijri/:date', (req, res) => {
+    try {
+        const { date } = req.params;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
+        res.json({ date, ...hijriCalendar.toHijri(date, getHijriOptions()) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Months of a Hijri year with their Gregorian days (calendar modal Hijri view)
+app.get('/api/hijri-year/:year', (req, res) => {
+    try {
+        const year = parseInt(req.params.year, 10);
+        if (!(year >= 1300 && year <= 1600)) {
+            return res.status(400).json({ error: 'Hijri year must be between 1300 and 1600' });
+        }
+        const options = getHijriOptions();
+        const months = hijriCalendar.HIJRI_MONTHS.map((month, index) => ({
+            month: index + 1,
+            month_name: month.name,
+            month_name_ar: month.ar,
+            days: hijriCalendar.getHijriMonthDays(year, index + 1, options)
+        }));
+        res.json({ year, months });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Islamic events between two dates (only the days with events)
+// Example: /api/islamic-events?from=2026-01-01&to=2026-12-31
+app.get('/api/islamic-events', (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(from || '') || !datePattern.test(to || '') || from > to) {
+            return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format (from <= to)' });
+        }
+
+        const days = [];
+        const day = new Date(`${from}T12:00:00`);
+        const end = new Date(`${to}T12:00:00`);
+        if ((end - day) / 86400000 > 400) {
+            return res.status(400).json({ error: 'Date range must not exceed 400 days' });
+        }
+        for (; day <= end; day.setDate(day.getDate() + 1)) {
+            const date = formatDateLocal(day);
+            const events = getDayEvents(date);
+            if (events.length > 0) {
+                days.push({ date, hijri_date: hijriCalendar.toHijri(date, getHijriOptions()).iso, events });
+            }
+        }
+        res.json(days);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Islamic events catalog with the reminder and audio configuration of each event
+app.get('/api/islamic-events/config', (req, res) => {
+    try {
+        const config = db.prepare('SELECT * FROM islamic_events').all();
+        res.json({
+            reminder_time: getSetting('event_reminder_time', '20:00'),
+            reminder_sound: getSetting('event_reminder_sound', ''),
+            events: Object.keys(islamicEvents.ISLAMIC_EVENTS).map(eventId => ({
+                event_id: eventId,
+                ...islamicEvents.ISLAMIC_EVENTS[eventId],
+                ...config.find(row => row.event_id === eventId)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST - Update the configuration of one Islamic event
+// Body: { event_id, enabled?, reminder?, audio_file?, audio_time? }
+app.post('/api/islamic-events/config', (req, res) => {
+    try {
+        const { event_id: eventId } = req.body;
+        if (!islamicEvents.ISLAMIC_EVENTS[eventId]) {
+            return res.status(400).json({ error: `Unknown event: ${eventId}` });
+        }
+
+        const updates = {};
+        ['enabled', 'reminder'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field] ? 1 : 0;
+            }
+        });
+        if (req.body.audio_file !== undefined) {
+            const audioFile = req.body.audio_file || null;
+            if (audioFile && path.basename(audioFile) !== audioFile) {
+                return res.status(400).json({ error: 'Invalid audio file name' });
+            }
+            if (audioFile && !fs.existsSync(path.join(__dirname, 'audio', 'events', audioFile))) {
+                return res.status(400).json({ error: `Audio file not found in audio/events: ${audioFile}` });
+            }
+            updates.audio_file = audioFile;
+        }
+        if (req.body.audio_time !== undefined) {
+            const audioTime = req.body.audio_time || null;
+            if (audioTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(audioTime)) {
+                return res.status(400).json({ error: 'audio_time must be in HH:MM format' });
+            }
+            updates.audio_time = audioTime;
+        }
+
+        Object.keys(updates).forEach(field => {
+            db.prepare(`UPDATE islamic_events SET ${field} = ? WHERE event_id = ?`).run(updates[field], eventId);
+        });
+        scheduleIslamicEvents();
+
+        res.json({ success: true, event: db.prepare('SELECT * FROM islamic_events WHERE event_id = ?').get(eventId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Ramadan status: whether today is in Ramadan and the current or next Ramadan period
+app.get('/api/ramadan', (req, res) => {
+    try {
+        const today = formatDateLocal(new Date());
+        const period = getRamadanPeriod(today);
+        res.json({
+            mode: getSetting('ramadan_mode', 'auto'),
+            active: !!period && period.start <= today && today <= period.end,
+            start: period ? period.start : null,
+            end: period ? period.end : null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Check server audio support (test actual audio playback capability)
+// The player is the audio_backend setting, or the first installed one (see lib/player-backends.js)
 // Uses cache to avoid testing during audio playback (prevents false negatives when ALSA device is busy)
 app.get('/api/audio-support', (req, res) => {
     try {
         const platform = os.platform(); // 'linux', 'darwin' (macOS), 'win32' (Windows), etc.
-        const { execSync } = require('child_process');
+        const { execFileSync } = require('child_process');
         const now = Date.now();
+        const osName = platform === 'linux' ? 'Linux' : platform === 'darwin' ? 'macOS' : platform === 'win32' ? 'Windows' : platform;
 
         // Check if we have a valid cached result (less than 1 minute old)
         if (audioSupportCache && (now - audioSupportCacheTime < AUDIO_SUPPORT_CACHE_DURATION)) {
@@ -2125,77 +5473,52 @@ app.get('/api/audio-support', (req, res) => {
 
         let status, message, color, supported = false;
 
-        // If audio is currently playing, skip the playback test to avoid ALSA device busy error
-        // Just check if sox exists without testing actual playback
-        if (currentAudioPlayer) {
-            log(`[audio-support] ⏭️ Audio currently playing, skipping playback test`);
-            try {
-                execSync('which play', { stdio: 'ignore' });
-                // Sox exists, assume it's supported (we can't test playback while device is busy)
-                supported = true;
-                status = 'supported';
-                message = `✅ Supported (${platform === 'linux' ? 'Linux' : platform === 'darwin' ? 'macOS' : platform} with sox)`;
-                color = '#27ae60'; // Green
-                log(`[audio-support] ✅ Sox found, assuming supported (playback test skipped)`);
-            } catch (whichError) {
-                // Sox doesn't exist
-                const osName = platform === 'darwin' ? 'macOS' : platform === 'win32' ? 'Windows' : platform;
-                supported = false;
-                status = 'unsupported';
-                message = `❌ Not supported - Sox not installed (${osName})`;
-                color = '#8B0000'; // Burgundy
-                log(`[audio-support] ❌ Sox not found on ${platform}`);
-            }
-
-            const result = { supported, status, message, color, platform };
-            audioSupportCache = result;
-            audioSupportCacheTime = now;
-            return res.json(result);
-        }
-
-        // No audio playing, perform full test (check sox exists AND test actual playback)
-        try {
-            execSync('which play', { stdio: 'ignore' });
+        installedPlayerBackends = detectPlayerBackends();
+        const target = getDefaultAudioTarget();
+        const backendId = selectPlayerBackend(getSetting('audio_backend', 'auto'), installedPlayerBackends, target, null);
+        const backend = backendId ? PLAYER_BACKENDS[backendId] : null;
 
-            // Sox is installed, now test if it can actually play audio
-            // Try to play a silent test (generate 0.1 seconds of silence)
+        if (!backend) {
+            // No player installed (or none for the selected output)
+            status = 'unsupported';
+            message = `❌ Not supported - No audio player installed (${Object.values(PLAYER_BACKENDS).map(item => item.command).join(', ')}) (${osName})`;
+            color = '#8B0000'; // Burgundy
+            log(`[audio-support] ❌ No audio player found on ${platform} for ${describeOutputTarget(target)}`);
+        } else if (isServerAudioPlaying() || !backend.test) {
+            // If audio is currently playing, skip the playback test to avoid ALSA device busy error
+            // (players without a test are assumed to work)
+            supported = true;
+            status = 'supported';
+            message = `✅ Supported (${osName} with ${backend.name})`;
+            color = '#27ae60'; // Green
+            log(`[audio-support] ✅ ${backend.name} found, assuming supported (playback test skipped)`);
+        } else {
+            // The player is installed, now test if it can actually play audio (short silence, no audio file needed)
+            const test = backend.test(target);
             try {
-                // Test with synth command: play -n synth 0.1 sine 0 vol 0
-                // This generates 0.1s of silence without needing an audio file
-                // Use AUDIODRIVER=alsa to force ALSA driver
-                execSync('play -n synth 0.1 sine 0 vol 0 2>/dev/null', {
+                execFileSync(test.command, test.args, {
                     stdio: 'ignore',
                     timeout: 2000, // 2 second timeout
-                    env: { ...process.env, AUDIODRIVER: 'alsa' }
+                    env: test.env
                 });
 
                 // If we reach here, audio playback works
                 supported = true;
                 status = 'supported';
-                message = `✅ Supported (${platform === 'linux' ? 'Linux' : platform === 'darwin' ? 'macOS' : platform} with sox)`;
+                message = `✅ Supported (${osName} with ${backend.name})`;
                 color = '#27ae60'; // Green
-                log(`[audio-support] ✅ Audio playback test successful on ${platform}`);
-
+                log(`[audio-support] ✅ Audio playback test successful on ${platform} with ${backend.name}`);
             } catch (testError) {
-                // Sox exists but can't play audio
+                // The player exists but can't play audio
                 status = 'unsupported';
-                const osName = platform === 'darwin' ? 'macOS' : platform === 'win32' ? 'Windows' : platform;
-                message = `❌ Not supported - Sox installed but audio playback failed (${osName})`;
+                message = `❌ Not supported - ${backend.name} installed but audio playback failed (${osName})`;
                 color = '#8B0000'; // Burgundy
-                log(`[audio-support] ❌ Sox found but audio test failed on ${platform}:`, testError.message);
+                log(`[audio-support] ❌ ${backend.name} found but audio test failed on ${platform}:`, testError.message);
             }
-
-        } catch (whichError) {
-            // Sox/play not installed
-            const osName = platform === 'darwin' ? 'macOS' : platform === 'win32' ? 'Windows' : platform;
-            status = 'unsupported';
-            message = `❌ Not supported - Sox not installed (${osName})`;
-            color = '#8B0000'; // Burgundy
-            log(`[audio-support] ❌ Sox not found on ${platform}`);
         }
 
         // Cache the result
-        const result = { supported, status, message, color, platform };
+        const result = { supported, status, message, color, platform, backend: backendId };
         audioSupportCache = result;
         audioSupportCacheTime = now;
         log(`[audio-support] 💾 Result cached for ${AUDIO_SUPPORT_CACHE_DURATION / 1000}s`);
@@ -2235,31 +5558,40 @@ app.get('/api/check-athan-time', (req, res) => {
 
         const currentDate = formatDateLocal(now);
         const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
 
         // Only check the 5 main prayers
         const mainPrayers = ['Fajr | Sobh', 'Dohr', 'Asr', 'Maghrib', 'Isha'];
 
-        // Retrieve today's main prayers only
-        const prayers = db.prepare(`
-            SELECT * FROM prayers 
-            WHERE date = ? AND prayer_name IN (?, ?, ?, ?, ?)
-            ORDER BY prayer_time
-        `).all(currentDate, ...mainPrayers);
+        // Retrieve today's main prayers (and yesterday's, in case an athan offset pushes Isha past midnight)
+        const prayers = getEffectivePrayers([formatDateLocal(yesterday), currentDate], mainPrayers);
 
-        // Check if we are at or past prayer time (within 1 minute tolerance)
-        const currentMinutes = parseInt(currentTime.split(':')[0]) * 60 + parseInt(currentTime.split(':')[1]);
-        log(`[check-athan-time] Current time: ${currentTime} (${currentMinutes} minutes)`);
+        // Check if we are at or past the athan trigger time (within 1 minute tolerance)
+        const prayerConfig = getPrayerConfig();
+        const currentMinuteStart = new Date(`${currentDate}T${currentTime}:00`);
+        log(`[check-athan-time] Current time: ${currentTime}`);
 
         for (const prayer of prayers) {
-            const prayerMinutes = parseInt(prayer.prayer_time.split(':')[0]) * 60 + parseInt(prayer.prayer_time.split(':')[1]);
-            const diff = currentMinutes - prayerMinutes;
+            // Jumu'ah slots give several athans for the same prayer
+            const triggerTimes = getAthanTriggerTimes(prayer, prayerConfig);
+            const minutesSince = (time) => Math.round((currentMinuteStart - time) / 60000);
+            const triggerTime = triggerTimes.find(time => minutesSince(time) >= 0 && minutesSince(time) <= 1) || triggerTimes[0];
+            const diff = minutesSince(triggerTime);
 
-            log(`[check-athan-time] Checking ${prayer.prayer_name} at ${prayer.prayer_time} (${prayerMinutes} minutes), diff: ${diff} minutes`);
+            log(`[check-athan-time] Checking ${prayer.prayer_name} at ${prayer.prayer_time} (athan at ${triggerTime.toTimeString().substring(0, 5)}), diff: ${diff} minutes`);
 
             // Only trigger if current time >= prayer time and within 1 minute
             if (diff >= 0 && diff <= 1) {
                 log(`[check-athan-time] ✅ ${prayer.prayer_name} is in trigger window (diff: ${diff} minutes)`);
 
+                // Date-specific exception: no athan for this prayer on this date
+                if (prayer.athan_disabled) {
+                    log(`[check-athan-time] ❌ Athan for ${prayer.prayer_name} disabled on ${prayer.date} by date override`);
+                    res.json({ shouldPlay: false });
+                    return;
+                }
+
                 // Check if skip_next is active (mute next athan)
                 // We check BOTH the flag AND the last_skipped_* fields to handle race conditions
                 // where playAthan() on the server may have already consumed the flag
@@ -2289,13 +5621,17 @@ app.get('/api/check-athan-time', (req, res) => {
                     return;
                 }
 
-                const audioFileRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('audio_file');
-                const audioFile = audioFileRow ? audioFileRow.value : 'Masjid Al-Haram.mp3';
-
                 res.json({
                     shouldPlay: true,
                     prayerName: prayer.prayer_name,
-                    audioFile: audioFile
+                    audioFile: getAthanAudioFile(prayer.prayer_name),
+                    fade: getFadeOptions('athan'),
+                    // Post-athan dua (audio/alerts), played once the athan ended on its own
+                    dua: prayerConfig[prayer.prayer_name] && prayerConfig[prayer.prayer_name].dua_file
+                        ? { audioFile: prayerConfig[prayer.prayer_name].dua_file, delaySeconds: prayerConfig[prayer.prayer_name].dua_delay }
+                        : null,
+                    // Jumu'ah: identifies the slot so each athan plays once
+                    slotTime: prayer.jumuah_slots ? triggerTime.toTimeString().substring(0, 5) : null
                 });
                 return;
             }
@@ -2307,6 +5643,144 @@ app.get('/api/check-athan-time', (req, res) => {
     }
 });
 
+// GET - Check whether the browser should play a pre-athan reminder (same 1 minute window as the athan)
+app.get('/api/check-reminder-time', (req, res) => {
+    try {
+        if (getSetting('audio_output', 'both') === 'server') {
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        const now = new Date();
+        const currentDate = formatDateLocal(now);
+        const tomorrow = new Date(now);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        const currentMinuteStart = new Date(`${currentDate}T${now.toTimeString().substring(0, 5)}:00`);
+        const prayerConfig = getPrayerConfig();
+
+        // Tomorrow's Fajr reminder may fall before midnight
+        const prayers = getEffectivePrayers([currentDate, formatDateLocal(tomorrow)], prayerNames);
+        for (const prayer of prayers) {
+            const reminderTime = getReminderTimes(prayer, prayerConfig).find(time => {
+                const diff = Math.round((currentMinuteStart - time) / 60000);
+                return diff >= 0 && diff <= 1;
+            });
+            if (!reminderTime) {
+                continue;
+            }
+
+            const reason = getReminderSuppressionReason(prayer);
+            if (reason) {
+                log(`[check-reminder-time] ❌ Reminder for ${prayer.prayer_name} blocked (${reason})`);
+                res.json({ shouldPlay: false });
+                return;
+            }
+
+            res.json({
+                shouldPlay: true,
+                prayerName: prayer.prayer_name,
+                reminderTime: reminderTime.toTimeString().substring(0, 5),
+                audioFile: prayerConfig[prayer.prayer_name].reminder_file
+            });
+            return;
+        }
+
+        res.json({ shouldPlay: false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Check whether the browser should play the iqama alert (same 1 minute window as the athan)
+app.get('/api/check-iqama-time', (req, res) => {
+    try {
+        if (getSetting('audio_output', 'both') === 'server') {
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        const now = new Date();
+        const currentDate = formatDateLocal(now);
+        const currentTime = now.toTimeString().split(' ')[0].substring(0, 5);
+        const currentMinuteStart = new Date(`${currentDate}T${currentTime}:00`);
+
+        const prayers = getEffectivePrayers(currentDate, prayerNames);
+        for (const prayer of prayers) {
+            const iqamaTime = getIqamaTimes(prayer).find(time => {
+                const diff = Math.round((currentMinuteStart - new Date(`${prayer.date}T${time}:00`)) / 60000);
+                return diff >= 0 && diff <= 1;
+            });
+            if (!iqamaTime) {
+                continue;
+            }
+
+            const reason = getIqamaSuppressionReason(prayer);
+            if (reason) {
+                log(`[check-iqama-time] ❌ Iqama alert for ${prayer.prayer_name} blocked (${reason})`);
+                res.json({ shouldPlay: false });
+                return;
+            }
+
+            res.json({
+                shouldPlay: true,
+                prayerName: prayer.prayer_name,
+                iqamaTime: iqamaTime,
+                audioFile: getSetting('iqama_sound', '')
+            });
+            return;
+        }
+
+        res.json({ shouldPlay: false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET - Check whether the browser should play an extra time alert (Sunrise, Duha, Tahajjud...)
+app.get('/api/check-time-alerts', (req, res) => {
+    try {
+        if (getSetting('audio_output', 'both') === 'server') {
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        const alertNames = extraTimeNames.filter(name => getSetting(extraTimes[name], ''));
+        if (alertNames.length === 0) {
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        const now = new Date();
+        const currentDate = formatDateLocal(now);
+        const currentMinuteStart = new Date(`${currentDate}T${now.toTimeString().substring(0, 5)}:00`);
+
+        const row = getEffectivePrayers(currentDate, alertNames).find(r => {
+            const diff = Math.round((currentMinuteStart - new Date(`${r.date}T${r.prayer_time}:00`)) / 60000);
+            return diff >= 0 && diff <= 1;
+        });
+        if (!row) {
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        const reason = getExtraTimeAlertSuppressionReason(row);
+        if (reason) {
+            log(`[check-time-alerts] ❌ ${row.prayer_name} alert blocked (${reason})`);
+            res.json({ shouldPlay: false });
+            return;
+        }
+
+        res.json({
+            shouldPlay: true,
+            name: row.prayer_name,
+            time: row.prayer_time,
+            audioFile: getSetting(extraTimes[row.prayer_name], '')
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // GET - Check whether the browser should play Friday Quran
 app.get('/api/check-friday-quran', (req, res) => {
     try {
@@ -2315,7 +5789,7 @@ app.get('/api/check-friday-quran', (req, res) => {
         const audioOutput = audioOutputRow ? audioOutputRow.value : 'both';
 
         // Always check if server is currently playing Quran (for notification banner)
-        const serverPlayingQuran = currentAudioType === 'quran';
+        const serverPlayingQuran = getServerNowPlaying().type === 'quran';
 
         // Check if Friday Quran is enabled
         const enabledRow = db.prepare('SELECT value FROM settings WHERE key = ?').get('friday_quran_enabled');
@@ -2358,6 +5832,7 @@ app.get('/api/check-friday-quran', (req, res) => {
                 shouldPlay: true,
                 quranFile: quranFile,
                 type: 'friday_quran',
+                fade: getFadeOptions('quran'),
                 serverPlayingQuran
             });
             return;
@@ -2370,6 +5845,39 @@ app.get('/api/check-friday-quran', (req, res) => {
     }
 });
 
+// GET - Check if an Islamic event reminder or audio should play in the browser (trigger set by the server jobs)
+app.get('/api/check-islamic-event', (req, res) => {
+    try {
+        const serverPlayingEvent = getServerNowPlaying().type === 'event';
+
+        if (getSetting('audio_output', 'both') === 'server') {
+            res.json({ shouldPlay: false, serverPlayingEvent });
+            return;
+        }
+
+        const trigger = db.prepare('SELECT * FROM islamic_event_trigger WHERE id = 1').get();
+        if (!trigger || trigger.should_play !== 1) {
+            res.json({ shouldPlay: false, serverPlayingEvent });
+            return;
+        }
+
+        // Reset the trigger: the reminder or audio plays once
+        db.prepare('UPDATE islamic_event_trigger SET should_play = 0 WHERE id = 1').run();
+        log(`[check-islamic-event] ✅ Trigger consumed (${trigger.kind}: ${trigger.message})`);
+
+        res.json({
+            shouldPlay: true,
+            kind: trigger.kind,
+            message: trigger.message,
+            audioFile: trigger.audio_file,
+            serverPlayingEvent
+        });
+    } catch (error) {
+        logError('[check-islamic-event] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Start server - listen on all network interfaces (0.0.0.0) to allow remote access
 app.listen(PORT, '0.0.0.0', () => {
     const serverIP = getServerIPAddress();
@@ -2377,6 +5885,18 @@ app.listen(PORT, '0.0.0.0', () => {
     log(`📱 Access locally:  http://localhost:${PORT}`);
     log(`🌐 Access remotely: http://${serverIP}:${PORT}`);
 
+    // Athans missed while the server was off (power cut, reboot): wait for ALSA like the startup sound
+    if (previousHeartbeat) {
+        const since = new Date(Math.max(new Date(previousHeartbeat).getTime(), Date.now() - 24 * 60 * 60 * 1000));
+        setTimeout(() => catchUpMissedAthans(since, 'server was off'), 5000);
+    }
+
+    // Loudness analysis of the files added or changed while the server was off
+    setTimeout(() => scanAudioLibrary(), 30000);
+
+    // Default output (audio zones select their device per process)
+    updateAsoundrc(getSetting('audio_card', 'auto'));
+
     // Load initial prayer times on startup
     fetchPrayerTimes().then(() => {
         log('Initial prayer times loaded');
@@ -2416,6 +5936,8 @@ app.listen(PORT, '0.0.0.0', () => {
     // the next prayers will still be properly scheduled
     setInterval(() => {
         log('⏰ Hourly re-scheduling of athan calls...');
+        // Jobs that never fired during the last hour
+        catchUpMissedAthans(new Date(Date.now() - 60 * 60 * 1000), 'job did not fire');
         scheduleAthanCalls();
     }, 60 * 60 * 1000); // Every hour
 
@@ -2433,28 +5955,37 @@ app.listen(PORT, '0.0.0.0', () => {
             logWarn(`⚠️ SERVER: System time change detected! Drift: ${timeDrift}ms (${(timeDrift / 1000).toFixed(1)}s)`);
             log('🔄 Re-scheduling all athan calls to sync with new system time...');
 
+            // Athans skipped by a forward jump (or a suspended clock) follow the catch-up policy
+            catchUpMissedAthans(new Date(lastSystemTime), 'system time jumped');
+
             // Re-schedule all athan calls based on new system time
             scheduleAthanCalls();
 
             // Also re-schedule Friday Quran if enabled
             scheduleFridayQuran();
+            scheduleIslamicEvents();
 
             log('✅ Athan calls re-scheduled successfully');
         }
 
         lastSystemTime = now;
+        if (now - lastHeartbeatWrite >= HEARTBEAT_INTERVAL) {
+            writeHeartbeat();
+        }
     }, 10000); // Check every 10 seconds
 });
 
 // Graceful shutdown handlers
 process.on('SIGTERM', () => {
     log('SIGTERM received, closing database...');
+    writeHeartbeat();
     db.close();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     log('SIGINT received, closing database...');
+    writeHeartbeat();
     db.close();
     process.exit(0);
 });